@@ -0,0 +1,303 @@
+/**
+ * ===================================================================
+ * ANIMATION-SCHEDULER.JS
+ * Taktgeber für Software-Effekte und Animationen
+ * Version: 1.0
+ * ===================================================================
+ *
+ * requestAnimationFrame steht still, sobald der Tab verborgen ist.
+ * Der Scheduler taktet deshalb über einen Worker (läuft im Hintergrund
+ * weiter) bzw. über setInterval, wenn kein Worker erstellt werden kann.
+ *
+ * Jede Animation hat feste Frame-Zeitpunkte (1000 / fps). Ist der
+ * vorige Frame noch unterwegs (Transport belegt), wird der fällige
+ * Frame verworfen statt eingereiht - das Bild bleibt aktuell, statt
+ * hinterherzulaufen.
+ *
+ * Statistik: fps, verworfene Frames und Latenz vom geplanten
+ * Frame-Zeitpunkt bis zum abgeschlossenen Senden (getStats und
+ * PerformanceOptimizer.generateReport).
+ *
+ * ===================================================================
+ */
+
+'use strict';
+
+// ===================================================================
+// KONFIGURATION
+// ===================================================================
+
+const SCHEDULER_CONFIG = {
+  MAX_FPS: 120,
+  MIN_FPS: 0.1,             // Langsame Takte (lange Übergänge: ein Schritt alle paar Sekunden)
+  MIN_TICK_MS: 4,           // Feinster Takt der Uhr
+  TICKS_PER_FRAME: 2,       // Takt = halbe Frame-Zeit der schnellsten Animation
+  LATENCY_SAMPLES: 120,
+  FPS_WINDOW_MS: 1000
+};
+
+// Worker-Quelltext: meldet nur den Takt, gerechnet wird im Haupt-Thread
+const SCHEDULER_WORKER_SOURCE = `
+  let timer = null;
+  self.onmessage = (e) => {
+    clearInterval(timer);
+    timer = e.data > 0 ? setInterval(() => self.postMessage(0), e.data) : null;
+  };
+`;
+
+// ===================================================================
+// SCHEDULER
+// ===================================================================
+
+class AnimationScheduler {
+  constructor() {
+    this.animations = new Map(); // ID → Animation
+    this.nextId = 1;
+    this.clock = null;           // { type: 'worker' | 'timer', interval, stop, setInterval }
+  }
+
+  /**
+   * Startet eine Animation
+   * @param {Function} frameFunc - async (deltaTime) → Frame rendern und senden
+   * @param {number} fps - Ziel-Bildrate
+   * @param {Object} options - { name, isBusy } (isBusy: Transport belegt → Frame verwerfen)
+   * @returns {Function} - Stopp-Funktion
+   */
+  start(frameFunc, fps = 30, options = {}) {
+    fps = Math.max(SCHEDULER_CONFIG.MIN_FPS, Math.min(SCHEDULER_CONFIG.MAX_FPS, parseFloat(fps) || 30));
+    const now = performance.now();
+    const id = this.nextId++;
+
+    this.animations.set(id, {
+      id,
+      name: options.name || `Animation ${id}`,
+      frameFunc,
+      isBusy: options.isBusy || null,
+      fps,
+      frameTime: 1000 / fps,
+      nextTime: now,
+      lastTime: now,
+      running: false,
+      startedAt: now,
+      rendered: 0,
+      dropped: 0,
+      latencies: [],
+      frameTimes: []
+    });
+    this.updateClock();
+
+    return () => this.stop(id);
+  }
+
+  stop(id) {
+    if (this.animations.delete(id)) {
+      this.updateClock();
+    }
+  }
+
+  // ===================================================================
+  // UHR
+  // ===================================================================
+
+  /**
+   * Takt passend zur schnellsten Animation; ohne Animationen steht die Uhr
+   */
+  updateClock() {
+    if (this.animations.size === 0) {
+      if (this.clock) {
+        this.clock.stop();
+        this.clock = null;
+      }
+      return;
+    }
+
+    const frameTime = Math.min(...Array.from(this.animations.values(), animation => animation.frameTime));
+    const interval = Math.max(SCHEDULER_CONFIG.MIN_TICK_MS, Math.floor(frameTime / SCHEDULER_CONFIG.TICKS_PER_FRAME));
+
+    if (!this.clock) {
+      this.clock = this.createWorkerClock(interval) || this.createTimerClock(interval);
+      console.log(`⏱️ Animations-Takt: ${this.clock.type} (${interval} ms)`);
+    } else if (this.clock.interval !== interval) {
+      this.clock.setInterval(interval);
+    }
+  }
+
+  createWorkerClock(interval) {
+    if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || typeof URL === 'undefined') {
+      return null;
+    }
+
+    try {
+      const url = URL.createObjectURL(new Blob([SCHEDULER_WORKER_SOURCE], { type: 'application/javascript' }));
+      const worker = new Worker(url);
+      URL.revokeObjectURL(url);
+
+      const clock = {
+        type: 'worker',
+        interval,
+        setInterval: (ms) => {
+          clock.interval = ms;
+          worker.postMessage(ms);
+        },
+        stop: () => worker.terminate()
+      };
+
+      worker.onmessage = () => this.tick();
+      worker.onerror = (error) => {
+        // z.B. Content-Security-Policy ohne blob: → auf Timer umsteigen
+        console.warn('⚠️ Animations-Worker nicht verfügbar, nutze Timer:', error.message);
+        worker.terminate();
+        if (this.clock === clock) {
+          this.clock = this.createTimerClock(clock.interval);
+        }
+      };
+      worker.postMessage(interval);
+      return clock;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  createTimerClock(interval) {
+    let timer = setInterval(() => this.tick(), interval);
+
+    const clock = {
+      type: 'timer',
+      interval,
+      setInterval: (ms) => {
+        clearInterval(timer);
+        clock.interval = ms;
+        timer = setInterval(() => this.tick(), ms);
+      },
+      stop: () => clearInterval(timer)
+    };
+    return clock;
+  }
+
+  // ===================================================================
+  // FRAMES
+  // ===================================================================
+
+  /**
+   * Fällige Frames starten; verpasste Zeitpunkte zählen als verworfen
+   */
+  tick() {
+    const now = performance.now();
+
+    this.animations.forEach(animation => {
+      if (now < animation.nextTime) return;
+
+      const due = Math.floor((now - animation.nextTime) / animation.frameTime) + 1;
+      const scheduledTime = animation.nextTime + (due - 1) * animation.frameTime;
+      animation.nextTime += due * animation.frameTime;
+
+      // Transport belegt: Frame verwerfen statt einreihen
+      if (animation.running || (animation.isBusy && animation.isBusy())) {
+        this.recordDropped(animation, due);
+        return;
+      }
+      if (due > 1) {
+        this.recordDropped(animation, due - 1);
+      }
+
+      this.runFrame(animation, now, scheduledTime);
+    });
+  }
+
+  async runFrame(animation, now, scheduledTime) {
+    const deltaTime = now - animation.lastTime;
+    animation.lastTime = now;
+    animation.running = true;
+
+    try {
+      await animation.frameFunc(deltaTime);
+    } catch (error) {
+      console.error(`❌ Frame fehlgeschlagen (${animation.name}):`, error);
+    } finally {
+      animation.running = false;
+    }
+
+    if (this.animations.has(animation.id)) {
+      this.recordFrame(animation, performance.now() - scheduledTime);
+    }
+  }
+
+  // ===================================================================
+  // STATISTIK
+  // ===================================================================
+
+  recordFrame(animation, latency) {
+    const now = performance.now();
+    animation.rendered++;
+    animation.latencies.push(latency);
+    animation.frameTimes.push(now);
+
+    if (animation.latencies.length > SCHEDULER_CONFIG.LATENCY_SAMPLES) {
+      animation.latencies.shift();
+    }
+    while (animation.frameTimes.length && animation.frameTimes[0] < now - SCHEDULER_CONFIG.FPS_WINDOW_MS) {
+      animation.frameTimes.shift();
+    }
+
+    if (window.performanceOptimizer && window.performanceOptimizer.recordAnimationFrame) {
+      window.performanceOptimizer.recordAnimationFrame(latency);
+    }
+  }
+
+  recordDropped(animation, count) {
+    animation.dropped += count;
+
+    if (window.performanceOptimizer && window.performanceOptimizer.recordDroppedFrames) {
+      window.performanceOptimizer.recordDroppedFrames(count);
+    }
+  }
+
+  /**
+   * Statistik aller laufenden Animationen
+   * @returns {Object} - { clock, animations: [{ name, targetFps, fps, rendered, dropped, latency }] }
+   */
+  getStats() {
+    const now = performance.now();
+
+    return {
+      clock: this.clock ? this.clock.type : null,
+      animations: Array.from(this.animations.values(), animation => {
+        const recent = animation.frameTimes.filter(time => time >= now - SCHEDULER_CONFIG.FPS_WINDOW_MS);
+        const span = Math.min(SCHEDULER_CONFIG.FPS_WINDOW_MS, now - animation.startedAt) || 1;
+        const sorted = [...animation.latencies].sort((a, b) => a - b);
+
+        return {
+          name: animation.name,
+          targetFps: animation.fps,
+          fps: Math.round(recent.length * 1000 / span),
+          rendered: animation.rendered,
+          dropped: animation.dropped,
+          latency: {
+            average: sorted.length ? sorted.reduce((a, b) => a + b, 0) / sorted.length : 0,
+            p95: sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : 0,
+            max: sorted.length ? sorted[sorted.length - 1] : 0
+          }
+        };
+      })
+    };
+  }
+}
+
+// ===================================================================
+// GLOBALE INSTANZ
+// ===================================================================
+
+window.SCHEDULER_CONFIG = SCHEDULER_CONFIG;
+window.AnimationScheduler = AnimationScheduler;
+window.animationScheduler = new AnimationScheduler();
+
+console.log('✅ Animation-Scheduler global verfügbar als window.animationScheduler');
+
+// ===================================================================
+// EXPORT
+// ===================================================================
+
+// Browser-kompatible Exports
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnimationScheduler;
+}
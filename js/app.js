@@ -78,6 +78,23 @@ window.addEventListener('DOMContentLoaded', () => {
       return await window.bleController.setBrightness(brightness);
     };
     
+    window.setColorTemperatureLED = async (kelvin) => {
+      let success = false;
+      
+      if (window.bleController && window.bleController.isConnected) {
+        success = await window.bleController.setColorTemperature(kelvin);
+      }
+      if (window.wledDevice && window.wledDevice.connected && window.wledDevice.client) {
+        await window.wledDevice.client.setColorTemperature(kelvin);
+        success = true;
+      }
+      
+      if (!success) {
+        console.warn('⚠️ Keine LED-Verbindung - Farbtemperatur kann nicht gesendet werden');
+      }
+      return success;
+    };
+    
     window.toggleLEDPower = async (state) => {
       if (!window.bleController || !window.bleController.isConnected) {
         console.warn('⚠️ Keine Bluetooth-Verbindung - Power-Status kann nicht gesendet werden');
@@ -98,7 +115,8 @@ window.addEventListener('DOMContentLoaded', () => {
           iframe.contentWindow.postMessage({
             type: 'BLE_STATUS',
             connected: status.connected,
-            device: status.device
+            device: status.device,
+            devices: status.devices
           }, '*');
         } catch (e) {}
       });
@@ -106,6 +124,9 @@ window.addEventListener('DOMContentLoaded', () => {
       console.log('📡 BLE Status:', status.connected ? '✅ Verbunden' : '❌ Getrennt');
     };
     
+    // ✅ GERÄTE-STATUS (Read-Back) an iFrames weiterreichen
+    window.addEventListener('ble-device-state', () => window.updateBLEStatus());
+    
   } else {
     console.error('❌ BLEController Klasse nicht gefunden! Stelle sicher dass ble-controller-pro.js geladen ist.');
   }
@@ -147,8 +168,6 @@ const APP_CONFIG = {
     'Fade': 25, 'Scanner': 26, 'Twinkle': 27, 'Kometen': 28,
     'Feuerzauber': 29, 'Neonröhre': 30, 'Lasershow': 31, 'Borealis': 32
   },
-  AUTO_RECONNECT_DELAY: 3000,
-  AUTO_RECONNECT_MAX_ATTEMPTS: 3,
   BLE_STATUS_UPDATE_INTERVAL: 1000,
   
   // LocalStorage-Keys
@@ -482,21 +501,19 @@ async function initBLEStatus() {
 }
 
 /**
- * Automatische Verbindung zu gespeicherten Geräten
+ * Automatische Verbindung zu gespeicherten BLE-Geräten (Geräte-Register, js/device-manager.js)
  */
 async function autoConnectDevices() {
   try {
-    const savedDevices = localStorage.getItem(APP_CONFIG.STORAGE_KEYS.DEVICES);
-    if (!savedDevices) return;
+    if (!window.deviceManager) return;
     
-    const devices = JSON.parse(savedDevices);
+    const devices = window.deviceManager.getAutoConnectDevices(['ble']);
     console.log('📱 Gespeicherte Geräte gefunden:', devices.length);
     
     for (const device of devices) {
-      if (device.autoConnect) {
-        console.log('🔄 Verbinde mit:', device.name);
-        await connectToDevice(device);
-      }
+      console.log('🔄 Verbinde mit:', device.name);
+      // Ohne Nutzer-Geste: nur freigegebene Geräte, kein Auswahldialog
+      await connectToDevice(device, { silent: true });
     }
   } catch (error) {
     console.warn('⚠️ Fehler beim Auto-Connect:', error);
@@ -506,8 +523,9 @@ async function autoConnectDevices() {
 /**
  * Verbindet mit einem BLE-Gerät
  * @param {Object} device - Geräteinformationen
+ * @param {Object} options - { silent } (siehe BLEController.connect)
  */
-async function connectToDevice(device) {
+async function connectToDevice(device, options = {}) {
   try {
     if (!window.ledController || !window.ledController.connect) {
       throw new Error('BLE-Controller nicht verfügbar');
@@ -515,7 +533,7 @@ async function connectToDevice(device) {
     
     showGlobalNotification(`Verbinde mit ${device.name}...`, 'info', 2000);
     
-    const connected = await window.ledController.connect(device.mac, device.protocol);
+    const connected = await window.ledController.connect(device.mac, device.protocol, options);
     
     if (connected) {
       console.log(`✅ Verbunden mit ${device.name}`);
@@ -533,10 +551,13 @@ async function connectToDevice(device) {
     }
   } catch (error) {
     console.error(`❌ Verbindung zu ${device.name} fehlgeschlagen:`, error);
-    showGlobalNotification(
-      `Verbindung zu ${device.name} fehlgeschlagen. Bitte sicherstellen, dass das Gerät eingeschaltet und in Reichweite ist.`,
-      'error'
-    );
+    // Auto-Connect: fehlende Freigabe meldet der BLE-Controller selbst ('unpaired' / 'unsupported')
+    if (!options.silent) {
+      showGlobalNotification(
+        `Verbindung zu ${device.name} fehlgeschlagen. Bitte sicherstellen, dass das Gerät eingeschaltet und in Reichweite ist.`,
+        'error'
+      );
+    }
     return false;
   }
 }
@@ -564,51 +585,34 @@ function disconnectBLEDevice() {
 }
 
 /**
- * Automatische Wiederverbindung bei Verbindungsabbruch
+ * Verbindungszustand vom Wiederverbindungs-Supervisor des Controllers
+ * (Backoff, Benachrichtigungen und Zustand-Wiederherstellung: js/ble-controller-pro.js)
  */
-async function handleBLEDisconnect() {
-  if (AppState.ble.reconnecting) return;
+function handleBLEConnectionState(event) {
+  const { status, attempt } = event.detail;
   
-  console.log('🔄 Verbindung unterbrochen - versuche Wiederverbindung...');
-  showGlobalNotification('Verbindung unterbrochen. Versuche Wiederverbindung...', 'warning', 5000);
+  AppState.ble.reconnecting = status === 'lost' || status === 'reconnecting';
+  AppState.ble.reconnectAttempts = status === 'reconnected' ? 0 : (attempt || 0);
+  AppState.ble.connected = window.ledController ? window.ledController.isConnected : false;
   
-  AppState.ble.reconnecting = true;
-  AppState.ble.reconnectAttempts = 0;
+  updateGlobalBLEStatus();
+  broadcastBLEStatus();
   
-  while (AppState.ble.reconnectAttempts < APP_CONFIG.AUTO_RECONNECT_MAX_ATTEMPTS) {
-    AppState.ble.reconnectAttempts++;
-    
-    console.log(`🔄 Wiederverbindungsversuch ${AppState.ble.reconnectAttempts}/${APP_CONFIG.AUTO_RECONNECT_MAX_ATTEMPTS}`);
-    
-    await new Promise(resolve => setTimeout(resolve, APP_CONFIG.AUTO_RECONNECT_DELAY));
-    
-    const success = await autoConnectDevices();
-    
-    if (success) {
-      console.log('✅ Wiederverbindung erfolgreich');
-      showGlobalNotification('Wiederverbindung erfolgreich', 'success');
-      AppState.ble.reconnecting = false;
-      return;
-    }
+  if (window.updateBLEStatus) {
+    window.updateBLEStatus();
   }
-  
-  console.log('❌ Wiederverbindung fehlgeschlagen');
-  showGlobalNotification('Wiederverbindung fehlgeschlagen. Bitte manuell verbinden.', 'error');
-  AppState.ble.reconnecting = false;
 }
 
-/**
- * Event-Listener für BLE-Disconnect
- */
-if (window.ledController && window.ledController.device) {
-  window.ledController.device.addEventListener('gattserverdisconnected', handleBLEDisconnect);
-}
+window.addEventListener('ble-connection-state', handleBLEConnectionState);
 
 /**
  * Aktualisiert den globalen BLE-Status in der UI
  */
 function updateGlobalBLEStatus() {
-  const connectedCount = AppState.ble.connected && window.ledController?.isConnected ? 1 : 0;
+  // ✅ ALLE GERÄTE IM CONNECTION-POOL ZÄHLEN
+  const connectedCount = window.ledController?.getConnectedDevices
+    ? window.ledController.getConnectedDevices().length
+    : 0;
   
   // Status-Element aktualisieren
   const statusElement = document.getElementById('ble-status');
@@ -658,8 +662,13 @@ function broadcastBLEStatus() {
 
 /**
  * Startet periodisches BLE-Status-Monitoring
+ * Der Health-Monitor des Controllers erkennt verpasste Verbindungsabbrüche.
  */
 function startBLEStatusMonitoring() {
+  if (window.ledController && window.ledController.startHealthMonitor) {
+    window.ledController.startHealthMonitor(APP_CONFIG.BLE_STATUS_UPDATE_INTERVAL);
+  }
+  
   setInterval(() => {
     if (AppState.ble.active) {
       updateGlobalBLEStatus();
@@ -848,6 +857,11 @@ window.getBLEController = function() {
   return window.ledController;
 };
 
+// ✅ KALIBRIERUNG FÜR DIREKTE SCHREIBPFADE (Profil des Geräts, sonst Standard)
+window.calibrateColor = function(deviceId, r, g, b) {
+  return window.colorCalibration ? window.colorCalibration.apply(deviceId, r, g, b) : [r, g, b];
+};
+
 // ✅ UNIVERSELLE LED-STEUERUNG (BLE + WLED)
 window.sendUniversalColor = async function(r, g, b) {
   let success = false;
@@ -855,7 +869,8 @@ window.sendUniversalColor = async function(r, g, b) {
   // Versuche BLE
   if (window.ledDevice && window.ledDevice.isConnected) {
     try {
-      const cmd = new Uint8Array([0x7E, 0x00, 0x05, r, g, b, 0x00, 0xEF]);
+      const [cr, cg, cb] = window.calibrateColor(window.ledDevice.device?.id, r, g, b);
+      const cmd = new Uint8Array([0x7E, 0x00, 0x05, cr, cg, cb, 0x00, 0xEF]);
       await window.ledDevice.characteristic.writeValue(cmd);
       success = true;
     } catch (error) {
@@ -871,7 +886,7 @@ window.sendUniversalColor = async function(r, g, b) {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           on: true,
-          seg: [{ col: [[r, g, b]] }]
+          seg: [{ col: [window.calibrateColor(window.wledDevice.deviceId, r, g, b)] }]
         })
       });
       success = true;
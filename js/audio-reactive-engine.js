@@ -172,6 +172,9 @@ class AudioReactiveEngine {
     }
     
     updateLEDStrips(bass, mid, treble, beatDetected) {
+        // Einzelpixel-Geräte mit Spektrum/Welle: ein räumlicher Frame statt Bandfarben
+        if (this.renderSpatial(beatDetected)) return;
+        
         this.ledStrips.forEach((strip, index) => {
             if (!strip.enabled) return;
             
@@ -223,21 +226,28 @@ class AudioReactiveEngine {
                         // Konvertiere Musikdaten zu RGB basierend auf Intensität
                         const colorValue = Math.round(255 * (intensity / 100));
                         let r = 0, g = 0, b = 0;
+                        const paletteManager = window.parent?.paletteManager || window.paletteManager;
                         
-                        // Farbe basierend auf Frequenzband
-                        switch (strip.frequencyBand) {
-                            case 'bass':
-                                r = colorValue; // Rot für Bass
-                                break;
-                            case 'mid':
-                                g = colorValue; // Grün für Mid
-                                break;
-                            case 'treble':
-                            case 'high':
-                                b = colorValue; // Blau für Treble
-                                break;
-                            default:
-                                r = g = b = colorValue; // Weiß für All
+                        // Farbe aus Paletten-Verlauf (Position = Intensität) oder Frequenzband
+                        if (strip.palette && paletteManager) {
+                            const level = Math.min(1, intensity);
+                            [r, g, b] = paletteManager.sample(strip.palette, level, false)
+                                .map(v => Math.round(v * level));
+                        } else {
+                            switch (strip.frequencyBand) {
+                                case 'bass':
+                                    r = colorValue; // Rot für Bass
+                                    break;
+                                case 'mid':
+                                    g = colorValue; // Grün für Mid
+                                    break;
+                                case 'treble':
+                                case 'high':
+                                    b = colorValue; // Blau für Treble
+                                    break;
+                                default:
+                                    r = g = b = colorValue; // Weiß für All
+                            }
                         }
                         
                         // Beat-Flash Effekt
@@ -245,6 +255,12 @@ class AudioReactiveEngine {
                             r = g = b = 255; // Volle Helligkeit bei Beat
                         }
                         
+                        // Kalibrierungsprofil des Geräts (direkter Schreibpfad)
+                        const calibration = window.parent.colorCalibration;
+                        if (calibration) {
+                            [r, g, b] = calibration.apply(window.parent.ledDevice.device?.id, r, g, b);
+                        }
+                        
                         const command = new Uint8Array([
                             0x7E,  // Start byte
                             0x00,  // Mode
@@ -268,6 +284,66 @@ class AudioReactiveEngine {
         });
     }
     
+    // ✅ RÄUMLICHE AUSGABE ÜBER DAS LAYOUT DES GERÄTS (js/led-layout.js)
+    // spectrum: x = Frequenz, y = Pegel (Balken von unten; auf Streifen Helligkeit)
+    // wave: Ringe von der Mitte bei jedem Beat
+    renderSpatial(beatDetected) {
+        const engine = window.parent?.effectEngine;
+        const strips = this.ledStrips.filter(strip => strip.enabled && (strip.effect === 'spectrum' || strip.effect === 'wave'));
+        
+        if (!strips.length || !this.frequencyData || !engine || engine.isRunning || !engine.canRender()) {
+            return false;
+        }
+        if (this.spatialFrame) return true; // Vorheriger Frame wird noch gesendet
+        
+        const now = performance.now();
+        const dt = Math.min(0.25, (now - (this.lastSpatialFrame || now)) / 1000);
+        this.lastSpatialFrame = now;
+        
+        this.ripples = (this.ripples || [])
+            .map(radius => radius + dt * 0.8)
+            .filter(radius => radius < 1);
+        if (beatDetected) this.ripples.push(0);
+        
+        const data = this.frequencyData;
+        const paletteManager = window.parent.paletteManager || window.paletteManager;
+        const parseColor = window.parent.LEDFrameBuffer.parseColor;
+        
+        const colorOf = (strip, pos) => (strip.palette && paletteManager
+            ? paletteManager.sample(strip.palette, pos, false)
+            : parseColor(strip.color));
+        
+        this.spatialFrame = engine.getLayer().renderSpatial((x, y, index, layout) => {
+            const [u, v] = layout.uv(index);
+            const out = [0, 0, 0];
+            
+            strips.forEach(strip => {
+                const gain = (strip.sensitivity / 100) * ((strip.brightness ?? 100) / 100);
+                let level;
+                
+                if (strip.effect === 'spectrum') {
+                    // Tiefe Frequenzen breiter (quadratische Achse)
+                    const bin = Math.min(data.length - 1, Math.floor(u * u * data.length));
+                    const value = Math.min(1, (data[bin] / 255) * gain);
+                    level = layout.is2D ? (1 - v <= value ? 1 : 0) : value;
+                } else {
+                    const d = Math.hypot(x - 0.5, y - 0.5);
+                    level = this.ripples.reduce((sum, radius) => sum + Math.exp(-Math.pow((d - radius) / 0.06, 2)), 0);
+                    level = Math.min(1, level * gain);
+                }
+                
+                const color = colorOf(strip, strip.effect === 'spectrum' ? u : v);
+                for (let c = 0; c < 3; c++) out[c] = Math.max(out[c], color[c] * level);
+            });
+            return out;
+        }).catch(() => {
+            // Silent fail für Performance
+        }).finally(() => {
+            this.spatialFrame = null;
+        });
+        return true;
+    }
+    
     createFrequencyBars() {
         const container = document.getElementById('frequencyDisplay');
         if (container) {
@@ -297,7 +373,8 @@ class AudioReactiveEngine {
                 color: settings.color,
                 brightness: settings.brightness,
                 speed: settings.speed,
-                reactTo: settings.reactTo
+                reactTo: settings.reactTo,
+                palette: settings.palette || null
             });
         }
         this.renderAllStripControls();
@@ -423,6 +500,11 @@ class AudioReactiveEngine {
         if (strip) strip.frequencyBand = frequency;
     }
     
+    setStripPalette(stripId, paletteId) {
+        const strip = this.ledStrips.find(s => s.id === stripId);
+        if (strip) strip.palette = paletteId || null;
+    }
+    
     setStripSensitivity(stripId, sensitivity) {
         const strip = this.ledStrips.find(s => s.id === stripId);
         if (strip) {
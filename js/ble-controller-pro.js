@@ -2,178 +2,1101 @@
  * ===================================================================
  * BLE-CONTROLLER-PRO.JS
  * Bluetooth Low Energy Controller für LED-Steuerung
- * Version: 1.0
+ * Version: 1.1
  * ===================================================================
- * 
+ *
  * Unterstützte Protokolle:
- * - ELK-BLEDOM
- * - Generic BLE LED
- * - Weitere können hinzugefügt werden
- * 
+ * - Alle in js/protocol-drivers.js registrierten Treiber
+ *   (ELK-BLEDOM, Generic, Triones, MagicHome/ZENGGE, Govee)
+ * - Weitere über window.protocolDrivers.register()
+ *
+ * Mehrere Geräte gleichzeitig:
+ * - Connection-Pool nach Geräte-ID
+ * - Eigene GATT-Session, Schreib-Queue und Wiederverbindung pro Gerät
+ * - setColor/setBrightness/setEffect/setPower mit Ziel:
+ *   eine ID, eine Liste von IDs oder alle Geräte (Standard)
+ * - Coalescing: ein wartender Slot pro Befehlsart und Gerät,
+ *   neuer Wert ersetzt den ungesendeten (Power wird nie verworfen)
+ *
+ * Streaming (Musik / Animationen):
+ * - writeValueWithoutResponse wenn die Characteristic es unterstützt
+ * - Pacing nach gemessener Write-Dauer (Link-Budget), neuester Frame gewinnt
+ * - Mehrere kleine Befehle pro Write bis zur MTU (Treiber mit packing)
+ * - Pixelbereiche über sendPixels (Framebuffer, siehe led-abstraction-layer.js)
+ *
+ * Wiederverbindung (ein Supervisor pro Gerät):
+ * - Exponentielles Backoff mit Jitter, Abbruch nach DEVICE_CONFIG.MAX_RECONNECT_ATTEMPTS
+ * - Event 'ble-connection-state' (connected, lost, reconnecting, reconnected, failed, unpaired, unsupported)
+ * - Letzte Farbe/Helligkeit/Effekt werden nach Wiederverbindung erneut gesendet
+ * - Health-Monitor erkennt verpasste Disconnect-Events
+ *
+ * Wiederfinden ohne Auswahldialog (auch ohne Nutzer-Geste):
+ * - Früher freigegebene Geräte über navigator.bluetooth.getDevices()
+ * - watchAdvertisements() wartet, bis das Gerät in Reichweite ist
+ * - Fehlt die Freigabe: Event 'ble-connection-state' mit Status 'unpaired'
+ *   (DeviceManager markiert das Gerät zum Neu-Koppeln)
+ * - Browser ohne getDevices(): Status 'unsupported', keine Meldung, keine Markierung
+ *
+ * Signalstärke:
+ * - Advertisements freigegebener Geräte werden dauerhaft beobachtet,
+ *   jeder RSSI-Wert geht an DeviceManager.recordRSSI (Verlauf, Trend, Warnung)
+ * - Auto-Connect misst kurz und verbindet das stärkste Gerät zuerst
+ *
+ * Geräte-Status (Read-Back):
+ * - Abonniert die Notify-Characteristic des Treibers
+ * - Status-Frames → state { power, color, brightness, effect, firmwareVersion }
+ * - Event 'ble-device-state' auf window bei jeder Änderung
+ *
  * Benötigt: Web Bluetooth API (Chrome, Edge, Opera)
+ *           js/protocol-drivers.js (muss vorher geladen sein)
  * Nicht unterstützt: Safari, iOS
- * 
+ *
  * ===================================================================
  */
 
 'use strict';
 
-class BLEController {
-  constructor() {
-    this.device = null;
+// Browser: window, Node (Tests): globalThis
+const bleRoot = typeof window !== 'undefined' ? window : globalThis;
+
+// ===================================================================
+// BLE-VERBINDUNG (EINE PRO GERÄT)
+// ===================================================================
+
+class BLEConnection {
+  constructor(device, driver, controller) {
+    this.device = device;
+    this.driver = driver;
+    this.controller = controller;
     this.server = null;
     this.service = null;
     this.characteristic = null;
+    this.notifyCharacteristic = null;
     this.isConnected = false;
-    this.protocol = null;
-    this.deviceName = null;
-    this.deviceId = null;
-
-    // BLE Service und Characteristic UUIDs
-    this.SERVICES = {
-      ELK_BLEDOM: '0000fff0-0000-1000-8000-00805f9b34fb',
-      GENERIC: '0000ffe0-0000-1000-8000-00805f9b34fb'
+    this.reconnecting = false;
+    this.manualDisconnect = false;
+
+    // ✅ GERÄTE-STATUS (aus Notify-Frames, null = unbekannt)
+    this.state = {
+      power: null,
+      color: null,
+      white: null,
+      brightness: null,
+      effect: null,
+      speed: null,
+      firmwareVersion: null,
+      model: null,
+      channels: null,
+      updatedAt: null
     };
+    this.statusWaiters = [];
 
-    this.CHARACTERISTICS = {
-      ELK_BLEDOM: '0000fff3-0000-1000-8000-00805f9b34fb',
-      GENERIC: '0000ffe1-0000-1000-8000-00805f9b34fb'
+    // Schreib-Queue: Befehle pro Gerät strikt nacheinander
+    this.writeQueue = Promise.resolve();
+    this.lastCommandTime = 0;
+
+    // ✅ COALESCING: Befehlsart → noch nicht gesendeter Slot
+    this.pendingSlots = new Map();
+
+    // ✅ LETZTER ZUSTAND: Befehlsart → zuletzt gesendete Bytes (für Wiederverbindung)
+    this.lastCommands = new Map();
+
+    // ✅ STREAMING: max. ein wartender Frame, Pacing nach Link-Budget
+    this.mtu = driver.mtu;
+    this.streamPending = null;
+    this.streamScheduled = false;
+    this.linkBudget = {
+      intervalMs: controller.streamInterval,
+      avgWriteMs: 0,
+      bytesPerSecond: 0,
+      frames: 0,
+      dropped: 0
+    };
+
+    this.onDisconnected = () => {
+      console.warn(`⚠️ Gerät getrennt: ${this.name}`);
+      this.isConnected = false;
+      if (!this.manualDisconnect) {
+        this.controller.handleDisconnect(this);
+      }
     };
 
-    // ✅ WLED-INTEGRATION (WiFi-LEDs)
-    this.wledDevices = [];
+    this.onNotification = (event) => this.handleNotification(event.target.value);
+  }
+
+  get id() {
+    return this.device.id;
+  }
+
+  get name() {
+    return this.device.name;
+  }
+
+  get protocol() {
+    return this.driver.id;
+  }
+
+  /**
+   * Baut GATT-Session auf
+   */
+  async open() {
+    this.manualDisconnect = false;
+    this.mtu = this.driver.mtu;
+
+    this.server = await this.device.gatt.connect();
+    console.log(`✅ GATT Server verbunden (${this.name})`);
+
+    this.service = await this.server.getPrimaryService(this.driver.service);
+    this.characteristic = await this.service.getCharacteristic(this.driver.characteristics.write);
+    console.log(`✅ Characteristic gefunden (${this.name})`);
+
+    // Listener nur einmal registrieren
+    this.device.removeEventListener('gattserverdisconnected', this.onDisconnected);
+    this.device.addEventListener('gattserverdisconnected', this.onDisconnected);
+
+    this.isConnected = true;
+
+    // Status-Read-Back (optional, Fehler sind nicht kritisch)
+    if (await this.startNotifications()) {
+      this.queryStatus().catch(() => {});
+    }
+
+    return true;
+  }
+
+  /**
+   * Abonniert die Notify-Characteristic des Treibers
+   * @returns {Promise<boolean>} - true wenn Status-Frames empfangen werden
+   */
+  async startNotifications() {
+    if (!this.driver.capabilities.notify) {
+      return false;
+    }
+
+    try {
+      const service = this.driver.notifyService
+        ? await this.server.getPrimaryService(this.driver.notifyService)
+        : this.service;
+
+      this.notifyCharacteristic = await service.getCharacteristic(this.driver.characteristics.notify);
+      this.notifyCharacteristic.removeEventListener('characteristicvaluechanged', this.onNotification);
+      this.notifyCharacteristic.addEventListener('characteristicvaluechanged', this.onNotification);
+      await this.notifyCharacteristic.startNotifications();
+
+      console.log(`📥 Status-Benachrichtigungen aktiv (${this.name})`);
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Status-Benachrichtigungen für ${this.name} nicht verfügbar:`, error);
+      this.notifyCharacteristic = null;
+      return false;
+    }
+  }
+
+  /**
+   * Verarbeitet einen Notify-Frame
+   * @param {DataView} value
+   */
+  handleNotification(value) {
+    const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    const update = this.controller.drivers.parseStatus(this.protocol, bytes);
+
+    if (!update) {
+      return;
+    }
+
+    Object.assign(this.state, update, { updatedAt: Date.now() });
+
+    // Wartende Status-Abfragen auflösen
+    const waiters = this.statusWaiters;
+    this.statusWaiters = [];
+    waiters.forEach(resolve => resolve(this.state));
+
+    if (bleRoot.dispatchEvent) {
+      bleRoot.dispatchEvent(new CustomEvent('ble-device-state', {
+        detail: { id: this.id, name: this.name, state: this.getState() }
+      }));
+    }
+  }
+
+  /**
+   * Fordert einen Status-Report an und wartet auf die Antwort
+   * @returns {Promise<Object|null>} - Status oder null bei Timeout / ohne Read-Back
+   */
+  async queryStatus(timeout = 1500) {
+    const queries = this.controller.drivers.getStatusQueries(this.protocol);
+
+    if (!this.notifyCharacteristic || queries.length === 0) {
+      return null;
+    }
+
+    const response = new Promise(resolve => {
+      // Timeout: Waiter austragen, damit ein späterer Frame ihn nicht mehr auflöst
+      const timer = setTimeout(() => {
+        this.statusWaiters = this.statusWaiters.filter(waiter => waiter !== onStatus);
+        resolve(null);
+      }, timeout);
+      const onStatus = (state) => {
+        clearTimeout(timer);
+        resolve(state);
+      };
+      this.statusWaiters.push(onStatus);
+    });
+
+    for (const query of queries) {
+      await this.enqueue(query, 1);
+    }
+
+    return (await response) ? this.getState() : null;
+  }
+
+  /**
+   * Kopie des zuletzt gemeldeten Status
+   */
+  getState() {
+    return {
+      ...this.state,
+      color: this.state.color ? { ...this.state.color } : null
+    };
+  }
+
+  /**
+   * Stellt Befehl in die Schreib-Queue dieses Geräts
+   */
+  enqueue(command, retries = 3) {
+    return this.enqueueJob(() => this.write(command, retries));
+  }
+
+  /**
+   * Reiht eine Funktion in die Schreib-Queue ein
+   */
+  enqueueJob(task) {
+    const job = this.writeQueue.then(task);
+    // Fehler dürfen die Queue nicht blockieren
+    this.writeQueue = job.catch(() => false);
+    return job;
+  }
+
+  /**
+   * Reiht einen Befehl mit Coalescing ein (neuester Wert gewinnt)
+   * Solange der Slot dieser Befehlsart noch nicht gesendet ist,
+   * wird nur sein Inhalt ersetzt - alle Aufrufer erhalten dasselbe Ergebnis.
+   * @param {string} kind - Befehlsart, z.B. 'COLOR'
+   */
+  enqueueLatest(kind, command, retries = 3) {
+    const pending = this.pendingSlots.get(kind);
+    if (pending) {
+      pending.command = command;
+      this.controller.reportCoalescing(kind, true);
+      return pending.result;
+    }
+
+    const slot = { command, queuedAt: Date.now() };
+    this.pendingSlots.set(kind, slot);
+    this.controller.reportCoalescing(kind, false);
+
+    slot.result = this.enqueueJob(async () => {
+      // Flood Protection abwarten, solange der Slot noch ersetzbar ist
+      const wait = this.controller.commandDelay - (Date.now() - this.lastCommandTime);
+      if (wait > 0) {
+        await this.controller.delay(wait);
+      }
+
+      this.pendingSlots.delete(kind);
+      this.controller.reportCommandLatency(Date.now() - slot.queuedAt);
+
+      const success = await this.write(slot.command, retries);
+      if (success) {
+        // Neu einsortieren: Reihenfolge bleibt die des letzten Sendens
+        this.lastCommands.delete(kind);
+        this.lastCommands.set(kind, slot.command);
+      }
+      return success;
+    });
+
+    return slot.result;
+  }
+
+  /**
+   * Schreibt einen Befehl mit Retry-Logik
+   */
+  async write(command, retries = 3) {
+    if (!this.isConnected || !this.characteristic) {
+      console.warn(`⚠️ ${this.name} nicht verbunden - Befehl wird ignoriert`);
+      return false;
+    }
+
+    const commandDelay = this.controller.commandDelay;
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      try {
+        // Flood Protection
+        const now = Date.now();
+        const timeSinceLastCommand = now - this.lastCommandTime;
+        if (timeSinceLastCommand < commandDelay) {
+          await this.controller.delay(commandDelay - timeSinceLastCommand);
+        }
+
+        // ✅ VERBINDUNG VOR JEDEM BEFEHL PRÜFEN (Wiederverbindung übernimmt der Supervisor)
+        if (!this.device.gatt.connected) {
+          console.warn(`⚠️ Verbindung zu ${this.name} verloren - Befehl wird verworfen`);
+          this.onDisconnected();
+          return false;
+        }
+
+        // Befehl als Uint8Array
+        const data = new Uint8Array(command);
+
+        // ✅ BEFEHL MIT TIMEOUT SENDEN
+        await Promise.race([
+          this.characteristic.writeValue(data),
+          new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 5000))
+        ]);
+
+        this.lastCommandTime = Date.now();
+
+        console.log(`📤 Befehl an ${this.name} gesendet (Versuch ${attempt}):`,
+                   Array.from(data).map(b => '0x' + b.toString(16).padStart(2, '0')).join(' '));
+
+        // ✅ BESTÄTIGUNG WARTEN (kurz)
+        await this.controller.delay(50);
+
+        return true;
+
+      } catch (error) {
+        console.error(`❌ Befehl an ${this.name} fehlgeschlagen (Versuch ${attempt}/${retries}):`, error);
+
+        if (attempt === retries) {
+          // Letzter Versuch fehlgeschlagen
+          if (bleRoot.showGlobalNotification) {
+            bleRoot.showGlobalNotification(`Befehl an ${this.name} konnte nach ${retries} Versuchen nicht gesendet werden!`, 'error');
+          }
+          return false;
+        } else {
+          // Kurz warten vor nächstem Versuch
+          await this.controller.delay(100 * attempt);
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Unterstützt die Characteristic Schreiben ohne Antwort?
+   */
+  get supportsWriteWithoutResponse() {
+    const characteristic = this.characteristic;
+    return !!(characteristic &&
+              typeof characteristic.writeValueWithoutResponse === 'function' &&
+              (!characteristic.properties || characteristic.properties.writeWithoutResponse));
+  }
+
+  /**
+   * Streamt einen Frame (kein Retry, kein Warten auf Bestätigung)
+   * Ein noch nicht gesendeter Frame wird ersetzt - der neueste gewinnt.
+   * @param {number[][]} commands - Befehle dieses Frames
+   */
+  stream(commands) {
+    if (!this.isConnected || !this.characteristic) {
+      return false;
+    }
+
+    if (this.streamPending) {
+      this.linkBudget.dropped++;
+    }
+    this.streamPending = commands;
+
+    if (!this.streamScheduled) {
+      this.streamScheduled = true;
+      const job = this.writeQueue.then(() => this.flushStream());
+      this.writeQueue = job.catch(() => false);
+    }
+
+    return true;
+  }
+
+  /**
+   * Sendet den wartenden Stream-Frame
+   */
+  async flushStream() {
+    this.streamScheduled = false;
+    const commands = this.streamPending;
+    this.streamPending = null;
+
+    if (!commands || !this.isConnected) {
+      return false;
+    }
+
+    try {
+      for (const packet of this.packCommands(commands)) {
+        await this.writeFast(packet);
+      }
+      this.linkBudget.frames++;
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Stream-Frame an ${this.name} verworfen:`, error.message || error);
+
+      // Link überlastet → Pacing verdoppeln, Pakete auf Standard-MTU
+      this.linkBudget.intervalMs = Math.min(200, this.linkBudget.intervalMs * 2);
+      this.mtu = Math.min(this.mtu, 20);
+      return false;
+    }
+  }
+
+  /**
+   * Packt Befehle in Pakete bis zur MTU
+   * Größere Befehle werden in MTU-große Stücke geteilt.
+   */
+  packCommands(commands) {
+    const packets = [];
+    let current = [];
+
+    for (const command of commands) {
+      if (command.length > this.mtu) {
+        if (current.length) {
+          packets.push(current);
+          current = [];
+        }
+        for (let i = 0; i < command.length; i += this.mtu) {
+          packets.push(command.slice(i, i + this.mtu));
+        }
+        continue;
+      }
+
+      if (current.length && (!this.driver.capabilities.packing || current.length + command.length > this.mtu)) {
+        packets.push(current);
+        current = [];
+      }
+      current = current.concat(command);
+    }
+
+    if (current.length) {
+      packets.push(current);
+    }
+
+    return packets;
+  }
+
+  /**
+   * Schneller Write für Streaming mit Link-Budget-Pacing
+   */
+  async writeFast(packet) {
+    const budget = this.linkBudget;
+
+    const wait = budget.intervalMs - (Date.now() - this.lastCommandTime);
+    if (wait > 0) {
+      await this.controller.delay(wait);
+    }
+
+    const data = new Uint8Array(packet);
+    const start = Date.now();
+
+    if (this.supportsWriteWithoutResponse) {
+      await this.characteristic.writeValueWithoutResponse(data);
+    } else {
+      await this.characteristic.writeValue(data);
+    }
+
+    const elapsed = Date.now() - start;
+    this.lastCommandTime = Date.now();
+
+    // Link-Budget messen (gleitender Mittelwert), Pacing erholt sich langsam
+    budget.avgWriteMs = budget.avgWriteMs ? budget.avgWriteMs * 0.8 + elapsed * 0.2 : elapsed;
+    budget.bytesPerSecond = Math.round((data.length * 1000) / Math.max(1, budget.avgWriteMs));
+    budget.intervalMs = Math.max(this.controller.streamInterval, budget.avgWriteMs, budget.intervalMs * 0.9);
+  }
+
+  // ✅ WIEDERVERBINDUNGS-FUNKTION
+  async reconnect() {
+    try {
+      await this.open();
+      console.log(`✅ Wiederverbindung mit ${this.name} erfolgreich`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Wiederverbindung mit ${this.name} fehlgeschlagen:`, error);
+      this.isConnected = false;
+      return false;
+    }
+  }
+
+  /**
+   * Wiederverbindungs-Supervisor für dieses Gerät
+   * Backoff und Abbruchschwelle kommen vom Controller.
+   * @returns {Promise<boolean>} - true wenn wieder verbunden
+   */
+  async superviseReconnect() {
+    if (this.reconnecting) return false;
+    this.reconnecting = true;
+
+    const maxAttempts = this.controller.getMaxReconnectAttempts();
+
+    try {
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const delay = this.controller.getReconnectDelay(attempt);
+
+        console.log(`🔄 Wiederverbindungsversuch ${attempt}/${maxAttempts} in ${delay}ms (${this.name})`);
+        this.controller.emitConnectionState(this, 'reconnecting', { attempt, maxAttempts, delay });
+
+        await this.controller.delay(delay);
+
+        if (this.manualDisconnect) return false;
+
+        if (await this.reconnect()) {
+          await this.replayState();
+          this.controller.emitConnectionState(this, 'reconnected', { attempt, maxAttempts });
+          return true;
+        }
+      }
+
+      console.error(`❌ Wiederverbindung mit ${this.name} fehlgeschlagen nach`, maxAttempts, 'Versuchen');
+      this.controller.emitConnectionState(this, 'failed', { attempt: maxAttempts, maxAttempts });
+      return false;
+    } finally {
+      this.reconnecting = false;
+    }
+  }
+
+  /**
+   * Sendet den letzten bekannten Zustand (Farbe, Helligkeit, Effekt) erneut
+   */
+  async replayState() {
+    // Frames aus der Zeit vor dem Abbruch sind veraltet
+    this.streamPending = null;
+
+    const commands = Array.from(this.lastCommands.entries());
+    if (commands.length === 0) return;
+
+    console.log(`♻️ Stelle Zustand von ${this.name} wieder her:`, commands.map(([kind]) => kind).join(', '));
+
+    for (const [kind, command] of commands) {
+      await this.enqueueLatest(kind, command);
+    }
+  }
+
+  /**
+   * Trennt diese Verbindung
+   */
+  close() {
+    this.manualDisconnect = true;
+    this.device.removeEventListener('gattserverdisconnected', this.onDisconnected);
+
+    if (this.device.gatt && this.device.gatt.connected) {
+      this.device.gatt.disconnect();
+    }
+
+    if (this.notifyCharacteristic) {
+      this.notifyCharacteristic.removeEventListener('characteristicvaluechanged', this.onNotification);
+    }
+
+    this.isConnected = false;
+    this.server = null;
+    this.service = null;
+    this.characteristic = null;
+    this.notifyCharacteristic = null;
+  }
+
+  /**
+   * Geräte-Info für Status-Abfragen
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      mac: this.id,
+      id: this.id,
+      protocol: this.protocol,
+      connected: this.isConnected,
+      reconnecting: this.reconnecting,
+      readBack: !!this.notifyCharacteristic,
+      state: this.getState()
+    };
+  }
+}
+
+// ===================================================================
+// BLE-CONTROLLER (CONNECTION-POOL)
+// ===================================================================
+
+class BLEController {
+  constructor() {
+    // ✅ CONNECTION-POOL: Geräte-ID → BLEConnection
+    this.connections = new Map();
+    this.activeDeviceId = null;
+
+    // Per Scan gefundene Geräte (für Verbindung ohne erneuten Dialog)
+    this.knownDevices = new Map();
+    this.lastScannedDevice = null;
+
+    // ✅ PROTOKOLL-TREIBER (UUIDs, Befehle, Namens-Präfixe)
+    // Siehe js/protocol-drivers.js
+    this.drivers = bleRoot.protocolDrivers;
+
+    // ✅ WLED-INTEGRATION (WiFi-LEDs, Geräte siehe wledDevices)
     this.wledEnabled = false;
 
-    // Protokoll-spezifische Befehle
-    this.COMMANDS = {
-      ELK_BLEDOM: {
-        POWER_ON: [0x7e, 0x04, 0x04, 0x01, 0xff, 0xff, 0xff, 0x00, 0xef],
-        POWER_OFF: [0x7e, 0x04, 0x04, 0x00, 0xff, 0xff, 0xff, 0x00, 0xef],
-        COLOR: (r, g, b) => [0x7e, 0x07, 0x05, 0x03, r, g, b, 0x00, 0xef],
-        BRIGHTNESS: (level) => [0x7e, 0x04, 0x01, level, 0xff, 0xff, 0xff, 0x00, 0xef],
-        EFFECT: (id) => [0x7e, 0x05, 0x03, id, 0x03, 0xff, 0xff, 0x00, 0xef]
-      },
-      GENERIC: {
-        POWER_ON: [0x7e, 0x00, 0x04, 0xf0, 0x00, 0x01, 0xff, 0x00, 0xef],
-        POWER_OFF: [0x7e, 0x00, 0x04, 0x00, 0x00, 0x00, 0xff, 0x00, 0xef],
-        COLOR: (r, g, b) => {
-          const checksum = (r + g + b) & 0xFF;
-          return [0x7e, 0x00, 0x05, 0x03, r, g, b, 0x00, checksum, 0xef];
-        },
-        BRIGHTNESS: (level) => [0x7e, 0x00, 0x01, level, 0xff, 0xff, 0xff, 0x00, 0xef],
-        EFFECT: (id) => {
-          const effectId = Math.min(255, Math.max(0, id));
-          return [0x7e, 0x00, 0x03, effectId, 0x03, 0xff, 0xff, 0x00, 0xef];
-        }
-      }
-    };
+    // Flood Protection (pro Gerät)
+    this.commandDelay = 50; // Minimum 50ms zwischen Befehlen
+    this.streamInterval = 10; // Minimum 10ms zwischen Stream-Writes
+
+    // ✅ COALESCING (Power-Befehle werden nie zusammengefasst)
+    this.coalescedCommands = ['COLOR', 'BRIGHTNESS', 'EFFECT'];
+    this.coalesceStats = {};
+
+    // ✅ WIEDERVERBINDUNG: Backoff baseDelay * 2^(Versuch-1), ±jitter, max. maxDelay
+    this.reconnectPolicy = {
+      baseDelay: 1000,
+      maxDelay: 30000,
+      jitter: 0.3
+    };
+    this.healthMonitor = null;
+
+    // ✅ WIEDERFINDEN: max. Wartezeit auf ein Advertisement (ms)
+    this.reacquireTimeout = 10000;
+
+    // ✅ SIGNALSTÄRKE: beobachtete Geräte (ID → { abort, listener }), Messfenster vor dem Auto-Connect (ms)
+    this.signalWatches = new Map();
+    this.rssiRankingWindow = 1500;
+
+    console.log('✅ BLE-Controller initialisiert');
+  }
+
+  // ===================================================================
+  // KOMPATIBILITÄT (aktives Gerät)
+  // ===================================================================
+
+  /**
+   * Aktive Verbindung (zuletzt verbundenes Gerät)
+   */
+  get activeConnection() {
+    const active = this.connections.get(this.activeDeviceId);
+    if (active) return active;
+
+    for (const connection of this.connections.values()) {
+      if (connection.isConnected) return connection;
+    }
+    return null;
+  }
+
+  get isConnected() {
+    return this.getConnections().some(c => c.isConnected);
+  }
+
+  get device() {
+    return this.activeConnection ? this.activeConnection.device : null;
+  }
+
+  get characteristic() {
+    return this.activeConnection ? this.activeConnection.characteristic : null;
+  }
+
+  get protocol() {
+    return this.activeConnection ? this.activeConnection.protocol : null;
+  }
+
+  get deviceName() {
+    return this.activeConnection ? this.activeConnection.name : null;
+  }
+
+  get deviceId() {
+    return this.activeConnection ? this.activeConnection.id : null;
+  }
+
+  /**
+   * Gibt den Treiber für ein Protokoll zurück (Standard: aktuelles)
+   */
+  getDriver(protocol = this.protocol) {
+    return this.drivers.resolve(protocol);
+  }
+
+  /**
+   * Kodiert einen Befehl über den Treiber einer Verbindung
+   */
+  encodeCommand(connection, command, ...args) {
+    const bytes = this.drivers.encode(connection.protocol, ...this.prepareCommand(connection, command, args));
+    if (!bytes) {
+      console.warn(`⚠️ Befehl ${command} wird von ${connection.driver.name} nicht unterstützt`);
+    }
+    return bytes;
+  }
+
+  /**
+   * Wendet das Kalibrierungsprofil des Geräts an (js/color-calibration.js)
+   * - COLOR auf RGBW-Streifen → COLOR_RGBW mit extrahiertem Weißkanal
+   * - CCT (Kelvin) → Warm-/Kaltweiß-Anteile
+   * Ohne Kalibrierungsmodul bleiben Befehl und Werte unverändert.
+   * An/Aus geht an die Leistungsbegrenzung (Schätzung, js/power-limiter.js).
+   * @returns {Array} - [command, ...args] für den Treiber
+   */
+  prepareCommand(connection, command, args) {
+    const limiter = bleRoot.powerLimiter;
+    if (limiter && (command === 'POWER_ON' || command === 'POWER_OFF')) {
+      limiter.setPower(connection.id, command === 'POWER_ON');
+    }
+
+    const calibration = bleRoot.colorCalibration;
+    if (!calibration) {
+      return [command, ...args];
+    }
+
+    switch (command) {
+      case 'COLOR':
+        if (connection.driver.capabilities.rgbw && this.getChannels(connection.id) === 'RGBW') {
+          return ['COLOR_RGBW', ...calibration.applyRGBW(connection.id, args[0], args[1], args[2])];
+        }
+        return ['COLOR', ...calibration.apply(connection.id, args[0], args[1], args[2])];
+      case 'CCT':
+        return ['CCT', ...calibration.applyCCT(connection.id, args[0], connection.driver.cctRange)];
+      case 'BRIGHTNESS':
+        return ['BRIGHTNESS', calibration.applyBrightness(connection.id, args[0])];
+      default:
+        return [command, ...args];
+    }
+  }
+
+  /**
+   * LED-Kanäle eines Geräts (Gerätekonfiguration, sonst Status-Read-Back)
+   * @returns {string} - 'RGB', 'RGBW', 'CCT' oder 'RGBCCT'
+   */
+  getChannels(deviceId = this.activeDeviceId) {
+    const manager = bleRoot.deviceManager;
+    const device = manager ? manager.getDeviceById(deviceId) : null;
+    if (device && device.channels) {
+      return device.channels;
+    }
+
+    const connection = this.connections.get(deviceId);
+    return (connection && connection.state.channels) || 'RGB';
+  }
+
+  // ===================================================================
+  // CONNECTION-POOL
+  // ===================================================================
+
+  /**
+   * Gibt alle Verbindungen zurück
+   */
+  getConnections() {
+    return Array.from(this.connections.values());
+  }
+
+  /**
+   * Gibt Verbindung für Geräte-ID zurück
+   */
+  getConnection(deviceId) {
+    return this.connections.get(deviceId) || null;
+  }
+
+  /**
+   * Löst ein Ziel in verbundene Verbindungen auf
+   * @param {string|string[]|null} target - Geräte-ID, Liste von IDs oder null/'all' für alle
+   * @returns {BLEConnection[]}
+   */
+  resolveTargets(target = null) {
+    let connections;
+
+    if (target === null || target === undefined || target === 'all') {
+      connections = this.getConnections();
+    } else {
+      const ids = Array.isArray(target) ? target : [target];
+      connections = ids.map(id => this.connections.get(id)).filter(Boolean);
+    }
+
+    return connections.filter(c => c.isConnected);
+  }
+
+  /**
+   * Kodiert und sendet einen Befehl an alle Ziele (parallel, je Gerät seriell)
+   * @returns {Promise<boolean>} - true wenn alle Ziel-Geräte erfolgreich waren
+   */
+  async sendToTargets(target, command, ...args) {
+    const connections = this.resolveTargets(target);
+
+    if (connections.length === 0) {
+      console.warn('⚠️ Nicht verbunden - Befehl wird ignoriert');
+      return false;
+    }
+
+    const coalesce = this.coalescedCommands.includes(command);
+
+    const results = await Promise.all(connections.map(connection => {
+      const bytes = this.encodeCommand(connection, command, ...args);
+      if (!bytes) {
+        return Promise.resolve(false);
+      }
+      return coalesce ? connection.enqueueLatest(command, bytes) : connection.enqueue(bytes);
+    }));
+
+    return results.every(Boolean);
+  }
+
+  /**
+   * Zählt eingereihte und ersetzte Befehle pro Befehlsart
+   */
+  reportCoalescing(kind, replaced) {
+    const stats = this.coalesceStats[kind] || (this.coalesceStats[kind] = { submitted: 0, coalesced: 0 });
+    stats.submitted++;
+    if (replaced) {
+      stats.coalesced++;
+    }
+
+    if (bleRoot.performanceOptimizer && bleRoot.performanceOptimizer.recordCoalescing) {
+      bleRoot.performanceOptimizer.recordCoalescing(kind, replaced);
+    }
+  }
+
+  /**
+   * Meldet Wartezeit eines Befehls in der Queue
+   */
+  reportCommandLatency(ms) {
+    if (bleRoot.performanceOptimizer && bleRoot.performanceOptimizer.recordBluetoothLatency) {
+      bleRoot.performanceOptimizer.recordBluetoothLatency(ms);
+    }
+  }
+
+  /**
+   * Coalescing-Statistik pro Befehlsart
+   */
+  getCoalescingStats() {
+    return JSON.parse(JSON.stringify(this.coalesceStats));
+  }
+
+  /**
+   * Prüft ob Web Bluetooth API verfügbar ist
+   */
+  isBluetoothAvailable() {
+    if (!navigator.bluetooth) {
+      console.error('❌ Web Bluetooth API nicht verfügbar');
+      console.error('Browser unterstützt kein Bluetooth oder nicht über HTTPS');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Scannt nach verfügbaren BLE-Geräten
+   */
+  async scan() {
+    if (!this.isBluetoothAvailable()) {
+      throw new Error('Web Bluetooth API nicht verfügbar');
+    }
+
+    try {
+      console.log('🔍 Scanne nach BLE-Geräten...');
+
+      const options = {
+        // acceptAllDevices: true,  // Alle Geräte anzeigen
+        filters: this.drivers.getScanFilters(),
+        optionalServices: this.drivers.getOptionalServices()
+      };
+
+      const device = await navigator.bluetooth.requestDevice(options);
+
+      this.knownDevices.set(device.id, device);
+      this.lastScannedDevice = device;
+      this.watchSignal(device).catch(() => {});
+
+      console.log('✅ Gerät gefunden:', device.name);
+      return device;
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        console.warn('⚠️ Keine Geräte gefunden oder Auswahl abgebrochen');
+      } else {
+        console.error('❌ Scan fehlgeschlagen:', error);
+      }
+      throw error;
+    }
+  }
+
+  // ✅ WIEDERFINDEN OHNE AUSWAHLDIALOG
+
+  /**
+   * Bereits freigegebene Geräte (ohne Auswahldialog)
+   * @returns {Promise<BluetoothDevice[]>} - leer, wenn der Browser getDevices() nicht kennt
+   */
+  async getPermittedDevices() {
+    if (!navigator.bluetooth || !navigator.bluetooth.getDevices) {
+      return [];
+    }
+    return navigator.bluetooth.getDevices();
+  }
+
+  /**
+   * Findet ein früher gekoppeltes Gerät wieder und wartet, bis es in Reichweite ist
+   * @returns {Promise<BluetoothDevice|null>} - null, wenn es nur über den Auswahldialog geht
+   */
+  async reacquire(deviceId) {
+    const known = this.knownDevices.get(deviceId);
+    if (known) return known;
+
+    // Browser ohne getDevices(): Freigabe unbekannt, nur Auswahldialog möglich
+    if (!navigator.bluetooth || !navigator.bluetooth.getDevices) {
+      return null;
+    }
 
-    // Flood Protection
-    this.lastCommandTime = 0;
-    this.commandDelay = 50; // Minimum 50ms zwischen Befehlen
+    const device = (await this.getPermittedDevices()).find(d => d.id === deviceId);
+    if (!device) {
+      return null;
+    }
 
-    console.log('✅ BLE-Controller initialisiert');
+    await this.waitForAdvertisement(device);
+    this.knownDevices.set(device.id, device);
+    console.log(`✅ Gerät ohne Auswahldialog wiedergefunden: ${device.name}`);
+    return device;
   }
 
   /**
-   * Prüft ob Web Bluetooth API verfügbar ist
+   * Wartet auf ein Advertisement (Gerät in Reichweite)
+   * Ohne watchAdvertisements() wird direkt verbunden - gatt.connect() meldet dann den Fehler.
    */
-  isBluetoothAvailable() {
-    if (!navigator.bluetooth) {
-      console.error('❌ Web Bluetooth API nicht verfügbar');
-      console.error('Browser unterstützt kein Bluetooth oder nicht über HTTPS');
-      return false;
+  waitForAdvertisement(device, timeout = this.reacquireTimeout) {
+    if (!device.watchAdvertisements || device.gatt.connected) {
+      return Promise.resolve(true);
     }
-    return true;
+
+    return new Promise((resolve, reject) => {
+      let done = false;
+
+      const finish = (error) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        device.removeEventListener('advertisementreceived', onAdvertisement);
+        error ? reject(error) : resolve(true);
+      };
+      const onAdvertisement = () => finish();
+      const timer = setTimeout(() => finish(new Error(`${device.name || device.id} nicht in Reichweite`)), timeout);
+
+      device.addEventListener('advertisementreceived', onAdvertisement);
+      // Beobachtung läuft danach weiter (Signalstärke)
+      this.watchSignal(device).catch(finish);
+    });
   }
 
+  // ✅ SIGNALSTÄRKE (RSSI AUS ADVERTISEMENTS)
+
   /**
-   * Scannt nach verfügbaren BLE-Geräten
+   * Beobachtet die Advertisements eines Geräts dauerhaft und meldet den RSSI an den
+   * DeviceManager. Verbundene Geräte senden meist keine Advertisements - dann bleibt
+   * der letzte Wert stehen.
    */
-  async scan(protocol = 'ELK_BLEDOM') {
-    if (!this.isBluetoothAvailable()) {
-      throw new Error('Web Bluetooth API nicht verfügbar');
+  async watchSignal(device) {
+    if (!device.watchAdvertisements || this.signalWatches.has(device.id)) {
+      return;
     }
 
-    try {
-      console.log('🔍 Scanne nach BLE-Geräten...');
+    const abort = new AbortController();
+    const listener = (event) => {
+      if (bleRoot.deviceManager && typeof event.rssi === 'number') {
+        bleRoot.deviceManager.recordRSSI(device.id, event.rssi);
+      }
+    };
 
-      const options = {
-        // acceptAllDevices: true,  // Alle Geräte anzeigen
-        filters: [
-          { namePrefix: 'ELK-BLEDOM' },
-          { namePrefix: 'BLE-LED' },
-          { namePrefix: 'LED' }
-        ],
-        optionalServices: [
-          this.SERVICES.ELK_BLEDOM,
-          this.SERVICES.GENERIC
-        ]
-      };
+    this.signalWatches.set(device.id, { abort, listener });
+    device.addEventListener('advertisementreceived', listener);
 
-      this.device = await navigator.bluetooth.requestDevice(options);
-      
-      console.log('✅ Gerät gefunden:', this.device.name);
-      return this.device;
+    try {
+      await device.watchAdvertisements({ signal: abort.signal });
     } catch (error) {
-      if (error.name === 'NotFoundError') {
-        console.warn('⚠️ Keine Geräte gefunden oder Auswahl abgebrochen');
-      } else {
-        console.error('❌ Scan fehlgeschlagen:', error);
-      }
+      this.unwatchSignal(device);
       throw error;
     }
   }
 
+  unwatchSignal(device) {
+    const watch = this.signalWatches.get(device.id);
+    if (!watch) return;
+
+    this.signalWatches.delete(device.id);
+    device.removeEventListener('advertisementreceived', watch.listener);
+    watch.abort.abort();
+  }
+
+  /**
+   * Beobachtet alle freigegebenen Geräte, die im DeviceManager gespeichert sind
+   * @returns {Promise<number>} - Anzahl beobachteter Geräte
+   */
+  async watchPermittedSignals() {
+    const manager = bleRoot.deviceManager;
+    const devices = (await this.getPermittedDevices()).filter(device => !manager || manager.getDeviceById(device.id));
+
+    await Promise.all(devices.map(device => this.watchSignal(device).catch(error => {
+      console.warn(`⚠️ Signalstärke von ${device.name || device.id} nicht messbar:`, error.message);
+    })));
+
+    return devices.filter(device => this.signalWatches.has(device.id)).length;
+  }
+
   /**
-   * Verbindet mit einem BLE-Gerät
+   * Verbindet mit einem BLE-Gerät und nimmt es in den Pool auf
+   * Ohne Geräte-ID wird das zuletzt gescannte (oder ein neu gewähltes) Gerät verbunden.
+   * Ohne Protokoll-Angabe wird der Treiber am Gerätenamen erkannt.
+   * Bekannte Geräte werden ohne Auswahldialog wiedergefunden (reacquire).
+   * @param {Object} options - { silent } (silent: nie den Auswahldialog öffnen, z.B. Auto-Connect)
    */
-  async connect(deviceId = null, protocol = 'ELK_BLEDOM') {
+  async connect(deviceId = null, protocol = null, options = {}) {
     try {
-      // Wenn kein Gerät vorhanden, scannen
-      if (!this.device) {
-        await this.scan(protocol);
+      // Bereits verbunden?
+      const existing = deviceId ? this.connections.get(deviceId) : null;
+      if (existing && existing.isConnected) {
+        this.activeDeviceId = existing.id;
+        return true;
       }
 
-      if (!this.device) {
+      // Gerät bestimmen: bekannt/freigegeben > zuletzt gescannt (noch nicht im Pool) > neuer Scan
+      let device = deviceId ? await this.reacquire(deviceId) : null;
+      if (!device && !deviceId && this.lastScannedDevice && !this.connections.has(this.lastScannedDevice.id)) {
+        device = this.lastScannedDevice;
+      }
+      if (!device && options.silent) {
+        // Freigabe fehlt → zum Neu-Koppeln melden; ohne getDevices() ist sie unbekannt → leise abbrechen
+        const unpaired = !!(navigator.bluetooth && navigator.bluetooth.getDevices);
+        if (deviceId) {
+          const manager = bleRoot.deviceManager;
+          const saved = manager ? manager.getDeviceById(deviceId) : null;
+          this.emitConnectionState({ id: deviceId, name: saved ? saved.name : deviceId }, unpaired ? 'unpaired' : 'unsupported');
+        }
+
+        const error = unpaired
+          ? new Error('Gerät muss neu gekoppelt werden')
+          : new Error('Verbinden ohne Auswahldialog wird vom Browser nicht unterstützt');
+        error.name = unpaired ? 'NotAllowedError' : 'NotSupportedError';
+        throw error;
+      }
+      if (!device) {
+        device = await this.scan();
+      }
+
+      if (!device) {
         throw new Error('Kein Gerät zum Verbinden vorhanden');
       }
 
-      console.log('🔗 Verbinde mit', this.device.name);
-
-      // GATT Server verbinden
-      this.server = await this.device.gatt.connect();
-      console.log('✅ GATT Server verbunden');
-
-      // Service auswählen
-      const serviceUUID = this.SERVICES[protocol] || this.SERVICES.ELK_BLEDOM;
-      this.service = await this.server.getPrimaryService(serviceUUID);
-      console.log('✅ Service gefunden');
-
-      // Characteristic auswählen
-      const charUUID = this.CHARACTERISTICS[protocol] || this.CHARACTERISTICS.ELK_BLEDOM;
-      this.characteristic = await this.service.getCharacteristic(charUUID);
-      console.log('✅ Characteristic gefunden');
-
-      // Status setzen
-      this.isConnected = true;
-      this.protocol = protocol;
-      this.deviceName = this.device.name;
-      this.deviceId = this.device.id;
-
-      // Disconnect Event
-      this.device.addEventListener('gattserverdisconnected', () => {
-        console.warn('⚠️ Gerät getrennt');
-        this.isConnected = false;
-        this.handleDisconnect();
-      });
+      console.log('🔗 Verbinde mit', device.name);
+
+      // Treiber bestimmen: explizit > gespeichert (beim Koppeln erkannt) > Gerätename > Standard
+      const saved = bleRoot.deviceManager ? bleRoot.deviceManager.getDeviceById(device.id) : null;
+      const driver = this.drivers.get(protocol) ||
+                     (saved && this.drivers.get(saved.protocol)) ||
+                     this.drivers.matchByName(device.name) ||
+                     this.drivers.resolve(null);
 
-      console.log(`✅ Erfolgreich verbunden mit ${this.deviceName} (${protocol})`);
+      // Bestehende (getrennte) Verbindung wiederverwenden
+      let connection = this.connections.get(device.id);
+      if (!connection) {
+        connection = new BLEConnection(device, driver, this);
+      } else {
+        connection.driver = driver;
+      }
+
+      await connection.open();
+
+      this.connections.set(device.id, connection);
+      this.activeDeviceId = device.id;
+      this.emitConnectionState(connection, 'connected');
+
+      console.log(`✅ Erfolgreich verbunden mit ${connection.name} (${driver.id}) - ${this.connections.size} Gerät(e) im Pool`);
       return true;
     } catch (error) {
       console.error('❌ Verbindung fehlgeschlagen:', error);
-      this.isConnected = false;
-      
+
       // Benutzerfreundliche Fehlermeldung
       let errorMessage = 'Verbindung fehlgeschlagen. ';
       if (error.name === 'NotFoundError') {
@@ -185,99 +1108,162 @@ class BLEController {
       } else {
         errorMessage += 'Bitte sicherstellen, dass das LED-Band eingeschaltet und in Reichweite ist.';
       }
-      
-      if (window.showGlobalNotification) {
-        window.showGlobalNotification(errorMessage, 'error');
+
+      // Auto-Connect: 'unpaired' / 'unsupported' wurde bereits gemeldet, kein Fehler-Popup
+      if (bleRoot.showGlobalNotification && !options.silent) {
+        bleRoot.showGlobalNotification(errorMessage, 'error');
       }
-      
+
       throw error;
     }
   }
 
   /**
-   * Sendet einen Befehl an das Gerät
+   * Sendet einen rohen Befehl (Byte-Array)
+   * Rohe Bytes sind protokollspezifisch - Standard-Ziel ist daher das aktive Gerät.
    */
   // ✅ ZUVERLÄSSIGE BEFEHLSÜBERTRAGUNG MIT RETRY-LOGIK
-  async sendCommand(command, retries = 3) {
-    if (!this.isConnected || !this.characteristic) {
+  async sendCommand(command, retries = 3, target = this.activeDeviceId) {
+    const connections = this.resolveTargets(target);
+
+    if (connections.length === 0) {
       console.warn('⚠️ Nicht verbunden - Befehl wird ignoriert');
       return false;
     }
 
-    for (let attempt = 1; attempt <= retries; attempt++) {
-      try {
-        // Flood Protection
-        const now = Date.now();
-        const timeSinceLastCommand = now - this.lastCommandTime;
-        if (timeSinceLastCommand < this.commandDelay) {
-          await new Promise(resolve => setTimeout(resolve, this.commandDelay - timeSinceLastCommand));
-        }
+    const results = await Promise.all(connections.map(c => c.enqueue(command, retries)));
+    return results.every(Boolean);
+  }
 
-        // ✅ VERBINDUNG VOR JEDEM BEFEHL PRÜFEN
-        if (!this.device.gatt.connected) {
-          console.warn('⚠️ Verbindung verloren - versuche Wiederverbindung...');
-          await this.reconnect();
-        }
+  // ✅ WIEDERVERBINDUNGS-FUNKTION
+  async reconnect(deviceId = this.activeDeviceId) {
+    const connection = this.connections.get(deviceId);
+    return connection ? connection.reconnect() : false;
+  }
 
-        // Befehl als Uint8Array
-        const data = new Uint8Array(command);
-        
-        // ✅ BEFEHL MIT TIMEOUT SENDEN
-        await Promise.race([
-          this.characteristic.writeValue(data),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 5000))
-        ]);
-        
-        this.lastCommandTime = Date.now();
+  // ===================================================================
+  // STREAMING (MUSIK / ANIMATIONEN)
+  // ===================================================================
 
-        console.log(`📤 Befehl erfolgreich gesendet (Versuch ${attempt}):`, 
-                   Array.from(data).map(b => '0x' + b.toString(16).padStart(2, '0')).join(' '));
-        
-        // ✅ BESTÄTIGUNG WARTEN (kurz)
-        await new Promise(resolve => setTimeout(resolve, 50));
-        
-        return true;
-        
-      } catch (error) {
-        console.error(`❌ Befehl senden fehlgeschlagen (Versuch ${attempt}/${retries}):`, error);
-        
-        if (attempt === retries) {
-          // Letzter Versuch fehlgeschlagen
-          if (window.showGlobalNotification) {
-            window.showGlobalNotification(`Befehl konnte nach ${retries} Versuchen nicht gesendet werden!`, 'error');
-          }
-          return false;
-        } else {
-          // Kurz warten vor nächstem Versuch
-          await new Promise(resolve => setTimeout(resolve, 100 * attempt));
-        }
-      }
+  /**
+   * Streamt einen Frame aus Treiber-Befehlen an alle Ziele
+   * @param {string|string[]|null} target - Geräte-ID(s), Standard: alle
+   * @param {Array} commands - z.B. [['COLOR', r, g, b], ['BRIGHTNESS', 200]]
+   * @returns {boolean} - true wenn der Frame für alle Ziele eingereiht wurde
+   */
+  streamCommands(target, commands) {
+    const connections = this.resolveTargets(target);
+
+    if (connections.length === 0) {
+      return false;
     }
-    
-    return false;
+
+    return connections.map(connection => {
+      const frame = commands
+        .map(([command, ...args]) =>
+          this.drivers.encode(connection.protocol, ...this.prepareCommand(connection, command, args)))
+        .filter(Boolean);
+      return frame.length > 0 && connection.stream(frame);
+    }).every(Boolean);
   }
 
-  // ✅ WIEDERVERBINDUNGS-FUNKTION
-  async reconnect() {
-    try {
-      if (this.device && this.device.gatt) {
-        this.server = await this.device.gatt.connect();
-        this.service = await this.server.getPrimaryService(this.SERVICES[this.protocol]);
-        this.characteristic = await this.service.getCharacteristic(this.CHARACTERISTICS[this.protocol]);
-        console.log('✅ Wiederverbindung erfolgreich');
-        return true;
-      }
-    } catch (error) {
-      console.error('❌ Wiederverbindung fehlgeschlagen:', error);
-      this.isConnected = false;
+  /**
+   * Streamt rohe Bytes (protokollspezifisch - Standard-Ziel: aktives Gerät)
+   * @param {number[][]|Uint8Array[]} commands
+   */
+  streamRaw(commands, target = this.activeDeviceId) {
+    const connections = this.resolveTargets(target);
+
+    if (connections.length === 0) {
+      return false;
+    }
+
+    const frame = commands.map(command => Array.from(command));
+    return connections.map(connection => connection.stream(frame)).every(Boolean);
+  }
+
+  /**
+   * Sendet Pixelbereiche im PIXELS-Format des Treibers (zuverlässig, über die Queue)
+   * Anders als streamRaw wird nichts verworfen - der Framebuffer verlässt sich
+   * darauf, dass gemeldete Bereiche auch angekommen sind.
+   * @param {Array<{start: number, colors: number[]}>} ranges - colors = [r, g, b, ...]
+   * @returns {Promise<boolean>} - false wenn ein Ziel keine Einzelpixel kann oder ein Write scheitert
+   */
+  async sendPixels(ranges, target = this.activeDeviceId) {
+    const connections = this.resolveTargets(target);
+
+    if (connections.length === 0) {
       return false;
     }
+
+    const results = await Promise.all(connections.map(connection => {
+      if (!connection.driver.capabilities.pixels) {
+        return false;
+      }
+
+      const calibration = bleRoot.colorCalibration;
+      const frames = ranges.flatMap(({ start, colors }) =>
+        this.drivers.encodePixels(connection.protocol, start,
+          calibration ? calibration.applyPixels(connection.id, colors) : colors, connection.mtu));
+
+      return connection.enqueueJob(async () => {
+        for (const frame of frames) {
+          await connection.writeFast(frame);
+        }
+        return true;
+      }).catch(error => {
+        console.warn(`⚠️ Pixel an ${connection.name} nicht gesendet:`, error.message || error);
+        return false;
+      });
+    }));
+
+    return results.every(Boolean);
+  }
+
+  /**
+   * Kann das Gerät Einzelpixel empfangen?
+   */
+  supportsPixels(deviceId = this.activeDeviceId) {
+    const connection = this.connections.get(deviceId);
+    return !!(connection && connection.driver.capabilities.pixels);
+  }
+
+  /**
+   * Link-Statistik pro Gerät (MTU, Pacing, verworfene Frames)
+   */
+  getLinkStats() {
+    return this.getConnections().map(c => ({
+      id: c.id,
+      name: c.name,
+      mtu: c.mtu,
+      writeWithoutResponse: c.supportsWriteWithoutResponse,
+      ...c.linkBudget
+    }));
+  }
+
+  /**
+   * Fragt den tatsächlichen Gerätestatus ab (nur Treiber mit Read-Back)
+   * @returns {Promise<Object|null>}
+   */
+  async queryStatus(deviceId = this.activeDeviceId) {
+    const connection = this.connections.get(deviceId);
+    return connection && connection.isConnected ? connection.queryStatus() : null;
+  }
+
+  /**
+   * Zuletzt gemeldeter Gerätestatus (ohne Abfrage)
+   */
+  getDeviceState(deviceId = this.activeDeviceId) {
+    const connection = this.connections.get(deviceId);
+    return connection ? connection.getState() : null;
   }
 
   /**
    * Setzt die LED-Farbe
+   * @param {string} hexColor - '#RRGGBB'
+   * @param {string|string[]|null} target - Geräte-ID(s), Standard: alle
    */
-  async setColor(hexColor) {
+  async setColor(hexColor, target = null) {
     if (typeof hexColor === 'string' && hexColor.startsWith('#')) {
       hexColor = hexColor.substring(1);
     }
@@ -286,20 +1272,20 @@ class BLEController {
     const g = parseInt(hexColor.substring(2, 4), 16);
     const b = parseInt(hexColor.substring(4, 6), 16);
 
-    return await this.setColorRGB(r, g, b);
+    return await this.setColorRGB(r, g, b, target);
   }
 
   /**
    * Setzt die LED-Farbe (RGB)
+   * @param {string|string[]|null} target - Geräte-ID(s), Standard: alle
    */
-  async setColorRGB(r, g, b) {
+  async setColorRGB(r, g, b, target = null) {
     // Validate
     r = Math.max(0, Math.min(255, parseInt(r) || 0));
     g = Math.max(0, Math.min(255, parseInt(g) || 0));
     b = Math.max(0, Math.min(255, parseInt(b) || 0));
 
-    const command = this.COMMANDS[this.protocol].COLOR(r, g, b);
-    const result = await this.sendCommand(command);
+    const result = await this.sendToTargets(target, 'COLOR', r, g, b);
 
     if (result) {
       console.log(`🎨 Farbe gesetzt: RGB(${r}, ${g}, ${b})`);
@@ -308,18 +1294,57 @@ class BLEController {
     return result;
   }
 
+  /**
+   * Setzt eine Farbtemperatur
+   * Native CCT-Befehle bei Tunable-White-Streifen, sonst Kelvin → RGB
+   * (auf RGBW-Streifen über den Weißkanal)
+   * @param {number} kelvin - z.B. 2700 (warm) bis 6500 (kalt)
+   * @param {string|string[]|null} target - Geräte-ID(s), Standard: alle
+   */
+  async setColorTemperature(kelvin, target = null) {
+    const calibration = bleRoot.colorCalibration;
+    if (!calibration) {
+      throw new Error('Farbkalibrierung nicht geladen (js/color-calibration.js)');
+    }
+
+    kelvin = Math.max(1000, Math.min(40000, parseInt(kelvin) || 6500));
+    const connections = this.resolveTargets(target);
+
+    if (connections.length === 0) {
+      console.warn('⚠️ Nicht verbunden - Befehl wird ignoriert');
+      return false;
+    }
+
+    const results = await Promise.all(connections.map(connection => {
+      const nativeCCT = connection.driver.capabilities.cct && this.getChannels(connection.id).endsWith('CCT');
+      const bytes = nativeCCT
+        ? this.encodeCommand(connection, 'CCT', kelvin)
+        : this.encodeCommand(connection, 'COLOR', ...bleRoot.ColorCalibration.kelvinToRgb(kelvin));
+
+      // Gleicher Slot wie COLOR: neueste Farbe bzw. Farbtemperatur gewinnt
+      return bytes ? connection.enqueueLatest('COLOR', bytes) : Promise.resolve(false);
+    }));
+
+    const result = results.every(Boolean);
+    if (result) {
+      console.log(`🌡️ Farbtemperatur gesetzt: ${kelvin}K`);
+    }
+
+    return result;
+  }
+
   /**
    * Setzt die Helligkeit
+   * @param {string|string[]|null} target - Geräte-ID(s), Standard: alle
    */
-  async setBrightness(level) {
+  async setBrightness(level, target = null) {
     // Validate (0-100)
     level = Math.max(0, Math.min(100, parseInt(level) || 0));
-    
+
     // Convert to 0-255
     const brightnessValue = Math.round((level / 100) * 255);
 
-    const command = this.COMMANDS[this.protocol].BRIGHTNESS(brightnessValue);
-    const result = await this.sendCommand(command);
+    const result = await this.sendToTargets(target, 'BRIGHTNESS', brightnessValue);
 
     if (result) {
       console.log(`💡 Helligkeit gesetzt: ${level}%`);
@@ -330,13 +1355,13 @@ class BLEController {
 
   /**
    * Setzt einen LED-Effekt
+   * @param {string|string[]|null} target - Geräte-ID(s), Standard: alle
    */
-  async setEffect(effectId) {
+  async setEffect(effectId, target = null) {
     // Validate (0-255)
     effectId = Math.max(0, Math.min(255, parseInt(effectId) || 0));
 
-    const command = this.COMMANDS[this.protocol].EFFECT(effectId);
-    const result = await this.sendCommand(command);
+    const result = await this.sendToTargets(target, 'EFFECT', effectId);
 
     if (result) {
       console.log(`✨ Effekt ${effectId} aktiviert`);
@@ -347,13 +1372,10 @@ class BLEController {
 
   /**
    * Schaltet LED ein/aus
+   * @param {string|string[]|null} target - Geräte-ID(s), Standard: alle
    */
-  async setPower(state) {
-    const command = state
-      ? this.COMMANDS[this.protocol].POWER_ON
-      : this.COMMANDS[this.protocol].POWER_OFF;
-
-    const result = await this.sendCommand(command);
+  async setPower(state, target = null) {
+    const result = await this.sendToTargets(target, state ? 'POWER_ON' : 'POWER_OFF');
 
     if (result) {
       console.log(`🔌 LED ${state ? 'EIN' : 'AUS'}geschaltet`);
@@ -364,6 +1386,7 @@ class BLEController {
 
   /**
    * Musik-reaktive LED-Steuerung
+   * @param {string|string[]|null} deviceId - Ziel-Gerät(e), Standard: alle
    */
   async sendMusicFrame(deviceId, audioData) {
     if (!this.isConnected) {
@@ -371,16 +1394,6 @@ class BLEController {
     }
 
     try {
-      // ✅ ELK-BLEDOM FLOOD PROTECTION (aus LedMusicControl.html)
-      if (this.deviceProtocol === 'ELK_BLEDOM') {
-        // Begrenze Update-Rate für ELK-BLEDOM Geräte
-        const now = Date.now();
-        if (this.lastMusicFrameTime && (now - this.lastMusicFrameTime) < 50) {
-          return true; // Skip Frame - zu schnell
-        }
-        this.lastMusicFrameTime = now;
-      }
-
       // Audio-Daten zu Farbe konvertieren
       const bass = audioData.bass || 0;
       const mid = audioData.mid || 0;
@@ -391,7 +1404,8 @@ class BLEController {
       const g = Math.min(255, Math.floor(mid * 2));
       const b = Math.min(255, Math.floor(treble * 2));
 
-      return await this.setColorRGB(r, g, b);
+      // ✅ STREAMING statt Retry-Queue: Flood Protection über Link-Budget
+      return this.streamCommands(deviceId, [['COLOR', r, g, b]]);
     } catch (error) {
       console.error('❌ Musik-Frame senden fehlgeschlagen:', error);
       return false;
@@ -417,8 +1431,9 @@ class BLEController {
 
   /**
    * Test-Sequenz
+   * @param {string|string[]|null} target - Geräte-ID(s), Standard: alle
    */
-  async runTestSequence() {
+  async runTestSequence(target = null) {
     if (!this.isConnected) {
       console.warn('⚠️ Nicht verbunden - Test abgebrochen');
       return false;
@@ -428,19 +1443,19 @@ class BLEController {
 
     try {
       // Rot
-      await this.setColorRGB(255, 0, 0);
+      await this.setColorRGB(255, 0, 0, target);
       await this.delay(500);
 
       // Grün
-      await this.setColorRGB(0, 255, 0);
+      await this.setColorRGB(0, 255, 0, target);
       await this.delay(500);
 
       // Blau
-      await this.setColorRGB(0, 0, 255);
+      await this.setColorRGB(0, 0, 255, target);
       await this.delay(500);
 
       // Weiß
-      await this.setColorRGB(255, 255, 255);
+      await this.setColorRGB(255, 255, 255, target);
       await this.delay(500);
 
       console.log('✅ Test-Sequenz abgeschlossen');
@@ -453,60 +1468,50 @@ class BLEController {
 
   /**
    * Trennt die Verbindung
+   * @param {string|null} deviceId - Einzelnes Gerät oder null für alle
    */
-  disconnect() {
-    if (this.device && this.device.gatt.connected) {
-      this.device.gatt.disconnect();
-      console.log('🔌 Verbindung getrennt');
+  disconnect(deviceId = null) {
+    const connections = deviceId
+      ? [this.connections.get(deviceId)].filter(Boolean)
+      : this.getConnections();
+
+    connections.forEach(connection => {
+      connection.close();
+      this.connections.delete(connection.id);
+      console.log('🔌 Verbindung getrennt:', connection.name);
+    });
+
+    if (!this.connections.has(this.activeDeviceId)) {
+      const next = this.getConnections()[0];
+      this.activeDeviceId = next ? next.id : null;
     }
-
-    this.isConnected = false;
-    this.device = null;
-    this.server = null;
-    this.service = null;
-    this.characteristic = null;
   }
 
   /**
    * Verbindungsstatus abrufen
    */
   getConnectionStatus() {
+    const active = this.activeConnection;
+
     return {
       connected: this.isConnected,
-      device: this.device ? {
-        name: this.deviceName,
-        id: this.deviceId,
-        protocol: this.protocol
-      } : null
+      device: active ? {
+        name: active.name,
+        id: active.id,
+        protocol: active.protocol,
+        state: active.getState()
+      } : null,
+      devices: this.getConnections().map(c => c.getInfo())
     };
   }
 
   /**
-   * Liste verbundener Geräte (für Kompatibilität)
+   * Liste verbundener Geräte
    */
   getConnectedDevices() {
-    if (this.isConnected && this.device) {
-      return [{
-        name: this.deviceName,
-        mac: this.deviceId,
-        id: this.deviceId,
-        protocol: this.protocol
-      }];
-    }
-    return [];
-  }
-
-  /**
-   * Disconnect Handler
-   */
-  handleDisconnect() {
-    console.log('🔌 Gerät wurde getrennt');
-    this.isConnected = false;
-
-    // Event an App senden
-    if (window.updateGlobalBLEStatus) {
-      window.updateGlobalBLEStatus();
-    }
+    return this.getConnections()
+      .filter(c => c.isConnected)
+      .map(c => c.getInfo());
   }
 
   /**
@@ -538,155 +1543,164 @@ class BLEController {
     }).join('');
   }
 
+  // ===================================================================
+  // WIEDERVERBINDUNG & VERBINDUNGSÜBERWACHUNG
+  // ===================================================================
+
   /**
-   * Disconnect Handler mit Auto-Reconnect
+   * Disconnect Handler mit Auto-Reconnect (pro Gerät)
    */
-  handleDisconnect() {
-    console.log('🔌 Gerät wurde getrennt');
-    this.isConnected = false;
+  handleDisconnect(connection) {
+    console.log('🔌 Gerät wurde getrennt:', connection.name);
 
-    // Benachrichtigung anzeigen
-    if (window.showGlobalNotification) {
-      window.showGlobalNotification('Verbindung unterbrochen', 'warning');
-    }
+    // Abbruch während eines laufenden Versuchs: Supervisor ist schon aktiv
+    if (connection.reconnecting) return;
 
-    // Event an App senden
-    if (window.updateGlobalBLEStatus) {
-      window.updateGlobalBLEStatus();
-    }
-    
-    // Auto-Reconnect starten
-    if (window.handleBLEDisconnect && typeof window.handleBLEDisconnect === 'function') {
-      window.handleBLEDisconnect();
-    } else {
-      this.attemptReconnect();
-    }
+    this.emitConnectionState(connection, 'lost');
+    connection.superviseReconnect();
   }
 
   /**
-   * Versucht automatisch die Wiederverbindung
+   * Versucht automatisch die Wiederverbindung eines Geräts
    */
-  async attemptReconnect() {
-    const maxAttempts = 3;
-    const delay = 3000;
+  async attemptReconnect(deviceId = this.activeDeviceId) {
+    const connection = this.connections.get(deviceId);
+    if (!connection) return false;
 
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      console.log(`🔄 Wiederverbindungsversuch ${attempt}/${maxAttempts}`);
-      
-      if (window.showGlobalNotification) {
-        window.showGlobalNotification(`Wiederverbindung... (${attempt}/${maxAttempts})`, 'info');
-      }
+    return connection.superviseReconnect();
+  }
 
-      await new Promise(resolve => setTimeout(resolve, delay));
+  /**
+   * Abbruchschwelle aus DEVICE_CONFIG (js/device-manager.js), sonst 3
+   */
+  getMaxReconnectAttempts() {
+    return (bleRoot.DEVICE_CONFIG && bleRoot.DEVICE_CONFIG.MAX_RECONNECT_ATTEMPTS) || 3;
+  }
 
-      try {
-        if (this.device && this.device.gatt) {
-          await this.connect(null, this.protocol);
-          
-          if (window.showGlobalNotification) {
-            window.showGlobalNotification('Wiederverbindung erfolgreich!', 'success');
-          }
-          return true;
-        }
-      } catch (error) {
-        console.warn(`❌ Versuch ${attempt} fehlgeschlagen:`, error);
+  /**
+   * Wartezeit vor einem Wiederverbindungsversuch (exponentiell mit Jitter)
+   * @param {number} attempt - Versuch ab 1
+   */
+  getReconnectDelay(attempt) {
+    const { baseDelay, maxDelay, jitter } = this.reconnectPolicy;
+    const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    const spread = delay * jitter * (Math.random() * 2 - 1);
+
+    return Math.round(Math.max(0, delay + spread));
+  }
+
+  /**
+   * Meldet eine Änderung des Verbindungszustands
+   * @param {string} status - 'connected' | 'lost' | 'reconnecting' | 'reconnected' | 'failed' | 'unpaired' | 'unsupported'
+   */
+  emitConnectionState(connection, status, extra = {}) {
+    const notify = bleRoot.showGlobalNotification;
+
+    if (notify) {
+      switch (status) {
+        case 'lost':
+          notify(`Verbindung zu ${connection.name} unterbrochen`, 'warning');
+          break;
+        case 'reconnecting':
+          notify(`Wiederverbindung ${connection.name}... (${extra.attempt}/${extra.maxAttempts})`, 'info');
+          break;
+        case 'reconnected':
+          notify(`${connection.name} wieder verbunden!`, 'success');
+          break;
+        case 'failed':
+          notify(`Wiederverbindung mit ${connection.name} fehlgeschlagen. Bitte manuell verbinden.`, 'error');
+          break;
+        case 'unpaired':
+          notify(`Bluetooth-Freigabe für ${connection.name} fehlt - bitte neu koppeln`, 'warning');
+          break;
       }
     }
 
-    console.error('❌ Wiederverbindung fehlgeschlagen nach', maxAttempts, 'Versuchen');
-    if (window.showGlobalNotification) {
-      window.showGlobalNotification('Wiederverbindung fehlgeschlagen', 'error');
+    if (bleRoot.dispatchEvent) {
+      bleRoot.dispatchEvent(new CustomEvent('ble-connection-state', {
+        detail: { id: connection.id, name: connection.name, status, ...extra }
+      }));
+    }
+  }
+
+  /**
+   * Prüft periodisch alle Verbindungen auf verpasste Disconnect-Events
+   */
+  startHealthMonitor(interval = 1000) {
+    this.stopHealthMonitor();
+
+    this.healthMonitor = setInterval(() => {
+      this.getConnections().forEach(connection => {
+        if (connection.isConnected && !connection.device.gatt.connected) {
+          console.warn(`⚠️ Verbindungsabbruch erkannt: ${connection.name}`);
+          connection.onDisconnected();
+        }
+      });
+    }, interval);
+  }
+
+  stopHealthMonitor() {
+    if (this.healthMonitor) {
+      clearInterval(this.healthMonitor);
+      this.healthMonitor = null;
     }
-    return false;
   }
 
   // ✅ WLED-FUNKTIONEN (WiFi-LEDs)
   
+  /**
+   * WLED-Geräte aus dem Geräte-Register (js/device-manager.js)
+   */
+  get wledDevices() {
+    const manager = (bleRoot.parent && bleRoot.parent.deviceManager) || bleRoot.deviceManager;
+    return manager ? manager.getDevicesByTransport('wled-http', 'wled-ws') : [];
+  }
+  
   /**
    * Scannt nach WLED-Geräten im lokalen Netzwerk
+   * Netzbereiche, Cache und manuelle Adressen: siehe js/wled-discovery.js
    */
-  async scanWLEDDevices() {
+  async scanWLEDDevices(options = {}) {
     if (!this.wledEnabled) return [];
     
-    console.log('🔍 Scanne nach WLED-Geräten...');
-    const devices = [];
-    
-    // Typische WLED-IPs scannen (192.168.1.x)
-    const baseIP = '192.168.1.';
-    const promises = [];
-    
-    for (let i = 1; i <= 254; i++) {
-      const ip = baseIP + i;
-      promises.push(this.checkWLEDDevice(ip));
-    }
+    let devices = [];
     
     try {
-      const results = await Promise.allSettled(promises);
-      results.forEach((result, index) => {
-        if (result.status === 'fulfilled' && result.value) {
-          devices.push({
-            ip: baseIP + (index + 1),
-            name: result.value.name || 'WLED Device',
-            version: result.value.version,
-            type: 'WLED'
-          });
-        }
-      });
+      const found = bleRoot.deviceManager
+        ? await bleRoot.deviceManager.scanForWLEDDevices(options)
+        : await bleRoot.wledDiscovery.discover(options);
+      
+      devices = found.map(device => ({
+        id: device.id,
+        ip: device.ip,
+        name: device.name || 'WLED Device',
+        version: device.wled ? device.wled.version : null,
+        mac: device.mac,
+        leds: device.wled ? device.wled.ledCount : null,
+        type: 'WLED'
+      }));
     } catch (error) {
       console.error('❌ WLED-Scan Fehler:', error);
     }
     
-    this.wledDevices = devices;
-    console.log(`✅ ${devices.length} WLED-Geräte gefunden`);
     return devices;
   }
 
   /**
    * Prüft ob IP ein WLED-Gerät ist
+   * @returns {Promise<Object|null>} - /json/info oder null
    */
   async checkWLEDDevice(ip, timeout = 1000) {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeout);
-      
-      const response = await fetch(`http://${ip}/json/info`, {
-        signal: controller.signal,
-        method: 'GET'
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (response.ok) {
-        const data = await response.json();
-        if (data.name && data.ver) {
-          return { name: data.name, version: data.ver };
-        }
-      }
-    } catch (error) {
-      // Timeout oder Netzwerk-Fehler - normal beim Scannen
-    }
-    
-    return null;
+    return bleRoot.WLEDClient.probe(ip, timeout);
   }
 
   /**
-   * Sendet Farbe an WLED-Gerät
+   * Sendet Farbe an WLED-Gerät (Helligkeit bleibt unverändert)
    */
   async sendColorToWLED(ip, r, g, b) {
     try {
-      const response = await fetch(`http://${ip}/json/state`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          on: true,
-          bri: 255,
-          seg: [{
-            col: [[r, g, b]]
-          }]
-        })
-      });
-      
-      return response.ok;
+      await new bleRoot.WLEDClient(ip).setColor(r, g, b);
+      return true;
     } catch (error) {
       console.error(`❌ WLED-Farbe senden fehlgeschlagen (${ip}):`, error);
       return false;
@@ -707,14 +1721,14 @@ class BLEController {
 // ===================================================================
 
 // Controller global verfügbar machen
-window.ledController = new BLEController();
+bleRoot.ledController = new BLEController();
 // ✅ BEIDE Namen für Kompatibilität
-window.bleController = window.ledController;
+bleRoot.bleController = bleRoot.ledController;
 
 // AppBLE-Objekt für Kompatibilität
-window.AppBLE = {
+bleRoot.AppBLE = {
   active: true,
-  controller: window.ledController
+  controller: bleRoot.ledController
 };
 
 console.log('✅ BLE-Controller global verfügbar als window.ledController UND window.bleController');
@@ -723,44 +1737,51 @@ console.log('✅ BLE-Controller global verfügbar als window.ledController UND w
 // AUTO-RECONNECT (OPTIONAL)
 // ===================================================================
 
-// Automatisch mit gespeicherten Geräten verbinden
-window.addEventListener('load', async function() {
-  try {
-    const savedDevices = localStorage.getItem('led-devices');
-    if (savedDevices) {
-      const devices = JSON.parse(savedDevices);
+// Automatisch mit gespeicherten BLE-Geräten aus dem Geräte-Register verbinden
+// Nur im Hauptfenster - Seiten im iframe (Timer, Einstellungen) nutzen dessen Verbindungen
+if (typeof window !== 'undefined' && window.parent === window) {
+  window.addEventListener('load', async function() {
+    try {
+      const manager = window.deviceManager;
+
+      // Signalstärke kurz messen - stärkstes Gerät zuerst, außer Reichweite zuletzt
+      if (manager && manager.getAutoConnectDevices(['ble']).length > 1 &&
+          await window.ledController.watchPermittedSignals() > 0) {
+        await new Promise(resolve => setTimeout(resolve, window.ledController.rssiRankingWindow));
+      }
+
+      const devices = manager ? manager.getAutoConnectDevices(['ble']) : [];
       for (const device of devices) {
-        if (device.autoConnect) {
-          console.log('🔄 Auto-Connect:', device.name);
-          try {
-            await window.ledController.connect(device.id, device.protocol);
-          } catch (error) {
-            console.warn('Auto-Connect fehlgeschlagen:', error);
-          }
+        console.log('🔄 Auto-Connect:', device.name);
+        try {
+          await window.ledController.connect(device.id, device.protocol, { silent: true });
+        } catch (error) {
+          console.warn('Auto-Connect fehlgeschlagen:', error);
         }
       }
+    } catch (error) {
+      console.warn('Auto-Connect Fehler:', error);
     }
-  } catch (error) {
-    console.warn('Auto-Connect Fehler:', error);
-  }
-});
+  });
+}
 
 // ===================================================================
 // DEBUG-FUNKTIONEN (Konsole)
 // ===================================================================
 
-window.bleDebug = {
-  scan: () => window.ledController.scan(),
-  connect: () => window.ledController.connect(),
-  disconnect: () => window.ledController.disconnect(),
-  red: () => window.ledController.setColorRGB(255, 0, 0),
-  green: () => window.ledController.setColorRGB(0, 255, 0),
-  blue: () => window.ledController.setColorRGB(0, 0, 255),
-  white: () => window.ledController.setColorRGB(255, 255, 255),
-  off: () => window.ledController.setPower(false),
-  on: () => window.ledController.setPower(true),
-  test: () => window.ledController.runTestSequence(),
-  status: () => console.table(window.ledController.getConnectionStatus())
+bleRoot.bleDebug = {
+  scan: () => bleRoot.ledController.scan(),
+  connect: () => bleRoot.ledController.connect(),
+  disconnect: () => bleRoot.ledController.disconnect(),
+  red: () => bleRoot.ledController.setColorRGB(255, 0, 0),
+  green: () => bleRoot.ledController.setColorRGB(0, 255, 0),
+  blue: () => bleRoot.ledController.setColorRGB(0, 0, 255),
+  white: () => bleRoot.ledController.setColorRGB(255, 255, 255),
+  off: () => bleRoot.ledController.setPower(false),
+  on: () => bleRoot.ledController.setPower(true),
+  test: () => bleRoot.ledController.runTestSequence(),
+  status: () => console.table(bleRoot.ledController.getConnectionStatus().devices),
+  link: () => console.table(bleRoot.ledController.getLinkStats())
 };
 
 console.log('🐛 Debug-Funktionen verfügbar: window.bleDebug');
@@ -775,4 +1796,5 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = BLEController;
 } else if (typeof window !== 'undefined') {
   window.BLEController = BLEController;
+  window.BLEConnection = BLEConnection;
 }
\ No newline at end of file
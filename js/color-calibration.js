@@ -0,0 +1,456 @@
+/**
+ * ===================================================================
+ * COLOR-CALIBRATION.JS
+ * Kalibrierungsprofile pro Gerät
+ * Version: 1.0
+ * ===================================================================
+ *
+ * Jedes Gerät kann ein eigenes Profil haben (device.calibration),
+ * sonst gilt das Standard-Profil. Ein Profil enthält:
+ * - Farbreihenfolge des Streifens (RGB, GRB, BGR, ...)
+ * - Gamma-Kurve (1.0 = linear)
+ * - Weißabgleich (Faktor pro Kanal)
+ * - Minimale sichtbare Helligkeit und maximale Helligkeit (%)
+ * - Farbtemperatur der Weiß-LED (RGBW: automatische Weißkanal-Extraktion)
+ *
+ * Dazu die Farbtemperatur-Umrechnung (Kelvin → RGB bzw. Warm-/Kaltweiß)
+ * für setColorTemperature() von BLE-Controller und WLED-Client.
+ *
+ * Angewendet wird das Profil dort, wo Farben die App verlassen:
+ * BLE-Controller (COLOR, BRIGHTNESS, PIXELS), WLED-Client,
+ * DeviceManager und die direkten Schreibpfade (sendUniversalColor,
+ * Szenen, Musik). Aufrufer übergeben immer unkalibrierte Farben.
+ *
+ * Letzte Stufe statischer Farben und der Helligkeit ist die
+ * Leistungsbegrenzung (js/power-limiter.js, falls geladen). Pixel
+ * begrenzt der Framebuffer vorher für den ganzen Frame.
+ *
+ * ===================================================================
+ */
+
+'use strict';
+
+// ===================================================================
+// KONFIGURATION
+// ===================================================================
+
+const CALIBRATION_CONFIG = {
+  STORAGE_KEY: 'led-calibration',
+  COLOR_ORDERS: ['RGB', 'RBG', 'GRB', 'GBR', 'BRG', 'BGR'],
+  GAMMA_RANGE: [1.0, 3.0],
+  WHITE_BALANCE_RANGE: [0.5, 1.5],
+  MIN_BRIGHTNESS_RANGE: [0, 50],   // %
+  MAX_BRIGHTNESS_RANGE: [10, 100], // %
+  WHITE_POINT_RANGE: [2000, 10000], // Kelvin der Weiß-LED
+  KELVIN_RANGE: [1000, 40000]
+};
+
+const DEFAULT_CALIBRATION = {
+  colorOrder: 'RGB',
+  gamma: 1.0,
+  whiteBalance: { r: 1.0, g: 1.0, b: 1.0 },
+  minBrightness: 0,
+  maxBrightness: 100,
+  whitePoint: 6500
+};
+
+function clampCalibrationValue(value, [min, max], fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+}
+
+// ===================================================================
+// KALIBRIERUNG
+// ===================================================================
+
+class ColorCalibration {
+  constructor() {
+    this.defaultProfile = this.normalize(DEFAULT_CALIBRATION);
+    this.lookupTables = new WeakMap(); // Profil → Kanal-Tabellen (256 Werte)
+
+    this.loadDefaultProfile();
+
+    console.log('✅ Farbkalibrierung initialisiert');
+  }
+
+  // ===================================================================
+  // PROFILE
+  // ===================================================================
+
+  /**
+   * Prüft und vereinheitlicht ein Profil (fehlende Werte = Standard)
+   */
+  normalize(profile = {}) {
+    const base = DEFAULT_CALIBRATION;
+    const whiteBalance = profile.whiteBalance || {};
+    const colorOrder = String(profile.colorOrder || base.colorOrder).toUpperCase();
+
+    return {
+      colorOrder: CALIBRATION_CONFIG.COLOR_ORDERS.includes(colorOrder) ? colorOrder : base.colorOrder,
+      gamma: clampCalibrationValue(profile.gamma, CALIBRATION_CONFIG.GAMMA_RANGE, base.gamma),
+      whiteBalance: {
+        r: clampCalibrationValue(whiteBalance.r, CALIBRATION_CONFIG.WHITE_BALANCE_RANGE, base.whiteBalance.r),
+        g: clampCalibrationValue(whiteBalance.g, CALIBRATION_CONFIG.WHITE_BALANCE_RANGE, base.whiteBalance.g),
+        b: clampCalibrationValue(whiteBalance.b, CALIBRATION_CONFIG.WHITE_BALANCE_RANGE, base.whiteBalance.b)
+      },
+      minBrightness: clampCalibrationValue(profile.minBrightness, CALIBRATION_CONFIG.MIN_BRIGHTNESS_RANGE, base.minBrightness),
+      maxBrightness: clampCalibrationValue(profile.maxBrightness, CALIBRATION_CONFIG.MAX_BRIGHTNESS_RANGE, base.maxBrightness),
+      whitePoint: clampCalibrationValue(profile.whitePoint, CALIBRATION_CONFIG.WHITE_POINT_RANGE, base.whitePoint)
+    };
+  }
+
+  /**
+   * Profil eines Geräts (eigenes Profil oder Standard)
+   * @param {string|null} deviceId - null = Standard-Profil
+   */
+  getProfile(deviceId = null) {
+    const device = this.getDevice(deviceId);
+    return device && device.calibration ? device.calibration : this.defaultProfile;
+  }
+
+  /**
+   * Hat das Gerät ein eigenes Profil?
+   */
+  hasOwnProfile(deviceId) {
+    const device = this.getDevice(deviceId);
+    return !!(device && device.calibration);
+  }
+
+  /**
+   * Speichert ein Profil
+   * @param {string|null} deviceId - null = Standard-Profil für alle Geräte ohne eigenes
+   * @param {Object} profile - Teilwerte werden mit dem bisherigen Profil ergänzt
+   */
+  setProfile(deviceId, profile) {
+    const current = this.getProfile(deviceId);
+    const normalized = this.normalize({
+      ...current,
+      ...profile,
+      whiteBalance: { ...current.whiteBalance, ...(profile.whiteBalance || {}) }
+    });
+
+    if (deviceId) {
+      const manager = window.deviceManager;
+      if (!manager || !manager.updateDevice(deviceId, { calibration: normalized })) {
+        throw new Error('Gerät nicht gefunden');
+      }
+    } else {
+      this.defaultProfile = normalized;
+      this.saveDefaultProfile();
+    }
+
+    this.dispatchCalibrationEvent(deviceId, normalized);
+    console.log(`✅ Kalibrierung gespeichert: ${deviceId || 'Standard'}`);
+    return normalized;
+  }
+
+  /**
+   * Entfernt das eigene Profil eines Geräts (danach gilt das Standard-Profil)
+   */
+  resetProfile(deviceId = null) {
+    if (deviceId) {
+      const manager = window.deviceManager;
+      if (manager && this.hasOwnProfile(deviceId)) {
+        manager.updateDevice(deviceId, { calibration: null });
+      }
+    } else {
+      this.defaultProfile = this.normalize(DEFAULT_CALIBRATION);
+      this.saveDefaultProfile();
+    }
+
+    this.dispatchCalibrationEvent(deviceId, this.getProfile(deviceId));
+    return this.getProfile(deviceId);
+  }
+
+  // ===================================================================
+  // ANWENDEN
+  // ===================================================================
+
+  /**
+   * Kalibriert eine Farbe für das Gerät
+   * @returns {number[]} - [r, g, b] in der Kanal-Reihenfolge des Streifens
+   */
+  apply(deviceId, r, g, b) {
+    return this.limitPower(deviceId, this.calibrate(deviceId, r, g, b));
+  }
+
+  /**
+   * Kalibrierung ohne Leistungsbegrenzung
+   */
+  calibrate(deviceId, r, g, b) {
+    const profile = this.getProfile(deviceId);
+    const out = [0, 0, 0];
+    this.applyInto(profile, this.getLookupTables(profile), r, g, b, out, 0);
+    return out;
+  }
+
+  /**
+   * Kalibriert Pixel - flach [r, g, b, ...] oder als Liste [[r, g, b], ...]
+   * @returns {Array} - neues Array im selben Format
+   */
+  applyPixels(deviceId, pixels) {
+    const profile = this.getProfile(deviceId);
+    if (this.isIdentity(profile)) {
+      return pixels;
+    }
+
+    const tables = this.getLookupTables(profile);
+
+    if (Array.isArray(pixels[0])) {
+      return pixels.map(([r, g, b]) => {
+        const out = [0, 0, 0];
+        this.applyInto(profile, tables, r, g, b, out, 0);
+        return out;
+      });
+    }
+
+    const out = new Array(pixels.length);
+    for (let i = 0; i + 2 < pixels.length; i += 3) {
+      this.applyInto(profile, tables, pixels[i], pixels[i + 1], pixels[i + 2], out, i);
+    }
+    return out;
+  }
+
+  /**
+   * Kalibriert einen Helligkeits-Befehl (0-255):
+   * Werte über 0 werden auf die minimale sichtbare Helligkeit angehoben
+   */
+  applyBrightness(deviceId, value) {
+    const profile = this.getProfile(deviceId);
+    const min = Math.round(profile.minBrightness * 2.55);
+    value = Math.max(0, Math.min(255, Math.round(value) || 0));
+
+    const limiter = window.powerLimiter;
+    value = value > 0 && value < min ? min : value;
+    return limiter ? limiter.limitBrightness(deviceId, value) : value;
+  }
+
+  /**
+   * RGB → RGBW für Streifen mit Weißkanal: der gemeinsame Weißanteil
+   * (bezogen auf die Farbe der Weiß-LED) wandert in den Weißkanal
+   * @returns {number[]} - [r, g, b, w] kalibriert, RGB in Kanal-Reihenfolge
+   */
+  applyRGBW(deviceId, r, g, b) {
+    const profile = this.getProfile(deviceId);
+    const [rr, rg, rb, w] = ColorCalibration.extractWhite(r, g, b, ColorCalibration.kelvinToRgb(profile.whitePoint));
+    return this.limitPower(deviceId, [...this.calibrate(deviceId, rr, rg, rb), this.calibrateWhite(deviceId, w)]);
+  }
+
+  /**
+   * Farbtemperatur → Warm-/Kaltweiß-Kanal (native CCT-Befehle)
+   * @param {number[]} cctRange - Kelvin der Warm- und Kaltweiß-LEDs
+   * @returns {number[]} - [warm, cold] kalibriert
+   */
+  applyCCT(deviceId, kelvin, cctRange = [2700, 6500]) {
+    const [warm, cold] = ColorCalibration.mixCCT(kelvin, cctRange);
+    return this.limitPower(deviceId, [this.calibrateWhite(deviceId, warm), this.calibrateWhite(deviceId, cold)]);
+  }
+
+  /**
+   * Kalibriert einen Weißkanal (Gamma, Maximal- und Mindest-Helligkeit)
+   */
+  applyWhite(deviceId, value) {
+    return this.limitPower(deviceId, [this.calibrateWhite(deviceId, value)])[0];
+  }
+
+  calibrateWhite(deviceId, value) {
+    const profile = this.getProfile(deviceId);
+    const level = Math.pow(this.toByte(value) / 255, profile.gamma) * 255 * (profile.maxBrightness / 100);
+    const min = profile.minBrightness * 2.55;
+    return Math.round(level > 0 && level < min ? min : level);
+  }
+
+  /**
+   * Gamma → Weißabgleich + Maximal-Helligkeit → Mindest-Helligkeit → Farbreihenfolge
+   */
+  applyInto(profile, tables, r, g, b, out, offset) {
+    let values = [
+      tables.r[this.toByte(r)],
+      tables.g[this.toByte(g)],
+      tables.b[this.toByte(b)]
+    ];
+
+    // Zu dunkle Farben auf die kleinste sichtbare Stufe anheben (Farbton bleibt)
+    const peak = Math.max(values[0], values[1], values[2]);
+    const min = profile.minBrightness * 2.55;
+    if (peak > 0 && peak < min) {
+      values = values.map(v => v * (min / peak));
+    }
+
+    const channels = { R: values[0], G: values[1], B: values[2] };
+    for (let c = 0; c < 3; c++) {
+      out[offset + c] = Math.min(255, Math.round(channels[profile.colorOrder[c]]));
+    }
+  }
+
+  /**
+   * Tabellen pro Kanal: Gamma, Weißabgleich und Maximal-Helligkeit in einem Schritt
+   */
+  getLookupTables(profile) {
+    let tables = this.lookupTables.get(profile);
+    if (tables) return tables;
+
+    const scale = profile.maxBrightness / 100;
+    const build = (factor) => {
+      const table = new Float32Array(256);
+      for (let v = 0; v < 256; v++) {
+        table[v] = Math.min(255, Math.pow(v / 255, profile.gamma) * 255 * factor * scale);
+      }
+      return table;
+    };
+
+    tables = {
+      r: build(profile.whiteBalance.r),
+      g: build(profile.whiteBalance.g),
+      b: build(profile.whiteBalance.b)
+    };
+    this.lookupTables.set(profile, tables);
+    return tables;
+  }
+
+  /**
+   * Leistungsbegrenzung als letzte Stufe (js/power-limiter.js)
+   */
+  limitPower(deviceId, values) {
+    const limiter = window.powerLimiter;
+    return limiter ? limiter.limitColor(deviceId, values) : values;
+  }
+
+  /**
+   * Profil ändert nichts (Pixel-Pfade sparen sich die Kopie)
+   */
+  isIdentity(profile) {
+    return profile.colorOrder === 'RGB' &&
+      profile.gamma === 1 &&
+      profile.whiteBalance.r === 1 && profile.whiteBalance.g === 1 && profile.whiteBalance.b === 1 &&
+      profile.minBrightness === 0 &&
+      profile.maxBrightness === 100;
+  }
+
+  // ===================================================================
+  // FARBTEMPERATUR & WEISSKANAL
+  // ===================================================================
+
+  /**
+   * Farbtemperatur → RGB (Näherung nach Tanner Helland, 1000-40000 K)
+   * @returns {number[]} - [r, g, b]
+   */
+  static kelvinToRgb(kelvin) {
+    const temp = clampCalibrationValue(kelvin, CALIBRATION_CONFIG.KELVIN_RANGE, 6500) / 100;
+    let red, green, blue;
+
+    if (temp <= 66) {
+      red = 255;
+      green = 99.4708025861 * Math.log(temp) - 161.1195681661;
+      blue = temp >= 19 ? 138.5177312231 * Math.log(temp - 10) - 305.0447927307 : 0;
+    } else {
+      red = 329.698727446 * Math.pow(temp - 60, -0.1332047592);
+      green = 288.1221695283 * Math.pow(temp - 60, -0.0755148492);
+      blue = 255;
+    }
+
+    return [red, green, blue].map(v => Math.max(0, Math.min(255, Math.round(v))));
+  }
+
+  /**
+   * Zerlegt eine Farbe in RGB-Rest + Weißkanal
+   * @param {number[]} whiteColor - Farbe der Weiß-LED bei voller Stufe
+   * @returns {number[]} - [r, g, b, w]
+   */
+  static extractWhite(r, g, b, whiteColor = [255, 255, 255]) {
+    const rgb = [r, g, b].map(v => Math.max(0, Math.min(255, v || 0)));
+
+    // Größte Weiß-Stufe, die in keinem Kanal mehr Licht ergibt als gewünscht
+    const level = Math.min(1, ...rgb.map((v, c) => (whiteColor[c] > 0 ? v / whiteColor[c] : 1)));
+
+    return [
+      ...rgb.map((v, c) => Math.max(0, Math.round(v - whiteColor[c] * level))),
+      Math.round(level * 255)
+    ];
+  }
+
+  /**
+   * Farbtemperatur → Anteile Warm-/Kaltweiß (linear in Mired, Summe 255)
+   * @returns {number[]} - [warm, cold]
+   */
+  static mixCCT(kelvin, [warmKelvin, coldKelvin] = [2700, 6500]) {
+    kelvin = Math.max(warmKelvin, Math.min(coldKelvin, kelvin));
+    const t = (1e6 / warmKelvin - 1e6 / kelvin) / (1e6 / warmKelvin - 1e6 / coldKelvin);
+    const cold = Math.round(255 * t);
+    return [255 - cold, cold];
+  }
+
+  // ===================================================================
+  // SPEICHERN & LADEN
+  // ===================================================================
+
+  saveDefaultProfile() {
+    try {
+      localStorage.setItem(CALIBRATION_CONFIG.STORAGE_KEY, JSON.stringify(this.defaultProfile));
+    } catch (error) {
+      console.error('❌ Kalibrierung speichern fehlgeschlagen:', error);
+    }
+  }
+
+  loadDefaultProfile() {
+    try {
+      const saved = localStorage.getItem(CALIBRATION_CONFIG.STORAGE_KEY);
+      if (saved) {
+        this.defaultProfile = this.normalize(JSON.parse(saved));
+        return;
+      }
+
+      // Übernahme älterer Einstellungen (RGB-Kalibrierung in %, Weißabgleich als Faktor)
+      const legacyPercent = JSON.parse(localStorage.getItem('rgbCalibration') || 'null');
+      const legacyFactor = JSON.parse(localStorage.getItem('ledWhiteBalance') || 'null');
+
+      if (legacyPercent) {
+        this.defaultProfile = this.normalize({
+          whiteBalance: { r: legacyPercent.red / 100, g: legacyPercent.green / 100, b: legacyPercent.blue / 100 }
+        });
+      } else if (legacyFactor) {
+        this.defaultProfile = this.normalize({ whiteBalance: legacyFactor });
+      }
+    } catch (error) {
+      console.error('❌ Kalibrierung laden fehlgeschlagen:', error);
+    }
+  }
+
+  // ===================================================================
+  // HILFSFUNKTIONEN
+  // ===================================================================
+
+  getDevice(deviceId) {
+    const manager = window.deviceManager;
+    return deviceId && manager ? manager.getDeviceById(deviceId) : null;
+  }
+
+  toByte(value) {
+    return Math.max(0, Math.min(255, Math.round(value) || 0));
+  }
+
+  dispatchCalibrationEvent(deviceId, profile) {
+    window.dispatchEvent(new CustomEvent('calibration-changed', {
+      detail: { deviceId, profile }
+    }));
+  }
+}
+
+// ===================================================================
+// GLOBALE INSTANZ
+// ===================================================================
+
+window.CALIBRATION_CONFIG = CALIBRATION_CONFIG;
+window.ColorCalibration = ColorCalibration;
+window.colorCalibration = new ColorCalibration();
+
+console.log('✅ Farbkalibrierung global verfügbar als window.colorCalibration');
+
+// ===================================================================
+// EXPORT
+// ===================================================================
+
+// Browser-kompatible Exports
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ColorCalibration;
+}
@@ -7,16 +7,25 @@
  * ===================================================================
  * 
  * Funktionen:
+ * - Ein Geräte-Register für alle Transporte (BLE, WLED HTTP/WebSocket, virtuell)
+ *   mit Fähigkeiten und Pixelanzahl je Gerät
  * - BLE-Geräte scannen und verbinden
+ * - WLED-Controller (WiFi) als Geräte-Typ 'wled'
+ * - Virtuelle Geräte aus mehreren Streifen als Geräte-Typ 'virtual'
  * - Geräte umbenennen
- * - Protokoll pro Gerät speichern
+ * - Protokoll pro Gerät speichern, beim Koppeln automatisch erkennen
  * - Auto-Connect-Einstellungen
- * - Gerätegruppen verwalten
- * - Signalstärke anzeigen
+ * - Gerätegruppen verwalten und steuern (Befehl an Gruppe samt Untergruppen,
+ *   Ergebnis je Gerät, Teilausfälle werden gemeldet)
+ * - Signalstärke aus Advertisements messen (Verlauf, Trend, Warnung bei schwachem Signal),
+ *   Auto-Connect in der Reihenfolge der Signalstärke
  * - Verbindungs-Historie
  * 
  * Abhängigkeiten:
  * - window.ledController (BLE-Controller)
+ * - window.protocolDrivers (Protokoll-Treiber)
+ * - window.WLEDClient (WLED JSON-API)
+ * - window.virtualDevices (virtuelle Geräte, optional)
  * - localStorage (Persistierung)
  * 
  * ===================================================================
@@ -24,6 +33,9 @@
 
 'use strict';
 
+// Browser: window, Node (Tests): globalThis
+const deviceRoot = typeof window !== 'undefined' ? window : globalThis;
+
 // ===================================================================
 // KONFIGURATION
 // ===================================================================
@@ -34,39 +46,37 @@ const DEVICE_CONFIG = {
   HISTORY_KEY: 'device-connection-history',
   GROUPS_KEY: 'device-groups',
   
-  // Protokolle mit Hardware-Commands
-  PROTOCOLS: [
-    { 
-      id: 'ELK_BLEDOM', 
-      name: 'ELK-BLEDOM (Standard)', 
-      description: 'Für ELK-BLEDOM LED-Streifen',
-      commands: {
-        on: [0x7E, 0x00, 0x04, 0x01, 0x00, 0x00, 0x00, 0xEF],
-        off: [0x7E, 0x00, 0x04, 0x00, 0x00, 0x00, 0x00, 0xEF],
-        color: (r, g, b) => [0x7E, 0x00, 0x05, r, g, b, 0x00, 0xEF],
-        brightness: (val) => [0x7E, 0x00, 0x0E, val, 0x00, 0x00, 0x00, 0xEF]
-      }
-    },
-    { 
-      id: 'GENERIC', 
-      name: 'Generic BLE LED', 
-      description: 'Für generische BLE-LED-Controller',
-      commands: {
-        on: [0x01, 0xFF],
-        off: [0x01, 0x00],
-        color: (r, g, b) => [0x02, r, g, b],
-        brightness: (val) => [0x03, val]
-      }
-    }
-  ],
+  // Protokolle kommen aus der Treiber-Registry (js/protocol-drivers.js)
+  get PROTOCOLS() {
+    return deviceRoot.protocolDrivers.getAll();
+  },
   
   // Signalstärke
   RSSI_EXCELLENT: -50,
   RSSI_GOOD: -70,
   RSSI_FAIR: -80,
   RSSI_POOR: -90,
+  RSSI_HISTORY_SIZE: 60,        // Messwerte je Gerät (rollierend, nur im Speicher)
+  RSSI_SMOOTHING_SAMPLES: 5,    // device.rssi = Mittel der letzten Werte
+  RSSI_TREND_DELTA: 3,          // dB Unterschied zwischen älterer und neuerer Hälfte für einen Trend
+  RSSI_WARNING_HYSTERESIS: 5,   // Warnung erst wieder nach Erholung um so viele dB über RSSI_POOR
+  
+  // LEDs pro Gerät, solange nichts konfiguriert ist
+  DEFAULT_LED_COUNT: 60,
+  
+  // LED-Kanäle: RGB, RGB + Weiß, Tunable White (Warm-/Kaltweiß), RGB + Tunable White
+  CHANNELS: ['RGB', 'RGBW', 'CCT', 'RGBCCT'],
+  
+  // Transporte: BLE, WLED per JSON-API (HTTP) bzw. mit Echtzeit-WebSocket, virtuell
+  TRANSPORTS: ['ble', 'wled-http', 'wled-ws', 'virtual'],
   
-  // Auto-Reconnect
+  // Fähigkeiten im Register (device.capabilities)
+  CAPABILITIES: ['rgb', 'rgbw', 'cct', 'pixels', 'effects', 'music'],
+  
+  // Protokollerkennung: Dauer eines Blink-Schritts beim Sichttest
+  PROBE_BLINK_MS: 400,
+  
+  // Auto-Reconnect (Abbruchschwelle des BLE-Supervisors)
   RECONNECT_TIMEOUT: 5000,
   MAX_RECONNECT_ATTEMPTS: 3
 };
@@ -79,14 +89,29 @@ const DEVICE_CONFIG = {
  * Device-Objekt:
  * {
  *   id: string,              // Eindeutige ID (MAC oder UUID)
+ *   type: string,            // 'ble' (Standard), 'wled' oder 'virtual'
+ *   transport: string,       // Aus DEVICE_CONFIG.TRANSPORTS (WLED: 'wled-ws' oder 'wled-http')
+ *   capabilities: Object,    // { rgb, rgbw, cct, pixels, effects, music } (abgeleitet, siehe describeDevice)
+ *   pixelCount: number,      // Pixel des Geräts (abgeleitet, = getLedCount)
  *   name: string,            // Benutzerdefinierter Name
  *   originalName: string,    // Original-Gerätename
  *   mac: string,             // MAC-Adresse
- *   protocol: string,        // 'ELK_BLEDOM' oder 'GENERIC'
+ *   protocol: string,        // Treiber-ID, z.B. 'ELK_BLEDOM' oder 'GENERIC' ('WLED' bei WLED)
+ *   protocolDetection: Object, // Nur BLE: { method, confirmed, candidates, services, notify, detectedAt } (siehe detectProtocol)
+ *   ip: string,              // Nur WLED: IP-Adresse oder Hostname
+ *   wled: Object,            // Nur WLED: { ledCount, rgbw, maxSegments, version, ... }
+ *   members: Object[],       // Nur virtuell: [{ deviceId, count, offset, reverse, latency }] (siehe js/virtual-devices.js)
+ *   ledCount: number,        // Anzahl LEDs (optional, sonst WLED-Info bzw. DEFAULT_LED_COUNT)
+ *   layout: Object,          // Pixel-Anordnung { segments } (optional, siehe js/led-layout.js)
+ *   calibration: Object,     // Kalibrierungsprofil (optional, siehe js/color-calibration.js)
+ *   channels: string,        // LED-Kanäle aus DEVICE_CONFIG.CHANNELS (optional, sonst erkannt bzw. 'RGB')
+ *   powerBudget: Object,     // Netzteil { volts, amps } (optional, siehe js/power-limiter.js)
+ *   lastSeen: number,        // Nur WLED: zuletzt im Netzwerk gefunden
  *   autoConnect: boolean,    // Auto-Connect aktiviert?
  *   group: string,           // Gruppen-ID
  *   favorite: boolean,       // Favorit?
- *   rssi: number,            // Signalstärke
+ *   rssi: number,            // Signalstärke in dBm (geglättet, siehe recordRSSI)
+ *   needsPairing: boolean,   // Nur BLE: Browser-Freigabe fehlt, Auswahldialog zum Neu-Koppeln nötig
  *   lastConnected: number,   // Letzter Connect-Timestamp
  *   connectionCount: number, // Anzahl Verbindungen
  *   notes: string,           // Notizen
@@ -107,6 +132,16 @@ class DeviceManager {
     this.currentDevice = null;
     this.isScanning = false;
     
+    // WLED-Clients pro Geräte-ID
+    this.wledClients = new Map();
+    
+    // Layout-Konfiguration → LEDLayout (wird bei Änderung neu erstellt)
+    this.layouts = new WeakMap();
+    
+    // Geräte-ID → [{ rssi, time }] aus Advertisements; IDs mit gemeldetem schwachem Signal
+    this.rssiHistory = new Map();
+    this.weakSignals = new Set();
+    
     this.init();
   }
 
@@ -127,10 +162,11 @@ class DeviceManager {
   // ===================================================================
 
   /**
-   * Scannt nach BLE-Geräten
+   * Scannt nach BLE-Geräten (neue Geräte: Protokoll erkennen, siehe detectProtocol)
+   * @param {Object} options - { probe, confirm } für detectProtocol
    */
-  async scanForDevices() {
-    if (!window.ledController) {
+  async scanForDevices(options = {}) {
+    if (!deviceRoot.ledController) {
       throw new Error('BLE-Controller nicht verfügbar');
     }
 
@@ -143,12 +179,12 @@ class DeviceManager {
       
       console.log('🔍 Scanne nach BLE-Geräten...');
       
-      if (window.showGlobalNotification) {
-        window.showGlobalNotification('Suche nach Geräten...', 'info', 3000);
+      if (deviceRoot.showGlobalNotification) {
+        deviceRoot.showGlobalNotification('Suche nach Geräten...', 'info', 3000);
       }
 
       // BLE-Scan durchführen
-      const device = await window.ledController.scan();
+      const device = await deviceRoot.ledController.scan();
       
       if (device) {
         // Prüfen ob Gerät bereits bekannt
@@ -157,19 +193,22 @@ class DeviceManager {
         if (existingDevice) {
           console.log('✅ Bekanntes Gerät gefunden:', existingDevice.name);
           
-          if (window.showGlobalNotification) {
-            window.showGlobalNotification(`Gerät gefunden: ${existingDevice.name}`, 'success');
+          if (deviceRoot.showGlobalNotification) {
+            deviceRoot.showGlobalNotification(`Gerät gefunden: ${existingDevice.name}`, 'success');
           }
           
           return existingDevice;
         } else {
-          // Neues Gerät
+          // Neues Gerät - Protokoll am Namen erkennen
+          const matchedDriver = deviceRoot.protocolDrivers.matchByName(device.name);
           const newDevice = {
             id: device.id,
+            type: 'ble',
             name: device.name,
             originalName: device.name,
             mac: device.id,
-            protocol: 'ELK_BLEDOM', // Standard
+            protocol: matchedDriver ? matchedDriver.id : 'ELK_BLEDOM', // Standard
+            transport: 'ble',
             autoConnect: false,
             group: null,
             favorite: false,
@@ -183,10 +222,16 @@ class DeviceManager {
           
           this.addDevice(newDevice);
           
+          try {
+            await this.detectProtocol(newDevice.id, options);
+          } catch (error) {
+            console.warn(`⚠️ Protokollerkennung für ${newDevice.name} fehlgeschlagen:`, error.message);
+          }
+          
           console.log('✅ Neues Gerät hinzugefügt:', newDevice.name);
           
-          if (window.showGlobalNotification) {
-            window.showGlobalNotification(`Neues Gerät: ${newDevice.name}`, 'success');
+          if (deviceRoot.showGlobalNotification) {
+            deviceRoot.showGlobalNotification(`Neues Gerät: ${newDevice.name}`, 'success');
           }
           
           return newDevice;
@@ -196,11 +241,11 @@ class DeviceManager {
     } catch (error) {
       console.error('❌ Scan fehlgeschlagen:', error);
       
-      if (window.showGlobalNotification) {
+      if (deviceRoot.showGlobalNotification) {
         if (error.name === 'NotFoundError') {
-          window.showGlobalNotification('Keine Geräte gefunden oder Auswahl abgebrochen', 'warning');
+          deviceRoot.showGlobalNotification('Keine Geräte gefunden oder Auswahl abgebrochen', 'warning');
         } else {
-          window.showGlobalNotification('Scan fehlgeschlagen', 'error');
+          deviceRoot.showGlobalNotification('Scan fehlgeschlagen', 'error');
         }
       }
       
@@ -220,15 +265,19 @@ class DeviceManager {
       throw new Error('Gerät nicht gefunden');
     }
 
-    if (!window.ledController) {
+    if (device.type === 'virtual') {
+      throw new Error('Virtuelle Geräte werden über ihre Streifen verbunden');
+    }
+
+    if (device.type !== 'wled' && !deviceRoot.ledController) {
       throw new Error('BLE-Controller nicht verfügbar');
     }
 
     try {
       console.log('🔗 Verbinde mit', device.name);
       
-      if (window.showGlobalNotification) {
-        window.showGlobalNotification(`Verbinde mit ${device.name}...`, 'info', 2000);
+      if (deviceRoot.showGlobalNotification) {
+        deviceRoot.showGlobalNotification(`Verbinde mit ${device.name}...`, 'info', 2000);
       }
 
       // Protokoll verwenden (falls angegeben, sonst gespeichertes)
@@ -237,17 +286,20 @@ class DeviceManager {
       // ✅ ECHTE HARDWARE-VERBINDUNG MIT BLUETOOTH
       let success = false;
       
+      // WLED über WiFi
+      if (device.type === 'wled') {
+        success = await this.connectWLEDDevice(device);
+      }
+      
       // Versuche direkte BLE-Verbindung
-      if (navigator.bluetooth) {
+      else if (navigator.bluetooth) {
         try {
-          const bleDevice = await navigator.bluetooth.requestDevice({
-            filters: [{ name: device.name }],
-            optionalServices: ['0000ffe0-0000-1000-8000-00805f9b34fb']
-          });
+          const driver = deviceRoot.protocolDrivers.resolve(useProtocol);
+          const bleDevice = await this.acquireBLEDevice(device);
           
           const server = await bleDevice.gatt.connect();
-          const service = await server.getPrimaryService('0000ffe0-0000-1000-8000-00805f9b34fb');
-          const characteristic = await service.getCharacteristic('0000ffe1-0000-1000-8000-00805f9b34fb');
+          const service = await server.getPrimaryService(driver.service);
+          const characteristic = await service.getCharacteristic(driver.characteristics.write);
           
           // Speichere Hardware-Verbindung
           device.hardwareConnection = {
@@ -259,10 +311,9 @@ class DeviceManager {
           };
           
           // ✅ SENDE TEST-BEFEHL AN HARDWARE
-          const protocol = DEVICE_CONFIG.PROTOCOLS.find(p => p.id === useProtocol);
-          if (protocol && protocol.commands.on) {
-            const cmd = new Uint8Array(protocol.commands.on);
-            await characteristic.writeValue(cmd);
+          const powerOn = deviceRoot.protocolDrivers.encode(useProtocol, 'POWER_ON');
+          if (powerOn) {
+            await characteristic.writeValue(new Uint8Array(powerOn));
           }
           
           success = true;
@@ -272,14 +323,15 @@ class DeviceManager {
       }
       
       // Fallback auf alten Controller
-      if (!success && window.ledController) {
-        success = await window.ledController.connect(device.id, useProtocol);
+      if (!success && device.type !== 'wled' && deviceRoot.ledController) {
+        success = await deviceRoot.ledController.connect(device.id, useProtocol);
       }
 
       if (success) {
         // Device-Info aktualisieren
         device.lastConnected = Date.now();
         device.connectionCount++;
+        device.needsPairing = false;
         device.updatedAt = Date.now();
         
         this.currentDevice = device;
@@ -290,8 +342,8 @@ class DeviceManager {
 
         console.log('✅ Verbunden mit', device.name);
         
-        if (window.showGlobalNotification) {
-          window.showGlobalNotification(`Verbunden mit ${device.name}`, 'success');
+        if (deviceRoot.showGlobalNotification) {
+          deviceRoot.showGlobalNotification(`Verbunden mit ${device.name}`, 'success');
         }
         
         // Event dispatchen
@@ -305,8 +357,8 @@ class DeviceManager {
     } catch (error) {
       console.error('❌ Verbindung fehlgeschlagen:', error);
       
-      if (window.showGlobalNotification) {
-        window.showGlobalNotification(`Verbindung zu ${device.name} fehlgeschlagen`, 'error');
+      if (deviceRoot.showGlobalNotification) {
+        deviceRoot.showGlobalNotification(`Verbindung zu ${device.name} fehlgeschlagen`, 'error');
       }
       
       this.addToHistory(device, 'failed');
@@ -315,43 +367,225 @@ class DeviceManager {
     }
   }
 
+  /**
+   * BLE-Gerät ohne Auswahldialog wiederfinden (js/ble-controller-pro.js, reacquire),
+   * sonst neu koppeln: Auswahldialog mit dem Originalnamen (braucht Nutzer-Geste)
+   */
+  async acquireBLEDevice(device) {
+    const controller = deviceRoot.ledController;
+    const permitted = controller && controller.reacquire ? await controller.reacquire(device.id) : null;
+    if (permitted) return permitted;
+
+    const bleDevice = await navigator.bluetooth.requestDevice({
+      filters: [{ name: device.originalName || device.name }],
+      optionalServices: deviceRoot.protocolDrivers.getOptionalServices()
+    });
+
+    // Ab jetzt wieder ohne Dialog erreichbar
+    if (controller) {
+      controller.knownDevices.set(bleDevice.id, bleDevice);
+    }
+    return bleDevice;
+  }
+
+  // ===================================================================
+  // PROTOKOLLERKENNUNG
+  // ===================================================================
+
+  /**
+   * Erkennt das Protokoll eines BLE-Geräts und speichert es mit den Fähigkeiten
+   * 1. GATT-Services und Characteristics auslesen
+   * 2. Mit den Service-Signaturen der Treiber vergleichen (protocolDrivers.matchByServices)
+   * 3. Optional Sichttest: Kandidat lässt das Gerät kurz blinken, Nutzer bestätigt
+   * Ohne passende Signatur bleibt die Erkennung am Namen bzw. das bisherige Protokoll.
+   * @param {string} deviceId
+   * @param {Object} options - { probe: true, confirm: async (driver, device) → boolean }
+   *                           (Sichttest nur mit confirm)
+   * @returns {Promise<Object>} - { protocol, method, confirmed, candidates, services, notify, detectedAt }
+   */
+  async detectProtocol(deviceId, options = {}) {
+    const device = this.getDeviceById(deviceId);
+
+    if (!device) {
+      throw new Error('Gerät nicht gefunden');
+    }
+    if ((device.type || 'ble') !== 'ble') {
+      throw new Error(`${device.name} hat kein BLE-Protokoll`);
+    }
+
+    const bleDevice = await this.acquireBLEDevice(device);
+    const wasConnected = bleDevice.gatt.connected;
+    const server = wasConnected ? bleDevice.gatt : await bleDevice.gatt.connect();
+
+    try {
+      const profile = await this.readGattProfile(server);
+      const candidates = deviceRoot.protocolDrivers.matchByServices(profile, bleDevice.name || device.originalName);
+      const nameMatch = deviceRoot.protocolDrivers.matchByName(bleDevice.name || device.originalName);
+
+      let driver = candidates.length ? candidates[0].driver : nameMatch;
+      let method = candidates.length ? 'services' : nameMatch ? 'name' : 'none';
+      let confirmed = false;
+
+      // Sichttest: Kandidaten der Reihe nach, bis der Nutzer das Blinken bestätigt
+      if (options.probe !== false && typeof options.confirm === 'function') {
+        for (const candidate of candidates) {
+          if (!await this.probeProtocol(server, candidate.driver)) continue;
+
+          if (await options.confirm(candidate.driver, device)) {
+            driver = candidate.driver;
+            method = 'probe';
+            confirmed = true;
+            break;
+          }
+        }
+      }
+
+      const protocol = driver ? driver.id : (device.protocol || deviceRoot.protocolDrivers.defaultId);
+      const resolved = deviceRoot.protocolDrivers.resolve(protocol);
+      const notifyService = resolved.notifyService || resolved.service;
+      const detection = {
+        method,
+        confirmed,
+        candidates: candidates.map(candidate => candidate.driver.id),
+        services: Object.keys(profile),
+        notify: !!(resolved.characteristics.notify && profile[notifyService] &&
+                   profile[notifyService].includes(resolved.characteristics.notify)),
+        detectedAt: Date.now()
+      };
+
+      // Fähigkeiten folgen dem Treiber (describeDevice beim Speichern)
+      this.updateDevice(device.id, { protocol, protocolDetection: detection });
+
+      console.log(`🔎 Protokoll erkannt: ${device.name} → ${protocol} (${method}${confirmed ? ', bestätigt' : ''})`);
+      return { protocol, ...detection };
+    } finally {
+      // Nur eigene Verbindung trennen - eine laufende Verbindung des Controllers bleibt
+      if (!wasConnected && bleDevice.gatt.connected) {
+        bleDevice.gatt.disconnect();
+      }
+    }
+  }
+
+  /**
+   * Liest alle Primary Services mit ihren Characteristics
+   * @returns {Promise<Object>} - { serviceUUID: [characteristicUUID, ...] }
+   */
+  async readGattProfile(server) {
+    const profile = {};
+    const services = await server.getPrimaryServices();
+
+    for (const service of services) {
+      try {
+        const characteristics = await service.getCharacteristics();
+        profile[service.uuid.toLowerCase()] = characteristics.map(c => c.uuid.toLowerCase());
+      } catch (error) {
+        // Service ohne lesbare Characteristics (z.B. gesperrt) - trotzdem aufführen
+        profile[service.uuid.toLowerCase()] = [];
+      }
+    }
+
+    return profile;
+  }
+
+  /**
+   * Sichttest: an - aus - an mit den Befehlen des Treibers (kein Farbwechsel)
+   * @returns {Promise<boolean>} - false, wenn der Treiber nicht schreiben konnte
+   */
+  async probeProtocol(server, driver) {
+    const pause = () => new Promise(resolve => setTimeout(resolve, DEVICE_CONFIG.PROBE_BLINK_MS));
+
+    if (!driver.capabilities.power) {
+      return false;
+    }
+
+    try {
+      const service = await server.getPrimaryService(driver.service);
+      const characteristic = await service.getCharacteristic(driver.characteristics.write);
+      const on = new Uint8Array(deviceRoot.protocolDrivers.encode(driver.id, 'POWER_ON'));
+      const off = new Uint8Array(deviceRoot.protocolDrivers.encode(driver.id, 'POWER_OFF'));
+
+      await characteristic.writeValue(on);
+      await pause();
+      await characteristic.writeValue(off);
+      await pause();
+      await characteristic.writeValue(on);
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Sichttest mit ${driver.name} fehlgeschlagen:`, error.message);
+      return false;
+    }
+  }
+
   /**
    * ✅ HARDWARE-BEFEHLE SENDEN
    */
   async sendHardwareCommand(command, data = null) {
-    if (!this.currentDevice || !this.currentDevice.hardwareConnection) {
+    return this.sendDeviceCommand(this.currentDevice, command, data);
+  }
+  
+  /**
+   * Befehl an ein bestimmtes Gerät: virtuell, WLED, BLE direkt (connectToDevice)
+   * oder BLE über den Controller-Pool
+   * @param {string} command - 'color', 'brightness', 'effect', 'on', 'off'
+   * @param {Object} data - { r, g, b } | { value } (0-255) | { effectId }
+   */
+  async sendDeviceCommand(device, command, data = null) {
+    if (device && device.type === 'virtual') {
+      return deviceRoot.virtualDevices.sendCommand(device.id, command, data);
+    }
+    
+    if (device && device.type === 'wled') {
+      return this.sendWLEDCommand(device, command, data);
+    }
+    
+    if (device && !device.hardwareConnection) {
+      return this.sendControllerCommand(device, command, data);
+    }
+    
+    if (!device) {
       throw new Error('Keine Hardware-Verbindung');
     }
     
-    const { characteristic, protocol } = this.currentDevice.hardwareConnection;
-    const protocolConfig = DEVICE_CONFIG.PROTOCOLS.find(p => p.id === protocol);
+    const { characteristic, protocol } = device.hardwareConnection;
     
-    if (!protocolConfig) {
+    if (!deviceRoot.protocolDrivers.has(protocol)) {
       throw new Error('Protokoll nicht gefunden');
     }
     
-    let cmd;
+    const calibration = deviceRoot.colorCalibration;
+    const deviceId = device.id;
+    
+    let bytes = null;
     switch (command) {
       case 'color':
         if (data && data.r !== undefined && data.g !== undefined && data.b !== undefined) {
-          cmd = new Uint8Array(protocolConfig.commands.color(data.r, data.g, data.b));
+          const [r, g, b] = calibration ? calibration.apply(deviceId, data.r, data.g, data.b) : [data.r, data.g, data.b];
+          bytes = deviceRoot.protocolDrivers.encode(protocol, 'COLOR', r, g, b);
         }
         break;
       case 'brightness':
         if (data && data.value !== undefined) {
-          cmd = new Uint8Array(protocolConfig.commands.brightness(data.value));
+          const value = calibration ? calibration.applyBrightness(deviceId, data.value) : data.value;
+          bytes = deviceRoot.protocolDrivers.encode(protocol, 'BRIGHTNESS', value);
+        }
+        break;
+      case 'effect':
+        if (data && data.effectId !== undefined) {
+          bytes = deviceRoot.protocolDrivers.encode(protocol, 'EFFECT', data.effectId);
         }
         break;
       case 'on':
-        cmd = new Uint8Array(protocolConfig.commands.on);
+        bytes = deviceRoot.protocolDrivers.encode(protocol, 'POWER_ON');
         break;
       case 'off':
-        cmd = new Uint8Array(protocolConfig.commands.off);
+        bytes = deviceRoot.protocolDrivers.encode(protocol, 'POWER_OFF');
         break;
       default:
         throw new Error('Unbekannter Befehl: ' + command);
     }
     
+    const cmd = bytes ? new Uint8Array(bytes) : null;
+    
     if (cmd) {
       await characteristic.writeValue(cmd);
       console.log(`✅ Hardware-Befehl gesendet: ${command}`, data);
@@ -361,20 +595,85 @@ class DeviceManager {
     return false;
   }
   
+  /**
+   * BLE-Gerät im Pool des Controllers (kalibriert und begrenzt selbst)
+   */
+  async sendControllerCommand(device, command, data) {
+    const controller = deviceRoot.ledController;
+    if (!controller || !controller.getConnection(device.id)) {
+      throw new Error(`${device.name} ist nicht verbunden`);
+    }
+    
+    switch (command) {
+      case 'color':
+        return controller.sendToTargets(device.id, 'COLOR', data.r, data.g, data.b);
+      case 'brightness':
+        return controller.sendToTargets(device.id, 'BRIGHTNESS', data.value);
+      case 'effect':
+        return controller.sendToTargets(device.id, 'EFFECT', data.effectId);
+      case 'on':
+        return controller.sendToTargets(device.id, 'POWER_ON');
+      case 'off':
+        return controller.sendToTargets(device.id, 'POWER_OFF');
+      default:
+        throw new Error('Unbekannter Befehl: ' + command);
+    }
+  }
+  
   /**
    * ✅ FARBE AN HARDWARE SENDEN
+   * @param {Object} options - { duration (ms), easing } (ohne Angabe: Standard-Übergang, siehe js/transition-engine.js)
    */
-  async setDeviceColor(r, g, b) {
+  async setDeviceColor(r, g, b, options = {}) {
+    if (this.useTransition(options)) {
+      return deviceRoot.transitionEngine.transition(this.currentDevice.id, { color: [r, g, b] }, this.transitionOptions(options));
+    }
+    
+    this.rememberState({ color: [r, g, b] });
     return this.sendHardwareCommand('color', { r, g, b });
   }
   
   /**
-   * ✅ HELLIGKEIT AN HARDWARE SENDEN
+   * ✅ HELLIGKEIT AN HARDWARE SENDEN (0-255)
+   * @param {Object} options - { duration (ms), easing }
    */
-  async setDeviceBrightness(value) {
+  async setDeviceBrightness(value, options = {}) {
+    if (this.useTransition(options)) {
+      return deviceRoot.transitionEngine.transition(this.currentDevice.id, { brightness: value / 2.55 }, this.transitionOptions(options));
+    }
+    
+    this.rememberState({ brightness: value / 2.55 });
     return this.sendHardwareCommand('brightness', { value });
   }
   
+  /**
+   * Übergang statt Sprung? (Dauer aus options oder Standard der Transition-Engine)
+   */
+  useTransition(options) {
+    const transitions = deviceRoot.transitionEngine;
+    if (!transitions || !this.currentDevice) return false;
+    
+    const duration = options.duration !== undefined ? options.duration : transitions.getDefaults().duration;
+    return duration > 0;
+  }
+  
+  /**
+   * Übergang über sendHardwareCommand (auch direkte BLE-Verbindungen ohne Controller)
+   */
+  transitionOptions(options) {
+    return { ...options, send: (command, data) => this.sendHardwareCommand(command, data) };
+  }
+  
+  /**
+   * Gesendeten Zustand merken (Startwert für spätere Übergänge)
+   */
+  rememberState(state) {
+    if (deviceRoot.transitionEngine && this.currentDevice) {
+      deviceRoot.transitionEngine.cancel(this.currentDevice.id);
+      deviceRoot.transitionEngine.setState(this.currentDevice.id, state);
+    }
+  }
+  
   /**
    * ✅ GERÄT EIN/AUSSCHALTEN
    */
@@ -382,14 +681,193 @@ class DeviceManager {
     return this.sendHardwareCommand(on ? 'on' : 'off');
   }
   
+  /**
+   * ✅ EFFEKT AN HARDWARE SENDEN (App-Effekt-ID 1-32)
+   */
+  async setDeviceEffect(effectId) {
+    return this.sendHardwareCommand('effect', { effectId });
+  }
+  
+  // ===================================================================
+  // WLED-GERÄTE
+  // ===================================================================
+  
+  /**
+   * Fügt WLED-Controller hinzu (prüft vorher /json/info)
+   * @param {string} host - IP-Adresse oder Hostname
+   * @param {Object} info - Bereits gelesenes /json/info (z.B. aus der WLED-Suche)
+   * @returns {Promise<Object>} - Geräte-Objekt
+   */
+  async addWLEDDevice(host, info = null) {
+    info = info || await deviceRoot.WLEDClient.probe(host, 3000);
+    
+    if (!info) {
+      throw new Error(`Kein WLED-Controller unter ${host} gefunden`);
+    }
+    
+    const id = 'wled_' + (info.mac || host);
+    const existingDevice = this.getDeviceById(id);
+    
+    // Gleiche Optionen wie getWLEDClient (deviceId wählt Kalibrierung und Leistungsbegrenzung)
+    const websocket = existingDevice
+      ? existingDevice.transport !== 'wled-http'
+      : !(info.ws !== undefined && info.ws < 0);
+    const client = new deviceRoot.WLEDClient(host, { deviceId: id, websocket });
+    client.info = info;
+    
+    if (existingDevice) {
+      // IP kann sich per DHCP geändert haben
+      this.wledClients.set(id, client);
+      this.updateDevice(id, { ip: host, wled: client.getCapabilities(), lastSeen: Date.now() });
+      return existingDevice;
+    }
+    
+    const newDevice = {
+      id: id,
+      type: 'wled',
+      name: info.name,
+      originalName: info.name,
+      mac: info.mac || null,
+      ip: host,
+      protocol: 'WLED',
+      transport: websocket ? 'wled-ws' : 'wled-http',
+      wled: client.getCapabilities(),
+      lastSeen: Date.now(),
+      autoConnect: false,
+      group: null,
+      favorite: false,
+      rssi: info.wifi ? info.wifi.rssi : null,
+      lastConnected: null,
+      connectionCount: 0,
+      notes: '',
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    
+    this.wledClients.set(id, client);
+    this.addDevice(newDevice);
+    
+    console.log(`✅ WLED-Gerät hinzugefügt: ${newDevice.name} (${host})`);
+    
+    return newDevice;
+  }
+  
+  /**
+   * Sucht WLED-Controller im Netzwerk (siehe js/wled-discovery.js)
+   * Gefundene Controller werden automatisch als Geräte gespeichert.
+   */
+  async scanForWLEDDevices(options = {}) {
+    if (!deviceRoot.wledDiscovery) {
+      throw new Error('WLED-Suche nicht verfügbar');
+    }
+    
+    const devices = await deviceRoot.wledDiscovery.discover(options);
+    this.dispatchEvent('wled-scan-complete', devices);
+    return devices;
+  }
+  
+  /**
+   * Gibt WLED-Client für Gerät zurück
+   */
+  getWLEDClient(deviceId) {
+    const device = this.getDeviceById(deviceId);
+    
+    if (!device || device.type !== 'wled') {
+      return null;
+    }
+    
+    const websocket = device.transport !== 'wled-http';
+    let client = this.wledClients.get(deviceId);
+    if (!client || client.host !== device.ip || client.websocket !== websocket || client.deviceId !== deviceId) {
+      if (client && client.realtime) {
+        client.realtime.close();
+      }
+      client = new deviceRoot.WLEDClient(device.ip, { deviceId, websocket });
+      this.wledClients.set(deviceId, client);
+    }
+    
+    return client;
+  }
+  
+  /**
+   * Verbindet WLED-Gerät (liest Status und Info)
+   */
+  async connectWLEDDevice(device) {
+    const client = this.getWLEDClient(device.id);
+    const { state } = await client.refresh();
+    
+    device.wled = client.getCapabilities();
+    
+    // ✅ KOMPATIBILITÄT: Szenen, Musik und Universal-Funktionen nutzen window.wledDevice
+    deviceRoot.wledDevice = {
+      ip: device.ip,
+      connected: true,
+      state: state,
+      client: client,
+      deviceId: device.id
+    };
+    
+    return true;
+  }
+  
+  /**
+   * Sendet Befehl an WLED-Gerät
+   */
+  async sendWLEDCommand(device, command, data = null) {
+    const client = this.getWLEDClient(device.id);
+    
+    switch (command) {
+      case 'color':
+        await client.setColor(data.r, data.g, data.b);
+        break;
+      case 'brightness':
+        // Wie BLE: Wert 0-255
+        await client.setState({ on: data.value > 0, bri: client.calibrateBrightness(data.value) });
+        break;
+      case 'effect':
+        await client.setEffect(data.effectId);
+        break;
+      case 'on':
+        await client.setPower(true);
+        break;
+      case 'off':
+        await client.setPower(false);
+        break;
+      default:
+        throw new Error('Unbekannter Befehl: ' + command);
+    }
+    
+    if (deviceRoot.wledDevice && deviceRoot.wledDevice.deviceId === device.id) {
+      deviceRoot.wledDevice.state = client.state;
+    }
+    
+    console.log(`✅ WLED-Befehl gesendet: ${command}`, data);
+    return true;
+  }
+  
   /**
    * Trennt Verbindung
    */
   async disconnectDevice() {
-    if (!window.ledController) return;
+    if (this.currentDevice && this.currentDevice.type === 'wled') {
+      // WLED: nur Echtzeit-Socket schließen und abmelden
+      const client = this.wledClients.get(this.currentDevice.id);
+      if (client && client.realtime) {
+        client.realtime.close();
+      }
+      if (deviceRoot.wledDevice && deviceRoot.wledDevice.deviceId === this.currentDevice.id) {
+        deviceRoot.wledDevice = null;
+      }
+      this.addToHistory(this.currentDevice, 'disconnected');
+      this.currentDevice = null;
+      this.dispatchEvent('device-disconnected');
+      return;
+    }
+    
+    if (!deviceRoot.ledController) return;
 
     try {
-      window.ledController.disconnect();
+      deviceRoot.ledController.disconnect();
       
       if (this.currentDevice) {
         this.addToHistory(this.currentDevice, 'disconnected');
@@ -399,8 +877,8 @@ class DeviceManager {
 
       console.log('🔌 Gerät getrennt');
       
-      if (window.showGlobalNotification) {
-        window.showGlobalNotification('Gerät getrennt', 'info');
+      if (deviceRoot.showGlobalNotification) {
+        deviceRoot.showGlobalNotification('Gerät getrennt', 'info');
       }
       
       // Event dispatchen
@@ -485,8 +963,8 @@ class DeviceManager {
 
     console.log(`✅ Gerät umbenannt: ${oldName} → ${device.name}`);
     
-    if (window.showGlobalNotification) {
-      window.showGlobalNotification(`Gerät umbenannt: ${device.name}`, 'success');
+    if (deviceRoot.showGlobalNotification) {
+      deviceRoot.showGlobalNotification(`Gerät umbenannt: ${device.name}`, 'success');
     }
     
     // Event dispatchen
@@ -499,9 +977,7 @@ class DeviceManager {
    * Setzt Protokoll für Gerät
    */
   setDeviceProtocol(deviceId, protocol) {
-    const validProtocols = DEVICE_CONFIG.PROTOCOLS.map(p => p.id);
-    
-    if (!validProtocols.includes(protocol)) {
+    if (!deviceRoot.protocolDrivers.has(protocol)) {
       throw new Error('Ungültiges Protokoll');
     }
 
@@ -511,6 +987,10 @@ class DeviceManager {
       throw new Error('Gerät nicht gefunden');
     }
 
+    if (device.type === 'wled') {
+      throw new Error('WLED-Geräte haben kein BLE-Protokoll');
+    }
+
     device.protocol = protocol;
     device.updatedAt = Date.now();
     
@@ -518,14 +998,186 @@ class DeviceManager {
 
     console.log(`✅ Protokoll gesetzt: ${device.name} → ${protocol}`);
     
-    if (window.showGlobalNotification) {
-      const protocolName = DEVICE_CONFIG.PROTOCOLS.find(p => p.id === protocol)?.name;
-      window.showGlobalNotification(`Protokoll gesetzt: ${protocolName}`, 'success');
+    if (deviceRoot.showGlobalNotification) {
+      const protocolName = deviceRoot.protocolDrivers.get(protocol).name;
+      deviceRoot.showGlobalNotification(`Protokoll gesetzt: ${protocolName}`, 'success');
     }
     
     return true;
   }
 
+  /**
+   * Setzt Anzahl LEDs für Gerät (Framebuffer-Größe)
+   */
+  setLedCount(deviceId, count) {
+    count = parseInt(count);
+
+    if (!Number.isInteger(count) || count < 1 || count > 65535) {
+      throw new Error('Ungültige LED-Anzahl');
+    }
+
+    return this.updateDevice(deviceId, { ledCount: count });
+  }
+
+  /**
+   * Anzahl LEDs: virtuell Summe der Streifen, sonst konfiguriert > WLED-Info > Standard
+   */
+  getLedCount(deviceId) {
+    const device = this.getDeviceById(deviceId);
+
+    if (device && device.type === 'virtual' && deviceRoot.virtualDevices) {
+      return deviceRoot.virtualDevices.getLedCount(deviceId) || DEVICE_CONFIG.DEFAULT_LED_COUNT;
+    }
+    if (device && device.ledCount) return device.ledCount;
+    if (device && device.wled && device.wled.ledCount) return device.wled.ledCount;
+    return DEVICE_CONFIG.DEFAULT_LED_COUNT;
+  }
+
+  /**
+   * Setzt das Layout des Geräts (js/led-layout.js), die LED-Anzahl folgt dem Layout
+   * @param {Object|null} layout - { segments: [...] }, null = gerader Streifen
+   */
+  setLayout(deviceId, layout) {
+    if (!layout) {
+      return this.updateDevice(deviceId, { layout: null });
+    }
+
+    const instance = new deviceRoot.LEDLayout(layout);
+    if (instance.count < 1) {
+      throw new Error('Layout ohne Pixel');
+    }
+
+    return this.updateDevice(deviceId, { layout: instance.config, ledCount: instance.count });
+  }
+
+  /**
+   * Layout des Geräts (ohne Konfiguration: gerader Streifen mit getLedCount Pixeln)
+   * @returns {LEDLayout|null} - null, wenn js/led-layout.js nicht geladen ist
+   */
+  getLayout(deviceId) {
+    if (!deviceRoot.LEDLayout) return null;
+
+    const device = this.getDeviceById(deviceId);
+    if (!device || !device.layout) {
+      return deviceRoot.LEDLayout.strip(this.getLedCount(deviceId));
+    }
+
+    let layout = this.layouts.get(device.layout);
+    if (!layout) {
+      layout = new deviceRoot.LEDLayout(device.layout);
+      this.layouts.set(device.layout, layout);
+    }
+    return layout;
+  }
+
+  /**
+   * Setzt die LED-Kanäle des Geräts (RGB, RGBW, CCT, RGBCCT)
+   */
+  setChannels(deviceId, channels) {
+    if (!DEVICE_CONFIG.CHANNELS.includes(channels)) {
+      throw new Error('Ungültige Kanal-Konfiguration');
+    }
+
+    return this.updateDevice(deviceId, { channels });
+  }
+
+  /**
+   * LED-Kanäle: konfiguriert > erkannt (WLED-Info bzw. BLE-Status) > RGB
+   */
+  getChannels(deviceId) {
+    const device = this.getDeviceById(deviceId);
+
+    if (device && device.channels) return device.channels;
+    if (device && device.wled) {
+      if (device.wled.rgbw && device.wled.cct) return 'RGBCCT';
+      if (device.wled.rgbw) return 'RGBW';
+      if (device.wled.cct) return 'CCT';
+    }
+
+    const controller = deviceRoot.ledController;
+    const state = controller && controller.getDeviceState ? controller.getDeviceState(deviceId) : null;
+    return state && state.channels ? state.channels : 'RGB';
+  }
+
+  /**
+   * Setzt den Transport eines WLED-Geräts ('wled-http' = ohne Echtzeit-WebSocket)
+   */
+  setTransport(deviceId, transport) {
+    const device = this.getDeviceById(deviceId);
+
+    if (!device) {
+      throw new Error('Gerät nicht gefunden');
+    }
+    if (device.type !== 'wled' || !['wled-http', 'wled-ws'].includes(transport)) {
+      throw new Error(`Transport ${transport} passt nicht zu ${device.name}`);
+    }
+
+    return this.updateDevice(deviceId, { transport });
+  }
+
+  /**
+   * Füllt die Register-Felder transport, capabilities und pixelCount
+   * (auch für ältere gespeicherte Geräte ohne diese Felder)
+   */
+  describeDevice(device) {
+    const type = device.type || 'ble';
+    const channels = this.getChannels(device.id);
+    const white = { rgbw: ['RGBW', 'RGBCCT'].includes(channels), cct: ['CCT', 'RGBCCT'].includes(channels) };
+
+    if (type === 'virtual') {
+      // Software-Effekte über die Framebuffer der Streifen (nur RGB)
+      device.transport = 'virtual';
+      device.capabilities = { rgb: true, rgbw: false, cct: false, pixels: true, effects: true, music: true };
+    } else if (type === 'wled') {
+      if (!['wled-http', 'wled-ws'].includes(device.transport)) {
+        device.transport = device.wled && device.wled.websocket === false ? 'wled-http' : 'wled-ws';
+      }
+      device.capabilities = { rgb: channels !== 'CCT', ...white, pixels: true, effects: true, music: true };
+    } else {
+      const driver = deviceRoot.protocolDrivers ? deviceRoot.protocolDrivers.resolve(device.protocol) : null;
+      const supports = driver ? driver.capabilities : { rgb: true };
+      device.transport = 'ble';
+      device.capabilities = {
+        rgb: !!supports.rgb && channels !== 'CCT',
+        ...white,
+        pixels: !!supports.pixels,
+        effects: !!supports.effects,
+        music: !!supports.rgb
+      };
+    }
+
+    device.type = type;
+    device.pixelCount = this.getLedCount(device.id);
+    return device;
+  }
+
+  /**
+   * Abgeleitete Register-Felder aller Geräte aktualisieren
+   * (Pixel virtueller Geräte hängen an ihren Streifen)
+   */
+  refreshDescriptors() {
+    this.devices.forEach(device => this.describeDevice(device));
+  }
+
+  /**
+   * Geräte eines oder mehrerer Transporte, z.B. getDevicesByTransport('wled-http', 'wled-ws')
+   */
+  getDevicesByTransport(...transports) {
+    return this.devices.filter(d => transports.includes(d.transport));
+  }
+
+  /**
+   * Geräte mit einer Fähigkeit aus DEVICE_CONFIG.CAPABILITIES, z.B. 'pixels'
+   */
+  getDevicesWithCapability(capability) {
+    return this.devices.filter(d => d.capabilities && d.capabilities[capability]);
+  }
+
+  hasCapability(deviceId, capability) {
+    const device = this.getDeviceById(deviceId);
+    return !!(device && device.capabilities && device.capabilities[capability]);
+  }
+
   /**
    * Toggle Auto-Connect
    */
@@ -588,8 +1240,8 @@ class DeviceManager {
 
     console.log('🗑️ Gerät gelöscht:', device.name);
     
-    if (window.showGlobalNotification) {
-      window.showGlobalNotification(`Gerät "${device.name}" gelöscht`, 'info');
+    if (deviceRoot.showGlobalNotification) {
+      deviceRoot.showGlobalNotification(`Gerät "${device.name}" gelöscht`, 'info');
     }
     
     // Event dispatchen
@@ -619,11 +1271,22 @@ class DeviceManager {
     return this.devices.filter(d => d.favorite);
   }
 
+  /**
+   * BLE-Geräte ohne Browser-Freigabe (zum Neu-Koppeln)
+   */
+  getDevicesNeedingPairing() {
+    return this.devices.filter(d => d.needsPairing);
+  }
+
   /**
    * Gibt Auto-Connect Geräte zurück
+   * @param {string[]} transports - nur diese Transporte (optional, z.B. ['ble'])
    */
-  getAutoConnectDevices() {
-    return this.devices.filter(d => d.autoConnect);
+  getAutoConnectDevices(transports = null) {
+    // Stärkstes Signal zuerst, Geräte ohne Messung zuletzt
+    return this.devices
+      .filter(d => d.autoConnect && (!transports || transports.includes(d.transport)))
+      .sort((a, b) => (typeof b.rssi === 'number' ? b.rssi : -Infinity) - (typeof a.rssi === 'number' ? a.rssi : -Infinity));
   }
 
   // ===================================================================
@@ -646,6 +1309,7 @@ class DeviceManager {
       devices: [],
       parentGroup: parentGroupId, // ✅ Übergeordnete Gruppe
       subGroups: [], // ✅ Untergruppen
+      state: null, // ✅ Zuletzt gesetzter Zustand (applyGroupState)
       level: parentGroupId ? this.getGroupLevel(parentGroupId) + 1 : 0, // ✅ Hierarchie-Level
       createdAt: Date.now(),
       updatedAt: Date.now()
@@ -788,6 +1452,231 @@ class DeviceManager {
     return true;
   }
 
+  // ===================================================================
+  // GRUPPEN-STEUERUNG
+  // ===================================================================
+
+  getGroupById(groupId) {
+    return this.groups.find(g => g.id === groupId) || null;
+  }
+
+  /**
+   * Geräte einer Gruppe samt aller Untergruppen
+   */
+  getGroupDevices(groupId, visited = new Set()) {
+    if (visited.has(groupId)) return [];
+    visited.add(groupId);
+
+    return this.getSubGroups(groupId).reduce(
+      (devices, subGroup) => devices.concat(this.getGroupDevices(subGroup.id, visited)),
+      this.getDevicesByGroup(groupId)
+    );
+  }
+
+  /**
+   * Zuletzt per applyGroupState gesetzter Zustand
+   * @returns {Object|null} - { power, color, brightness (0-100), effectId, updatedAt } (nur gesetzte Werte)
+   */
+  getGroupState(groupId) {
+    const group = this.getGroupById(groupId);
+    return group && group.state ? { ...group.state } : null;
+  }
+
+  /**
+   * Merkt den Zustand für die Gruppe und alle Untergruppen (gleiche Geräte)
+   */
+  recordGroupState(groupId, state, visited = new Set()) {
+    const group = this.getGroupById(groupId);
+    if (!group || visited.has(groupId)) return;
+    visited.add(groupId);
+
+    const applied = {};
+    ['power', 'color', 'brightness', 'effectId'].forEach(key => {
+      if (state[key] !== undefined) applied[key] = state[key];
+    });
+    group.state = { ...group.state, ...applied, updatedAt: Date.now() };
+
+    this.getSubGroups(groupId).forEach(subGroup => this.recordGroupState(subGroup.id, state, visited));
+  }
+
+  /**
+   * ✅ FARBE AN GRUPPE (inkl. Untergruppen)
+   * @param {Object} options - { duration (ms), easing } wie setDeviceColor
+   * @returns {Promise<Object>} - Ergebnis siehe applyGroupState
+   */
+  async setGroupColor(groupId, r, g, b, options = {}) {
+    return this.applyGroupState(groupId, { color: { r, g, b } }, options);
+  }
+
+  /**
+   * ✅ HELLIGKEIT AN GRUPPE (0-255)
+   */
+  async setGroupBrightness(groupId, value, options = {}) {
+    return this.applyGroupState(groupId, { brightness: value / 2.55 }, options);
+  }
+
+  /**
+   * ✅ GRUPPE EIN/AUSSCHALTEN
+   */
+  async setGroupPower(groupId, on) {
+    return this.applyGroupState(groupId, { power: !!on });
+  }
+
+  /**
+   * ✅ EFFEKT AN GRUPPE (App-Effekt-ID 1-32)
+   */
+  async setGroupEffect(groupId, effectId) {
+    return this.applyGroupState(groupId, { effectId });
+  }
+
+  /**
+   * Setzt einen Zustand auf allen Geräten der Gruppe und ihrer Untergruppen
+   * (parallel je Gerät; Reihenfolge im Gerät: Power, Helligkeit/Farbe, Effekt)
+   * Ein nicht erreichbares Gerät bricht die übrigen nicht ab - das Ergebnis
+   * listet Erfolg und Fehler je Gerät, bei Teilausfällen wird gewarnt.
+   * @param {Object} state - { power, color: {r,g,b}, brightness (0-100), effectId } (einzeln möglich)
+   * @param {Object} options - { duration (ms), easing, from } für Farbe/Helligkeit (js/transition-engine.js)
+   * @returns {Promise<Object>} - { groupId, name, total, succeeded, failed, results: [{ deviceId, name, success, error }] }
+   */
+  async applyGroupState(groupId, state, options = {}) {
+    const group = this.getGroupById(groupId);
+    if (!group) {
+      throw new Error('Gruppe nicht gefunden');
+    }
+
+    const devices = this.getGroupDevices(groupId);
+    const results = await Promise.all(devices.map(async device => {
+      try {
+        await this.applyDeviceState(device, state, options);
+        return { deviceId: device.id, name: device.name, success: true, error: null };
+      } catch (error) {
+        return { deviceId: device.id, name: device.name, success: false, error: error.message };
+      }
+    }));
+
+    const failed = results.filter(result => !result.success);
+    const summary = {
+      groupId,
+      name: group.name,
+      total: results.length,
+      succeeded: results.length - failed.length,
+      failed: failed.length,
+      results
+    };
+
+    // Zustand merken, sobald ihn mindestens ein Gerät übernommen hat (z.B. für "heller"/"dunkler")
+    if (summary.succeeded > 0) {
+      this.recordGroupState(groupId, state);
+      this.saveGroups();
+    }
+
+    if (results.length === 0) {
+      console.warn(`⚠️ Gruppe "${group.name}" enthält keine Geräte`);
+    } else if (failed.length > 0) {
+      console.warn(`⚠️ Gruppe "${group.name}": ${failed.length} von ${results.length} Geräten nicht erreicht`, failed);
+
+      if (deviceRoot.showGlobalNotification) {
+        const names = failed.map(result => result.name).join(', ');
+        deviceRoot.showGlobalNotification(
+          `Gruppe "${group.name}": ${names} nicht erreicht`,
+          failed.length === results.length ? 'error' : 'warning'
+        );
+      }
+    } else {
+      console.log(`✅ Gruppe "${group.name}": ${results.length} Geräte gesteuert`);
+    }
+
+    this.dispatchEvent('group-command', summary);
+    return summary;
+  }
+
+  /**
+   * Zustand auf ein Gerät (Fehler und unbestätigte Befehle werfen)
+   */
+  async applyDeviceState(device, state, options = {}) {
+    const sendCommand = async (command, data = null) => {
+      if (await this.sendDeviceCommand(device, command, data) === false) {
+        throw new Error(`${device.name} nicht erreicht`);
+      }
+    };
+    const send = this.hasNativeBrightness(device) ? sendCommand : this.scaleBrightness(device, sendCommand);
+
+    if (state.power !== undefined) {
+      await send(state.power ? 'on' : 'off');
+    }
+
+    const target = {};
+    if (state.brightness !== undefined) target.brightness = state.brightness;
+    if (state.color) target.color = state.color;
+
+    if (Object.keys(target).length > 0) {
+      const transitions = deviceRoot.transitionEngine;
+
+      if (transitions) {
+        // Die Transition-Engine fängt Sendefehler ab - hier für das Ergebnis festhalten
+        let failure = null;
+        await transitions.transition(device.id, target, {
+          ...options,
+          send: (command, data) => send(command, data).catch(error => {
+            failure = error;
+            throw error;
+          })
+        });
+        if (failure) throw failure;
+      } else {
+        if (target.brightness !== undefined) await send('brightness', { value: Math.round(target.brightness * 2.55) });
+        if (target.color) await send('color', target.color);
+      }
+    }
+
+    if (state.effectId !== undefined) {
+      await send('effect', { effectId: state.effectId });
+    }
+  }
+
+  /**
+   * Kann der Treiber des Geräts Helligkeit selbst setzen? (WLED und virtuelle Geräte immer)
+   */
+  hasNativeBrightness(device) {
+    if (device.type === 'wled' || device.type === 'virtual') return true;
+
+    const drivers = deviceRoot.protocolDrivers;
+    const protocol = device.protocol || (device.hardwareConnection && device.hardwareConnection.protocol);
+    if (!drivers || !protocol || !drivers.has(protocol)) return true;
+
+    return drivers.supports(protocol, 'brightness');
+  }
+
+  /**
+   * Helligkeit über die Farbe (Treiber ohne BRIGHTNESS, z.B. Triones, MagicHome)
+   * 'brightness' und 'color' senden beide die mit der Helligkeit skalierte Farbe;
+   * Startwerte aus der Transition-Engine, unbekannte Farbe = Weiß.
+   * @param {Function} send - (command, data) → Promise
+   * @returns {Function} - Ersatz für send
+   */
+  scaleBrightness(device, send) {
+    const known = deviceRoot.transitionEngine ? deviceRoot.transitionEngine.getState(device.id) : {};
+    let color = known.color ? { r: known.color[0], g: known.color[1], b: known.color[2] } : { r: 255, g: 255, b: 255 };
+    let level = known.brightness !== undefined ? Math.round(known.brightness * 2.55) : 255;
+
+    return (command, data = null) => {
+      if (command === 'brightness') {
+        level = data.value;
+      } else if (command === 'color') {
+        color = data;
+      } else {
+        return send(command, data);
+      }
+
+      const factor = Math.max(0, Math.min(255, level)) / 255;
+      return send('color', {
+        r: Math.round(color.r * factor),
+        g: Math.round(color.g * factor),
+        b: Math.round(color.b * factor)
+      });
+    };
+  }
+
   // ===================================================================
   // HISTORIE
   // ===================================================================
@@ -845,6 +1734,84 @@ class DeviceManager {
   // SIGNALSTÄRKE
   // ===================================================================
 
+  /**
+   * Nimmt einen RSSI-Messwert auf (Advertisement, siehe BLEController.watchSignal)
+   * device.rssi wird geglättet; fällt es unter RSSI_POOR, wird einmal gewarnt
+   * ('device-signal-weak'), nach Erholung über die Hysterese wieder freigegeben.
+   */
+  recordRSSI(deviceId, rssi) {
+    const device = this.getDeviceById(deviceId);
+    if (!device || typeof rssi !== 'number') return;
+
+    const history = this.rssiHistory.get(deviceId) || [];
+    history.push({ rssi, time: Date.now() });
+    if (history.length > DEVICE_CONFIG.RSSI_HISTORY_SIZE) {
+      history.shift();
+    }
+    this.rssiHistory.set(deviceId, history);
+
+    const recent = history.slice(-DEVICE_CONFIG.RSSI_SMOOTHING_SAMPLES);
+    const previousLevel = this.getRSSILevel(device.rssi);
+    device.rssi = Math.round(recent.reduce((sum, sample) => sum + sample.rssi, 0) / recent.length);
+
+    if (device.rssi < DEVICE_CONFIG.RSSI_POOR && !this.weakSignals.has(deviceId)) {
+      this.weakSignals.add(deviceId);
+      console.warn(`⚠️ Schwaches Signal: ${device.name} (${device.rssi} dBm)`);
+
+      if (deviceRoot.showGlobalNotification) {
+        deviceRoot.showGlobalNotification(`Schwaches Signal: ${device.name} (${device.rssi} dBm) - näher heranrücken`, 'warning');
+      }
+      this.dispatchEvent('device-signal-weak', { device, rssi: device.rssi });
+    } else if (this.weakSignals.has(deviceId) &&
+               device.rssi >= DEVICE_CONFIG.RSSI_POOR + DEVICE_CONFIG.RSSI_WARNING_HYSTERESIS) {
+      this.weakSignals.delete(deviceId);
+      this.dispatchEvent('device-signal-restored', { device, rssi: device.rssi });
+    }
+
+    // Nur bei Stufenwechsel speichern (Advertisements kommen mehrmals pro Sekunde)
+    if (this.getRSSILevel(device.rssi) !== previousLevel) {
+      this.saveDevices();
+    }
+  }
+
+  /**
+   * RSSI-Verlauf eines Geräts (älteste zuerst)
+   * @returns {Object[]} - [{ rssi, time }]
+   */
+  getRSSIHistory(deviceId) {
+    return [...(this.rssiHistory.get(deviceId) || [])];
+  }
+
+  /**
+   * Signalqualität und Trend: neuere gegen ältere Hälfte des Verlaufs
+   * @returns {Object} - { rssi, level, average, min, max, samples, trend: 'rising'|'falling'|'stable'|null }
+   */
+  getRSSITrend(deviceId) {
+    const device = this.getDeviceById(deviceId);
+    const values = this.getRSSIHistory(deviceId).map(sample => sample.rssi);
+    const rssi = device ? device.rssi : null;
+    const average = list => list.reduce((sum, value) => sum + value, 0) / list.length;
+
+    let trend = null;
+    if (values.length >= 4) {
+      const half = Math.floor(values.length / 2);
+      const delta = average(values.slice(half)) - average(values.slice(0, half));
+      trend = delta >= DEVICE_CONFIG.RSSI_TREND_DELTA ? 'rising'
+        : delta <= -DEVICE_CONFIG.RSSI_TREND_DELTA ? 'falling'
+        : 'stable';
+    }
+
+    return {
+      rssi,
+      level: this.getRSSILevel(rssi),
+      average: values.length ? Math.round(average(values)) : null,
+      min: values.length ? Math.min(...values) : null,
+      max: values.length ? Math.max(...values) : null,
+      samples: values.length,
+      trend
+    };
+  }
+
   /**
    * Gibt Signalstärke-Level zurück
    */
@@ -886,6 +1853,7 @@ class DeviceManager {
    */
   saveDevices() {
     try {
+      this.refreshDescriptors();
       localStorage.setItem(DEVICE_CONFIG.STORAGE_KEY, JSON.stringify(this.devices));
       console.log('💾 Geräte gespeichert:', this.devices.length);
     } catch (error) {
@@ -902,6 +1870,7 @@ class DeviceManager {
       
       if (saved) {
         this.devices = JSON.parse(saved);
+        this.refreshDescriptors();
         console.log('📂 Geräte geladen:', this.devices.length);
       }
     } catch (error) {
@@ -984,7 +1953,9 @@ class DeviceManager {
       bubbles: true,
       cancelable: true
     });
-    window.dispatchEvent(event);
+    if (deviceRoot.dispatchEvent) {
+      deviceRoot.dispatchEvent(event);
+    }
   }
 
   /**
@@ -1007,8 +1978,9 @@ class DeviceManager {
 // ===================================================================
 
 // Device Manager global verfügbar machen
-window.DeviceManager = DeviceManager;
-window.deviceManager = new DeviceManager();
+deviceRoot.DEVICE_CONFIG = DEVICE_CONFIG;
+deviceRoot.DeviceManager = DeviceManager;
+deviceRoot.deviceManager = new DeviceManager();
 
 console.log('✅ Device Manager global verfügbar als window.deviceManager');
 
@@ -1017,13 +1989,32 @@ console.log('✅ Device Manager global verfügbar als window.deviceManager');
 // ===================================================================
 
 // Device-Events abfangen
-window.addEventListener('device-connected', (e) => {
-  console.log('🔗 Gerät verbunden:', e.detail.name);
-});
+if (typeof window !== 'undefined') {
+  window.addEventListener('device-connected', (e) => {
+    console.log('🔗 Gerät verbunden:', e.detail.name);
+  });
+
+  window.addEventListener('device-disconnected', () => {
+    console.log('🔌 Gerät getrennt');
+  });
+
+  // Wiederverbindungen des BLE-Controllers in der Historie festhalten
+  window.addEventListener('ble-connection-state', (e) => {
+    const actions = { lost: 'disconnected', reconnected: 'connected', failed: 'failed' };
+    const device = window.deviceManager.getDeviceById(e.detail.id);
+
+    if (device && actions[e.detail.status]) {
+      window.deviceManager.addToHistory(device, actions[e.detail.status]);
+    }
 
-window.addEventListener('device-disconnected', () => {
-  console.log('🔌 Gerät getrennt');
-});
+    // Freigabe verloren → zum Neu-Koppeln markieren, nach erfolgreicher Verbindung wieder frei
+    if (device && e.detail.status === 'unpaired' && !device.needsPairing) {
+      window.deviceManager.updateDevice(device.id, { needsPairing: true });
+    } else if (device && device.needsPairing && ['connected', 'reconnected'].includes(e.detail.status)) {
+      window.deviceManager.updateDevice(device.id, { needsPairing: false });
+    }
+  });
+}
 
 // ===================================================================
 // EXPORT
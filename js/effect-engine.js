@@ -0,0 +1,805 @@
+/**
+ * ===================================================================
+ * EFFECT-ENGINE.JS
+ * Software-Effekte für adressierbare LED-Streifen
+ * Version: 1.0
+ * ===================================================================
+ *
+ * Rendert die 32 Effekte aus APP_CONFIG.EFFECT_IDS Frame für Frame
+ * in den Framebuffer (LEDFrameBuffer) - über startAnimation der
+ * LED-Abstraktionsschicht.
+ *
+ * - Einzelpixel-BLE-Streifen und WLED zeigen denselben Effekt
+ *   wie die Vorschau in Effekt.html
+ * - Parameter pro Effekt: speed (1-10), intensity (0-100), palette
+ *   (Paletten-ID aus window.paletteManager)
+ * - Controller ohne Einzelpixel nutzen weiter die Firmware-Effekte
+ * - Mit Geräte-Layout (js/led-layout.js) wird logisch bzw. räumlich
+ *   gerendert und in die physische Reihenfolge abgebildet; Effekte mit
+ *   spatial() nutzen auf Matrizen und Raumumrissen die Koordinaten
+ *
+ * Benötigt: js/led-abstraction-layer.js, js/palette-manager.js
+ *
+ * ===================================================================
+ */
+
+'use strict';
+
+// ===================================================================
+// KONFIGURATION
+// ===================================================================
+
+const EFFECT_ENGINE_CONFIG = {
+  FPS: 30,
+  DEFAULT_SPEED: 5,       // 1 = langsam, 10 = schnell (wie Effekt.html)
+  DEFAULT_INTENSITY: 50   // 0-100
+};
+
+// ===================================================================
+// FARB-HILFSFUNKTIONEN
+// ===================================================================
+
+function scaleColor(color, factor) {
+  factor = Math.max(0, Math.min(1, factor));
+  return color.map(v => v * factor);
+}
+
+function addColor(a, b) {
+  return a.map((v, i) => Math.min(255, v + b[i]));
+}
+
+/**
+ * Palette-Sampler: pos 0-1 (wird umgebrochen) → [r, g, b]
+ * @param {string|string[]|Function} palette - Paletten-ID, Farbstopps oder fertiger Sampler
+ */
+function createPaletteSampler(palette) {
+  if (typeof palette === 'function') {
+    return palette;
+  }
+  if (!window.paletteManager) {
+    throw new Error('Paletten-Manager nicht geladen (js/palette-manager.js)');
+  }
+  return window.paletteManager.getSampler(palette);
+}
+
+// ===================================================================
+// EFFEKTE
+// ===================================================================
+
+// Jeder Effekt: { palette: Standard-Palette, render(fb, ctx), spatial(fb, ctx) optional }
+// ctx: { t, dt, speed, intensity (0-1), palette(pos), state, count, layout }
+// t = Effektzeit in Sekunden, skaliert mit speed (5 = Echtzeit)
+// spatial() läuft statt render(), wenn das Layout zweidimensional ist
+// (layout.xy(i) = normierte Koordinaten, layout.indexAt(Spalte, Zeile))
+
+// Wärme-Simulation (Fire2012) für Feuer und Feuerzauber
+function renderFire(fb, ctx) {
+  const { count, state, intensity } = ctx;
+  const heat = state.heat || (state.heat = new Float32Array(count));
+  const cooling = 0.02 + (1 - intensity) * 0.08;
+
+  for (let i = 0; i < count; i++) {
+    heat[i] = Math.max(0, heat[i] - Math.random() * cooling * (30 / count + 0.3));
+  }
+  for (let i = count - 1; i >= 2; i--) {
+    heat[i] = (heat[i - 1] + heat[i - 2] * 2) / 3;
+  }
+  if (Math.random() < 0.3 + intensity * 0.6) {
+    const spark = Math.floor(Math.random() * Math.min(7, count));
+    heat[spark] = Math.min(1, heat[spark] + 0.6 + Math.random() * 0.4);
+  }
+
+  for (let i = 0; i < count; i++) {
+    fb.set(i, ctx.palette(heat[i] * 0.99, false));
+  }
+}
+
+// Feuer auf dem Raster: jede Spalte brennt von unten nach oben
+function renderFireColumns(fb, ctx) {
+  const { layout, state, intensity } = ctx;
+  const { width, height } = layout;
+  const heat = state.heat2D || (state.heat2D = new Float32Array(width * height));
+  const cooling = 0.04 + (1 - intensity) * 0.12;
+
+  for (let col = 0; col < width; col++) {
+    const column = heat.subarray(col * height, (col + 1) * height); // Index 0 = unten
+    for (let i = 0; i < height; i++) {
+      column[i] = Math.max(0, column[i] - Math.random() * cooling * (10 / height + 0.3));
+    }
+    for (let i = height - 1; i >= 2; i--) {
+      column[i] = (column[i - 1] + column[i - 2] * 2) / 3;
+    }
+    if (Math.random() < 0.2 + intensity * 0.6) {
+      const spark = Math.floor(Math.random() * Math.min(3, height));
+      column[spark] = Math.min(1, column[spark] + 0.6 + Math.random() * 0.4);
+    }
+    for (let row = 0; row < height; row++) {
+      const index = layout.indexAt(col, height - 1 - row);
+      if (index >= 0) fb.set(index, ctx.palette(column[row] * 0.99, false));
+    }
+  }
+}
+
+// Abstand zur Mitte (normierte Koordinaten)
+function distanceToCenter(layout, index) {
+  const [x, y] = layout.xy(index);
+  return Math.hypot(x - 0.5, y - 0.5);
+}
+
+// Schweif: alle Pixel abdunkeln
+function fadeAll(fb, factor) {
+  for (let i = 0; i < fb.pixels.length; i++) {
+    fb.pixels[i] = Math.floor(fb.pixels[i] * factor);
+  }
+}
+
+// Zufällige Anzahl mit Erwartungswert expected (für Funken pro Frame)
+function randomCount(expected) {
+  return Math.floor(expected) + (Math.random() < expected % 1 ? 1 : 0);
+}
+
+// Pixel mit Helligkeit hinzufügen (für weiche Lichtpunkte)
+function addPixel(fb, index, color) {
+  if (index < 0 || index >= fb.pixelCount) return;
+  fb.set(index, addColor(fb.get(index), color));
+}
+
+const SOFTWARE_EFFECTS = {
+  'Welle': {
+    palette: 'ocean',
+    render(fb, { t, count, intensity, palette }) {
+      for (let i = 0; i < count; i++) {
+        const x = i / count;
+        const wave = (Math.sin(2 * Math.PI * (x * 2 - t * 0.5)) + 1) / 2;
+        fb.set(i, scaleColor(palette(x + t * 0.05), Math.pow(wave, 0.5 + intensity * 2)));
+      }
+    },
+    // Ringe von der Mitte nach außen
+    spatial(fb, { t, count, intensity, palette, layout }) {
+      for (let i = 0; i < count; i++) {
+        const d = distanceToCenter(layout, i);
+        const wave = (Math.sin(2 * Math.PI * (d * 3 - t * 0.5)) + 1) / 2;
+        fb.set(i, scaleColor(palette(d + t * 0.05), Math.pow(wave, 0.5 + intensity * 2)));
+      }
+    }
+  },
+
+  'Regenbogen': {
+    palette: 'rainbow',
+    render(fb, { t, count, intensity, palette }) {
+      const density = 0.5 + intensity * 2;
+      for (let i = 0; i < count; i++) {
+        fb.set(i, palette((i / count) * density + t * 0.2));
+      }
+    },
+    // Diagonal über die Fläche
+    spatial(fb, { t, count, intensity, palette, layout }) {
+      const density = 0.5 + intensity * 2;
+      for (let i = 0; i < count; i++) {
+        const [x, y] = layout.xy(i);
+        fb.set(i, palette((x + y) * 0.5 * density + t * 0.2));
+      }
+    }
+  },
+
+  'Feuer': {
+    palette: 'fire',
+    render: renderFire,
+    spatial: renderFireColumns
+  },
+
+  'Blitz': {
+    palette: 'ice',
+    render(fb, { dt, state, intensity, palette }) {
+      state.flash = Math.max(0, (state.flash || 0) - dt * 8);
+      if (Math.random() < dt * (1 + intensity * 6)) {
+        state.flash = 1;
+        state.color = palette(Math.random());
+      }
+      fb.fill(scaleColor(state.color || [255, 255, 255], state.flash));
+    }
+  },
+
+  'Pulsieren': {
+    palette: 'party',
+    render(fb, { t, intensity, palette }) {
+      const pulse = (Math.sin(2 * Math.PI * t) + 1) / 2;
+      fb.fill(scaleColor(palette(t * 0.1), 1 - intensity + intensity * pulse));
+    }
+  },
+
+  'Atmen': {
+    palette: 'warm',
+    render(fb, { t, palette }) {
+      // Klassische Atemkurve (exp(sin))
+      const breath = (Math.exp(Math.sin(t)) - 1 / Math.E) / (Math.E - 1 / Math.E);
+      fb.fill(scaleColor(palette(0), breath));
+    }
+  },
+
+  'Lauflicht': {
+    palette: 'rainbow',
+    render(fb, { t, count, intensity, palette }) {
+      const head = (t * count * 0.3) % count;
+      const tail = 1 + Math.round(intensity * count * 0.25);
+      fb.clear();
+      for (let k = 0; k < tail; k++) {
+        const index = Math.floor(head - k + count) % count;
+        fb.set(index, scaleColor(palette(t * 0.05), 1 - k / tail));
+      }
+    }
+  },
+
+  'Stroboskop': {
+    palette: 'ice',
+    render(fb, { t, intensity, palette }) {
+      const frequency = 4 + intensity * 12;
+      const on = (t * frequency) % 1 < 0.3;
+      fb.fill(on ? palette(0) : [0, 0, 0]);
+    }
+  },
+
+  'Farbverlauf': {
+    palette: 'party',
+    render(fb, { t, count, intensity, palette }) {
+      const span = 0.2 + intensity;
+      for (let i = 0; i < count; i++) {
+        fb.set(i, palette((i / count) * span + t * 0.1));
+      }
+    }
+  },
+
+  'Zufallsfarben': {
+    palette: 'party',
+    render(fb, { t, count, state, intensity, palette }) {
+      const blocks = Math.max(1, Math.round(1 + intensity * 11));
+      if (!state.targets || state.targets.length !== blocks) {
+        state.from = Array.from({ length: blocks }, () => palette(Math.random()));
+        state.targets = Array.from({ length: blocks }, () => palette(Math.random()));
+        state.start = t;
+      }
+
+      let progress = t - state.start;
+      if (progress >= 1) {
+        state.from = state.targets;
+        state.targets = state.targets.map(() => palette(Math.random()));
+        state.start = t;
+        progress = 0;
+      }
+
+      for (let i = 0; i < count; i++) {
+        const block = Math.floor((i / count) * blocks);
+        const from = state.from[block];
+        fb.set(i, from.map((v, c) => v + (state.targets[block][c] - v) * progress));
+      }
+    }
+  },
+
+  'Disco': {
+    palette: 'party',
+    render(fb, { t, count, state, intensity, palette }) {
+      const step = Math.floor(t * 4);
+      if (step === state.step) return;
+      state.step = step;
+
+      const size = Math.max(1, Math.round(count / (2 + intensity * 14)));
+      for (let start = 0; start < count; start += size) {
+        fb.setRange(start, start + size, palette(Math.random()));
+      }
+    }
+  },
+
+  'Polizei': {
+    palette: 'police',
+    render(fb, { t, count, palette }) {
+      const phase = (t * 2) % 1;
+      const flash = Math.floor(phase * 6) % 2 === 0;
+      const left = phase < 0.5;
+      fb.clear();
+      if (flash) {
+        fb.setRange(left ? 0 : Math.floor(count / 2), left ? Math.floor(count / 2) : count, palette(left ? 0 : 1, false));
+      }
+    }
+  },
+
+  'Meteorregen': {
+    palette: 'ice',
+    render(fb, { t, count, intensity, palette }) {
+      // Zufälliger Zerfall des Schweifs
+      for (let i = 0; i < count; i++) {
+        if (Math.random() < 0.6) {
+          fb.set(i, scaleColor(fb.get(i), 0.75 + intensity * 0.2));
+        }
+      }
+
+      const head = Math.floor((t * count * 0.4) % (count * 1.5));
+      for (let k = 0; k < 4; k++) {
+        if (head - k >= 0 && head - k < count) {
+          fb.set(head - k, palette(k / 4, false));
+        }
+      }
+    }
+  },
+
+  'Matrix': {
+    palette: 'matrix',
+    render(fb, { dt, count, state, intensity, palette }) {
+      fadeAll(fb, 0.85);
+      state.drops = (state.drops || []).filter(drop => drop.pos < count);
+
+      if (Math.random() < dt * (2 + intensity * 10)) {
+        state.drops.push({ pos: 0, speed: 10 + Math.random() * 20 });
+      }
+
+      state.drops.forEach(drop => {
+        drop.pos += drop.speed * dt;
+        fb.set(Math.floor(drop.pos), palette(1, false));
+      });
+    },
+    // Tropfen fallen in Spalten von oben nach unten
+    spatial(fb, { dt, state, intensity, palette, layout }) {
+      fadeAll(fb, 0.85);
+      state.columns = (state.columns || []).filter(drop => drop.row < layout.height);
+
+      if (Math.random() < dt * layout.width * (0.2 + intensity)) {
+        state.columns.push({ col: Math.floor(Math.random() * layout.width), row: 0, speed: 5 + Math.random() * 10 });
+      }
+
+      state.columns.forEach(drop => {
+        drop.row += drop.speed * dt;
+        const index = layout.indexAt(drop.col, Math.floor(drop.row));
+        if (index >= 0) fb.set(index, palette(1, false));
+      });
+    }
+  },
+
+  'Kristall': {
+    palette: 'ice',
+    render(fb, { dt, count, intensity, palette }) {
+      for (let i = 0; i < count; i++) {
+        const base = scaleColor(palette(i / count), 0.15);
+        const current = fb.get(i).map((v, c) => Math.max(base[c], v * 0.9));
+        fb.set(i, current);
+      }
+      const sparkles = randomCount(count * dt * (0.5 + intensity * 3));
+      for (let k = 0; k < sparkles; k++) {
+        fb.set(Math.floor(Math.random() * count), [255, 255, 255]);
+      }
+    }
+  },
+
+  'Nordlicht': {
+    palette: 'aurora',
+    render(fb, { t, count, intensity, palette }) {
+      for (let i = 0; i < count; i++) {
+        const x = i / count;
+        const v = (Math.sin(x * 6 + t * 0.7) + Math.sin(x * 11 - t * 0.4) + 2) / 4;
+        fb.set(i, scaleColor(palette(x * 0.5 + Math.sin(t * 0.1) * 0.3), 0.2 + v * (0.5 + intensity * 0.5)));
+      }
+    }
+  },
+
+  'Lava': {
+    palette: 'lava',
+    render(fb, { t, count, intensity, palette }) {
+      for (let i = 0; i < count; i++) {
+        const x = i / count;
+        const v = Math.sin(x * 3 + t * 0.3) + Math.sin(x * (5 + intensity * 6) - t * 0.2);
+        fb.set(i, palette((v + 2) / 4, false));
+      }
+    }
+  },
+
+  'Unterwasser': {
+    palette: 'ocean',
+    render(fb, { t, count, intensity, palette }) {
+      for (let i = 0; i < count; i++) {
+        const x = i / count;
+        const wave = (Math.sin(x * 8 + t) + Math.sin(x * 13 - t * 1.3) + 2) / 4;
+        const caustic = Math.pow(wave, 6) * intensity;
+        fb.set(i, addColor(palette(0.3 + wave * 0.5, false), scaleColor([255, 255, 255], caustic)));
+      }
+    }
+  },
+
+  'Glitzer': {
+    palette: 'party',
+    render(fb, { t, dt, count, intensity, palette }) {
+      for (let i = 0; i < count; i++) {
+        fb.set(i, scaleColor(palette(i / count + t * 0.05), 0.3));
+      }
+      const glitter = randomCount(count * dt * (0.2 + intensity));
+      for (let k = 0; k < glitter; k++) {
+        fb.set(Math.floor(Math.random() * count), [255, 255, 255]);
+      }
+    }
+  },
+
+  'Herzschlag': {
+    palette: 'heart',
+    render(fb, { t, intensity, palette }) {
+      // Doppelschlag: lub - dub
+      const phase = (t * 1.2) % 1;
+      const beat = Math.exp(-Math.pow(phase / 0.05, 2)) + 0.6 * Math.exp(-Math.pow((phase - 0.25) / 0.05, 2));
+      const floor = 0.1 * (1 - intensity);
+      fb.fill(scaleColor(palette(1, false), floor + Math.min(1, beat) * (1 - floor)));
+    }
+  },
+
+  'Spirale': {
+    palette: 'rainbow',
+    render(fb, { t, count, intensity, palette }) {
+      const turns = 1 + intensity * 4;
+      for (let i = 0; i < count; i++) {
+        const x = i / count;
+        const stripe = (Math.sin(2 * Math.PI * (x * turns * 2 - t)) + 1) / 2;
+        fb.set(i, scaleColor(palette(x * turns - t * 0.3), 0.3 + stripe * 0.7));
+      }
+    },
+    // Arme um die Mitte (Winkel + Abstand)
+    spatial(fb, { t, count, intensity, palette, layout }) {
+      const turns = 1 + Math.round(intensity * 4);
+      for (let i = 0; i < count; i++) {
+        const [x, y] = layout.xy(i);
+        const angle = Math.atan2(y - 0.5, x - 0.5) / (2 * Math.PI) + 0.5;
+        const d = Math.hypot(x - 0.5, y - 0.5);
+        const stripe = (Math.sin(2 * Math.PI * (angle * turns + d * 2 - t)) + 1) / 2;
+        fb.set(i, scaleColor(palette(angle + d - t * 0.3), 0.3 + stripe * 0.7));
+      }
+    }
+  },
+
+  'Plasma': {
+    palette: 'party',
+    render(fb, { t, count, intensity, palette }) {
+      const scale = 4 + intensity * 10;
+      for (let i = 0; i < count; i++) {
+        const x = i / count;
+        const v = Math.sin(x * scale + t) + Math.sin(x * scale * 0.4 - t * 1.3) + Math.sin((x + t * 0.1) * 7);
+        fb.set(i, palette((v + 3) / 6 + t * 0.05));
+      }
+    },
+    // Klassisches 2D-Plasma
+    spatial(fb, { t, count, intensity, palette, layout }) {
+      const scale = 4 + intensity * 10;
+      for (let i = 0; i < count; i++) {
+        const [x, y] = layout.xy(i);
+        const v = Math.sin(x * scale + t) +
+          Math.sin((y * scale - t) * 0.7) +
+          Math.sin((x + y) * scale * 0.5 + t * 0.8) +
+          Math.sin(Math.hypot(x - 0.5, y - 0.5) * scale * 1.5 - t * 1.3);
+        fb.set(i, palette((v + 4) / 8 + t * 0.05));
+      }
+    }
+  },
+
+  'Konfetti': {
+    palette: 'party',
+    render(fb, { dt, count, intensity, palette }) {
+      fadeAll(fb, 0.92);
+      const drops = randomCount(count * dt * (0.3 + intensity * 2));
+      for (let k = 0; k < drops; k++) {
+        fb.set(Math.floor(Math.random() * count), palette(Math.random()));
+      }
+    }
+  },
+
+  'Sinus': {
+    palette: 'rainbow',
+    render(fb, { t, count, intensity, palette }) {
+      const frequency = 1 + intensity * 5;
+      const color = palette(t * 0.05);
+      for (let i = 0; i < count; i++) {
+        const v = (Math.sin(2 * Math.PI * ((i / count) * frequency + t * 0.5)) + 1) / 2;
+        fb.set(i, scaleColor(color, v));
+      }
+    }
+  },
+
+  'Fade': {
+    palette: 'party',
+    render(fb, { t, palette }) {
+      fb.fill(palette(t * 0.1));
+    }
+  },
+
+  'Scanner': {
+    palette: 'police',
+    render(fb, { t, count, intensity, palette }) {
+      // Larson-Scanner: hin und her mit Nachleuchten
+      fadeAll(fb, 0.7 + intensity * 0.25);
+      const phase = (t * 0.5) % 2;
+      const pos = Math.round((phase < 1 ? phase : 2 - phase) * (count - 1));
+      fb.set(pos, palette(0, false));
+    }
+  },
+
+  'Twinkle': {
+    palette: 'warm',
+    render(fb, { t, count, state, intensity, palette }) {
+      if (!state.stars || state.stars.length !== count) {
+        state.stars = Array.from({ length: count }, () => ({
+          phase: Math.random() * Math.PI * 2,
+          rate: 0.5 + Math.random() * 2,
+          color: Math.random()
+        }));
+      }
+      const threshold = 1 - intensity;
+      state.stars.forEach((star, i) => {
+        const v = Math.max(0, Math.sin(t * star.rate + star.phase) - threshold * 0.8);
+        fb.set(i, scaleColor(palette(star.color), Math.pow(v / (1 - threshold * 0.8), 2)));
+      });
+    }
+  },
+
+  'Kometen': {
+    palette: 'rainbow',
+    render(fb, { dt, count, state, intensity, palette }) {
+      fadeAll(fb, 0.8 + intensity * 0.15);
+      if (!state.comets) {
+        state.comets = [0.4, 0.7, 1.1].map((speed, k) => ({ pos: (k * count) / 3, speed, color: k / 3 }));
+      }
+      state.comets.forEach(comet => {
+        comet.pos = (comet.pos + comet.speed * count * dt * 0.3) % count;
+        addPixel(fb, Math.floor(comet.pos), palette(comet.color));
+      });
+    }
+  },
+
+  'Feuerzauber': {
+    palette: 'magicFire',
+    render: renderFire,
+    spatial: renderFireColumns
+  },
+
+  'Neonröhre': {
+    palette: 'neon',
+    render(fb, { t, dt, state, intensity, palette }) {
+      // Gelegentliches Aussetzen wie bei einer alten Röhre
+      if (!state.flicker && Math.random() < dt * intensity * 2) {
+        state.flicker = 0.05 + Math.random() * 0.2;
+      }
+      state.flicker = Math.max(0, (state.flicker || 0) - dt);
+      const on = !state.flicker || Math.random() < 0.3;
+      fb.fill(scaleColor(palette(t * 0.02), on ? 1 : 0.1));
+    }
+  },
+
+  'Lasershow': {
+    palette: 'party',
+    render(fb, { t, count, intensity, palette }) {
+      fb.clear();
+      const beams = 2 + Math.round(intensity * 4);
+      for (let k = 0; k < beams; k++) {
+        const phase = (t * (0.6 + k * 0.23) + k / beams) % 2;
+        const pos = Math.round((phase < 1 ? phase : 2 - phase) * (count - 1));
+        addPixel(fb, pos, palette(k / beams));
+        addPixel(fb, pos + 1, scaleColor(palette(k / beams), 0.3));
+      }
+    }
+  },
+
+  'Borealis': {
+    palette: 'aurora',
+    render(fb, { t, count, intensity, palette }) {
+      // Mehrere wandernde Vorhänge (Gauß-Bänder)
+      const curtains = 2 + Math.round(intensity * 3);
+      fb.clear();
+      for (let k = 0; k < curtains; k++) {
+        const center = ((Math.sin(t * 0.15 * (k + 1) + k * 2) + 1) / 2) * count;
+        const width = count * (0.08 + 0.05 * Math.sin(t * 0.3 + k));
+        const color = palette(k / curtains + t * 0.02);
+        for (let i = 0; i < count; i++) {
+          const v = Math.exp(-Math.pow((i - center) / Math.max(1, width), 2));
+          addPixel(fb, i, scaleColor(color, v));
+        }
+      }
+    }
+  }
+};
+
+// ===================================================================
+// EFFECT-ENGINE
+// ===================================================================
+
+class EffectEngine {
+  /**
+   * @param {LEDAbstractionLayer|null} layer - Standard: eigene Instanz beim ersten Start
+   */
+  constructor(layer = null) {
+    this.layer = layer;
+    this.current = null;      // { name, deviceId, params, state, time, layout }
+    this.stopAnimation = null;
+  }
+
+  get isRunning() {
+    return !!this.stopAnimation;
+  }
+
+  getLayer() {
+    if (!this.layer) {
+      this.layer = new window.LEDAbstractionLayer();
+    }
+    // Controller kann nach der Erstellung verbunden worden sein
+    if (!this.layer.controller) {
+      this.layer.controller = window.ledController || window.bleController || null;
+    }
+    return this.layer;
+  }
+
+  /**
+   * Namen aller Software-Effekte
+   */
+  getEffects() {
+    return Object.keys(SOFTWARE_EFFECTS);
+  }
+
+  /**
+   * Effekt-Name aus Name oder ID (APP_CONFIG.EFFECT_IDS)
+   * @returns {string|null}
+   */
+  resolveEffect(effect) {
+    if (typeof effect === 'string' && SOFTWARE_EFFECTS[effect]) {
+      return effect;
+    }
+
+    const ids = window.APP_CONFIG ? window.APP_CONFIG.EFFECT_IDS : {};
+    const name = Object.keys(ids).find(key => ids[key] === parseInt(effect));
+    return name && SOFTWARE_EFFECTS[name] ? name : null;
+  }
+
+  /**
+   * Kann das Ziel Software-Effekte darstellen? (Einzelpixel-BLE, WLED oder
+   * virtuelles Gerät mit mindestens einem solchen Streifen)
+   */
+  canRender(deviceId = null) {
+    const manager = window.deviceManager;
+    const device = deviceId && manager ? manager.getDeviceById(deviceId) : null;
+
+    if (device && device.type === 'virtual') {
+      return !!window.virtualDevices && window.virtualDevices.getMembers(deviceId).some(member => this.canRender(member.deviceId));
+    }
+    if (device && device.type === 'wled') return true;
+    if (!deviceId && window.wledDevice && window.wledDevice.connected) return true;
+
+    const controller = window.ledController || window.bleController;
+    return !!(controller && controller.supportsPixels && controller.supportsPixels(deviceId || controller.activeDeviceId));
+  }
+
+  /**
+   * Startet einen Effekt
+   * @param {string|number} effect - Name oder ID aus APP_CONFIG.EFFECT_IDS
+   * @param {Object} options - { speed, intensity, palette, deviceId, fps }
+   */
+  start(effect, options = {}) {
+    const name = this.resolveEffect(effect);
+    if (!name) {
+      throw new Error(`Unbekannter Effekt: ${effect}`);
+    }
+
+    this.stop();
+
+    const layer = this.getLayer();
+    const frameBuffer = layer.getFrameBuffer(options.deviceId || null);
+
+    // Mit Layout: logisch rendern, dann in die physische Reihenfolge abbilden
+    const layout = layer.getLayout(options.deviceId || null);
+    const canvas = layout && !(layout.isIdentity() && layout.count === frameBuffer.pixelCount)
+      ? new window.LEDFrameBuffer(layout.count, null)
+      : frameBuffer;
+
+    this.current = {
+      name,
+      deviceId: options.deviceId || null,
+      params: {},
+      state: {},
+      time: 0,
+      layout
+    };
+    this.setParams({
+      speed: EFFECT_ENGINE_CONFIG.DEFAULT_SPEED,
+      intensity: EFFECT_ENGINE_CONFIG.DEFAULT_INTENSITY,
+      ...options,
+      palette: options.palette || SOFTWARE_EFFECTS[name].palette
+    });
+
+    frameBuffer.clear();
+
+    this.stopAnimation = layer.startAnimation(async (deltaTime) => {
+      this.renderFrame(canvas, deltaTime);
+      if (canvas !== frameBuffer) {
+        layout.map(canvas.pixels, frameBuffer.pixels);
+      }
+      await frameBuffer.show();
+    }, options.fps || EFFECT_ENGINE_CONFIG.FPS, {
+      name: `Effekt ${name}`,
+      isBusy: () => !!frameBuffer.showing
+    });
+
+    console.log(`✨ Software-Effekt gestartet: ${name} (${frameBuffer.pixelCount} LEDs${layout && layout.is2D ? `, ${layout.width}x${layout.height}` : ''})`);
+    return true;
+  }
+
+  /**
+   * Ändert Parameter des laufenden Effekts
+   * @param {Object} params - { speed, intensity, palette }
+   */
+  setParams(params = {}) {
+    if (!this.current) return;
+
+    const current = this.current.params;
+
+    if (params.speed !== undefined) {
+      current.speed = Math.max(1, Math.min(10, parseFloat(params.speed) || EFFECT_ENGINE_CONFIG.DEFAULT_SPEED));
+    }
+    if (params.intensity !== undefined) {
+      current.intensity = Math.max(0, Math.min(100, parseFloat(params.intensity)));
+    }
+    if (params.palette) {
+      current.palette = params.palette;
+      current.sampler = createPaletteSampler(params.palette);
+    }
+  }
+
+  /**
+   * Rendert einen Frame des laufenden Effekts in den Framebuffer
+   * @param {number} deltaTime - ms seit dem letzten Frame
+   */
+  renderFrame(frameBuffer, deltaTime) {
+    const current = this.current;
+    if (!current) return;
+
+    const { speed, intensity, sampler } = current.params;
+    const dt = Math.min(0.25, deltaTime / 1000) * (speed / 5);
+    current.time += dt;
+
+    // Layout passend zum Framebuffer (ohne Gerät: gerader Streifen)
+    if ((!current.layout || current.layout.count !== frameBuffer.pixelCount) && window.LEDLayout) {
+      current.layout = window.LEDLayout.strip(frameBuffer.pixelCount);
+    }
+
+    const effect = SOFTWARE_EFFECTS[current.name];
+    const render = effect.spatial && current.layout && current.layout.is2D ? effect.spatial : effect.render;
+
+    render(frameBuffer, {
+      t: current.time,
+      dt,
+      speed,
+      intensity: intensity / 100,
+      palette: sampler,
+      state: current.state,
+      count: frameBuffer.pixelCount,
+      layout: current.layout
+    });
+  }
+
+  /**
+   * Stoppt den laufenden Effekt (Pixel bleiben stehen)
+   */
+  stop() {
+    if (this.stopAnimation) {
+      this.stopAnimation();
+      this.stopAnimation = null;
+      console.log(`⏹️ Software-Effekt gestoppt: ${this.current.name}`);
+    }
+    this.current = null;
+  }
+}
+
+// ===================================================================
+// GLOBALE INSTANZ
+// ===================================================================
+
+window.EffectEngine = EffectEngine;
+window.effectEngine = new EffectEngine();
+
+console.log('✅ Effect-Engine global verfügbar als window.effectEngine');
+
+// ===================================================================
+// EXPORT
+// ===================================================================
+
+// Browser-kompatible Exports
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EffectEngine;
+}
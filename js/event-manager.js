@@ -257,13 +257,40 @@ class EventManager {
             }
         };
         
+        // ✅ GRUPPEN: "wohnzimmer licht an" → alle Geräte der Gruppe samt Untergruppen
+        // Helligkeit der Gruppe selbst (zuletzt gesetzter Zustand), nicht die globale
+        const stepBrightness = (manager, group, step) => {
+            const state = manager.getGroupState(group.id);
+            const currentBrightness = state && state.brightness !== undefined ? Math.round(state.brightness) : 50;
+            return Math.max(10, Math.min(100, currentBrightness + step));
+        };
+        const groupCommands = {
+            'licht an': (manager, group) => manager.setGroupPower(group.id, true),
+            'licht aus': (manager, group) => manager.setGroupPower(group.id, false),
+            'rot': (manager, group) => manager.setGroupColor(group.id, 255, 0, 0),
+            'blau': (manager, group) => manager.setGroupColor(group.id, 0, 0, 255),
+            'grün': (manager, group) => manager.setGroupColor(group.id, 0, 255, 0),
+            'heller': (manager, group) => manager.applyGroupState(group.id, { brightness: stepBrightness(manager, group, 20) }),
+            'dunkler': (manager, group) => manager.applyGroupState(group.id, { brightness: stepBrightness(manager, group, -20) }),
+            'party': (manager, group) => manager.setGroupEffect(group.id, 11), // Disco-Effekt
+            'entspannung': (manager, group) => manager.applyGroupState(group.id, { color: { r: 255, g: 200, b: 100 }, brightness: 40 })
+        };
+        
         recognition.onresult = async (event) => {
             const transcript = event.results[0][0].transcript.toLowerCase();
             console.log('🎤 Sprachbefehl erkannt:', transcript);
             
+            const group = this.findVoiceGroup(transcript);
+            
             for (const [command, action] of Object.entries(commands)) {
                 if (transcript.includes(command)) {
-                    await action(); // ✅ AWAIT für async Hardware-Befehle
+                    if (group) {
+                        this.emit('voice:group', { command, groupId: group.id });
+                        const result = await groupCommands[command](window.deviceManager, group);
+                        console.log(`✅ Voice: ${command} → Gruppe ${group.name} (${result.succeeded}/${result.total})`);
+                    } else {
+                        await action(); // ✅ AWAIT für async Hardware-Befehle
+                    }
                     break;
                 }
             }
@@ -275,6 +302,16 @@ class EventManager {
         });
     }
     
+    // Gruppe, deren Name im Sprachbefehl vorkommt (längster Name gewinnt: "wohnzimmer decke" vor "wohnzimmer")
+    findVoiceGroup(transcript) {
+        const manager = window.deviceManager;
+        if (!manager || !manager.groups) return null;
+        
+        return manager.groups
+            .filter(group => transcript.includes(group.name.toLowerCase()))
+            .sort((a, b) => b.name.length - a.name.length)[0] || null;
+    }
+    
     // ✅ AUTOMATION & SCHEDULING
     setupAutomationTriggers() {
         // Zeitbasierte Trigger
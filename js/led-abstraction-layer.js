@@ -1,35 +1,274 @@
 // ✅ UNIVERSELLE LED-ABSTRAKTIONSSCHICHT
 // Unterstützt verschiedene LED-Typen und Protokolle
 
+// Browser: window, Node (Tests): globalThis
+const layerRoot = typeof window !== 'undefined' ? window : globalThis;
+
+// ✅ FRAMEBUFFER: ein RGB-Wert pro Pixel, show() sendet nur geänderte Bereiche
+// Geändert = Unterschied zum zuletzt erfolgreich gesendeten Stand (sent)
+class LEDFrameBuffer {
+    constructor(pixelCount, output, deviceId = null) {
+        this.output = output;       // LEDAbstractionLayer (sendFrame)
+        this.deviceId = deviceId;   // null = aktives Gerät
+        this.pixelCount = pixelCount;
+        this.pixels = new Uint8Array(pixelCount * 3);
+        this.sent = null;           // null = Gerätestand unbekannt → ganzer Frame
+        this.powerScale = 1;        // Faktor der Leistungsbegrenzung beim letzten Senden
+        this.showing = null;
+        this.showAgain = false;
+    }
+    
+    // ✅ FARBE NORMALISIEREN: [r,g,b], {r,g,b} oder '#RRGGBB'
+    static parseColor(color) {
+        if (Array.isArray(color)) {
+            return color.slice(0, 3).map(v => Math.max(0, Math.min(255, Math.round(v) || 0)));
+        }
+        if (typeof color === 'string') {
+            const hex = color.replace('#', '');
+            return [0, 2, 4].map(i => parseInt(hex.substring(i, i + 2), 16) || 0);
+        }
+        if (color && typeof color === 'object') {
+            return LEDFrameBuffer.parseColor([color.r, color.g, color.b]);
+        }
+        return [0, 0, 0];
+    }
+    
+    // Bereich auf gültige Pixel begrenzen
+    clampRange(start, end) {
+        start = Math.max(0, Math.min(this.pixelCount, Math.floor(start)));
+        end = Math.max(start, Math.min(this.pixelCount, Math.ceil(end)));
+        return [start, end];
+    }
+    
+    get(index) {
+        const i = index * 3;
+        return [this.pixels[i], this.pixels[i + 1], this.pixels[i + 2]];
+    }
+    
+    set(index, color) {
+        if (index < 0 || index >= this.pixelCount) return this;
+        this.pixels.set(LEDFrameBuffer.parseColor(color), index * 3);
+        return this;
+    }
+    
+    // ✅ GANZER STREIFEN EINE FARBE
+    fill(color) {
+        return this.setRange(0, this.pixelCount, color);
+    }
+    
+    clear() {
+        return this.fill([0, 0, 0]);
+    }
+    
+    // ✅ BEREICH [start, end) EINE FARBE
+    setRange(start, end, color) {
+        const rgb = LEDFrameBuffer.parseColor(color);
+        [start, end] = this.clampRange(start, end);
+        
+        for (let i = start; i < end; i++) {
+            this.pixels.set(rgb, i * 3);
+        }
+        return this;
+    }
+    
+    // ✅ LINEARER VERLAUF ÜBER [start, end)
+    gradient(start, end, fromColor, toColor) {
+        const from = LEDFrameBuffer.parseColor(fromColor);
+        const to = LEDFrameBuffer.parseColor(toColor);
+        [start, end] = this.clampRange(start, end);
+        const steps = Math.max(1, end - start - 1);
+        
+        for (let i = start; i < end; i++) {
+            const t = (i - start) / steps;
+            this.pixels.set(from.map((v, c) => Math.round(v + (to[c] - v) * t)), i * 3);
+        }
+        return this;
+    }
+    
+    // ✅ VERSCHIEBEN (positiv = Richtung Streifenende), ohne wrap wird schwarz nachgeschoben
+    shift(steps = 1, wrap = true) {
+        const count = this.pixelCount;
+        const source = this.pixels.slice();
+        
+        for (let i = 0; i < count; i++) {
+            let from = i - steps;
+            if (wrap) {
+                from = ((from % count) + count) % count;
+            } else if (from < 0 || from >= count) {
+                this.pixels.set([0, 0, 0], i * 3);
+                continue;
+            }
+            this.pixels.set(source.subarray(from * 3, from * 3 + 3), i * 3);
+        }
+        return this;
+    }
+    
+    // ✅ SPIEGELN: erste Hälfte gespiegelt auf die zweite Hälfte
+    mirror() {
+        const count = this.pixelCount;
+        
+        for (let i = 0; i < Math.floor(count / 2); i++) {
+            this.pixels.copyWithin((count - 1 - i) * 3, i * 3, i * 3 + 3);
+        }
+        return this;
+    }
+    
+    // ✅ ÜBERBLENDEN mit Farbe, anderem Framebuffer oder Pixel-Array (amount 0-1)
+    blend(source, amount = 0.5) {
+        amount = Math.max(0, Math.min(1, amount));
+        
+        for (let i = 0; i < this.pixelCount; i++) {
+            let target;
+            if (source instanceof LEDFrameBuffer) {
+                if (i >= source.pixelCount) break;
+                target = source.get(i);
+            } else if (Array.isArray(source) && Array.isArray(source[0])) {
+                if (i >= source.length) break;
+                target = LEDFrameBuffer.parseColor(source[i]);
+            } else {
+                target = LEDFrameBuffer.parseColor(source);
+            }
+            
+            const current = this.get(i);
+            this.pixels.set(current.map((v, c) => Math.round(v + (target[c] - v) * amount)), i * 3);
+        }
+        return this;
+    }
+    
+    // Pixel-Array [[r,g,b], ...]
+    toArray() {
+        return Array.from({ length: this.pixelCount }, (_, i) => this.get(i));
+    }
+    
+    // Neue Größe (z.B. nach Änderung der Gerätekonfiguration)
+    resize(pixelCount) {
+        if (pixelCount === this.pixelCount) return this;
+        
+        const pixels = new Uint8Array(pixelCount * 3);
+        pixels.set(this.pixels.subarray(0, pixels.length));
+        this.pixels = pixels;
+        this.pixelCount = pixelCount;
+        this.sent = null;
+        return this;
+    }
+    
+    // Nächstes show() sendet den ganzen Frame
+    invalidate() {
+        this.sent = null;
+        return this;
+    }
+    
+    // ✅ GEÄNDERTE BEREICHE [start, end), kleine Lücken werden zusammengefasst
+    getDirtyRanges(maxGap = 2) {
+        if (!this.sent) {
+            return this.pixelCount > 0 ? [[0, this.pixelCount]] : [];
+        }
+        
+        const ranges = [];
+        let current = null;
+        
+        for (let i = 0; i < this.pixelCount; i++) {
+            const o = i * 3;
+            const changed = this.pixels[o] !== this.sent[o] ||
+                            this.pixels[o + 1] !== this.sent[o + 1] ||
+                            this.pixels[o + 2] !== this.sent[o + 2];
+            if (!changed) continue;
+            
+            if (current && i - current[1] <= maxGap) {
+                current[1] = i + 1;
+            } else {
+                current = [i, i + 1];
+                ranges.push(current);
+            }
+        }
+        return ranges;
+    }
+    
+    // ✅ SENDEN: läuft bereits ein show(), wird danach genau einmal nachgesendet
+    async show() {
+        if (this.showing) {
+            this.showAgain = true;
+            return this.showing;
+        }
+        
+        this.showing = (async () => {
+            let success;
+            do {
+                this.showAgain = false;
+                success = await this.flush();
+            } while (this.showAgain && success);
+            return success;
+        })();
+        
+        try {
+            return await this.showing;
+        } finally {
+            this.showing = null;
+        }
+    }
+    
+    async flush() {
+        // Leistungsbegrenzung: ein Faktor für den ganzen Frame (siehe sendFrame)
+        // Sinkt er, wird alles neu gesendet - kein Pixel bleibt heller als erlaubt
+        // Wieder 1 → alles neu, damit keine gedimmten Pixel stehen bleiben
+        const powerScale = this.output.getPowerScale ? this.output.getPowerScale(this) : 1;
+        if (powerScale < this.powerScale || (powerScale === 1 && this.powerScale !== 1)) {
+            this.sent = null;
+        }
+        this.powerScale = powerScale;
+        
+        const ranges = this.getDirtyRanges().map(([start, end]) => ({
+            start,
+            colors: Array.from(this.pixels.subarray(start * 3, end * 3))
+        }));
+        
+        if (ranges.length === 0) return true;
+        
+        const success = await this.output.sendFrame(this, ranges);
+        
+        // Nur Angekommenes gilt als gesendet - der Rest bleibt geändert
+        if (success) {
+            if (!this.sent || this.sent.length !== this.pixels.length) {
+                this.sent = new Uint8Array(this.pixels.length);
+            }
+            ranges.forEach(({ start, colors }) => this.sent.set(colors, start * 3));
+        }
+        return success;
+    }
+}
+
+
 class LEDAbstractionLayer {
     constructor() {
         this.ledType = null; // 'WS2812B', 'APA102', 'SK6812', etc.
         // ✅ VERWENDE GLOBALEN CONTROLLER!
-        this.controller = window.ledController || window.bleController || null;
-        this.pixelCount = 60; // Standard 60 LEDs
-        this.colorOrder = 'RGB'; // oder 'GRB', 'BGR', etc.
-        this.maxBrightness = 255;
-        this.whiteBalance = { r: 1.0, g: 1.0, b: 0.85 };
+        this.controller = layerRoot.ledController || layerRoot.bleController || null;
+        this.pixelCount = this.getPixelCount(); // Aus der Gerätekonfiguration (Standard 60)
+        this.frameBuffers = new Map(); // Geräte-ID ('active' = aktives Gerät) → LEDFrameBuffer
+        // Farbreihenfolge, Gamma, Weißabgleich, Helligkeit: Kalibrierungsprofil des Geräts (window.colorCalibration)
         
         // ✅ AUTO-INIT BEI CONTROLLER-VERFÜGBARKEIT
-        if (!this.controller && (window.ledController || window.bleController)) {
-            this.controller = window.ledController || window.bleController;
+        if (!this.controller && (layerRoot.ledController || layerRoot.bleController)) {
+            this.controller = layerRoot.ledController || layerRoot.bleController;
             console.log('✅ LED Abstraction Layer nutzt globalen Controller');
         }
     }
     
     // ✅ AUTOMATISCHE LED-TYP ERKENNUNG
-    async detectLEDType() {
+    // Nutzt den Status-Read-Back des Controllers (Notify-Frames).
+    // Controller ohne Read-Back liefern keinen Status → Fallback WS2812B
+    async detectLEDType(deviceId) {
         try {
-            // Sende Test-Pattern und analysiere Response
-            const testPattern = [0x7E, 0xFF, 0xFF, 0xFF, 0xEF];
-            const response = await this.controller.sendCommand(testPattern);
+            const state = this.controller && this.controller.queryStatus
+                ? await this.controller.queryStatus(deviceId)
+                : null;
             
-            // Analysiere Response für LED-Typ
-            if (response && response[0] === 0x7E) {
-                if (response[1] === 0x01) this.ledType = 'WS2812B';
-                else if (response[1] === 0x02) this.ledType = 'APA102';
-                else if (response[1] === 0x03) this.ledType = 'SK6812';
+            if (state && state.channels) {
+                // Weißkanal gemeldet → RGBW-Streifen
+                this.ledType = state.channels === 'RGBW' ? 'SK6812' : 'WS2812B';
+                console.log(`✅ LED-Typ erkannt: ${this.ledType} (Modell 0x${(state.model || 0).toString(16)}, Firmware ${state.firmwareVersion})`);
+            } else if (!this.ledType) {
+                this.ledType = 'WS2812B';
             }
             
             return this.ledType;
@@ -39,47 +278,46 @@ class LEDAbstractionLayer {
         }
     }
     
-    // ✅ FARB-KONVERTIERUNG FÜR VERSCHIEDENE LED-TYPEN
-    convertColorForLEDType(r, g, b) {
-        switch(this.colorOrder) {
-            case 'GRB': return { r: g, g: r, b: b };
-            case 'BGR': return { r: b, g: g, b: r };
-            case 'BRG': return { r: b, g: r, b: g };
-            case 'GBR': return { r: g, g: b, b: r };
-            case 'RBG': return { r: r, g: b, b: g };
-            default: return { r, g, b }; // RGB
-        }
-    }
-    
-    // ✅ GAMMA-KORREKTUR FÜR LINEARITÄT
-    gammaCorrection(value) {
-        // 2.8 Gamma für bessere Farbdarstellung
-        return Math.pow(value / 255, 2.8) * 255;
-    }
-    
     // ✅ UNIVERSELLE SET-COLOR METHODE
-    async setColor(r, g, b, applyGamma = true) {
-        // Gamma-Korrektur anwenden
-        if (applyGamma) {
-            r = this.gammaCorrection(r);
-            g = this.gammaCorrection(g);
-            b = this.gammaCorrection(b);
+    // Rohe Befehle → Kalibrierungsprofil hier anwenden (Controller-Befehle kalibriert der Controller)
+    async setColor(r, g, b, deviceId = null) {
+        // Rohe Befehle gehen nur an das aktive Gerät - andere Geräte über den Controller (Ziel-ID, kalibriert dort)
+        if (deviceId && this.controller && deviceId !== this.controller.activeDeviceId) {
+            if (!this.controller.setColorRGB) {
+                throw new Error(`Gerät ${deviceId} ist nicht das aktive Gerät`);
+            }
+            return this.controller.setColorRGB(r, g, b, deviceId);
+        }
+
+        const calibration = layerRoot.colorCalibration;
+        const target = deviceId || (this.controller ? this.controller.activeDeviceId : null);
+        
+        // RGBW: gemeinsamer Weißanteil geht automatisch in den Weißkanal
+        if (this.ledType === 'SK6812') {
+            const [cr, cg, cb, cw] = calibration ? calibration.applyRGBW(target, r, g, b) : [r, g, b, 0];
+            return this.sendSK6812Command(cr, cg, cb, cw);
         }
         
-        // Konvertiere für LED-Typ
-        const converted = this.convertColorForLEDType(r, g, b);
+        const [cr, cg, cb] = calibration ? calibration.apply(target, r, g, b) : [r, g, b];
         
         // Sende an Hardware
         switch(this.ledType) {
             case 'WS2812B':
-                return this.sendWS2812Command(converted.r, converted.g, converted.b);
+                return this.sendWS2812Command(cr, cg, cb);
             case 'APA102':
-                return this.sendAPA102Command(converted.r, converted.g, converted.b);
-            case 'SK6812':
-                return this.sendSK6812Command(converted.r, converted.g, converted.b);
+                return this.sendAPA102Command(cr, cg, cb);
             default:
-                return this.sendGenericCommand(converted.r, converted.g, converted.b);
+                return this.sendGenericCommand(cr, cg, cb);
+        }
+    }
+    
+    // ✅ FARBTEMPERATUR (Controller entscheidet: natives CCT, Weißkanal oder RGB)
+    async setColorTemperature(kelvin, deviceId = null) {
+        const controller = this.controller || layerRoot.ledController;
+        if (!controller || !controller.setColorTemperature) {
+            throw new Error('Kein Controller mit Farbtemperatur verfügbar');
         }
+        return controller.setColorTemperature(kelvin, deviceId || controller.activeDeviceId);
     }
     
     // ✅ WS2812B SPEZIFISCHES PROTOKOLL
@@ -102,9 +340,13 @@ class LEDAbstractionLayer {
                 0x00, 0xEF
             ]);
             return this.controller.characteristic.writeValue(cmd);
-        } else if (window.ledController && window.ledController.isConnected) {
-            // ✅ FALLBACK AUF GLOBALEN CONTROLLER
-            return window.ledController.setColorRGB(Math.round(r), Math.round(g), Math.round(b));
+        } else if (layerRoot.ledController && layerRoot.ledController.isConnected) {
+            // ✅ FALLBACK AUF GLOBALEN CONTROLLER (rohe Bytes - Werte sind bereits kalibriert)
+            return layerRoot.ledController.sendCommand(new Uint8Array([
+                0x7E, 0x00, 0x05,
+                Math.round(r), Math.round(g), Math.round(b),
+                0x00, 0xEF
+            ]));
         } else {
             console.error('❌ Kein Controller verfügbar!');
             return false;
@@ -134,52 +376,147 @@ class LEDAbstractionLayer {
         return this.controller.characteristic.writeValue(cmd);
     }
     
-    // ✅ EINZELPIXEL-STEUERUNG
+    // ✅ LED-ANZAHL AUS DER GERÄTEKONFIGURATION (DeviceManager)
+    getPixelCount(deviceId = null) {
+        const manager = layerRoot.deviceManager;
+        const id = deviceId || (manager && manager.currentDevice ? manager.currentDevice.id : null);
+        
+        if (manager && manager.getLedCount && id) {
+            return manager.getLedCount(id);
+        }
+        return layerRoot.DEVICE_CONFIG ? layerRoot.DEVICE_CONFIG.DEFAULT_LED_COUNT : 60;
+    }
+    
+    // ✅ LAYOUT AUS DER GERÄTEKONFIGURATION (Matrix, Segmente, Koordinaten - js/led-layout.js)
+    getLayout(deviceId = null) {
+        const manager = layerRoot.deviceManager;
+        const id = deviceId || (manager && manager.currentDevice ? manager.currentDevice.id : null);
+        
+        if (manager && manager.getLayout && id) {
+            return manager.getLayout(id);
+        }
+        return layerRoot.LEDLayout ? layerRoot.LEDLayout.strip(this.getPixelCount(deviceId)) : null;
+    }
+    
+    // ✅ RÄUMLICH ZEICHNEN: Farbe aus normierten Koordinaten (0-1), Ausgabe in physischer Reihenfolge
+    // colorAt(x, y, index, layout) → [r, g, b]
+    async renderSpatial(colorAt, deviceId = null) {
+        const frameBuffer = this.getFrameBuffer(deviceId);
+        const layout = this.getLayout(deviceId);
+        if (!layout) {
+            throw new Error('LED-Layout nicht geladen (js/led-layout.js)');
+        }
+        
+        for (let i = 0; i < layout.count; i++) {
+            const [x, y] = layout.xy(i);
+            frameBuffer.set(layout.toPhysical[i], colorAt(x, y, i, layout));
+        }
+        return frameBuffer.show();
+    }
+    
+    // ✅ FRAMEBUFFER PRO GERÄT (Größe folgt der Konfiguration)
+    getFrameBuffer(deviceId = null) {
+        const key = deviceId || 'active';
+        const pixelCount = this.getPixelCount(deviceId);
+        let frameBuffer = this.frameBuffers.get(key);
+        
+        if (!frameBuffer) {
+            frameBuffer = new LEDFrameBuffer(pixelCount, this, deviceId);
+            this.frameBuffers.set(key, frameBuffer);
+        } else {
+            frameBuffer.resize(pixelCount);
+        }
+        
+        if (!deviceId) {
+            this.pixelCount = pixelCount;
+        }
+        return frameBuffer;
+    }
+    
+    // ✅ AUSGABE EINES FRAMEBUFFERS IM FORMAT DES ZIELS
+    // WLED: ganzer Frame per Echtzeit-Socket (neuester Frame gewinnt)
+    // BLE mit Einzelpixeln: nur die geänderten Bereiche (PIXELS-Frames des Treibers)
+    // BLE ohne Einzelpixel: Durchschnittsfarbe als COLOR-Stream (neuester Frame gewinnt)
+    // Virtuelles Gerät: Abschnitte in die Framebuffer der Streifen (js/virtual-devices.js)
+    async sendFrame(frameBuffer, ranges) {
+        const deviceId = frameBuffer.deviceId;
+        const manager = layerRoot.deviceManager;
+        const device = deviceId && manager ? manager.getDeviceById(deviceId) : null;
+        
+        if (device && device.type === 'virtual') {
+            return layerRoot.virtualDevices
+                ? layerRoot.virtualDevices.sendFrame(deviceId, frameBuffer.pixels, this)
+                : false;
+        }
+        
+        let wledClient = null;
+        if (device && device.type === 'wled') {
+            wledClient = manager.getWLEDClient(deviceId);
+        } else if (!deviceId && layerRoot.wledDevice && layerRoot.wledDevice.connected) {
+            wledClient = layerRoot.wledDevice.client;
+        }
+        
+        // Leistungsbegrenzung (Faktor aus flush) vor der Kalibrierung anwenden
+        const scale = frameBuffer.powerScale;
+        if (scale < 1) {
+            ranges = ranges.map(({ start, colors }) => ({ start, colors: colors.map(v => Math.floor(v * scale)) }));
+        }
+        
+        if (wledClient) {
+            const pixels = frameBuffer.toArray();
+            wledClient.streamPixels(scale < 1 ? pixels.map(rgb => rgb.map(v => Math.floor(v * scale))) : pixels);
+            if (device) return true;
+        }
+        
+        const controller = this.controller;
+        const target = deviceId || (controller ? controller.activeDeviceId : null);
+        
+        if (!controller || !controller.getConnection || !controller.getConnection(target)) {
+            return !!wledClient;
+        }
+        
+        // Kalibrierung (inkl. Farbreihenfolge) übernehmen Controller bzw. WLED-Client
+        if (controller.supportsPixels(target)) {
+            return controller.sendPixels(ranges, target);
+        }
+        
+        const [r, g, b] = [0, 1, 2].map(c => {
+            let sum = 0;
+            for (let i = c; i < frameBuffer.pixels.length; i += 3) sum += frameBuffer.pixels[i];
+            return Math.round(sum * scale / Math.max(1, frameBuffer.pixelCount));
+        });
+        return controller.streamCommands(target, [['COLOR', r, g, b]]);
+    }
+    
+    // ✅ LEISTUNGSBEGRENZUNG: Faktor für den ganzen Frame (1 = unbegrenzt, js/power-limiter.js)
+    getPowerScale(frameBuffer) {
+        const limiter = layerRoot.powerLimiter;
+        if (!limiter) return 1;
+        
+        // Virtuelle Geräte: jeder Streifen begrenzt in seinem eigenen Framebuffer
+        if (layerRoot.virtualDevices && layerRoot.virtualDevices.isVirtual(frameBuffer.deviceId)) return 1;
+        
+        const target = frameBuffer.deviceId || (this.controller ? this.controller.activeDeviceId : null);
+        return limiter.limitFrame(target, frameBuffer.pixels);
+    }
+    
+    // ✅ EINZELPIXEL-STEUERUNG (über den Framebuffer)
     async setPixel(index, r, g, b) {
-        if (index >= this.pixelCount) {
-            throw new Error(`Pixel ${index} außerhalb des Bereichs (max: ${this.pixelCount - 1})`);
+        const frameBuffer = this.getFrameBuffer();
+        
+        if (index >= frameBuffer.pixelCount) {
+            throw new Error(`Pixel ${index} außerhalb des Bereichs (max: ${frameBuffer.pixelCount - 1})`);
         }
         
-        const cmd = new Uint8Array([
-            0x7E, 0x01, // Pixel-Mode
-            (index >> 8) & 0xFF, index & 0xFF, // 16-bit Index
-            Math.round(r), Math.round(g), Math.round(b),
-            0xEF
-        ]);
-        return this.controller.characteristic.writeValue(cmd);
+        return frameBuffer.set(index, [r, g, b]).show();
     }
     
     // ✅ BUFFER-BASIERTE UPDATES (FÜR ANIMATIONEN)
-    async updateBuffer(pixelData) {
+    async updateBuffer(pixelData, deviceId = null) {
         // pixelData = [[r,g,b], [r,g,b], ...]
-        const bufferSize = pixelData.length * 3;
-        const cmd = new Uint8Array(bufferSize + 5);
-        
-        cmd[0] = 0x7E;
-        cmd[1] = 0x02; // Buffer-Mode
-        cmd[2] = (bufferSize >> 8) & 0xFF;
-        cmd[3] = bufferSize & 0xFF;
-        
-        let offset = 4;
-        for (const pixel of pixelData) {
-            const converted = this.convertColorForLEDType(pixel[0], pixel[1], pixel[2]);
-            cmd[offset++] = Math.round(converted.r);
-            cmd[offset++] = Math.round(converted.g);
-            cmd[offset++] = Math.round(converted.b);
-        }
-        
-        cmd[cmd.length - 1] = 0xEF;
-        
-        // Chunk große Buffer (BLE hat 512 byte limit)
-        if (cmd.length > 512) {
-            for (let i = 0; i < cmd.length; i += 512) {
-                const chunk = cmd.slice(i, Math.min(i + 512, cmd.length));
-                await this.controller.characteristic.writeValue(chunk);
-                await this.delay(10); // Kleine Pause zwischen Chunks
-            }
-        } else {
-            return this.controller.characteristic.writeValue(cmd);
-        }
+        const frameBuffer = this.getFrameBuffer(deviceId);
+        pixelData.forEach((pixel, index) => frameBuffer.set(index, pixel));
+        return frameBuffer.show();
     }
     
     // ✅ VORDEFINIERTE EFFEKTE
@@ -209,8 +546,14 @@ class LEDAbstractionLayer {
         return this.controller.characteristic.writeValue(cmd);
     }
     
-    // ✅ FRAME-RATE KONTROLLE
-    async startAnimation(animationFunc, targetFPS = 30) {
+    // ✅ FRAME-RATE KONTROLLE (gibt die Stopp-Funktion direkt zurück)
+    // Mit Scheduler (js/animation-scheduler.js): läuft auch bei verborgenem Tab,
+    // verwirft Frames bei belegtem Transport - options: { name, isBusy }
+    startAnimation(animationFunc, targetFPS = 30, options = {}) {
+        if (layerRoot.animationScheduler) {
+            return layerRoot.animationScheduler.start(animationFunc, targetFPS, options);
+        }
+        
         const frameTime = 1000 / targetFPS;
         let lastTime = performance.now();
         let animationId;
@@ -236,26 +579,39 @@ class LEDAbstractionLayer {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
     
-    // ✅ KALIBRIERUNG
-    async calibrateWhiteBalance(rOffset = 1.0, gOffset = 1.0, bOffset = 0.85) {
+    // ✅ KALIBRIERUNG (Weißabgleich im Profil des aktiven bzw. angegebenen Geräts)
+    async calibrateWhiteBalance(rOffset = 1.0, gOffset = 1.0, bOffset = 0.85, deviceId = null) {
         // Typisch: Blau ist zu stark bei LEDs
-        this.whiteBalance = { r: rOffset, g: gOffset, b: bOffset };
+        const calibration = layerRoot.colorCalibration;
+        if (!calibration) {
+            throw new Error('Farbkalibrierung nicht geladen (js/color-calibration.js)');
+        }
         
-        // Speichere Kalibrierung
-        localStorage.setItem('ledWhiteBalance', JSON.stringify(this.whiteBalance));
+        const target = deviceId || (this.controller ? this.controller.activeDeviceId : null);
+        // Bekanntes Gerät → eigenes Profil, sonst Standard-Profil
+        return calibration.setProfile(calibration.getDevice(target) ? target : null, {
+            whiteBalance: { r: rOffset, g: gOffset, b: bOffset }
+        });
     }
     
-    // ✅ POWER-MANAGEMENT
-    calculatePowerConsumption(r, g, b, pixelCount) {
+    // ✅ POWER-MANAGEMENT (Schätzung wie die Leistungsbegrenzung, Spannung aus dem Netzteil-Budget)
+    calculatePowerConsumption(r, g, b, pixelCount, deviceId = null) {
+        const limiter = layerRoot.powerLimiter;
+        const load = (r / 255 + g / 255 + b / 255) * pixelCount;
         // WS2812B: ~20mA pro Farbe bei voller Helligkeit
-        const mAPerColor = 20;
-        const power = ((r/255 + g/255 + b/255) * mAPerColor * pixelCount);
+        const power = layerRoot.PowerLimiter ? layerRoot.PowerLimiter.estimateCurrent(load, pixelCount) : load * 20;
+        const volts = limiter ? limiter.getBudget(deviceId).volts : 5;
         return {
             current: power,
-            watts: (power * 5) / 1000 // 5V assumption
+            watts: (power * volts) / 1000
         };
     }
 }
 
 // Export für globale Nutzung
-window.LEDAbstractionLayer = LEDAbstractionLayer;
+layerRoot.LEDFrameBuffer = LEDFrameBuffer;
+layerRoot.LEDAbstractionLayer = LEDAbstractionLayer;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LEDFrameBuffer, LEDAbstractionLayer };
+}
@@ -0,0 +1,334 @@
+/**
+ * ===================================================================
+ * LED-LAYOUT.JS
+ * Räumliche Anordnung der Pixel eines Geräts
+ * Version: 1.0
+ * ===================================================================
+ *
+ * Ein Layout beschreibt, wo jeder physische Pixel liegt - Streifen,
+ * LED-Wände (Matrix, auch Zickzack verdrahtet) und Raumumrisse aus
+ * mehreren Segmenten. Gespeichert wird es pro Gerät (device.layout).
+ *
+ * Effekte rendern in logischer Reihenfolge (umgedrehte Läufe sind
+ * bereits gedreht, Matrizen zeilenweise von oben links) oder räumlich
+ * über die Koordinaten; map() bringt das Ergebnis in die physische
+ * Reihenfolge des Streifens.
+ *
+ * Konfiguration (JSON):
+ *   {
+ *     segments: [
+ *       { type: 'line', count: 30, from: [0, 0], to: [29, 0], reverse: false },
+ *       { type: 'matrix', width: 16, height: 16, x: 0, y: 0,
+ *         origin: 'top-left', vertical: false, serpentine: true },
+ *       { type: 'points', points: [[x, y], ...] }
+ *     ]
+ *   }
+ * Koordinaten in LED-Abständen (1 = Abstand zweier Pixel), y nach unten.
+ * Physische Indizes laufen in der Reihenfolge der Segmente.
+ *
+ * ===================================================================
+ */
+
+'use strict';
+
+// Browser: window, Node (Tests): globalThis
+const layoutRoot = typeof window !== 'undefined' ? window : globalThis;
+
+// ===================================================================
+// KONFIGURATION
+// ===================================================================
+
+const LAYOUT_CONFIG = {
+  SEGMENT_TYPES: ['line', 'matrix', 'points'],
+  ORIGINS: ['top-left', 'top-right', 'bottom-left', 'bottom-right'],
+  MAX_PIXELS: 4096,
+  MAX_GRID_CELLS: 256 * 256
+};
+
+// ===================================================================
+// LAYOUT
+// ===================================================================
+
+class LEDLayout {
+  /**
+   * @param {Object} config - { segments: [...] } (siehe oben)
+   */
+  constructor(config = {}) {
+    this.config = LEDLayout.normalize(config);
+    this.build();
+  }
+
+  // ===================================================================
+  // FABRIKEN
+  // ===================================================================
+
+  /**
+   * Gerader Streifen (optional umgedreht verbaut)
+   */
+  static strip(count, reverse = false) {
+    return new LEDLayout({ segments: [{ type: 'line', count, from: [0, 0], to: [Math.max(0, count - 1), 0], reverse }] });
+  }
+
+  /**
+   * LED-Wand
+   * @param {Object} options - { origin, vertical, serpentine }
+   */
+  static matrix(width, height, options = {}) {
+    return new LEDLayout({ segments: [{ type: 'matrix', width, height, ...options }] });
+  }
+
+  /**
+   * Prüft und vereinheitlicht eine Konfiguration
+   */
+  static normalize(config = {}) {
+    const segments = Array.isArray(config.segments) ? config.segments : [];
+    const toPoint = (point, fallback) => (Array.isArray(point) && point.length >= 2
+      ? [parseFloat(point[0]) || 0, parseFloat(point[1]) || 0]
+      : fallback);
+
+    let total = 0;
+    const normalized = segments.map(segment => {
+      let result;
+
+      switch (segment.type) {
+        case 'matrix': {
+          const width = Math.max(1, parseInt(segment.width) || 1);
+          const height = Math.max(1, parseInt(segment.height) || 1);
+          result = {
+            type: 'matrix',
+            width,
+            height,
+            x: parseFloat(segment.x) || 0,
+            y: parseFloat(segment.y) || 0,
+            origin: LAYOUT_CONFIG.ORIGINS.includes(segment.origin) ? segment.origin : 'top-left',
+            vertical: !!segment.vertical,
+            serpentine: segment.serpentine !== false
+          };
+          total += width * height;
+          break;
+        }
+        case 'points': {
+          const points = (Array.isArray(segment.points) ? segment.points : []).map(point => toPoint(point, [0, 0]));
+          result = { type: 'points', points };
+          total += points.length;
+          break;
+        }
+        default: {
+          const count = Math.max(0, parseInt(segment.count) || 0);
+          const from = toPoint(segment.from, [0, 0]);
+          result = {
+            type: 'line',
+            count,
+            from,
+            to: toPoint(segment.to, [from[0] + Math.max(0, count - 1), from[1]]),
+            reverse: !!segment.reverse
+          };
+          total += count;
+        }
+      }
+      return result;
+    });
+
+    if (total > LAYOUT_CONFIG.MAX_PIXELS) {
+      throw new Error(`Layout zu groß (${total} > ${LAYOUT_CONFIG.MAX_PIXELS} Pixel)`);
+    }
+    return { segments: normalized };
+  }
+
+  // ===================================================================
+  // AUFBAU
+  // ===================================================================
+
+  /**
+   * Berechnet Indizes und Koordinaten aller Pixel
+   */
+  build() {
+    const logical = []; // [{ physical, x, y }] in logischer Reihenfolge
+    let start = 0;
+
+    this.config.segments.forEach(segment => {
+      switch (segment.type) {
+        case 'matrix':
+          this.buildMatrix(segment, start, logical);
+          start += segment.width * segment.height;
+          break;
+        case 'points':
+          segment.points.forEach(([x, y], i) => logical.push({ physical: start + i, x, y }));
+          start += segment.points.length;
+          break;
+        default: {
+          const { count, from, to, reverse } = segment;
+          for (let i = 0; i < count; i++) {
+            // Logisch immer von from nach to, physisch ggf. rückwärts verbaut
+            const t = count > 1 ? i / (count - 1) : 0;
+            logical.push({
+              physical: start + (reverse ? count - 1 - i : i),
+              x: from[0] + (to[0] - from[0]) * t,
+              y: from[1] + (to[1] - from[1]) * t
+            });
+          }
+          start += count;
+        }
+      }
+    });
+
+    this.count = logical.length;
+    this.toPhysical = new Int32Array(logical.map(pixel => pixel.physical));
+    this.positions = new Float32Array(this.count * 2);
+    logical.forEach((pixel, i) => {
+      this.positions[i * 2] = pixel.x;
+      this.positions[i * 2 + 1] = pixel.y;
+    });
+
+    this.buildBounds();
+    this.buildGrid();
+  }
+
+  /**
+   * Matrix: logisch zeilenweise von oben links, physisch ab der Ecke origin,
+   * zeilen- oder spaltenweise (vertical), bei serpentine jede zweite Reihe rückwärts
+   */
+  buildMatrix(segment, start, logical) {
+    const { width, height, x, y, origin, vertical, serpentine } = segment;
+    const flipX = origin.endsWith('right');
+    const flipY = origin.startsWith('bottom');
+    const runLength = vertical ? height : width;
+
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        // Position relativ zur Start-Ecke
+        const cx = flipX ? width - 1 - col : col;
+        const cy = flipY ? height - 1 - row : row;
+        const run = vertical ? cx : cy;
+        let offset = vertical ? cy : cx;
+        if (serpentine && run % 2 === 1) {
+          offset = runLength - 1 - offset;
+        }
+        logical.push({ physical: start + run * runLength + offset, x: x + col, y: y + row });
+      }
+    }
+  }
+
+  buildBounds() {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let i = 0; i < this.count; i++) {
+      minX = Math.min(minX, this.positions[i * 2]);
+      maxX = Math.max(maxX, this.positions[i * 2]);
+      minY = Math.min(minY, this.positions[i * 2 + 1]);
+      maxY = Math.max(maxY, this.positions[i * 2 + 1]);
+    }
+
+    this.bounds = this.count > 0 ? { minX, minY, maxX, maxY } : { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+    this.is2D = maxX > minX && maxY > minY;
+
+    // Normiert 0-1 (Seitenverhältnis bleibt: längere Seite = 1)
+    const span = Math.max(maxX - minX, maxY - minY) || 1;
+    this.points = new Float32Array(this.count * 2);
+    for (let i = 0; i < this.count; i++) {
+      this.points[i * 2] = (this.positions[i * 2] - minX) / span;
+      this.points[i * 2 + 1] = (this.positions[i * 2 + 1] - minY) / span;
+    }
+  }
+
+  /**
+   * Raster für Effekte, die in Spalten und Zeilen denken (Feuer, Matrix, Spektrum)
+   */
+  buildGrid() {
+    const { minX, minY, maxX, maxY } = this.bounds;
+    this.width = Math.max(1, Math.round(maxX - minX) + 1);
+    this.height = Math.max(1, Math.round(maxY - minY) + 1);
+
+    if (this.width * this.height > LAYOUT_CONFIG.MAX_GRID_CELLS) {
+      this.grid = null;
+      return;
+    }
+
+    this.grid = new Int32Array(this.width * this.height).fill(-1);
+    for (let i = 0; i < this.count; i++) {
+      const col = Math.round(this.positions[i * 2] - minX);
+      const row = Math.round(this.positions[i * 2 + 1] - minY);
+      this.grid[row * this.width + col] = i;
+    }
+  }
+
+  // ===================================================================
+  // ABFRAGEN
+  // ===================================================================
+
+  /**
+   * Normierte Koordinaten eines logischen Pixels
+   * @returns {number[]} - [x, y], jeweils 0-1
+   */
+  xy(index) {
+    return [this.points[index * 2], this.points[index * 2 + 1]];
+  }
+
+  /**
+   * Koordinaten je Achse auf 0-1 gestreckt (z.B. Spektrum: x = Frequenz, y = Pegel)
+   * @returns {number[]} - [u, v]; ohne Ausdehnung in einer Achse 0
+   */
+  uv(index) {
+    const { minX, minY, maxX, maxY } = this.bounds;
+    return [
+      maxX > minX ? (this.positions[index * 2] - minX) / (maxX - minX) : 0,
+      maxY > minY ? (this.positions[index * 2 + 1] - minY) / (maxY - minY) : 0
+    ];
+  }
+
+  /**
+   * Logischer Pixel an Rasterposition (Spalte, Zeile) oder -1
+   */
+  indexAt(col, row) {
+    if (!this.grid || col < 0 || row < 0 || col >= this.width || row >= this.height) return -1;
+    return this.grid[row * this.width + col];
+  }
+
+  /**
+   * Physische Reihenfolge entspricht der logischen (map() ist überflüssig)
+   */
+  isIdentity() {
+    if (this.identity === undefined) {
+      this.identity = this.toPhysical.every((physical, i) => physical === i);
+    }
+    return this.identity;
+  }
+
+  // ===================================================================
+  // ABBILDUNG
+  // ===================================================================
+
+  /**
+   * Logische Pixel → physische Reihenfolge
+   * @param {Uint8Array} source - [r, g, b, ...] logisch
+   * @param {Uint8Array} target - [r, g, b, ...] physisch (Pixel außerhalb des Layouts bleiben)
+   */
+  map(source, target) {
+    const limit = target.length / 3;
+    for (let i = 0; i < this.count; i++) {
+      const physical = this.toPhysical[i];
+      if (physical >= limit) continue;
+      target[physical * 3] = source[i * 3];
+      target[physical * 3 + 1] = source[i * 3 + 1];
+      target[physical * 3 + 2] = source[i * 3 + 2];
+    }
+    return target;
+  }
+}
+
+// ===================================================================
+// GLOBALE INSTANZ
+// ===================================================================
+
+layoutRoot.LAYOUT_CONFIG = LAYOUT_CONFIG;
+layoutRoot.LEDLayout = LEDLayout;
+
+console.log('✅ LED-Layout global verfügbar als window.LEDLayout');
+
+// ===================================================================
+// EXPORT
+// ===================================================================
+
+// Browser-kompatible Exports
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LEDLayout;
+}
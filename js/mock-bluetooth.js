@@ -0,0 +1,660 @@
+/**
+ * ===================================================================
+ * MOCK-BLUETOOTH.JS
+ * Simulierter navigator.bluetooth für Tests ohne LED-Hardware
+ * Version: 1.0
+ * ===================================================================
+ *
+ * Ersetzt die Web Bluetooth API durch eine Attrappe:
+ * - Zeichnet jedes geschriebene Byte-Array auf
+ * - Simuliert Verbindungsabbrüche, Timeouts und Schreibfehler
+ * - Sendet Notify-Frames an abonnierte Characteristics
+ * - Emuliert ELK-BLEDOM, Generic BLE LED und Triones (Zustand aus Befehlen)
+ * - Freigaben (getDevices) und Advertisements (watchAdvertisements)
+ *
+ * Nutzung (Node/jsdom, CI):
+ *   const { MockBluetooth } = require('./js/mock-bluetooth.js');
+ *   const bluetooth = new MockBluetooth().install();
+ *   const strip = bluetooth.addDevice({ name: 'ELK-BLEDOM', protocol: 'ELK_BLEDOM' });
+ *   await window.ledController.connect();
+ *   await window.ledController.setColorRGB(255, 0, 0);
+ *   strip.writes        // → [{ bytes: [0x7e, 0x07, ...], ... }]
+ *   strip.state.color   // → { r: 255, g: 0, b: 0 }
+ *
+ * Nutzung (Browser-Konsole): Datei per <script> laden, dann
+ *   window.mockBluetooth = new MockBluetooth().install();
+ *
+ * Wird von der App selbst NICHT geladen.
+ * Tests: test/ble-controller.test.js (npm test)
+ *
+ * ===================================================================
+ */
+
+'use strict';
+
+// ===================================================================
+// HILFSFUNKTIONEN
+// ===================================================================
+
+const mockRoot = typeof window !== 'undefined' ? window : globalThis;
+
+/**
+ * Baut eine 16-Bit Bluetooth-Basis-UUID
+ */
+function mockUUID(shortId) {
+  return `0000${shortId}-0000-1000-8000-00805f9b34fb`;
+}
+
+/**
+ * Fehler im Stil der Web Bluetooth API (error.name wie DOMException)
+ */
+function mockError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * Byte-Array aus BufferSource
+ */
+function toBytes(data) {
+  if (data instanceof ArrayBuffer) {
+    return Array.from(new Uint8Array(data));
+  }
+  if (ArrayBuffer.isView(data)) {
+    return Array.from(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+  }
+  return Array.from(data);
+}
+
+/**
+ * Einfache EventTarget-Implementierung (Node hat kein DOM)
+ */
+class MockEventTarget {
+  constructor() {
+    this.listeners = {};
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = this.listeners[type] || [];
+    if (!this.listeners[type].includes(listener)) {
+      this.listeners[type].push(listener);
+    }
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+  }
+
+  dispatchEvent(event) {
+    event.target = event.target || this;
+    (this.listeners[event.type] || []).slice().forEach(listener => listener(event));
+    return true;
+  }
+}
+
+// ===================================================================
+// EMULIERTE PROTOKOLLE
+// ===================================================================
+
+/**
+ * Profil-Struktur:
+ * {
+ *   service: string,                       // Primary Service UUID
+ *   write: string,                         // Write-Characteristic
+ *   notify: string,                        // Notify-Characteristic (darf = write sein)
+ *   notifyService: string,                 // Optional: eigener Service für notify
+ *   frameLengths: number[],                // Mögliche Befehlslängen (für gepackte Writes)
+ *   decode: (bytes) => Object|null         // Befehl → Zustandsänderung
+ * }
+ *
+ * UUIDs und Byte-Tabellen sind bewusst unabhängig von
+ * js/protocol-drivers.js - Fehler im Treiber sollen Tests auffallen.
+ */
+const MOCK_PROFILES = {
+  ELK_BLEDOM: {
+    service: mockUUID('fff0'),
+    write: mockUUID('fff3'),
+    notify: mockUUID('fff4'),
+    frameLengths: [9],
+    decode(bytes) {
+      if (bytes.length !== 9 || bytes[0] !== 0x7e || bytes[8] !== 0xef) return null;
+
+      if (bytes[1] === 0x04 && bytes[2] === 0x04) return { power: bytes[3] === 0x01 };
+      if (bytes[1] === 0x07 && bytes[2] === 0x05 && bytes[3] === 0x03) {
+        return { color: { r: bytes[4], g: bytes[5], b: bytes[6] }, effect: null };
+      }
+      if (bytes[1] === 0x06 && bytes[2] === 0x05 && bytes[3] === 0x02) {
+        return { cct: { warm: bytes[4], cold: bytes[5] }, effect: null };
+      }
+      if (bytes[1] === 0x04 && bytes[2] === 0x01) return { brightness: bytes[3] };
+      if (bytes[1] === 0x05 && bytes[2] === 0x03) return { effect: bytes[3] };
+      return null;
+    }
+  },
+
+  GENERIC: {
+    service: mockUUID('ffe0'),
+    write: mockUUID('ffe1'),
+    notify: mockUUID('ffe1'),
+    frameLengths: [10, 9],
+    decode(bytes) {
+      if (bytes[0] !== 0x7e || bytes[1] !== 0x00 || bytes[bytes.length - 1] !== 0xef) return null;
+
+      if (bytes.length === 10 && bytes[2] === 0x05) {
+        const [r, g, b] = bytes.slice(4, 7);
+        if (((r + g + b) & 0xFF) !== bytes[8]) return null; // Checksumme falsch
+        return { color: { r, g, b }, effect: null };
+      }
+      if (bytes.length !== 9) return null;
+      if (bytes[2] === 0x04) return { power: bytes[3] === 0xf0 };
+      if (bytes[2] === 0x01) return { brightness: bytes[3] };
+      if (bytes[2] === 0x03) return { effect: bytes[3] };
+      return null;
+    }
+  },
+
+  // Ohne Helligkeits-Befehl - Farbe kommt bereits skaliert an
+  TRIONES: {
+    service: mockUUID('ffd5'),
+    write: mockUUID('ffd9'),
+    notify: mockUUID('ffd4'),
+    notifyService: mockUUID('ffd0'),
+    frameLengths: [7, 4, 3],
+    decode(bytes) {
+      if (bytes.length === 7 && bytes[0] === 0x56 && bytes[5] === 0xf0 && bytes[6] === 0xaa) {
+        return { color: { r: bytes[1], g: bytes[2], b: bytes[3] }, effect: null };
+      }
+      if (bytes.length === 4 && bytes[0] === 0xbb && bytes[3] === 0x44) return { effect: bytes[1] };
+      if (bytes.length === 3 && bytes[0] === 0xcc && bytes[2] === 0x33) {
+        if (bytes[1] === 0x23) return { power: true };
+        if (bytes[1] === 0x24) return { power: false };
+      }
+      return null;
+    }
+  }
+};
+
+// ===================================================================
+// GATT-ATTRAPPEN
+// ===================================================================
+
+class MockCharacteristic extends MockEventTarget {
+  constructor(service, uuid, properties) {
+    super();
+    this.service = service;
+    this.uuid = uuid;
+    this.properties = {
+      read: false,
+      write: false,
+      writeWithoutResponse: false,
+      notify: false,
+      ...properties
+    };
+    this.value = null;
+    this.notifying = false;
+  }
+
+  get device() {
+    return this.service.device;
+  }
+
+  writeValue(data) {
+    return this.device.handleWrite(this, toBytes(data), true);
+  }
+
+  writeValueWithResponse(data) {
+    return this.device.handleWrite(this, toBytes(data), true);
+  }
+
+  writeValueWithoutResponse(data) {
+    if (!this.properties.writeWithoutResponse) {
+      return Promise.reject(mockError('NotSupportedError', 'writeWithoutResponse nicht unterstützt'));
+    }
+    return this.device.handleWrite(this, toBytes(data), false);
+  }
+
+  async startNotifications() {
+    this.device.assertConnected();
+    if (!this.properties.notify) {
+      throw mockError('NotSupportedError', 'Characteristic unterstützt keine Notifications');
+    }
+    this.notifying = true;
+    return this;
+  }
+
+  async stopNotifications() {
+    this.notifying = false;
+    return this;
+  }
+
+  /**
+   * Liefert einen Notify-Frame aus (nur wenn abonniert)
+   */
+  emitValue(bytes) {
+    if (!this.notifying) {
+      return false;
+    }
+    this.value = new DataView(new Uint8Array(bytes).buffer);
+    this.dispatchEvent({ type: 'characteristicvaluechanged', target: this });
+    return true;
+  }
+}
+
+class MockService {
+  constructor(device, uuid) {
+    this.device = device;
+    this.uuid = uuid;
+    this.isPrimary = true;
+    this.characteristics = new Map();
+  }
+
+  async getCharacteristic(uuid) {
+    this.device.assertConnected();
+    const characteristic = this.characteristics.get(uuid);
+    if (!characteristic) {
+      throw mockError('NotFoundError', `Characteristic ${uuid} nicht gefunden`);
+    }
+    return characteristic;
+  }
+
+  async getCharacteristics() {
+    this.device.assertConnected();
+    return Array.from(this.characteristics.values());
+  }
+}
+
+class MockGATTServer {
+  constructor(device) {
+    this.device = device;
+    this.connected = false;
+  }
+
+  async connect() {
+    const behavior = this.device.behavior;
+
+    if (behavior.connectDelay) {
+      await new Promise(resolve => setTimeout(resolve, behavior.connectDelay));
+    }
+    if (behavior.failConnect > 0) {
+      behavior.failConnect--;
+      throw mockError('NetworkError', 'GATT Server nicht erreichbar');
+    }
+
+    this.connected = true;
+    this.device.connectCount++;
+    return this;
+  }
+
+  disconnect() {
+    if (!this.connected) return;
+    this.connected = false;
+    this.device.resetNotifications();
+    this.device.dispatchEvent({ type: 'gattserverdisconnected', target: this.device });
+  }
+
+  async getPrimaryService(uuid) {
+    this.device.assertConnected();
+    const service = this.device.services.get(uuid);
+    if (!service) {
+      throw mockError('NotFoundError', `Service ${uuid} nicht gefunden`);
+    }
+    return service;
+  }
+
+  async getPrimaryServices() {
+    this.device.assertConnected();
+    return Array.from(this.device.services.values());
+  }
+}
+
+// ===================================================================
+// SIMULIERTES GERÄT
+// ===================================================================
+
+let mockDeviceCounter = 0;
+
+class MockBLEDevice extends MockEventTarget {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Gerätename (für namePrefix-Filter)
+   * @param {string} options.protocol - 'ELK_BLEDOM' | 'GENERIC' | 'TRIONES' (Standard: ELK_BLEDOM)
+   * @param {string} options.id - Optional, sonst automatisch
+   * @param {boolean} options.writeWithoutResponse - Write ohne Antwort anbieten (Standard: true)
+   */
+  constructor(options = {}) {
+    super();
+    const protocol = options.protocol || 'ELK_BLEDOM';
+    const profile = MOCK_PROFILES[protocol];
+
+    if (!profile) {
+      throw new Error(`Unbekanntes Mock-Protokoll: ${protocol}`);
+    }
+
+    this.id = options.id || `mock-${++mockDeviceCounter}`;
+    this.name = options.name || (protocol === 'GENERIC' ? 'BLE-LED' : 'ELK-BLEDOM');
+    this.protocol = protocol;
+    this.profile = profile;
+    this.gatt = new MockGATTServer(this);
+    this.connectCount = 0;
+
+    // Advertisements (watchAdvertisements): nur in Reichweite
+    this.inRange = true;
+    this.rssi = -60;
+    this.watchingAdvertisements = false;
+
+    // Aufzeichnung aller Writes: { time, characteristic, bytes, withResponse }
+    this.writes = [];
+
+    // Emulierter Zustand des LED-Streifens
+    this.state = { power: true, color: { r: 255, g: 255, b: 255 }, brightness: 255, effect: null };
+
+    // Fehler-Simulation
+    this.behavior = {
+      connectDelay: 0,   // ms bis connect() auflöst
+      writeDelay: 0,     // ms pro Write
+      failConnect: 0,    // Anzahl fehlschlagender connect()-Aufrufe
+      failWrites: 0,     // Anzahl fehlschlagender Writes
+      timeoutWrites: 0   // Anzahl Writes die nie auflösen
+    };
+
+    // GATT-Struktur aus Profil
+    const service = new MockService(this, profile.service);
+    const write = new MockCharacteristic(service, profile.write, {
+      write: true,
+      writeWithoutResponse: options.writeWithoutResponse !== false,
+      notify: profile.notify === profile.write
+    });
+    service.characteristics.set(profile.write, write);
+
+    this.services = new Map([[profile.service, service]]);
+
+    if (profile.notify !== profile.write) {
+      const notifyService = profile.notifyService ? new MockService(this, profile.notifyService) : service;
+      notifyService.characteristics.set(profile.notify, new MockCharacteristic(notifyService, profile.notify, { notify: true }));
+      this.services.set(notifyService.uuid, notifyService);
+    }
+  }
+
+  get notifyCharacteristic() {
+    return this.services.get(this.profile.notifyService || this.profile.service).characteristics.get(this.profile.notify);
+  }
+
+  assertConnected() {
+    if (!this.gatt.connected) {
+      throw mockError('NetworkError', 'GATT Server ist getrennt');
+    }
+  }
+
+  /**
+   * Verarbeitet einen Write (Aufzeichnung, Fehler-Simulation, Zustand)
+   */
+  async handleWrite(characteristic, bytes, withResponse) {
+    this.assertConnected();
+
+    if (this.behavior.timeoutWrites > 0) {
+      this.behavior.timeoutWrites--;
+      return new Promise(() => {}); // löst nie auf
+    }
+    if (this.behavior.failWrites > 0) {
+      this.behavior.failWrites--;
+      throw mockError('NetworkError', 'GATT operation failed for unknown reason.');
+    }
+    if (this.behavior.writeDelay) {
+      await new Promise(resolve => setTimeout(resolve, this.behavior.writeDelay));
+    }
+
+    this.writes.push({ time: Date.now(), characteristic: characteristic.uuid, bytes, withResponse });
+    this.applyCommand(bytes);
+  }
+
+  /**
+   * Wendet einen (ggf. gepackten) Befehl auf den emulierten Zustand an
+   */
+  applyCommand(bytes) {
+    let rest = bytes;
+
+    // Gepackte Writes: mehrere Frames hintereinander
+    while (rest.length > 0) {
+      let update = null;
+      const length = this.profile.frameLengths.find(n => {
+        update = rest.length >= n ? this.profile.decode(rest.slice(0, n)) : null;
+        return update;
+      });
+
+      if (!length) {
+        return; // Unbekannter Befehl - nur aufgezeichnet
+      }
+
+      Object.assign(this.state, update);
+      rest = rest.slice(length);
+    }
+  }
+
+  // ===================================================================
+  // SIMULATION
+  // ===================================================================
+
+  /**
+   * Simuliert Verbindungsabbruch (außer Reichweite, Strom weg)
+   */
+  simulateDisconnect() {
+    this.gatt.disconnect();
+  }
+
+  /**
+   * Gerät verlässt die Reichweite bzw. kommt zurück (steuert Advertisements)
+   */
+  simulateOutOfRange() {
+    this.inRange = false;
+    this.gatt.disconnect();
+  }
+
+  simulateInRange() {
+    this.inRange = true;
+    if (this.watchingAdvertisements) {
+      this.advertise();
+    }
+  }
+
+  /**
+   * Die nächsten n Writes lösen nie auf (Controller-Timeout greift)
+   */
+  simulateTimeout(count = 1) {
+    this.behavior.timeoutWrites = count;
+  }
+
+  /**
+   * Die nächsten n Writes schlagen mit NetworkError fehl
+   */
+  simulateWriteError(count = 1) {
+    this.behavior.failWrites = count;
+  }
+
+  /**
+   * Sendet einen Notify-Frame an die Notify-Characteristic
+   * @returns {boolean} - false wenn niemand abonniert hat
+   */
+  notify(bytes) {
+    return this.notifyCharacteristic.emitValue(bytes);
+  }
+
+  resetNotifications() {
+    this.services.forEach(service => {
+      service.characteristics.forEach(characteristic => {
+        characteristic.notifying = false;
+      });
+    });
+  }
+
+  /**
+   * Wie BluetoothDevice.watchAdvertisements: in Reichweite folgt sofort ein Advertisement
+   * @param {Object} options - { signal } (AbortSignal beendet das Beobachten)
+   */
+  async watchAdvertisements(options = {}) {
+    if (options.signal && options.signal.aborted) {
+      throw mockError('AbortError', 'Beobachten abgebrochen');
+    }
+
+    this.watchingAdvertisements = true;
+    if (options.signal) {
+      options.signal.addEventListener('abort', () => {
+        this.watchingAdvertisements = false;
+      });
+    }
+
+    if (this.inRange) {
+      setTimeout(() => this.advertise(), 0);
+    }
+  }
+
+  /**
+   * Sendet ein Advertisement an Beobachter ('advertisementreceived')
+   */
+  advertise(rssi = this.rssi) {
+    if (!this.watchingAdvertisements || !this.inRange) return false;
+
+    this.dispatchEvent({ type: 'advertisementreceived', device: this, name: this.name, rssi });
+    return true;
+  }
+
+  /**
+   * Geschriebene Byte-Arrays (ohne Metadaten)
+   */
+  getWrittenBytes() {
+    return this.writes.map(w => w.bytes);
+  }
+
+  clearWrites() {
+    this.writes = [];
+  }
+}
+
+// ===================================================================
+// SIMULIERTES navigator.bluetooth
+// ===================================================================
+
+class MockBluetooth extends MockEventTarget {
+  constructor() {
+    super();
+    this.devices = [];
+    this.grantedDevices = new Set();
+    this.available = true;
+    this.previous = null;
+    this.installedOn = null;
+
+    // Auswahl im Geräte-Dialog: Standard = erstes passendes Gerät
+    // null zurückgeben = Nutzer bricht ab
+    this.chooser = (candidates) => candidates[0] || null;
+  }
+
+  /**
+   * Fügt ein simuliertes Gerät hinzu
+   * @returns {MockBLEDevice}
+   */
+  addDevice(options = {}) {
+    const device = options instanceof MockBLEDevice ? options : new MockBLEDevice(options);
+    this.devices.push(device);
+    return device;
+  }
+
+  removeDevice(device) {
+    device.simulateDisconnect();
+    this.devices = this.devices.filter(d => d !== device);
+    this.grantedDevices.delete(device);
+  }
+
+  /**
+   * Prüft ein Gerät gegen requestDevice()-Filter
+   */
+  matchesFilter(device, filter) {
+    if (filter.name && device.name !== filter.name) return false;
+    if (filter.namePrefix && !(device.name || '').startsWith(filter.namePrefix)) return false;
+    if (filter.services && !filter.services.every(uuid => device.services.has(uuid))) return false;
+    return true;
+  }
+
+  async requestDevice(options = {}) {
+    if (!options.acceptAllDevices && !(options.filters && options.filters.length)) {
+      throw new TypeError('filters oder acceptAllDevices erforderlich');
+    }
+
+    const candidates = options.acceptAllDevices
+      ? this.devices.slice()
+      : this.devices.filter(device => options.filters.some(filter => this.matchesFilter(device, filter)));
+
+    const device = this.chooser(candidates, options);
+    if (!device) {
+      throw mockError('NotFoundError', 'User cancelled the requestDevice() chooser.');
+    }
+
+    this.grantedDevices.add(device);
+    return device;
+  }
+
+  async getDevices() {
+    return Array.from(this.grantedDevices);
+  }
+
+  /**
+   * Entzieht die Freigabe (wie "Berechtigung zurücksetzen" im Browser)
+   */
+  revokePermission(device) {
+    device.simulateDisconnect();
+    this.grantedDevices.delete(device);
+  }
+
+  async getAvailability() {
+    return this.available;
+  }
+
+  /**
+   * Ersetzt navigator.bluetooth
+   * @param {Object} scope - Objekt mit navigator (Standard: window/globalThis)
+   */
+  install(scope = mockRoot) {
+    if (!scope.navigator) {
+      scope.navigator = {};
+    }
+
+    this.installedOn = scope.navigator;
+    this.previous = Object.getOwnPropertyDescriptor(scope.navigator, 'bluetooth') || null;
+
+    Object.defineProperty(scope.navigator, 'bluetooth', {
+      value: this,
+      configurable: true,
+      writable: true
+    });
+
+    return this;
+  }
+
+  /**
+   * Stellt das ursprüngliche navigator.bluetooth wieder her
+   */
+  uninstall() {
+    if (!this.installedOn) return;
+
+    if (this.previous) {
+      Object.defineProperty(this.installedOn, 'bluetooth', this.previous);
+    } else {
+      delete this.installedOn.bluetooth;
+    }
+
+    this.installedOn = null;
+    this.previous = null;
+  }
+}
+
+// ===================================================================
+// EXPORT
+// ===================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MockBluetooth, MockBLEDevice, MOCK_PROFILES };
+}
+
+if (typeof window !== 'undefined') {
+  window.MockBluetooth = MockBluetooth;
+  window.MockBLEDevice = MockBLEDevice;
+}
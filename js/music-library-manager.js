@@ -964,19 +964,15 @@ class MusicLibraryManager {
   async syncLEDsWithTrack(track) {
     if (!MUSIC_CONFIG.LED_SYNC.ENABLED) return;
     
-    // Genre-basierte Farben
-    const genreColors = {
-      'rock': [255, 0, 0],      // Rot
-      'pop': [255, 0, 255],      // Magenta
-      'electronic': [0, 255, 255], // Cyan
-      'jazz': [255, 165, 0],     // Orange
-      'classical': [255, 255, 0], // Gelb
-      'hip-hop': [128, 0, 255],  // Lila
-      'default': [0, 255, 0]     // Grün
-    };
-    
+    // Genre-basierte Farben (erste Farbe der Genre-Palette)
+    const paletteManager = window.paletteManager || window.parent?.paletteManager;
     const genre = (track.genre || '').toLowerCase();
-    const color = genreColors[genre] || genreColors['default'];
+    let color = [0, 255, 0]; // Grün
+    
+    if (paletteManager) {
+      const paletteId = paletteManager.has(`genre-${genre}`) ? `genre-${genre}` : 'genre-default';
+      color = paletteManager.sample(paletteId, 0, false);
+    }
     
     // ✅ SENDE FARBE AN HARDWARE
     if (window.sendUniversalColor) {
@@ -601,25 +601,32 @@ class MusicPlayer {
       // ✅ SENDE AN ALLE VERFÜGBAREN HARDWARE-GERÄTE
       
       // 1. BLE-Hardware
+      const calibration = window.parent.colorCalibration || window.colorCalibration;
       if (window.ledDevice && window.ledDevice.isConnected) {
-        const cmd = new Uint8Array([0x7E, 0x00, 0x05, r, g, b, 0x00, 0xEF]);
+        const [cr, cg, cb] = calibration
+          ? calibration.apply(window.ledDevice.device && window.ledDevice.device.id, r, g, b)
+          : [r, g, b];
+        const cmd = new Uint8Array([0x7E, 0x00, 0x05, cr, cg, cb, 0x00, 0xEF]);
         await window.ledDevice.characteristic.writeValue(cmd);
       }
       
-      // 2. WLED über WiFi
-      if (window.wledDevice && window.wledDevice.connected) {
+      // 2. WLED über WiFi (Echtzeit-WebSocket, HTTP-Fallback im Client)
+      const wledStreaming = !!(window.wledDevice && window.wledDevice.connected && window.wledDevice.client);
+      if (wledStreaming) {
+        window.wledDevice.client.streamColor(r, g, b);
+      } else if (window.wledDevice && window.wledDevice.connected) {
         await fetch(`http://${window.wledDevice.ip}/json/state`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             on: true,
-            seg: [{ col: [[r, g, b]] }]
+            seg: [{ col: [calibration ? calibration.apply(window.wledDevice.deviceId, r, g, b) : [r, g, b]] }]
           })
         });
       }
       
-      // 3. Universelle Funktion
-      if (window.sendUniversalColor) {
+      // 3. Universelle Funktion (sendet selbst per HTTP an WLED)
+      if (window.sendUniversalColor && !wledStreaming) {
         await window.sendUniversalColor(r, g, b);
       }
       
@@ -0,0 +1,485 @@
+/**
+ * ===================================================================
+ * PALETTE-MANAGER.JS
+ * Farbpaletten für Effekte, Szenen und Musik-Sync
+ * Version: 1.0
+ * ===================================================================
+ *
+ * Funktionen:
+ * - Benannte Verlaufs-Paletten (Farbstopps mit Position 0-1)
+ * - Interpolation in RGB, HSV oder OKLab (wahrnehmungsgleich)
+ * - Standard-Paletten (nicht änderbar) und eigene Paletten
+ * - Persistierung eigener Paletten in localStorage
+ * - Referenz per ID aus Szenen (scene.palette), Effect-Engine
+ *   und Audio-Engine (bandSettings[i].palette)
+ *
+ * ===================================================================
+ */
+
+'use strict';
+
+// Browser: window, Node (Tests): globalThis
+const paletteRoot = typeof window !== 'undefined' ? window : globalThis;
+
+// ===================================================================
+// KONFIGURATION
+// ===================================================================
+
+const PALETTE_CONFIG = {
+  STORAGE_KEY: 'led-palettes',
+  INTERPOLATIONS: ['rgb', 'hsv', 'oklab'],
+  DEFAULT_INTERPOLATION: 'rgb',
+  FALLBACK_ID: 'rainbow',
+  MAX_STOPS: 16
+};
+
+// ===================================================================
+// PALETTEN-STRUKTUR
+// ===================================================================
+
+/**
+ * Paletten-Objekt:
+ * {
+ *   id: string,              // Eindeutige ID (Standard-Paletten: sprechend, z.B. 'fire')
+ *   name: string,            // Anzeigename
+ *   stops: [{ pos, color }], // pos 0-1, color '#rrggbb' (aufsteigend sortiert)
+ *   interpolation: string,   // 'rgb' | 'hsv' | 'oklab'
+ *   builtin: boolean,        // Standard-Palette (nicht änderbar)
+ *   createdAt: number,
+ *   updatedAt: number
+ * }
+ */
+
+// Farbstopps ohne Position werden gleichmäßig verteilt
+const BUILTIN_PALETTES = [
+  { id: 'rainbow', name: 'Regenbogen', interpolation: 'hsv', stops: ['#ff0000', '#00ff00', '#0000ff', '#ff0000'] },
+  { id: 'party', name: 'Party', interpolation: 'oklab', stops: ['#ff0080', '#ffe000', '#00ff80', '#0080ff', '#a000ff'] },
+  { id: 'fire', name: 'Feuer', stops: ['#000000', '#800000', '#ff3000', '#ff9000', '#ffe080'] },
+  { id: 'magicFire', name: 'Feuerzauber', stops: ['#000000', '#400060', '#a000ff', '#ff40c0', '#ffd0ff'] },
+  { id: 'ocean', name: 'Ozean', interpolation: 'oklab', stops: ['#000820', '#003080', '#0070c0', '#00c0e0', '#80ffff'] },
+  { id: 'aurora', name: 'Nordlicht', interpolation: 'oklab', stops: ['#001010', '#00ff60', '#00c0a0', '#0040ff', '#8000ff'] },
+  { id: 'lava', name: 'Lava', stops: ['#200000', '#a00000', '#ff4000', '#ff8000', '#400000'] },
+  { id: 'sunset', name: 'Sonnenuntergang', interpolation: 'oklab', stops: ['#ff6432', '#ff2060', '#8020a0', '#201060'] },
+  { id: 'forest', name: 'Wald', interpolation: 'oklab', stops: ['#32c850', '#108030', '#a0d040', '#206020'] },
+  { id: 'police', name: 'Polizei', stops: ['#ff0000', '#0000ff'] },
+  { id: 'matrix', name: 'Matrix', stops: ['#000000', '#003000', '#00a000', '#80ff80'] },
+  { id: 'heart', name: 'Herz', stops: ['#400000', '#ff0020'] },
+  { id: 'ice', name: 'Eis', interpolation: 'oklab', stops: ['#ffffff', '#a0e0ff', '#4080ff'] },
+  { id: 'neon', name: 'Neon', interpolation: 'hsv', stops: ['#ff00c0', '#00e0ff'] },
+  { id: 'warm', name: 'Warmweiß', stops: ['#ff6000', '#ffb040', '#ffe0a0'] },
+
+  // Musik-Genres (erste Farbe = Farbe beim Track-Wechsel)
+  { id: 'genre-rock', name: 'Rock', stops: ['#ff0000', '#ff6000', '#400000'] },
+  { id: 'genre-pop', name: 'Pop', interpolation: 'oklab', stops: ['#ff00ff', '#ff60a0', '#8000ff'] },
+  { id: 'genre-electronic', name: 'Electronic', interpolation: 'oklab', stops: ['#00ffff', '#0060ff', '#ff00ff'] },
+  { id: 'genre-jazz', name: 'Jazz', stops: ['#ffa500', '#c06000', '#ffd080'] },
+  { id: 'genre-classical', name: 'Klassik', stops: ['#ffff00', '#fff0c0', '#c0a000'] },
+  { id: 'genre-hip-hop', name: 'Hip-Hop', interpolation: 'oklab', stops: ['#8000ff', '#ff0080', '#200040'] },
+  { id: 'genre-default', name: 'Musik', interpolation: 'oklab', stops: ['#00ff00', '#00c0ff', '#ffff00'] }
+];
+
+// ===================================================================
+// FARBRÄUME
+// ===================================================================
+
+function paletteHexToRgb(hex) {
+  const value = String(hex).replace('#', '');
+  return [0, 2, 4].map(i => parseInt(value.substring(i, i + 2), 16) || 0);
+}
+
+function paletteRgbToHex(rgb) {
+  return '#' + rgb.map(v => Math.max(0, Math.min(255, Math.round(v) || 0)).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * [r, g, b] (0-255) → [h, s, v] (0-1)
+ */
+function rgbToHsv([r, g, b]) {
+  r /= 255; g /= 255; b /= 255;
+  const max = Math.max(r, g, b);
+  const d = max - Math.min(r, g, b);
+  let h = 0;
+
+  if (d > 0) {
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+  }
+
+  return [((h / 6) + 1) % 1, max === 0 ? 0 : d / max, max];
+}
+
+/**
+ * [h, s, v] (0-1) → [r, g, b] (0-255)
+ */
+function hsvToRgb([h, s, v]) {
+  h = ((h % 1) + 1) % 1;
+  const i = Math.floor(h * 6);
+  const f = h * 6 - i;
+  const p = v * (1 - s);
+  const q = v * (1 - f * s);
+  const t = v * (1 - (1 - f) * s);
+  const rgb = [[v, t, p], [q, v, p], [p, v, t], [p, q, v], [t, p, v], [v, p, q]][i % 6];
+  return rgb.map(c => c * 255);
+}
+
+function srgbToLinear(c) {
+  c /= 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(c) {
+  const v = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+  return Math.max(0, Math.min(255, v * 255));
+}
+
+/**
+ * [r, g, b] (0-255) → OKLab [L, a, b]
+ */
+function rgbToOklab(rgb) {
+  const [r, g, b] = rgb.map(srgbToLinear);
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  ];
+}
+
+/**
+ * OKLab [L, a, b] → [r, g, b] (0-255)
+ */
+function oklabToRgb([L, a, b]) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ].map(linearToSrgb);
+}
+
+/**
+ * Mischt zwei Farben im gewählten Farbraum
+ * @param {number} t - 0 = from, 1 = to
+ */
+function mixColors(from, to, t, interpolation = 'rgb') {
+  switch (interpolation) {
+    case 'hsv': {
+      const a = rgbToHsv(from);
+      const b = rgbToHsv(to);
+      // Farbton über den kürzeren Weg, graue Farben übernehmen den anderen Farbton
+      if (a[1] === 0) a[0] = b[0];
+      if (b[1] === 0) b[0] = a[0];
+      let dh = b[0] - a[0];
+      if (dh > 0.5) dh -= 1;
+      if (dh < -0.5) dh += 1;
+      return hsvToRgb([a[0] + dh * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t]);
+    }
+    case 'oklab': {
+      const a = rgbToOklab(from);
+      const b = rgbToOklab(to);
+      return oklabToRgb(a.map((v, i) => v + (b[i] - v) * t));
+    }
+    default:
+      return from.map((v, i) => v + (to[i] - v) * t);
+  }
+}
+
+// ===================================================================
+// PALETTEN-MANAGER
+// ===================================================================
+
+class PaletteManager {
+  constructor() {
+    this.palettes = new Map();
+    this.samplers = new Map(); // Paletten-ID → Sampler (Cache)
+
+    BUILTIN_PALETTES.forEach(palette => {
+      const normalized = this.normalize({ ...palette, builtin: true });
+      this.palettes.set(normalized.id, normalized);
+    });
+
+    this.loadPalettes();
+
+    console.log(`✅ Paletten-Manager initialisiert (${this.palettes.size} Paletten)`);
+  }
+
+  // ===================================================================
+  // PALETTEN VERWALTEN
+  // ===================================================================
+
+  /**
+   * Prüft und vereinheitlicht Paletten-Daten
+   */
+  normalize(data) {
+    const rawStops = Array.isArray(data.stops) ? data.stops : [];
+
+    if (rawStops.length === 0 || rawStops.length > PALETTE_CONFIG.MAX_STOPS) {
+      throw new Error(`Palette benötigt 1-${PALETTE_CONFIG.MAX_STOPS} Farbstopps`);
+    }
+
+    const stops = rawStops.map((stop, i) => {
+      const entry = typeof stop === 'object' && !Array.isArray(stop) ? stop : { color: stop };
+      const color = Array.isArray(entry.color) ? paletteRgbToHex(entry.color) : String(entry.color).toLowerCase();
+
+      if (!/^#[0-9a-f]{6}$/.test(color)) {
+        throw new Error(`Ungültige Farbe in Palette: ${entry.color}`);
+      }
+
+      const pos = entry.pos !== undefined
+        ? Math.max(0, Math.min(1, parseFloat(entry.pos) || 0))
+        : (rawStops.length === 1 ? 0 : i / (rawStops.length - 1));
+
+      return { pos, color };
+    }).sort((a, b) => a.pos - b.pos);
+
+    const interpolation = PALETTE_CONFIG.INTERPOLATIONS.includes(data.interpolation)
+      ? data.interpolation
+      : PALETTE_CONFIG.DEFAULT_INTERPOLATION;
+
+    return {
+      id: data.id || this.generateId(),
+      name: data.name || 'Neue Palette',
+      stops,
+      interpolation,
+      builtin: !!data.builtin,
+      createdAt: data.createdAt || Date.now(),
+      updatedAt: data.updatedAt || Date.now()
+    };
+  }
+
+  /**
+   * Alle Paletten (Standard zuerst)
+   */
+  getAll() {
+    return Array.from(this.palettes.values());
+  }
+
+  get(id) {
+    return this.palettes.get(id) || null;
+  }
+
+  has(id) {
+    return this.palettes.has(id);
+  }
+
+  /**
+   * Erstellt eine eigene Palette
+   * @param {Object} data - { name, stops, interpolation }
+   */
+  createPalette(data) {
+    const palette = this.normalize({ ...data, id: null, builtin: false, createdAt: null, updatedAt: null });
+
+    this.palettes.set(palette.id, palette);
+    this.savePalettes();
+    this.dispatchPaletteEvent('palette-created', palette);
+
+    console.log('✅ Palette erstellt:', palette.name);
+    return palette;
+  }
+
+  /**
+   * Aktualisiert eine eigene Palette
+   */
+  updatePalette(id, updates) {
+    const palette = this.get(id);
+
+    if (!palette) {
+      throw new Error('Palette nicht gefunden');
+    }
+    if (palette.builtin) {
+      throw new Error('Standard-Paletten können nicht geändert werden');
+    }
+
+    const updated = this.normalize({
+      ...palette,
+      ...updates,
+      id: palette.id,
+      builtin: false,
+      createdAt: palette.createdAt,
+      updatedAt: Date.now()
+    });
+
+    this.palettes.set(id, updated);
+    this.samplers.delete(id);
+    this.savePalettes();
+    this.dispatchPaletteEvent('palette-updated', updated);
+
+    return updated;
+  }
+
+  /**
+   * Löscht eine eigene Palette
+   */
+  deletePalette(id) {
+    const palette = this.get(id);
+
+    if (!palette) return false;
+    if (palette.builtin) {
+      throw new Error('Standard-Paletten können nicht gelöscht werden');
+    }
+
+    this.palettes.delete(id);
+    this.samplers.delete(id);
+    this.savePalettes();
+    this.dispatchPaletteEvent('palette-deleted', palette);
+
+    return true;
+  }
+
+  // ===================================================================
+  // FARBEN AUS PALETTEN
+  // ===================================================================
+
+  /**
+   * Sampler-Funktion (pos 0-1) → [r, g, b]
+   * @param {string|Object|Array} palette - ID, Paletten-Objekt oder Farbliste
+   * @returns {Function} - (pos, wrap = true) => [r, g, b]
+   */
+  getSampler(palette) {
+    if (typeof palette === 'string' && this.samplers.has(palette)) {
+      return this.samplers.get(palette);
+    }
+
+    const resolved = this.resolve(palette);
+    const stops = resolved.stops.map(stop => ({ pos: stop.pos, rgb: paletteHexToRgb(stop.color) }));
+    const interpolation = resolved.interpolation;
+
+    const sampler = (pos, wrap = true) => {
+      pos = wrap ? ((pos % 1) + 1) % 1 : Math.max(0, Math.min(1, pos));
+
+      if (pos <= stops[0].pos) return stops[0].rgb.slice();
+      const last = stops[stops.length - 1];
+      if (pos >= last.pos) return last.rgb.slice();
+
+      let i = 1;
+      while (stops[i].pos < pos) i++;
+
+      const from = stops[i - 1];
+      const to = stops[i];
+      const span = to.pos - from.pos;
+      return mixColors(from.rgb, to.rgb, span > 0 ? (pos - from.pos) / span : 0, interpolation);
+    };
+
+    if (typeof palette === 'string' && this.has(palette)) {
+      this.samplers.set(palette, sampler);
+    }
+    return sampler;
+  }
+
+  /**
+   * Farbe an Position pos (0-1)
+   * @returns {number[]} - [r, g, b]
+   */
+  sample(palette, pos, wrap = true) {
+    return this.getSampler(palette)(pos, wrap).map(Math.round);
+  }
+
+  /**
+   * count gleichmäßig verteilte Farben (z.B. für Segmente)
+   */
+  getColors(palette, count) {
+    const sampler = this.getSampler(palette);
+    return Array.from({ length: count }, (_, i) =>
+      sampler(count === 1 ? 0 : i / (count - 1), false).map(Math.round));
+  }
+
+  /**
+   * CSS-Verlauf für Vorschauen
+   */
+  toCSSGradient(palette, direction = '90deg') {
+    const colors = this.getColors(palette, 12).map(rgb => paletteRgbToHex(rgb));
+    return `linear-gradient(${direction}, ${colors.join(', ')})`;
+  }
+
+  /**
+   * ID, Objekt oder Farbliste → normalisierte Palette
+   * Unbekannte IDs fallen auf die Regenbogen-Palette zurück.
+   */
+  resolve(palette) {
+    if (typeof palette === 'string') {
+      const found = this.get(palette);
+      if (found) return found;
+
+      console.warn(`⚠️ Palette "${palette}" unbekannt - nutze ${PALETTE_CONFIG.FALLBACK_ID}`);
+      return this.get(PALETTE_CONFIG.FALLBACK_ID);
+    }
+    if (Array.isArray(palette)) {
+      return this.normalize({ id: 'inline', stops: palette });
+    }
+    if (palette && palette.stops) {
+      return this.normalize({ id: 'inline', ...palette });
+    }
+    return this.get(PALETTE_CONFIG.FALLBACK_ID);
+  }
+
+  // ===================================================================
+  // SPEICHERN & LADEN
+  // ===================================================================
+
+  savePalettes() {
+    try {
+      const custom = this.getAll().filter(p => !p.builtin);
+      localStorage.setItem(PALETTE_CONFIG.STORAGE_KEY, JSON.stringify(custom));
+    } catch (error) {
+      console.error('❌ Paletten speichern fehlgeschlagen:', error);
+    }
+  }
+
+  loadPalettes() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(PALETTE_CONFIG.STORAGE_KEY) || '[]');
+
+      saved.forEach(data => {
+        if (this.has(data.id)) return; // Standard-Paletten nicht überschreiben
+        try {
+          const palette = this.normalize({ ...data, builtin: false });
+          this.palettes.set(palette.id, palette);
+        } catch (error) {
+          console.warn('⚠️ Gespeicherte Palette ungültig:', data.name, error.message);
+        }
+      });
+    } catch (error) {
+      console.error('❌ Paletten laden fehlgeschlagen:', error);
+    }
+  }
+
+  // ===================================================================
+  // HILFSFUNKTIONEN
+  // ===================================================================
+
+  generateId() {
+    return 'palette_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  dispatchPaletteEvent(eventName, palette) {
+    if (paletteRoot.dispatchEvent) {
+      paletteRoot.dispatchEvent(new CustomEvent(eventName, { detail: palette }));
+    }
+  }
+}
+
+// ===================================================================
+// GLOBALE INSTANZ
+// ===================================================================
+
+paletteRoot.PALETTE_CONFIG = PALETTE_CONFIG;
+paletteRoot.PaletteManager = PaletteManager;
+paletteRoot.paletteManager = new PaletteManager();
+
+console.log('✅ Paletten-Manager global verfügbar als window.paletteManager');
+
+// ===================================================================
+// EXPORT
+// ===================================================================
+
+// Browser-kompatible Exports
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PaletteManager;
+}
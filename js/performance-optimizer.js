@@ -7,7 +7,9 @@ class PerformanceOptimizer {
             commandLatency: [],
             frameRate: [],
             memoryUsage: [],
-            bluetoothLatency: []
+            bluetoothLatency: [],
+            coalescing: {}, // Befehlsart → { submitted, coalesced }
+            animation: { rendered: 0, dropped: 0, latency: [], frameTimes: [] } // vom Animation-Scheduler gemeldet
         };
         
         this.commandQueue = [];
@@ -144,6 +146,46 @@ class PerformanceOptimizer {
         return merged;
     }
     
+    // ✅ COALESCING-STATISTIK (vom BLE-Controller gemeldet)
+    recordCoalescing(kind, replaced) {
+        const stats = this.metrics.coalescing[kind] || (this.metrics.coalescing[kind] = { submitted: 0, coalesced: 0 });
+        stats.submitted++;
+        if (replaced) stats.coalesced++;
+    }
+    
+    // ✅ BLUETOOTH-LATENZ (Wartezeit in der Schreib-Queue)
+    recordBluetoothLatency(ms) {
+        this.metrics.bluetoothLatency.push(ms);
+        
+        // Begrenzte Historie
+        if (this.metrics.bluetoothLatency.length > 100) {
+            this.metrics.bluetoothLatency.shift();
+        }
+    }
+    
+    // ✅ ANIMATIONS-FRAMES (vom Animation-Scheduler gemeldet)
+    // Latenz = geplanter Frame-Zeitpunkt bis Frame gesendet
+    recordAnimationFrame(latencyMs) {
+        const animation = this.metrics.animation;
+        const now = performance.now();
+        
+        animation.rendered++;
+        animation.latency.push(latencyMs);
+        animation.frameTimes.push(now);
+        
+        // Begrenzte Historie (Latenz) bzw. letzte Sekunde (fps)
+        if (animation.latency.length > 100) {
+            animation.latency.shift();
+        }
+        while (animation.frameTimes.length && animation.frameTimes[0] < now - 1000) {
+            animation.frameTimes.shift();
+        }
+    }
+    
+    recordDroppedFrames(count = 1) {
+        this.metrics.animation.dropped += count;
+    }
+    
     // ✅ DEBOUNCING FÜR UI-EVENTS
     debounce(func, wait) {
         let timeout;
@@ -209,14 +251,22 @@ class PerformanceOptimizer {
         });
     }
     
+    // ✅ OPTIMIERUNGEN EINRICHTEN (init ruft das auf - ohne die Methode brach der Konstruktor ab)
+    setupOptimizations() {
+        this.setupCache();
+    }
+    
     // ✅ CACHE MANAGEMENT
     setupCache() {
         this.cache = new Map();
         this.cacheMaxSize = 100;
+        this.metrics.cacheHits = 0;
+        this.metrics.cacheMisses = 0;
         
         // LRU Cache Implementation
         this.getCached = (key, computeFn) => {
             if (this.cache.has(key)) {
+                this.metrics.cacheHits++;
                 // Move to end (most recently used)
                 const value = this.cache.get(key);
                 this.cache.delete(key);
@@ -224,6 +274,7 @@ class PerformanceOptimizer {
                 return value;
             }
             
+            this.metrics.cacheMisses++;
             const value = computeFn();
             
             // Enforce max size
@@ -331,13 +382,32 @@ class PerformanceOptimizer {
         const avgLatency = this.average(this.metrics.commandLatency);
         const avgFPS = this.average(this.metrics.frameRate);
         const currentMemory = this.metrics.memoryUsage[this.metrics.memoryUsage.length - 1];
+        const animation = this.metrics.animation;
+        const scheduled = animation.rendered + animation.dropped;
         
         return {
             averageLatency: `${avgLatency.toFixed(2)}ms`,
             averageFPS: avgFPS.toFixed(0),
             memoryUsage: `${(currentMemory?.used / 1024 / 1024).toFixed(2)}MB`,
             commandQueueSize: this.commandQueue.length,
-            cacheHitRate: this.calculateCacheHitRate()
+            cacheHitRate: this.calculateCacheHitRate(),
+            bluetoothLatency: `${this.average(this.metrics.bluetoothLatency).toFixed(2)}ms`,
+            coalescing: Object.fromEntries(Object.entries(this.metrics.coalescing).map(([kind, stats]) => [
+                kind,
+                {
+                    ...stats,
+                    rate: `${stats.submitted ? ((stats.coalesced / stats.submitted) * 100).toFixed(1) : 0}%`
+                }
+            ])),
+            animation: {
+                fps: animation.frameTimes.filter(time => time >= performance.now() - 1000).length,
+                renderedFrames: animation.rendered,
+                droppedFrames: animation.dropped,
+                dropRate: `${scheduled ? ((animation.dropped / scheduled) * 100).toFixed(1) : 0}%`,
+                endToEndLatency: `${this.average(animation.latency).toFixed(2)}ms`,
+                maxLatency: `${Math.max(0, ...animation.latency).toFixed(2)}ms`,
+                clock: window.animationScheduler ? window.animationScheduler.getStats().clock : null
+            }
         };
     }
     
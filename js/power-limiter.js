@@ -0,0 +1,489 @@
+/**
+ * ===================================================================
+ * POWER-LIMITER.JS
+ * Leistungsbegrenzung auf das Netzteil-Budget pro Gerät
+ * Version: 1.0
+ * ===================================================================
+ *
+ * Jedes Gerät kann ein eigenes Netzteil-Budget haben (device.powerBudget),
+ * sonst gilt das Standard-Budget (Spannung und Maximalstrom aus den
+ * Einstellungen). Vor dem Senden wird der Strom geschätzt und die Ausgabe
+ * so skaliert, dass das Budget nie überschritten wird:
+ * - Statische Farben (COLOR, COLOR_RGBW, CCT) über die Kalibrierung
+ * - Frames über den Framebuffer (ein Faktor für den ganzen Frame)
+ * - Helligkeits-Befehle werden gekappt, wenn die aktuelle Farbe sonst
+ *   zu viel Strom ziehen würde
+ *
+ * Die Schätzung läuft mit, daraus entstehen die Live-Anzeige (Watt) und
+ * der Verbrauchsverlauf (Wh pro Stunde) für den Energiesparmodus.
+ *
+ * ===================================================================
+ */
+
+'use strict';
+
+// Browser: window, Node (Tests): globalThis
+const powerRoot = typeof window !== 'undefined' ? window : globalThis;
+
+// ===================================================================
+// KONFIGURATION
+// ===================================================================
+
+const POWER_CONFIG = {
+  STORAGE_KEY: 'led-power',
+  HISTORY_KEY: 'led-power-history',
+  VOLTAGES: [5, 12, 24],
+  AMPS_RANGE: [0, 100],           // 0 = ohne Begrenzung
+  MA_PER_CHANNEL: 20,             // pro Pixel (bzw. Segment) und Kanal bei voller Stufe
+  IDLE_MA_PER_PIXEL: 1,           // Ruhestrom der Treiber-ICs
+  SCALE_STEPS: 64,                // Faktor in festen Stufen (ruhige Frames)
+  ENERGY_SAVE_FACTOR: 0.6,        // Energiesparmodus: Anteil des Budgets
+  HISTORY_BUCKET_MS: 60 * 60 * 1000,
+  HISTORY_LENGTH: 7 * 24,         // Stunden
+  SAVE_INTERVAL_MS: 60 * 1000
+};
+
+const DEFAULT_POWER_BUDGET = {
+  volts: 12,
+  amps: 3
+};
+
+// ===================================================================
+// LEISTUNGSBEGRENZUNG
+// ===================================================================
+
+class PowerLimiter {
+  constructor() {
+    this.defaultBudget = this.normalize(DEFAULT_POWER_BUDGET);
+    this.energySave = false;
+    this.states = new Map();   // Gerät → { load, brightness, on, limited }
+    this.history = [];         // [{ start, wh, peakWatts }] pro Stunde
+    this.lastAccumulate = Date.now();
+    this.lastSave = 0;
+
+    this.load();
+    this.loadHistory();
+
+    console.log('✅ Leistungsbegrenzung initialisiert');
+  }
+
+  // ===================================================================
+  // BUDGET
+  // ===================================================================
+
+  /**
+   * Prüft und vereinheitlicht ein Budget (fehlende Werte = Standard)
+   */
+  normalize(budget = {}) {
+    const volts = parseInt(budget.volts);
+    const amps = parseFloat(budget.amps);
+    const [minAmps, maxAmps] = POWER_CONFIG.AMPS_RANGE;
+
+    return {
+      volts: POWER_CONFIG.VOLTAGES.includes(volts) ? volts : DEFAULT_POWER_BUDGET.volts,
+      amps: Number.isFinite(amps) ? Math.max(minAmps, Math.min(maxAmps, amps)) : DEFAULT_POWER_BUDGET.amps
+    };
+  }
+
+  /**
+   * Budget eines Geräts (eigenes Budget oder Standard)
+   * @param {string|null} deviceId - null = Standard-Budget
+   */
+  getBudget(deviceId = null) {
+    const device = this.getDevice(deviceId);
+    return device && device.powerBudget ? device.powerBudget : this.defaultBudget;
+  }
+
+  hasOwnBudget(deviceId) {
+    const device = this.getDevice(deviceId);
+    return !!(device && device.powerBudget);
+  }
+
+  /**
+   * Speichert ein Budget
+   * @param {string|null} deviceId - null = Standard-Budget für alle Geräte ohne eigenes
+   * @param {Object} budget - { volts, amps }, Teilwerte werden ergänzt
+   */
+  setBudget(deviceId, budget) {
+    const normalized = this.normalize({ ...this.getBudget(deviceId), ...budget });
+
+    if (deviceId) {
+      const manager = powerRoot.deviceManager;
+      if (!manager || !manager.updateDevice(deviceId, { powerBudget: normalized })) {
+        throw new Error('Gerät nicht gefunden');
+      }
+    } else {
+      this.defaultBudget = normalized;
+      this.save();
+    }
+
+    this.dispatchPowerEvent('power-budget-changed', { deviceId, budget: normalized });
+    console.log(`✅ Netzteil-Budget gespeichert: ${deviceId || 'Standard'} (${normalized.volts}V, ${normalized.amps}A)`);
+    return normalized;
+  }
+
+  /**
+   * Entfernt das eigene Budget eines Geräts (danach gilt das Standard-Budget)
+   */
+  resetBudget(deviceId) {
+    const manager = powerRoot.deviceManager;
+    if (manager && this.hasOwnBudget(deviceId)) {
+      manager.updateDevice(deviceId, { powerBudget: null });
+      this.dispatchPowerEvent('power-budget-changed', { deviceId, budget: this.getBudget(deviceId) });
+    }
+    return this.getBudget(deviceId);
+  }
+
+  /**
+   * Energiesparmodus: begrenzt zusätzlich auf ENERGY_SAVE_FACTOR des Budgets
+   */
+  setEnergySave(enabled) {
+    this.energySave = !!enabled;
+    this.save();
+    this.dispatchPowerEvent('power-budget-changed', { deviceId: null, energySave: this.energySave });
+    return this.energySave;
+  }
+
+  /**
+   * Erlaubter Strom in mA (Infinity = ohne Begrenzung)
+   */
+  getCurrentLimit(deviceId = null) {
+    const { amps } = this.getBudget(deviceId);
+    if (!amps) return Infinity;
+    return amps * 1000 * (this.energySave ? POWER_CONFIG.ENERGY_SAVE_FACTOR : 1);
+  }
+
+  // ===================================================================
+  // SCHÄTZUNG
+  // ===================================================================
+
+  /**
+   * Geschätzter Strom in mA
+   * @param {number} load - Summe aller Kanal-Stufen / 255 über alle Pixel
+   * @param {number} brightness - Hardware-Helligkeit 0-1
+   */
+  static estimateCurrent(load, pixelCount, brightness = 1) {
+    return pixelCount * POWER_CONFIG.IDLE_MA_PER_PIXEL + load * POWER_CONFIG.MA_PER_CHANNEL * brightness;
+  }
+
+  /**
+   * Schätzung für ein Gerät
+   * @returns {Object} - { current (mA), watts, limitWatts, limited }
+   */
+  getEstimate(deviceId = null) {
+    const state = this.getState(deviceId);
+    const volts = this.getBudget(deviceId).volts;
+    const current = PowerLimiter.estimateCurrent(state.on ? state.load : 0, this.getPixelCount(deviceId), state.brightness);
+    const limit = this.getCurrentLimit(deviceId);
+
+    return {
+      current: Math.round(current),
+      watts: current * volts / 1000,
+      limitWatts: Number.isFinite(limit) ? limit * volts / 1000 : null,
+      limited: state.limited
+    };
+  }
+
+  /**
+   * Live-Anzeige über alle Geräte mit bekanntem Stand
+   * @returns {Object} - { watts, current, devices: [{ deviceId, ... }] }
+   */
+  getReadout() {
+    const devices = Array.from(this.states.keys()).map(key => {
+      const deviceId = key === 'default' ? null : key;
+      return { deviceId, ...this.getEstimate(deviceId) };
+    });
+
+    return {
+      watts: devices.reduce((sum, device) => sum + device.watts, 0),
+      current: devices.reduce((sum, device) => sum + device.current, 0),
+      limited: devices.some(device => device.limited),
+      devices
+    };
+  }
+
+  // ===================================================================
+  // BEGRENZEN
+  // ===================================================================
+
+  /**
+   * Statische Farbe (alle Pixel gleich) auf das Budget skalieren
+   * @param {number[]} values - kalibrierte Kanal-Stufen ([r,g,b], [r,g,b,w] oder [warm,cold])
+   * @returns {number[]} - skalierte Stufen (dasselbe Array, wenn nichts begrenzt wird)
+   */
+  limitColor(deviceId, values) {
+    const pixelCount = this.getPixelCount(deviceId);
+    const load = values.reduce((sum, v) => sum + v, 0) / 255 * pixelCount;
+    const state = this.getState(deviceId);
+    const scale = this.getScale(deviceId, load, pixelCount, state.brightness);
+
+    this.update(deviceId, { load: load * scale, on: true, limited: scale < 1 });
+    return scale < 1 ? values.map(v => Math.floor(v * scale)) : values;
+  }
+
+  /**
+   * Faktor für einen ganzen Frame
+   * @param {Uint8Array} pixels - [r, g, b, ...] unkalibriert (wie im Framebuffer)
+   * @returns {number} - Faktor für die unkalibrierten Werte (1 = unbegrenzt)
+   */
+  limitFrame(deviceId, pixels) {
+    const calibration = powerRoot.colorCalibration;
+    const profile = calibration ? calibration.getProfile(deviceId) : null;
+    const tables = profile ? calibration.getLookupTables(profile) : null;
+
+    // Last nach der Kalibrierung (Gamma, Weißabgleich, Maximal-Helligkeit)
+    let sum = 0;
+    for (let i = 0; i + 2 < pixels.length; i += 3) {
+      sum += tables
+        ? tables.r[pixels[i]] + tables.g[pixels[i + 1]] + tables.b[pixels[i + 2]]
+        : pixels[i] + pixels[i + 1] + pixels[i + 2];
+    }
+
+    const pixelCount = Math.floor(pixels.length / 3);
+    const load = sum / 255;
+    const state = this.getState(deviceId);
+    const scale = this.getScale(deviceId, load, pixelCount, state.brightness);
+
+    this.update(deviceId, { load: load * scale, on: true, limited: scale < 1 });
+
+    // Gamma wirkt nach der Skalierung - der Rohwert-Faktor gleicht das aus
+    return scale < 1 && profile ? Math.pow(scale, 1 / profile.gamma) : scale;
+  }
+
+  /**
+   * Helligkeits-Befehl (0-255) kappen, falls die aktuelle Farbe sonst zu viel zieht
+   */
+  limitBrightness(deviceId, value) {
+    const state = this.getState(deviceId);
+    const brightness = Math.max(0, Math.min(255, value)) / 255;
+    const scale = this.getScale(deviceId, state.load, this.getPixelCount(deviceId), brightness);
+
+    this.update(deviceId, { brightness: brightness * scale, limited: scale < 1 });
+    return scale < 1 ? Math.floor(value * scale) : value;
+  }
+
+  /**
+   * An/Aus merken (aus = nur Ruhestrom)
+   */
+  setPower(deviceId, on) {
+    this.update(deviceId, { on: !!on });
+  }
+
+  /**
+   * Größter Faktor, mit dem die Last ins Budget passt (in SCALE_STEPS Stufen)
+   */
+  getScale(deviceId, load, pixelCount, brightness) {
+    const limit = this.getCurrentLimit(deviceId);
+    const current = PowerLimiter.estimateCurrent(load, pixelCount, brightness);
+    if (current <= limit) return 1;
+
+    const available = Math.max(0, limit - PowerLimiter.estimateCurrent(0, pixelCount));
+    const scale = available / (current - PowerLimiter.estimateCurrent(0, pixelCount));
+    return Math.floor(scale * POWER_CONFIG.SCALE_STEPS) / POWER_CONFIG.SCALE_STEPS;
+  }
+
+  // ===================================================================
+  // VERBRAUCHSVERLAUF
+  // ===================================================================
+
+  /**
+   * Verlauf der letzten Stunden (Stunden ohne Verbrauch mit 0 Wh)
+   * @returns {Array} - [{ start, wh, peakWatts }], älteste zuerst
+   */
+  getHistory(hours = 24) {
+    this.accumulate();
+    const bucket = POWER_CONFIG.HISTORY_BUCKET_MS;
+    const current = Math.floor(Date.now() / bucket) * bucket;
+
+    return Array.from({ length: hours }, (_, i) => {
+      const start = current - (hours - 1 - i) * bucket;
+      return this.history.find(entry => entry.start === start) || { start, wh: 0, peakWatts: 0 };
+    });
+  }
+
+  /**
+   * Kennzahlen für die Anzeige und den Energiesparmodus
+   * @returns {Object} - { todayWh, averageWatts, peakWatts, savingWh }
+   *   savingWh = geschätzte Ersparnis pro Tag mit Energiesparmodus
+   */
+  getEnergyStats() {
+    const day = this.getHistory(24);
+    const startOfDay = new Date().setHours(0, 0, 0, 0);
+    const used = this.history.filter(entry => entry.wh > 0);
+
+    // Stündlicher Verbrauch über der Sparmodus-Grenze wäre weggefallen
+    const budgetWatts = this.getBudget(null).amps * this.getBudget(null).volts;
+    const saveWatts = budgetWatts * POWER_CONFIG.ENERGY_SAVE_FACTOR;
+    const saving = used.reduce((sum, entry) => sum + (budgetWatts ? Math.max(0, entry.wh - saveWatts) : 0), 0);
+
+    return {
+      todayWh: day.filter(entry => entry.start >= startOfDay).reduce((sum, entry) => sum + entry.wh, 0),
+      averageWatts: used.length ? used.reduce((sum, entry) => sum + entry.wh, 0) / used.length : 0,
+      peakWatts: day.reduce((max, entry) => Math.max(max, entry.peakWatts), 0),
+      savingWh: used.length ? saving / used.length * 24 : 0
+    };
+  }
+
+  /**
+   * Integriert die geschätzte Leistung seit dem letzten Aufruf in den Verlauf
+   */
+  accumulate(now = Date.now()) {
+    const watts = this.getReadout().watts;
+    const bucket = POWER_CONFIG.HISTORY_BUCKET_MS;
+    let time = this.lastAccumulate;
+
+    // Zeitraum an Stundengrenzen aufteilen
+    while (time < now) {
+      const start = Math.floor(time / bucket) * bucket;
+      const end = Math.min(now, start + bucket);
+      const entry = this.getHistoryEntry(start);
+      entry.wh += watts * (end - time) / 3600000;
+      entry.peakWatts = Math.max(entry.peakWatts, watts);
+      time = end;
+    }
+    this.lastAccumulate = now;
+
+    if (now - this.lastSave >= POWER_CONFIG.SAVE_INTERVAL_MS) {
+      this.saveHistory();
+      this.lastSave = now;
+    }
+  }
+
+  getHistoryEntry(start) {
+    let entry = this.history.length ? this.history[this.history.length - 1] : null;
+    if (!entry || entry.start !== start) {
+      entry = { start, wh: 0, peakWatts: 0 };
+      this.history.push(entry);
+      if (this.history.length > POWER_CONFIG.HISTORY_LENGTH) {
+        this.history.splice(0, this.history.length - POWER_CONFIG.HISTORY_LENGTH);
+      }
+    }
+    return entry;
+  }
+
+  // ===================================================================
+  // SPEICHERN & LADEN
+  // ===================================================================
+
+  save() {
+    try {
+      localStorage.setItem(POWER_CONFIG.STORAGE_KEY, JSON.stringify({
+        budget: this.defaultBudget,
+        energySave: this.energySave
+      }));
+    } catch (error) {
+      console.error('❌ Netzteil-Budget speichern fehlgeschlagen:', error);
+    }
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(POWER_CONFIG.STORAGE_KEY) || 'null');
+      if (saved) {
+        this.defaultBudget = this.normalize(saved.budget);
+        this.energySave = !!saved.energySave;
+        return;
+      }
+
+      // Übernahme der allgemeinen Einstellungen (Spannung, Maximalstrom in mA)
+      const settings = JSON.parse(localStorage.getItem('led-settings') || 'null');
+      if (settings) {
+        this.defaultBudget = this.normalize({
+          volts: settings.voltage,
+          amps: settings.maxCurrent !== undefined ? settings.maxCurrent / 1000 : undefined
+        });
+        this.energySave = !!settings.energySave;
+      }
+    } catch (error) {
+      console.error('❌ Netzteil-Budget laden fehlgeschlagen:', error);
+    }
+  }
+
+  saveHistory() {
+    try {
+      localStorage.setItem(POWER_CONFIG.HISTORY_KEY, JSON.stringify(this.history));
+    } catch (error) {
+      console.error('❌ Verbrauchsverlauf speichern fehlgeschlagen:', error);
+    }
+  }
+
+  loadHistory() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(POWER_CONFIG.HISTORY_KEY) || '[]');
+      this.history = Array.isArray(saved)
+        ? saved.filter(entry => entry && Number.isFinite(entry.start)).slice(-POWER_CONFIG.HISTORY_LENGTH)
+        : [];
+    } catch (error) {
+      console.error('❌ Verbrauchsverlauf laden fehlgeschlagen:', error);
+    }
+  }
+
+  // ===================================================================
+  // HILFSFUNKTIONEN
+  // ===================================================================
+
+  getState(deviceId) {
+    const key = deviceId || 'default';
+    let state = this.states.get(key);
+    if (!state) {
+      state = { load: 0, brightness: 1, on: false, limited: false };
+      this.states.set(key, state);
+    }
+    return state;
+  }
+
+  /**
+   * Neuer Stand eines Geräts - vorher wird der bisherige Verbrauch verbucht
+   */
+  update(deviceId, changes) {
+    this.accumulate();
+    const state = this.getState(deviceId);
+    const wasLimited = state.limited;
+    Object.assign(state, changes);
+
+    if (state.limited !== wasLimited) {
+      this.dispatchPowerEvent('power-limit-changed', { deviceId, limited: state.limited });
+      if (state.limited) {
+        console.warn(`⚠️ Netzteil-Budget erreicht: ${deviceId || 'Standard'} wird gedimmt`);
+      }
+    }
+  }
+
+  getDevice(deviceId) {
+    const manager = powerRoot.deviceManager;
+    return deviceId && manager ? manager.getDeviceById(deviceId) : null;
+  }
+
+  getPixelCount(deviceId) {
+    const manager = powerRoot.deviceManager;
+    if (manager && manager.getLedCount && deviceId) {
+      return manager.getLedCount(deviceId);
+    }
+    return powerRoot.DEVICE_CONFIG ? powerRoot.DEVICE_CONFIG.DEFAULT_LED_COUNT : 60;
+  }
+
+  dispatchPowerEvent(type, detail) {
+    if (powerRoot.dispatchEvent) {
+      powerRoot.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+  }
+}
+
+// ===================================================================
+// GLOBALE INSTANZ
+// ===================================================================
+
+powerRoot.POWER_CONFIG = POWER_CONFIG;
+powerRoot.PowerLimiter = PowerLimiter;
+powerRoot.powerLimiter = new PowerLimiter();
+
+console.log('✅ Leistungsbegrenzung global verfügbar als window.powerLimiter');
+
+// ===================================================================
+// EXPORT
+// ===================================================================
+
+// Browser-kompatible Exports
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PowerLimiter;
+}
@@ -0,0 +1,629 @@
+/**
+ * ===================================================================
+ * PROTOCOL-DRIVERS.JS
+ * Protokoll-Treiber-Registry für BLE-LED-Controller
+ * Version: 1.0
+ * ===================================================================
+ *
+ * Jeder Treiber beschreibt ein BLE-Protokoll vollständig:
+ * - Service- und Characteristic-UUIDs (write / notify)
+ * - Befehls-Encoder (POWER_ON, POWER_OFF, COLOR, COLOR_RGBW, CCT, BRIGHTNESS, EFFECT)
+ * - Status-Abfragen und Parser für Notify-Frames (optional)
+ * - Namens-Präfixe für die Geräteerkennung
+ * - Service-Signatur (Service + Characteristics) für die Protokollerkennung beim Koppeln
+ * - Fähigkeiten (Capabilities)
+ *
+ * Enthaltene Treiber:
+ * - ELK-BLEDOM
+ * - Generic BLE LED
+ * - Triones / HappyLighting
+ * - MagicHome / ZENGGE
+ * - Govee
+ *
+ * Neue Protokolle werden über window.protocolDrivers.register()
+ * hinzugefügt - BLEController und DeviceManager müssen dafür
+ * nicht angepasst werden.
+ *
+ * Muss VOR ble-controller-pro.js und device-manager.js geladen werden.
+ *
+ * ===================================================================
+ */
+
+'use strict';
+
+// ===================================================================
+// TREIBER-STRUKTUR
+// ===================================================================
+
+/**
+ * Treiber-Objekt:
+ * {
+ *   id: string,                  // Eindeutige ID, z.B. 'ELK_BLEDOM'
+ *   name: string,                // Anzeigename
+ *   description: string,         // Beschreibung
+ *   service: string,             // Primary Service UUID (Schreiben)
+ *   characteristics: {
+ *     write: string,             // Characteristic UUID für Befehle
+ *     notify: string|null        // Characteristic UUID für Status (optional)
+ *   },
+ *   notifyService: string|null,  // Service der Notify-Characteristic (falls abweichend)
+ *   namePrefixes: string[],      // Gerätenamen-Präfixe für Scan & Erkennung
+ *   capabilities: {
+ *     power: boolean,
+ *     rgb: boolean,
+ *     brightness: boolean,
+ *     effects: boolean,
+ *     effectCount: number,       // Anzahl Firmware-Effekte
+ *     packing: boolean,          // Mehrere Befehle pro BLE-Write erlaubt
+ *     pixels: boolean,           // Einzelpixel adressierbar (PIXELS vorhanden)
+ *     rgbw: boolean,             // RGB + Weißkanal in einem Befehl (COLOR_RGBW vorhanden)
+ *     cct: boolean               // Natives Tunable White (CCT vorhanden)
+ *   },
+ *   cctRange: [number, number],  // Kelvin der Warm- und Kaltweiß-LEDs (Standard 2700-6500)
+ *   mtu: number,                 // Max. Nutzdaten pro Write (Standard 20 = ATT-MTU 23)
+ *   commands: {
+ *     POWER_ON: number[] | () => number[],
+ *     POWER_OFF: number[] | () => number[],
+ *     COLOR: (r, g, b) => number[],
+ *     COLOR_RGBW: (r, g, b, w) => number[],  // w = Weißkanal 0-255
+ *     CCT: (warm, cold) => number[],         // Warm-/Kaltweiß-Kanal 0-255
+ *     BRIGHTNESS: (level) => number[],   // level 0-255
+ *     EFFECT: (id, speed) => number[],   // id 1-32 (APP_CONFIG.EFFECT_IDS)
+ *     PIXELS: (start, rgb) => number[]   // Nur eigene Treiber: Pixel ab start, rgb = [r, g, b, ...]
+ *   },
+ *   statusQueries: Array<number[] | () => number[]>,  // Frames die einen Status auslösen
+ *   parseStatus: (bytes) => Object|null                // Notify-Frame → Teil-Status
+ * }
+ *
+ * Nicht unterstützte Befehle werden einfach weggelassen.
+ *
+ * Teil-Status aus parseStatus (alle Felder optional):
+ * {
+ *   power: boolean,
+ *   color: { r, g, b },
+ *   white: number,            // Weißkanal 0-255
+ *   brightness: number,       // 0-100
+ *   effect: number|null,      // Effekt-ID (null = statische Farbe)
+ *   speed: number,
+ *   firmwareVersion: string,
+ *   model: number,            // Modell-/Typ-Byte des Controllers
+ *   channels: 'RGB'|'RGBW'
+ * }
+ */
+
+// ===================================================================
+// HILFSFUNKTIONEN
+// ===================================================================
+
+/**
+ * Baut eine 16-Bit Bluetooth-Basis-UUID
+ */
+function bleUUID(shortId) {
+  return `0000${shortId}-0000-1000-8000-00805f9b34fb`;
+}
+
+/**
+ * Summen-Checksumme (MagicHome/ZENGGE)
+ */
+function sumChecksum(bytes) {
+  return bytes.reduce((sum, b) => sum + b, 0) & 0xFF;
+}
+
+/**
+ * XOR-Checksumme (Govee)
+ */
+function xorChecksum(bytes) {
+  return bytes.reduce((acc, b) => acc ^ b, 0) & 0xFF;
+}
+
+/**
+ * Begrenzt einen Wert auf 0-255
+ */
+function clampByte(value) {
+  return Math.max(0, Math.min(255, Math.round(value) || 0));
+}
+
+// ===================================================================
+// PROTOKOLL-SPEZIFISCHE FRAMES
+// ===================================================================
+
+// ZENGGE verpackt die klassischen MagicHome-Befehle in einen Header
+// mit fortlaufender Sequenznummer
+let zenggeSequence = 0;
+
+function zenggeFrame(payload) {
+  const body = [...payload, sumChecksum(payload)];
+  zenggeSequence = (zenggeSequence + 1) & 0xFF;
+  return [0x00, zenggeSequence, 0x80, 0x00, 0x00, body.length, body.length + 1, 0x0b, ...body];
+}
+
+// Govee: immer 20 Bytes, letztes Byte = XOR über die ersten 19
+// Kopf 0x33 = Befehl, 0xaa = Status-Abfrage / Status-Antwort
+function goveeFrame(command, data = [], head = 0x33) {
+  const frame = new Array(19).fill(0);
+  frame[0] = head;
+  frame[1] = command;
+  data.forEach((value, index) => {
+    frame[2 + index] = value;
+  });
+  frame.push(xorChecksum(frame));
+  return frame;
+}
+
+// ===================================================================
+// STATUS-PARSER
+// ===================================================================
+
+// Effekt-Modi 0x25-0x38 → App-Effekt-ID 1-20, alles andere = statisch
+function firmwareModeToEffect(mode) {
+  return mode >= 0x25 && mode <= 0x38 ? mode - 0x24 : null;
+}
+
+// Triones: 0x66 type power mode run speed R G B W version 0x99
+function parseTrionesStatus(bytes) {
+  if (bytes.length < 12 || bytes[0] !== 0x66 || bytes[11] !== 0x99) {
+    return null;
+  }
+
+  return {
+    model: bytes[1],
+    power: bytes[2] === 0x23,
+    effect: firmwareModeToEffect(bytes[3]),
+    speed: bytes[5],
+    color: { r: bytes[6], g: bytes[7], b: bytes[8] },
+    white: bytes[9],
+    firmwareVersion: String(bytes[10]),
+    channels: bytes[9] > 0 ? 'RGBW' : 'RGB'
+  };
+}
+
+// MagicHome/ZENGGE: Header (8 Bytes) + 0x81 type power mode run speed R G B W version ...
+function parseMagicHomeStatus(bytes) {
+  const start = bytes.indexOf(0x81);
+  const payload = start >= 0 ? bytes.slice(start) : [];
+
+  if (payload.length < 11) {
+    return null;
+  }
+
+  // Typ-Bytes mit Weißkanal (RGBW / RGBWW)
+  const rgbwModels = [0x04, 0x06, 0x07, 0x25, 0x35];
+
+  return {
+    model: payload[1],
+    power: payload[2] === 0x23,
+    effect: firmwareModeToEffect(payload[3]),
+    speed: payload[5],
+    color: { r: payload[6], g: payload[7], b: payload[8] },
+    white: payload[9],
+    firmwareVersion: String(payload[10]),
+    channels: rgbwModels.includes(payload[1]) ? 'RGBW' : 'RGB'
+  };
+}
+
+// Govee: 0xaa cmd data... (20 Bytes, eine Antwort pro Abfrage)
+function parseGoveeStatus(bytes) {
+  if (bytes.length < 20 || bytes[0] !== 0xaa || xorChecksum(bytes.slice(0, 19)) !== bytes[19]) {
+    return null;
+  }
+
+  switch (bytes[1]) {
+    case 0x01:
+      return { power: bytes[2] === 0x01 };
+    case 0x04:
+      return { brightness: Math.round((bytes[2] / 255) * 100) };
+    case 0x05:
+      return bytes[2] === 0x02
+        ? { color: { r: bytes[3], g: bytes[4], b: bytes[5] }, effect: null }
+        : { effect: bytes[3] | (bytes[4] << 8) };
+    case 0x06: {
+      // Firmware-Version als ASCII
+      const chars = bytes.slice(2, 19).filter(b => b >= 0x20 && b < 0x7f);
+      return { firmwareVersion: String.fromCharCode(...chars) };
+    }
+    default:
+      return null;
+  }
+}
+
+// ===================================================================
+// EINGEBAUTE TREIBER
+// ===================================================================
+
+const BUILTIN_DRIVERS = [
+  {
+    id: 'ELK_BLEDOM',
+    name: 'ELK-BLEDOM (Standard)',
+    description: 'Für ELK-BLEDOM LED-Streifen',
+    service: bleUUID('fff0'),
+    characteristics: {
+      write: bleUUID('fff3'),
+      notify: null
+    },
+    notifyService: null,
+    namePrefixes: ['ELK-BLEDOM', 'ELK-BLE', 'MELK'],
+    capabilities: { power: true, rgb: true, brightness: true, effects: true, effectCount: 32, packing: true },
+    commands: {
+      POWER_ON: [0x7e, 0x04, 0x04, 0x01, 0xff, 0xff, 0xff, 0x00, 0xef],
+      POWER_OFF: [0x7e, 0x04, 0x04, 0x00, 0xff, 0xff, 0xff, 0x00, 0xef],
+      COLOR: (r, g, b) => [0x7e, 0x07, 0x05, 0x03, r, g, b, 0x00, 0xef],
+      // Nur CCT-Streifen (Warm-/Kaltweiß), RGB-Streifen ignorieren den Befehl
+      CCT: (warm, cold) => [0x7e, 0x06, 0x05, 0x02, warm, cold, 0xff, 0x08, 0xef],
+      BRIGHTNESS: (level) => [0x7e, 0x04, 0x01, level, 0xff, 0xff, 0xff, 0x00, 0xef],
+      EFFECT: (id) => [0x7e, 0x05, 0x03, id, 0x03, 0xff, 0xff, 0x00, 0xef]
+    }
+  },
+  {
+    id: 'GENERIC',
+    name: 'Generic BLE LED',
+    description: 'Für generische BLE-LED-Controller',
+    service: bleUUID('ffe0'),
+    characteristics: {
+      write: bleUUID('ffe1'),
+      notify: null
+    },
+    notifyService: null,
+    namePrefixes: ['BLE-LED', 'LED'],
+    capabilities: { power: true, rgb: true, brightness: true, effects: true, effectCount: 32, packing: true },
+    commands: {
+      POWER_ON: [0x7e, 0x00, 0x04, 0xf0, 0x00, 0x01, 0xff, 0x00, 0xef],
+      POWER_OFF: [0x7e, 0x00, 0x04, 0x00, 0x00, 0x00, 0xff, 0x00, 0xef],
+      COLOR: (r, g, b) => {
+        const checksum = (r + g + b) & 0xFF;
+        return [0x7e, 0x00, 0x05, 0x03, r, g, b, 0x00, checksum, 0xef];
+      },
+      BRIGHTNESS: (level) => [0x7e, 0x00, 0x01, level, 0xff, 0xff, 0xff, 0x00, 0xef],
+      EFFECT: (id) => {
+        const effectId = Math.min(255, Math.max(0, id));
+        return [0x7e, 0x00, 0x03, effectId, 0x03, 0xff, 0xff, 0x00, 0xef];
+      }
+    }
+  },
+  {
+    id: 'TRIONES',
+    name: 'Triones / HappyLighting',
+    description: 'Für Triones-, LEDBLE- und HappyLighting-Controller',
+    service: bleUUID('ffd5'),
+    characteristics: {
+      write: bleUUID('ffd9'),
+      notify: bleUUID('ffd4')
+    },
+    notifyService: bleUUID('ffd0'),
+    namePrefixes: ['Triones', 'LEDBlue', 'LEDBLE', 'QHM-', 'Dream~'],
+    // Keine native Helligkeit - wird über die Farbe skaliert
+    capabilities: { power: true, rgb: true, brightness: false, effects: true, effectCount: 20, packing: true },
+    commands: {
+      POWER_ON: [0xcc, 0x23, 0x33],
+      POWER_OFF: [0xcc, 0x24, 0x33],
+      COLOR: (r, g, b) => [0x56, r, g, b, 0x00, 0xf0, 0xaa],
+      // Firmware-Modi 0x25-0x38, Speed: 1 = schnell, 255 = langsam
+      EFFECT: (id, speed = 0x10) => [0xbb, 0x25 + ((Math.max(1, id) - 1) % 20), clampByte(speed) || 1, 0x44]
+    },
+    statusQueries: [[0xef, 0x01, 0x77]],
+    parseStatus: parseTrionesStatus
+  },
+  {
+    id: 'MAGIC_HOME',
+    name: 'MagicHome / ZENGGE',
+    description: 'Für MagicHome- und ZENGGE-BLE-Controller (LEDnet)',
+    service: bleUUID('ffff'),
+    characteristics: {
+      write: bleUUID('ff01'),
+      notify: bleUUID('ff02')
+    },
+    notifyService: null,
+    namePrefixes: ['LEDnetWF', 'LEDnet', 'ZENGGE', 'Magic'],
+    capabilities: { power: true, rgb: true, brightness: false, effects: true, effectCount: 20 },
+    commands: {
+      POWER_ON: () => zenggeFrame([0x71, 0x23, 0x0f]),
+      POWER_OFF: () => zenggeFrame([0x71, 0x24, 0x0f]),
+      // Schreibmaske: 0xf0 = nur RGB, 0x0f = nur Weiß, 0x00 = alle Kanäle
+      COLOR: (r, g, b) => zenggeFrame([0x31, r, g, b, 0x00, 0xf0, 0x0f]),
+      COLOR_RGBW: (r, g, b, w) => zenggeFrame([0x31, r, g, b, w, 0x00, 0x0f]),
+      CCT: (warm, cold) => zenggeFrame([0x31, 0x00, 0x00, 0x00, warm, cold, 0x0f, 0x0f]),
+      // Speed: 1 = langsam, 31 = schnell
+      EFFECT: (id, speed = 16) => zenggeFrame([0x61, 0x25 + ((Math.max(1, id) - 1) % 20), Math.max(1, Math.min(31, speed)), 0x0f])
+    },
+    statusQueries: [() => zenggeFrame([0x81, 0x8a, 0x8b])],
+    parseStatus: parseMagicHomeStatus
+  },
+  {
+    id: 'GOVEE',
+    name: 'Govee',
+    description: 'Für Govee-LED-Streifen (H6xxx)',
+    service: '00010203-0405-0607-0809-0a0b0c0d1910',
+    characteristics: {
+      write: '00010203-0405-0607-0809-0a0b0c0d2b11',
+      notify: '00010203-0405-0607-0809-0a0b0c0d2b10'
+    },
+    notifyService: null,
+    namePrefixes: ['ihoment_', 'Govee_', 'GBK_', 'Minger_'],
+    capabilities: { power: true, rgb: true, brightness: true, effects: true, effectCount: 32 },
+    commands: {
+      POWER_ON: () => goveeFrame(0x01, [0x01]),
+      POWER_OFF: () => goveeFrame(0x01, [0x00]),
+      COLOR: (r, g, b) => goveeFrame(0x05, [0x02, r, g, b]),
+      BRIGHTNESS: (level) => goveeFrame(0x04, [level]),
+      EFFECT: (id) => goveeFrame(0x05, [0x04, id & 0xFF, (id >> 8) & 0xFF])
+    },
+    statusQueries: [
+      () => goveeFrame(0x01, [], 0xaa),
+      () => goveeFrame(0x04, [], 0xaa),
+      () => goveeFrame(0x05, [], 0xaa),
+      () => goveeFrame(0x06, [], 0xaa)
+    ],
+    parseStatus: parseGoveeStatus
+  }
+];
+
+// ===================================================================
+// REGISTRY
+// ===================================================================
+
+class ProtocolDriverRegistry {
+  constructor(drivers = []) {
+    this.drivers = new Map();
+    this.defaultId = 'ELK_BLEDOM';
+
+    drivers.forEach(driver => this.register(driver));
+  }
+
+  /**
+   * Registriert einen Treiber (überschreibt gleichnamige)
+   */
+  register(driver) {
+    if (!driver || !driver.id) {
+      throw new Error('Treiber benötigt eine ID');
+    }
+    if (!driver.service || !driver.characteristics || !driver.characteristics.write) {
+      throw new Error(`Treiber ${driver.id}: Service- und Write-UUID erforderlich`);
+    }
+
+    const normalized = {
+      name: driver.id,
+      description: '',
+      notifyService: null,
+      namePrefixes: [],
+      mtu: 20,
+      cctRange: [2700, 6500],
+      commands: {},
+      statusQueries: [],
+      parseStatus: null,
+      ...driver,
+      characteristics: { notify: null, ...driver.characteristics },
+      capabilities: {
+        power: !!(driver.commands && driver.commands.POWER_ON),
+        rgb: !!(driver.commands && driver.commands.COLOR),
+        brightness: !!(driver.commands && driver.commands.BRIGHTNESS),
+        effects: !!(driver.commands && driver.commands.EFFECT),
+        effectCount: 0,
+        packing: false,
+        pixels: !!(driver.commands && driver.commands.PIXELS),
+        rgbw: !!(driver.commands && driver.commands.COLOR_RGBW),
+        cct: !!(driver.commands && driver.commands.CCT),
+        notify: !!(driver.characteristics.notify && driver.parseStatus),
+        ...driver.capabilities
+      }
+    };
+
+    this.drivers.set(normalized.id, normalized);
+    console.log(`🔌 Protokoll-Treiber registriert: ${normalized.name}`);
+
+    return normalized;
+  }
+
+  /**
+   * Entfernt einen Treiber
+   */
+  unregister(id) {
+    if (id === this.defaultId) {
+      throw new Error('Standard-Treiber kann nicht entfernt werden');
+    }
+    return this.drivers.delete(id);
+  }
+
+  /**
+   * Gibt Treiber zurück
+   */
+  get(id) {
+    return this.drivers.get(id) || null;
+  }
+
+  /**
+   * Prüft ob Treiber existiert
+   */
+  has(id) {
+    return this.drivers.has(id);
+  }
+
+  /**
+   * Gibt Treiber oder Standard-Treiber zurück
+   */
+  resolve(id) {
+    return this.get(id) || this.get(this.defaultId);
+  }
+
+  /**
+   * Gibt alle Treiber zurück
+   */
+  getAll() {
+    return Array.from(this.drivers.values());
+  }
+
+  /**
+   * Gibt alle Treiber-IDs zurück
+   */
+  getIds() {
+    return Array.from(this.drivers.keys());
+  }
+
+  /**
+   * Findet passenden Treiber anhand des Gerätenamens
+   * (längster passender Präfix gewinnt)
+   */
+  matchByName(deviceName) {
+    if (!deviceName) return null;
+
+    let bestMatch = null;
+    let bestLength = 0;
+
+    this.drivers.forEach(driver => {
+      driver.namePrefixes.forEach(prefix => {
+        if (deviceName.startsWith(prefix) && prefix.length > bestLength) {
+          bestMatch = driver;
+          bestLength = prefix.length;
+        }
+      });
+    });
+
+    return bestMatch;
+  }
+
+  /**
+   * Kandidaten anhand der GATT-Services eines Geräts (Service-Signatur)
+   * Passend ist ein Treiber, wenn Service und Write-Characteristic vorhanden sind;
+   * vorhandene Notify-Characteristic und passender Namens-Präfix ranken höher.
+   * @param {Object} profile - { serviceUUID: [characteristicUUID, ...] } (klein geschrieben)
+   * @param {string} deviceName - optional, entscheidet bei gleicher Signatur
+   * @returns {Object[]} - [{ driver, score }] bestes zuerst
+   */
+  matchByServices(profile, deviceName = '') {
+    const has = (service, characteristic) => !!(profile[service] && profile[service].includes(characteristic));
+    const candidates = [];
+
+    this.drivers.forEach(driver => {
+      if (!has(driver.service, driver.characteristics.write)) return;
+
+      let score = 2;
+      if (driver.characteristics.notify && has(driver.notifyService || driver.service, driver.characteristics.notify)) {
+        score += 1;
+      }
+      if (deviceName && driver.namePrefixes.some(prefix => deviceName.startsWith(prefix))) {
+        score += 1;
+      }
+      candidates.push({ driver, score });
+    });
+
+    return candidates.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Scan-Filter für navigator.bluetooth.requestDevice()
+   */
+  getScanFilters() {
+    const prefixes = new Set();
+    this.drivers.forEach(driver => {
+      driver.namePrefixes.forEach(prefix => prefixes.add(prefix));
+    });
+    return Array.from(prefixes).map(namePrefix => ({ namePrefix }));
+  }
+
+  /**
+   * Alle Service-UUIDs (für optionalServices)
+   */
+  getOptionalServices() {
+    const services = new Set();
+    this.drivers.forEach(driver => {
+      services.add(driver.service);
+      if (driver.notifyService) {
+        services.add(driver.notifyService);
+      }
+    });
+    return Array.from(services);
+  }
+
+  /**
+   * Prüft Fähigkeit eines Treibers
+   */
+  supports(id, capability) {
+    const driver = this.get(id);
+    return !!(driver && driver.capabilities[capability]);
+  }
+
+  /**
+   * Kodiert einen Befehl als Byte-Array
+   * @returns {number[]|null} - null wenn der Befehl nicht unterstützt wird
+   */
+  encode(id, command, ...args) {
+    const driver = this.resolve(id);
+    const encoder = driver.commands[command];
+
+    if (!encoder) {
+      return null;
+    }
+
+    const bytes = typeof encoder === 'function' ? encoder(...args) : encoder;
+    return bytes.map(clampByte);
+  }
+
+  /**
+   * Kodiert einen Pixelbereich als PIXELS-Frames, jeder Frame passt in die MTU
+   * @param {number[]} rgb - [r, g, b, r, g, b, ...] ab Pixel start
+   * @returns {number[][]} - leer wenn der Treiber keine Einzelpixel kann
+   */
+  encodePixels(id, start, rgb, mtu = this.resolve(id).mtu) {
+    const overhead = (this.encode(id, 'PIXELS', 0, [0, 0, 0]) || []).length - 3;
+    if (overhead < 0) {
+      return [];
+    }
+
+    const perFrame = Math.max(1, Math.floor((mtu - overhead) / 3));
+    const frames = [];
+
+    for (let offset = 0; offset < rgb.length / 3; offset += perFrame) {
+      const chunk = rgb.slice(offset * 3, (offset + perFrame) * 3);
+      frames.push(this.encode(id, 'PIXELS', start + offset, chunk));
+    }
+
+    return frames;
+  }
+
+  /**
+   * Frames die beim Gerät einen Status-Report auslösen
+   * @returns {number[][]}
+   */
+  getStatusQueries(id) {
+    const driver = this.resolve(id);
+    return driver.statusQueries.map(query => (typeof query === 'function' ? query() : query).map(clampByte));
+  }
+
+  /**
+   * Parst einen Notify-Frame in einen Teil-Status
+   * @returns {Object|null} - null wenn der Frame kein Status ist
+   */
+  parseStatus(id, bytes) {
+    const driver = this.resolve(id);
+
+    if (!driver.parseStatus) {
+      return null;
+    }
+
+    try {
+      return driver.parseStatus(Array.from(bytes));
+    } catch (error) {
+      console.warn(`⚠️ Status-Frame von ${driver.name} nicht lesbar:`, error);
+      return null;
+    }
+  }
+}
+
+// ===================================================================
+// GLOBALE INSTANZ
+// ===================================================================
+
+// Browser: window, Node (Tests): globalThis
+const driverRoot = typeof window !== 'undefined' ? window : globalThis;
+
+driverRoot.ProtocolDriverRegistry = ProtocolDriverRegistry;
+driverRoot.protocolDrivers = new ProtocolDriverRegistry(BUILTIN_DRIVERS);
+
+console.log('✅ Protokoll-Treiber global verfügbar als window.protocolDrivers');
+
+// ===================================================================
+// EXPORT
+// ===================================================================
+
+// Browser-kompatible Exports
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProtocolDriverRegistry;
+}
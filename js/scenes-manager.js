@@ -17,6 +17,9 @@
  * 
  * Abhängigkeiten:
  * - window.ledController (BLE-Controller)
+ * - window.virtualDevices (virtuelle Geräte, optional)
+ * - window.transitionEngine (Überblendungen, optional)
+ * - window.deviceManager (Ziel-Gruppen, optional)
  * - localStorage (Persistierung)
  * 
  * ===================================================================
@@ -24,6 +27,9 @@
 
 'use strict';
 
+// Browser: window, Node (Tests): globalThis
+const sceneRoot = typeof window !== 'undefined' ? window : globalThis;
+
 // ===================================================================
 // SZENEN-DATENSTRUKTUR
 // ===================================================================
@@ -42,7 +48,10 @@
  *   effect: number,          // Effekt-ID (0-255)
  *   brightness: number,      // Helligkeit (0-100)
  *   speed: number,           // Geschwindigkeit (0-100)
- *   devices: string[],       // Ziel-Geräte IDs
+ *   palette: string|null,    // Paletten-ID (window.paletteManager)
+ *   transitionMs: number,    // Überblendung von der vorigen Szene in ms (0 = sofort)
+ *   devices: string[],       // Ziel-Geräte IDs (virtuelle Geräte siehe js/virtual-devices.js)
+ *   groups: string[],        // Ziel-Gruppen IDs (samt Untergruppen, siehe DeviceManager.applyGroupState)
  *   favorite: boolean,       // Favorit?
  *   category: string,        // Kategorie
  *   tags: string[],          // Tags
@@ -105,7 +114,10 @@ class ScenesManager {
       effect: this.validateValue(sceneData.effect, 0, 255, 0),
       brightness: this.validateValue(sceneData.brightness, 0, 100, 100),
       speed: this.validateValue(sceneData.speed, 0, 100, 50),
+      palette: sceneData.palette || null,
+      transitionMs: this.validateValue(sceneData.transitionMs, 0, 3600000, 0),
       devices: sceneData.devices || [],
+      groups: sceneData.groups || [],
       favorite: sceneData.favorite || false,
       category: sceneData.category || 'Custom',
       tags: sceneData.tags || [],
@@ -119,8 +131,8 @@ class ScenesManager {
 
     console.log('✅ Szene erstellt:', scene.name);
     
-    if (window.showGlobalNotification) {
-      window.showGlobalNotification(`Szene "${scene.name}" erstellt`, 'success');
+    if (sceneRoot.showGlobalNotification) {
+      sceneRoot.showGlobalNotification(`Szene "${scene.name}" erstellt`, 'success');
     }
 
     return scene;
@@ -150,7 +162,10 @@ class ScenesManager {
     if (updates.effect !== undefined) scene.effect = this.validateValue(updates.effect, 0, 255, scene.effect);
     if (updates.brightness !== undefined) scene.brightness = this.validateValue(updates.brightness, 0, 100, scene.brightness);
     if (updates.speed !== undefined) scene.speed = this.validateValue(updates.speed, 0, 100, scene.speed);
+    if (updates.palette !== undefined) scene.palette = updates.palette || null;
+    if (updates.transitionMs !== undefined) scene.transitionMs = this.validateValue(updates.transitionMs, 0, 3600000, scene.transitionMs || 0);
     if (updates.devices) scene.devices = updates.devices;
+    if (updates.groups) scene.groups = updates.groups;
     if (updates.favorite !== undefined) scene.favorite = updates.favorite;
     if (updates.category) scene.category = updates.category;
     if (updates.tags) scene.tags = updates.tags;
@@ -161,8 +176,8 @@ class ScenesManager {
 
     console.log('✅ Szene aktualisiert:', scene.name);
     
-    if (window.showGlobalNotification) {
-      window.showGlobalNotification(`Szene "${scene.name}" aktualisiert`, 'success');
+    if (sceneRoot.showGlobalNotification) {
+      sceneRoot.showGlobalNotification(`Szene "${scene.name}" aktualisiert`, 'success');
     }
 
     return scene;
@@ -186,8 +201,8 @@ class ScenesManager {
 
     console.log('✅ Szene gelöscht:', scene.name);
     
-    if (window.showGlobalNotification) {
-      window.showGlobalNotification(`Szene "${scene.name}" gelöscht`, 'info');
+    if (sceneRoot.showGlobalNotification) {
+      sceneRoot.showGlobalNotification(`Szene "${scene.name}" gelöscht`, 'info');
     }
 
     return true;
@@ -219,8 +234,8 @@ class ScenesManager {
 
     console.log('✅ Szene dupliziert:', duplicate.name);
     
-    if (window.showGlobalNotification) {
-      window.showGlobalNotification(`Szene "${duplicate.name}" erstellt`, 'success');
+    if (sceneRoot.showGlobalNotification) {
+      sceneRoot.showGlobalNotification(`Szene "${duplicate.name}" erstellt`, 'success');
     }
 
     return duplicate;
@@ -239,16 +254,16 @@ class ScenesManager {
     const scene = this.getScene(sceneId);
     if (!scene) {
       console.error('Szene nicht gefunden:', sceneId);
-      if (window.showGlobalNotification) {
-        window.showGlobalNotification('Szene nicht gefunden', 'error');
+      if (sceneRoot.showGlobalNotification) {
+        sceneRoot.showGlobalNotification('Szene nicht gefunden', 'error');
       }
       return false;
     }
 
     console.log('🎬 Aktiviere Szene:', scene.name);
     
-    if (window.showGlobalNotification) {
-      window.showGlobalNotification(`Aktiviere Szene "${scene.name}"...`, 'info', 2000);
+    if (sceneRoot.showGlobalNotification) {
+      sceneRoot.showGlobalNotification(`Aktiviere Szene "${scene.name}"...`, 'info', 2000);
     }
 
     try {
@@ -257,39 +272,50 @@ class ScenesManager {
       // Prüfe verfügbare Hardware-Verbindungen
       let hasConnection = false;
       
+      // Ziel-Gruppen ersetzen die Pfade 0-4: nur die Geräte der Gruppen werden gesteuert (siehe 3b)
+      const groupTargets = this.getGroupTargets(scene);
+      const allDevices = groupTargets.length === 0;
+      
+      // 0. Überblendung (scene.transitionMs): Farbe und Helligkeit gleiten, Effekte starten danach
+      const transitions = allDevices && scene.transitionMs > 0 ? sceneRoot.transitionEngine : null;
+      if (transitions) {
+        hasConnection = await this.transitionToScene(scene);
+      }
+      
       // 1. Direkte BLE-Hardware
-      if (window.ledDevice && window.ledDevice.isConnected) {
+      if (allDevices && !transitions && sceneRoot.ledDevice && sceneRoot.ledDevice.isConnected) {
         hasConnection = true;
         
         // Helligkeit
         const brightnessCmd = new Uint8Array([0x7E, 0x00, 0x0E, scene.brightness, 0x00, 0x00, 0x00, 0xEF]);
-        await window.ledDevice.characteristic.writeValue(brightnessCmd);
+        await sceneRoot.ledDevice.characteristic.writeValue(brightnessCmd);
         await this.delay(100);
         
         // Effekt
         if (scene.effect > 0) {
           const effectCmd = new Uint8Array([0x7E, 0x00, 0x06 + scene.effect, 0x05, 0x00, 0x00, 0x00, 0xEF]);
-          await window.ledDevice.characteristic.writeValue(effectCmd);
+          await sceneRoot.ledDevice.characteristic.writeValue(effectCmd);
           await this.delay(100);
         }
         
-        // Farbe
-        const colorCmd = new Uint8Array([0x7E, 0x00, 0x05, scene.color.r, scene.color.g, scene.color.b, 0x00, 0xEF]);
-        await window.ledDevice.characteristic.writeValue(colorCmd);
+        // Farbe (kalibriert - direkter Schreibpfad)
+        const [r, g, b] = this.calibrateColor(sceneRoot.ledDevice.device?.id, scene.color);
+        const colorCmd = new Uint8Array([0x7E, 0x00, 0x05, r, g, b, 0x00, 0xEF]);
+        await sceneRoot.ledDevice.characteristic.writeValue(colorCmd);
       }
       
       // 2. WLED über WiFi
-      if (window.wledDevice && window.wledDevice.connected) {
+      if (allDevices && !transitions && sceneRoot.wledDevice && sceneRoot.wledDevice.connected) {
         hasConnection = true;
         
-        await fetch(`http://${window.wledDevice.ip}/json/state`, {
+        await fetch(`http://${sceneRoot.wledDevice.ip}/json/state`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             on: true,
             bri: Math.round((scene.brightness / 100) * 255),
             seg: [{
-              col: [[scene.color.r, scene.color.g, scene.color.b]],
+              col: [this.calibrateColor(sceneRoot.wledDevice.deviceId, scene.color)],
               fx: scene.effect > 0 ? scene.effect : 0
             }]
           })
@@ -297,45 +323,78 @@ class ScenesManager {
       }
       
       // 3. Universelle Funktion
-      if (window.sendUniversalColor) {
+      if (allDevices && !transitions && sceneRoot.sendUniversalColor) {
         hasConnection = true;
-        await window.sendUniversalColor(scene.color.r, scene.color.g, scene.color.b);
+        await sceneRoot.sendUniversalColor(scene.color.r, scene.color.g, scene.color.b);
         
-        if (scene.effect > 0 && window.sendUniversalEffect) {
+        if (scene.effect > 0 && sceneRoot.sendUniversalEffect) {
           const effectNames = ['rainbow', 'strobe', 'fade', 'pulse', 'wave'];
-          await window.sendUniversalEffect(effectNames[scene.effect - 1] || 'rainbow', 5);
+          await sceneRoot.sendUniversalEffect(effectNames[scene.effect - 1] || 'rainbow', 5);
+        }
+      }
+      
+      // 3b. Ziel-Gruppen samt Untergruppen (Überblendung und Effekt je Gerät)
+      for (const groupId of groupTargets) {
+        const result = await sceneRoot.deviceManager.applyGroupState(groupId, {
+          power: true,
+          color: scene.color,
+          brightness: scene.brightness,
+          effectId: scene.effect > 0 && !scene.palette ? scene.effect : undefined
+        }, { duration: scene.transitionMs || 0 });
+        
+        if (result.succeeded > 0) {
+          hasConnection = true;
         }
       }
       
       // 4. Legacy Controller Fallback
-      if (!hasConnection && window.ledController && window.ledController.isConnected) {
+      if (allDevices && !hasConnection && sceneRoot.ledController && sceneRoot.ledController.isConnected) {
         hasConnection = true;
         
-        await window.ledController.setBrightness(scene.brightness);
+        await sceneRoot.ledController.setBrightness(scene.brightness);
         await this.delay(100);
         
         if (scene.effect > 0) {
-          await window.ledController.setEffect(scene.effect);
+          await sceneRoot.ledController.setEffect(scene.effect);
           await this.delay(100);
         }
         
-        await window.ledController.setColorRGB(
+        await sceneRoot.ledController.setColorRGB(
           scene.color.r,
           scene.color.g,
           scene.color.b
         );
       }
       
+      // 5. Virtuelle Ziel-Geräte: alle Streifen (Effekte laufen als Software-Effekt, siehe 6.)
+      for (const deviceId of transitions ? [] : this.getVirtualTargets(scene)) {
+        hasConnection = true;
+        
+        await sceneRoot.virtualDevices.sendCommand(deviceId, 'brightness', { value: Math.round((scene.brightness / 100) * 255) });
+        await sceneRoot.virtualDevices.sendCommand(deviceId, 'color', scene.color);
+      }
+      
       if (!hasConnection) {
         throw new Error('Keine Hardware-Verbindung verfügbar');
       }
 
+      // 6. Paletten-Effekt auf Einzelpixel-Streifen
+      this.applyScenePalette(scene);
+      
+      // Startwerte für die nächste Überblendung
+      // (Gruppen-Geräte setzt applyGroupState selbst)
+      if (!transitions && sceneRoot.transitionEngine) {
+        [...(allDevices ? [null] : []), ...this.getVirtualTargets(scene)].forEach(deviceId => {
+          sceneRoot.transitionEngine.setState(deviceId, { color: scene.color, brightness: scene.brightness });
+        });
+      }
+
       this.currentScene = scene;
 
       console.log('✅ Szene aktiviert:', scene.name);
       
-      if (window.showGlobalNotification) {
-        window.showGlobalNotification(`Szene "${scene.name}" aktiviert`, 'success');
+      if (sceneRoot.showGlobalNotification) {
+        sceneRoot.showGlobalNotification(`Szene "${scene.name}" aktiviert`, 'success');
       }
 
       // Event dispatchen
@@ -345,14 +404,120 @@ class ScenesManager {
     } catch (error) {
       console.error('❌ Szene aktivieren fehlgeschlagen:', error);
       
-      if (window.showGlobalNotification) {
-        window.showGlobalNotification('Szene konnte nicht aktiviert werden', 'error');
+      if (sceneRoot.showGlobalNotification) {
+        sceneRoot.showGlobalNotification('Szene konnte nicht aktiviert werden', 'error');
       }
       
       return false;
     }
   }
 
+  /**
+   * Blendet aktives Gerät und virtuelle Ziel-Geräte auf die Szene über
+   * (ohne bekannten Startwert springt die Farbe, siehe js/transition-engine.js)
+   * @returns {Promise<boolean>} - false, wenn kein Ausgang verbunden ist
+   */
+  async transitionToScene(scene) {
+    const transitions = sceneRoot.transitionEngine;
+    const virtualTargets = this.getVirtualTargets(scene);
+    const connected = (sceneRoot.ledDevice && sceneRoot.ledDevice.isConnected)
+      || (sceneRoot.wledDevice && sceneRoot.wledDevice.connected)
+      || (sceneRoot.ledController && sceneRoot.ledController.isConnected);
+    
+    if (!connected && virtualTargets.length === 0) return false;
+    
+    // Ein laufender Software-Effekt würde die Überblendung übermalen
+    if (sceneRoot.effectEngine) {
+      sceneRoot.effectEngine.stop();
+    }
+    
+    const target = { color: scene.color, brightness: scene.brightness };
+    const options = { duration: scene.transitionMs };
+    await Promise.all([
+      ...(connected ? [transitions.transition(null, target, options)] : []),
+      ...virtualTargets.map(deviceId => transitions.transition(deviceId, target, options))
+    ]);
+    
+    // Hardware-Effekt erst nach der Überblendung (mit Palette: Software-Effekt, siehe applyScenePalette)
+    if (connected && scene.effect > 0 && !scene.palette) {
+      if (sceneRoot.ledController && sceneRoot.ledController.isConnected) {
+        await sceneRoot.ledController.setEffect(scene.effect);
+      }
+      if (sceneRoot.wledDevice && sceneRoot.wledDevice.connected && sceneRoot.wledDevice.client) {
+        await sceneRoot.wledDevice.client.setEffect(scene.effect);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Kalibriert eine Szenenfarbe für direkte Hardware-Befehle
+   * (Controller und WLED-Client kalibrieren selbst)
+   * @returns {number[]} - [r, g, b]
+   */
+  calibrateColor(deviceId, color) {
+    const calibration = sceneRoot.colorCalibration;
+    return calibration
+      ? calibration.apply(deviceId, color.r, color.g, color.b)
+      : [color.r, color.g, color.b];
+  }
+
+  /**
+   * Virtuelle Geräte unter den Ziel-Geräten der Szene (mit mindestens einem Streifen)
+   * @returns {string[]} - Geräte-IDs
+   */
+  getVirtualTargets(scene) {
+    const virtualDevices = sceneRoot.virtualDevices;
+    if (!virtualDevices || !Array.isArray(scene.devices)) return [];
+
+    return scene.devices.filter(deviceId => virtualDevices.getMembers(deviceId).length > 0);
+  }
+
+  /**
+   * Vorhandene Gruppen unter den Ziel-Gruppen der Szene
+   * @returns {string[]} - Gruppen-IDs
+   */
+  getGroupTargets(scene) {
+    const manager = sceneRoot.deviceManager;
+    if (!manager || !Array.isArray(scene.groups)) return [];
+
+    return scene.groups.filter(groupId => manager.getGroupById(groupId));
+  }
+
+  /**
+   * Startet den Software-Effekt mit der Szenen-Palette
+   * (Effekt-ID 1-32 oder Farbverlauf) - ohne Palette wird ein
+   * laufender Software-Effekt gestoppt, damit die Szenenfarbe bleibt.
+   * Auf einem virtuellen Ziel-Gerät läuft auch der Effekt ohne Palette
+   * in Software, damit er über alle Streifen durchläuft.
+   */
+  applyScenePalette(scene) {
+    const engine = sceneRoot.effectEngine;
+    if (!engine) return;
+
+    const deviceId = this.getVirtualTargets(scene)[0] || null;
+
+    // Nur Ziel-Gruppen: das aktive Gerät gehört nicht zur Szene
+    if (!deviceId && this.getGroupTargets(scene).length > 0) return;
+
+    const softwareEffect = scene.palette || (deviceId && engine.resolveEffect(scene.effect));
+
+    if (!softwareEffect || !engine.canRender(deviceId)) {
+      engine.stop();
+      return;
+    }
+
+    try {
+      engine.start(scene.effect >= 1 && scene.effect <= 32 ? scene.effect : 'Farbverlauf', {
+        palette: scene.palette || undefined,
+        speed: Math.max(1, Math.round(scene.speed / 10)),
+        deviceId
+      });
+    } catch (error) {
+      console.warn('⚠️ Szenen-Palette konnte nicht gestartet werden:', error);
+    }
+  }
+
   /**
    * Aktiviert aktuelle Szene neu
    */
@@ -448,6 +613,7 @@ class ScenesManager {
         effect: 0,
         brightness: 80,
         speed: 50,
+        transitionMs: 1500,
         category: 'Entspannung',
         tags: ['warm', 'gemütlich']
       },
@@ -478,6 +644,7 @@ class ScenesManager {
         effect: 10,
         brightness: 100,
         speed: 80,
+        palette: 'party',
         category: 'Party',
         tags: ['bunt', 'dynamisch']
       },
@@ -488,6 +655,7 @@ class ScenesManager {
         effect: 0,
         brightness: 20,
         speed: 50,
+        transitionMs: 3000,
         category: 'Schlafen',
         tags: ['dunkel', 'blau']
       },
@@ -508,6 +676,7 @@ class ScenesManager {
         effect: 0,
         brightness: 60,
         speed: 30,
+        palette: 'sunset',
         category: 'Entspannung',
         tags: ['orange', 'warm']
       },
@@ -518,6 +687,7 @@ class ScenesManager {
         effect: 5,
         brightness: 70,
         speed: 40,
+        palette: 'ocean',
         category: 'Entspannung',
         tags: ['blau', 'entspannend']
       },
@@ -528,6 +698,7 @@ class ScenesManager {
         effect: 0,
         brightness: 75,
         speed: 50,
+        palette: 'forest',
         category: 'Entspannung',
         tags: ['grün', 'natur']
       },
@@ -702,16 +873,16 @@ class ScenesManager {
 
       console.log(`✅ ${importedCount} Szenen importiert`);
       
-      if (window.showGlobalNotification) {
-        window.showGlobalNotification(`${importedCount} Szenen importiert`, 'success');
+      if (sceneRoot.showGlobalNotification) {
+        sceneRoot.showGlobalNotification(`${importedCount} Szenen importiert`, 'success');
       }
 
       return importedCount;
     } catch (error) {
       console.error('❌ Import fehlgeschlagen:', error);
       
-      if (window.showGlobalNotification) {
-        window.showGlobalNotification('Import fehlgeschlagen - ungültiges Format', 'error');
+      if (sceneRoot.showGlobalNotification) {
+        sceneRoot.showGlobalNotification('Import fehlgeschlagen - ungültiges Format', 'error');
       }
       
       return 0;
@@ -738,8 +909,8 @@ class ScenesManager {
 
     console.log('✅ Szenen exportiert');
     
-    if (window.showGlobalNotification) {
-      window.showGlobalNotification('Szenen exportiert', 'success');
+    if (sceneRoot.showGlobalNotification) {
+      sceneRoot.showGlobalNotification('Szenen exportiert', 'success');
     }
   }
 
@@ -757,8 +928,8 @@ class ScenesManager {
     } catch (error) {
       console.error('❌ Speichern fehlgeschlagen:', error);
       
-      if (window.showGlobalNotification) {
-        window.showGlobalNotification('Fehler beim Speichern', 'error');
+      if (sceneRoot.showGlobalNotification) {
+        sceneRoot.showGlobalNotification('Fehler beim Speichern', 'error');
       }
     }
   }
@@ -798,8 +969,8 @@ class ScenesManager {
 
     console.log('🗑️ Alle Szenen gelöscht');
     
-    if (window.showGlobalNotification) {
-      window.showGlobalNotification('Alle Szenen gelöscht', 'info');
+    if (sceneRoot.showGlobalNotification) {
+      sceneRoot.showGlobalNotification('Alle Szenen gelöscht', 'info');
     }
 
     return true;
@@ -870,7 +1041,7 @@ class ScenesManager {
    * @returns {string} - Data-URL
    */
   generateThumbnail(color) {
-    if (!color) return '';
+    if (!color || typeof document === 'undefined') return '';
 
     try {
       const canvas = document.createElement('canvas');
@@ -909,7 +1080,9 @@ class ScenesManager {
       bubbles: true,
       cancelable: true
     });
-    window.dispatchEvent(event);
+    if (sceneRoot.dispatchEvent) {
+      sceneRoot.dispatchEvent(event);
+    }
   }
 }
 
@@ -918,8 +1091,8 @@ class ScenesManager {
 // ===================================================================
 
 // Szenen-Manager global verfügbar machen
-window.ScenesManager = ScenesManager;
-window.scenesManager = new ScenesManager();
+sceneRoot.ScenesManager = ScenesManager;
+sceneRoot.scenesManager = new ScenesManager();
 
 console.log('✅ Szenen-Manager global verfügbar als window.scenesManager');
 
@@ -928,9 +1101,11 @@ console.log('✅ Szenen-Manager global verfügbar als window.scenesManager');
 // ===================================================================
 
 // Szenen-Events abfangen
-window.addEventListener('scene-activated', (e) => {
-  console.log('🎬 Szene aktiviert:', e.detail.name);
-});
+if (typeof window !== 'undefined') {
+  window.addEventListener('scene-activated', (e) => {
+    console.log('🎬 Szene aktiviert:', e.detail.name);
+  });
+}
 
 // ===================================================================
 // EXPORT (für Module)
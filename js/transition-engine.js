@@ -0,0 +1,408 @@
+/**
+ * ===================================================================
+ * TRANSITION-ENGINE.JS
+ * Sanfte Übergänge für Farbe und Helligkeit
+ * Version: 1.0
+ * ===================================================================
+ *
+ * Blendet Farbe und Helligkeit eines Geräts über eine Dauer auf den
+ * Zielwert über, statt zu springen (Szenen, Timer, Geräte-Befehle).
+ *
+ * - Farbe wird in OKLab gemischt: Zwischentöne bleiben gleich hell und
+ *   werden nicht grau (Rot → Grün läuft über Gelb statt über Braun)
+ * - Helligkeit wird über die CIE-Helligkeit L* gemischt: das Auge sieht
+ *   gleichmäßige Schritte, auch im dunklen Bereich
+ * - Kurven über die Zeit: 'linear', 'ease-in-out', 'perceptual'
+ *   (perceptual verweilt länger im Dunkeln - für lange Überblendungen
+ *   wie Aufwachlicht oder Einschlafen)
+ *
+ * Getaktet wird über den Animation-Scheduler (läuft auch bei verborgenem
+ * Tab weiter); ist der Transport belegt, entfällt der Zwischenschritt.
+ *
+ * Zustand pro Gerät: { color: [r, g, b], brightness: 0-100 }
+ *
+ * ===================================================================
+ */
+
+'use strict';
+
+// Browser: window, Node (Tests): globalThis
+const transitionRoot = typeof window !== 'undefined' ? window : globalThis;
+
+// ===================================================================
+// KONFIGURATION
+// ===================================================================
+
+const TRANSITION_CONFIG = {
+  STORAGE_KEY: 'led-transitions',
+  EASINGS: ['linear', 'ease-in-out', 'perceptual'],
+  MAX_DURATION_MS: 60 * 60 * 1000,
+  FPS: 25,                  // Schritte pro Sekunde bei kurzen Übergängen
+  MAX_STEPS: 512,           // Lange Überblendungen: höchstens so viele Schritte
+  PERCEPTUAL_CURVE: 4       // Steilheit der Kurve 'perceptual'
+};
+
+const DEFAULT_TRANSITION = {
+  duration: 0,              // Standard für Geräte-Befehle ohne Angabe (0 = springen)
+  easing: 'ease-in-out'
+};
+
+// ===================================================================
+// TRANSITION-ENGINE
+// ===================================================================
+
+class TransitionEngine {
+  constructor() {
+    this.states = new Map();   // Geräte-ID ('active' = aktives Gerät) → { color, brightness }
+    this.running = new Map();  // Geräte-ID → { stop, resolve }
+    this.defaults = { ...DEFAULT_TRANSITION };
+
+    this.load();
+  }
+
+  // ===================================================================
+  // KURVEN UND FARBRÄUME
+  // ===================================================================
+
+  /**
+   * Zeitkurve
+   * @param {number} t - Fortschritt 0-1
+   * @param {boolean} darker - Ziel ist dunkler als der Start (perceptual läuft dann gespiegelt)
+   */
+  static ease(easing, t, darker = false) {
+    switch (easing) {
+      case 'linear':
+        return t;
+      case 'perceptual': {
+        // Exponentiell: im Dunkeln langsam, im Hellen schnell
+        const k = TRANSITION_CONFIG.PERCEPTUAL_CURVE;
+        const curve = (x) => (Math.pow(2, k * x) - 1) / (Math.pow(2, k) - 1);
+        return darker ? 1 - curve(1 - t) : curve(t);
+      }
+      default:
+        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    }
+  }
+
+  /**
+   * sRGB (0-255) → OKLab
+   */
+  static toOklab([r, g, b]) {
+    const linear = [r, g, b].map(v => {
+      v /= 255;
+      return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    });
+
+    const l = Math.cbrt(0.4122214708 * linear[0] + 0.5363325363 * linear[1] + 0.0514459929 * linear[2]);
+    const m = Math.cbrt(0.2119034982 * linear[0] + 0.6806995451 * linear[1] + 0.1073969566 * linear[2]);
+    const s = Math.cbrt(0.0883024619 * linear[0] + 0.2817188376 * linear[1] + 0.6299787005 * linear[2]);
+
+    return [
+      0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+      1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+      0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+  }
+
+  /**
+   * OKLab → sRGB (0-255, außerhalb des Farbraums begrenzt)
+   */
+  static fromOklab([L, a, b]) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+    const linear = [
+      4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+      -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+      -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+
+    return linear.map(v => {
+      v = Math.max(0, Math.min(1, v));
+      v = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+      return v * 255;
+    });
+  }
+
+  /**
+   * Farbe mischen (OKLab)
+   * @returns {number[]} - [r, g, b] (nicht gerundet)
+   */
+  static mixColor(from, to, t) {
+    const a = TransitionEngine.toOklab(from);
+    const b = TransitionEngine.toOklab(to);
+    return TransitionEngine.fromOklab(a.map((v, i) => v + (b[i] - v) * t));
+  }
+
+  /**
+   * Helligkeit (0-100, linear wie am Gerät) über CIE L* mischen
+   */
+  static mixBrightness(from, to, t) {
+    const lightness = (y) => (y <= 0.008856 ? 903.3 * y : 116 * Math.cbrt(y) - 16);
+    const luminance = (l) => (l <= 8 ? l / 903.3 : Math.pow((l + 16) / 116, 3));
+
+    const start = lightness(from / 100);
+    const end = lightness(to / 100);
+    return luminance(start + (end - start) * t) * 100;
+  }
+
+  // ===================================================================
+  // ZUSTAND
+  // ===================================================================
+
+  /**
+   * Zuletzt gesendeter Zustand des Geräts (leer, solange unbekannt)
+   * @returns {Object} - { color, brightness }
+   */
+  getState(deviceId = null) {
+    return { ...(this.states.get(deviceId || 'active') || {}) };
+  }
+
+  /**
+   * Zustand merken, wenn ohne Übergang gesendet wurde
+   * @param {Object} state - { color, brightness } (einzeln möglich)
+   */
+  setState(deviceId, state) {
+    const key = deviceId || 'active';
+    this.states.set(key, { ...(this.states.get(key) || {}), ...TransitionEngine.normalizeState(state) });
+  }
+
+  static normalizeState(state = {}) {
+    const result = {};
+    if (state.color) {
+      const color = Array.isArray(state.color) ? state.color : [state.color.r, state.color.g, state.color.b];
+      result.color = color.slice(0, 3).map(v => Math.max(0, Math.min(255, parseFloat(v) || 0)));
+    }
+    if (state.brightness !== undefined && state.brightness !== null) {
+      result.brightness = Math.max(0, Math.min(100, parseFloat(state.brightness) || 0));
+    }
+    return result;
+  }
+
+  isRunning(deviceId = null) {
+    return this.running.has(deviceId || 'active');
+  }
+
+  // ===================================================================
+  // ÜBERGÄNGE
+  // ===================================================================
+
+  /**
+   * Blendet auf einen Zielzustand über (ein neuer Übergang ersetzt den laufenden)
+   * Ohne bekannten Startwert wird der Kanal direkt gesetzt.
+   * @param {string|null} deviceId - null = aktives Gerät
+   * @param {Object} target - { color: {r,g,b}|[r,g,b], brightness: 0-100 }
+   * @param {Object} options - { duration (ms), easing, from, send }
+   *   send: eigener Ausgang (command, data) → Promise, Standard: sendCommand
+   * @returns {Promise<boolean>} - true = fertig, false = abgebrochen
+   */
+  transition(deviceId, target, options = {}) {
+    const key = deviceId || 'active';
+    const to = TransitionEngine.normalizeState(target);
+    const from = { ...this.getState(deviceId), ...TransitionEngine.normalizeState(options.from) };
+    const duration = Math.max(0, Math.min(TRANSITION_CONFIG.MAX_DURATION_MS,
+      parseInt(options.duration !== undefined ? options.duration : this.defaults.duration) || 0));
+    const easing = TRANSITION_CONFIG.EASINGS.includes(options.easing) ? options.easing : this.defaults.easing;
+    const sender = options.send || ((command, data) => this.sendCommand(deviceId, command, data));
+
+    this.cancel(deviceId);
+
+    // Kanäle ohne Startwert springen
+    Object.keys(to).forEach(channel => {
+      if (from[channel] === undefined) from[channel] = to[channel];
+    });
+
+    const unchanged = Object.keys(to).every(channel => (channel === 'color'
+      ? to.color.every((v, i) => Math.round(v) === Math.round(from.color[i]))
+      : Math.round(to[channel]) === Math.round(from[channel])));
+
+    if (duration === 0 || unchanged) {
+      this.states.set(key, { ...this.getState(deviceId), ...to });
+      return this.send(to, {}, sender).then(() => true);
+    }
+
+    const darker = (to.brightness !== undefined ? to.brightness < from.brightness : false)
+      || (to.color && from.color && to.color.reduce((a, b) => a + b, 0) < from.color.reduce((a, b) => a + b, 0));
+    // Schrittabstand: kurze Übergänge mit FPS, lange höchstens MAX_STEPS Schritte
+    const fps = 1000 / Math.max(1000 / TRANSITION_CONFIG.FPS, duration / TRANSITION_CONFIG.MAX_STEPS);
+    const started = performance.now();
+    const sent = {};
+
+    return new Promise(resolve => {
+      const finish = (completed) => {
+        const running = this.running.get(key);
+        if (running && running.resolve === resolve) {
+          running.stop();
+          this.running.delete(key);
+        }
+        resolve(completed);
+      };
+
+      const step = async () => {
+        const t = Math.min(1, (performance.now() - started) / duration);
+        const eased = TransitionEngine.ease(easing, t, darker);
+        const state = {};
+
+        if (to.color) state.color = TransitionEngine.mixColor(from.color, to.color, eased);
+        if (to.brightness !== undefined) state.brightness = TransitionEngine.mixBrightness(from.brightness, to.brightness, eased);
+
+        this.states.set(key, { ...this.getState(deviceId), ...(t >= 1 ? to : state) });
+        await this.send(t >= 1 ? to : state, sent, sender);
+
+        if (t >= 1) finish(true);
+      };
+
+      const stop = transitionRoot.animationScheduler
+        ? transitionRoot.animationScheduler.start(step, fps, { name: `Übergang ${key}` })
+        : (() => {
+          const timer = setInterval(step, 1000 / fps);
+          return () => clearInterval(timer);
+        })();
+
+      this.running.set(key, { stop, resolve });
+    });
+  }
+
+  /**
+   * Bricht den laufenden Übergang ab (Zwischenstand bleibt stehen)
+   */
+  cancel(deviceId = null) {
+    const key = deviceId || 'active';
+    const running = this.running.get(key);
+    if (!running) return false;
+
+    running.stop();
+    this.running.delete(key);
+    running.resolve(false);
+    return true;
+  }
+
+  // ===================================================================
+  // AUSGABE
+  // ===================================================================
+
+  /**
+   * Sendet geänderte Kanäle an das Gerät
+   * (Kalibrierung und Leistungsbegrenzung übernehmen Controller bzw. WLED-Client)
+   * @param {Object} sent - zuletzt gesendete Werte, wird aktualisiert
+   * @param {Function} sender - (command, data) → Promise
+   */
+  async send(state, sent, sender) {
+    const color = state.color ? state.color.map(v => Math.round(v)) : null;
+    const value = state.brightness !== undefined ? Math.round(state.brightness * 2.55) : null;
+    const commands = [];
+
+    if (value !== null && value !== sent.brightness) {
+      sent.brightness = value;
+      commands.push(['brightness', { value }]);
+    }
+    if (color && (!sent.color || color.some((v, i) => v !== sent.color[i]))) {
+      sent.color = color;
+      commands.push(['color', { r: color[0], g: color[1], b: color[2] }]);
+    }
+
+    for (const [command, data] of commands) {
+      try {
+        await sender(command, data);
+      } catch (error) {
+        console.warn(`⚠️ Übergang: ${command} nicht gesendet:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * @param {string} command - 'color' ({ r, g, b }) oder 'brightness' ({ value } 0-255)
+   */
+  async sendCommand(deviceId, command, data) {
+    const manager = transitionRoot.deviceManager;
+    const device = deviceId && manager ? manager.getDeviceById(deviceId) : null;
+
+    if (device && device.type === 'virtual') {
+      return transitionRoot.virtualDevices.sendCommand(deviceId, command, data);
+    }
+    if (device && device.type === 'wled') {
+      return manager.sendWLEDCommand(device, command, data);
+    }
+
+    const controller = transitionRoot.ledController;
+
+    // Aktives Gerät: alle Ausgänge wie bei Szenen (BLE, WLED, universell)
+    if (!deviceId) {
+      if (command === 'color' && transitionRoot.sendUniversalColor) {
+        return transitionRoot.sendUniversalColor(data.r, data.g, data.b);
+      }
+      if (transitionRoot.wledDevice && transitionRoot.wledDevice.connected && transitionRoot.wledDevice.client && manager) {
+        const wled = manager.getDeviceById(transitionRoot.wledDevice.deviceId);
+        if (wled) await manager.sendWLEDCommand(wled, command, data);
+      }
+    }
+
+    if (!controller || !controller.sendToTargets || !controller.isConnected) {
+      return false;
+    }
+    return command === 'color'
+      ? controller.sendToTargets(deviceId, 'COLOR', data.r, data.g, data.b)
+      : controller.sendToTargets(deviceId, 'BRIGHTNESS', data.value);
+  }
+
+  // ===================================================================
+  // STANDARD-ÜBERGANG
+  // ===================================================================
+
+  /**
+   * @param {Object} defaults - { duration (ms), easing }
+   */
+  setDefaults(defaults = {}) {
+    if (defaults.duration !== undefined) {
+      this.defaults.duration = Math.max(0, Math.min(TRANSITION_CONFIG.MAX_DURATION_MS, parseInt(defaults.duration) || 0));
+    }
+    if (TRANSITION_CONFIG.EASINGS.includes(defaults.easing)) {
+      this.defaults.easing = defaults.easing;
+    }
+    this.save();
+    return { ...this.defaults };
+  }
+
+  getDefaults() {
+    return { ...this.defaults };
+  }
+
+  save() {
+    try {
+      localStorage.setItem(TRANSITION_CONFIG.STORAGE_KEY, JSON.stringify(this.defaults));
+    } catch (error) {
+      console.error('Fehler beim Speichern der Übergänge:', error);
+    }
+  }
+
+  load() {
+    try {
+      const saved = localStorage.getItem(TRANSITION_CONFIG.STORAGE_KEY);
+      if (saved) {
+        this.defaults = { ...DEFAULT_TRANSITION, ...JSON.parse(saved) };
+      }
+    } catch (error) {
+      console.error('Fehler beim Laden der Übergänge:', error);
+    }
+  }
+}
+
+// ===================================================================
+// GLOBALE INSTANZ
+// ===================================================================
+
+transitionRoot.TRANSITION_CONFIG = TRANSITION_CONFIG;
+transitionRoot.TransitionEngine = TransitionEngine;
+transitionRoot.transitionEngine = new TransitionEngine();
+
+console.log('✅ Transition-Engine global verfügbar als window.transitionEngine');
+
+// ===================================================================
+// EXPORT
+// ===================================================================
+
+// Browser-kompatible Exports
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TransitionEngine;
+}
@@ -0,0 +1,333 @@
+/**
+ * ===================================================================
+ * VIRTUAL-DEVICES.JS
+ * Virtuelle Geräte aus mehreren physischen Streifen
+ * Version: 1.0
+ * ===================================================================
+ *
+ * Ein virtuelles Gerät hängt mehrere BLE- und WLED-Streifen zu einem
+ * durchgehenden Streifen zusammen: Ein Lauflicht läuft vom Ende des
+ * ersten Streifens weiter auf den zweiten. Effekt-Engine und Szenen
+ * sprechen es über seine Geräte-ID an wie ein normales Gerät.
+ *
+ * Gespeichert wird es im DeviceManager (type: 'virtual'):
+ *   {
+ *     members: [
+ *       { deviceId: 'wled_...', count: 60, offset: 0, reverse: false, latency: 0 },
+ *       ...
+ *     ]
+ *   }
+ *   count   - Pixel des Mitglieds (optional, sonst LED-Anzahl des Geräts)
+ *   offset  - erster verwendeter Pixel auf dem physischen Streifen
+ *   reverse - Streifen läuft rückwärts weiter (Einspeisung am Ende)
+ *   latency - zusätzliche Verzögerung des Geräts in ms (z.B. WLED-Puffer)
+ *
+ * Laufzeitausgleich: Die Sendedauer jedes Mitglieds wird gemessen;
+ * schnelle Geräte senden um die Differenz zum langsamsten später,
+ * damit ein Frame auf allen Streifen gleichzeitig erscheint.
+ *
+ * ===================================================================
+ */
+
+'use strict';
+
+// ===================================================================
+// KONFIGURATION
+// ===================================================================
+
+const VIRTUAL_DEVICE_CONFIG = {
+  TYPE: 'virtual',
+  ID_PREFIX: 'virtual_',
+  LATENCY_SMOOTHING: 0.2,   // Gewicht einer neuen Messung (gleitender Mittelwert)
+  MIN_DELAY_MS: 2,          // Kleinere Unterschiede werden nicht ausgeglichen
+  MAX_DELAY_MS: 250
+};
+
+// ===================================================================
+// VIRTUELLE GERÄTE
+// ===================================================================
+
+class VirtualDevices {
+  constructor() {
+    // Geräte-ID → gemessene Sendedauer in ms
+    this.latencies = new Map();
+  }
+
+  getManager() {
+    const manager = window.deviceManager;
+    if (!manager) {
+      throw new Error('Device Manager nicht geladen (js/device-manager.js)');
+    }
+    return manager;
+  }
+
+  // ===================================================================
+  // VERWALTUNG
+  // ===================================================================
+
+  /**
+   * Legt ein virtuelles Gerät an
+   * @param {string} name - Anzeigename
+   * @param {Object[]} members - [{ deviceId, count, offset, reverse, latency }] in Laufrichtung
+   * @returns {Object} - Geräte-Objekt
+   */
+  create(name, members) {
+    const manager = this.getManager();
+    name = (name || '').trim();
+
+    if (!name) {
+      throw new Error('Name darf nicht leer sein');
+    }
+
+    const device = {
+      id: VIRTUAL_DEVICE_CONFIG.ID_PREFIX + Date.now() + '_' + Math.random().toString(36).substr(2, 5),
+      type: VIRTUAL_DEVICE_CONFIG.TYPE,
+      name: name,
+      originalName: name,
+      protocol: null,
+      members: this.normalizeMembers(members),
+      autoConnect: false,
+      group: null,
+      favorite: false,
+      lastConnected: null,
+      connectionCount: 0,
+      notes: '',
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    manager.addDevice(device);
+    console.log(`✅ Virtuelles Gerät angelegt: ${name} (${device.members.length} Streifen)`);
+    return device;
+  }
+
+  /**
+   * Ersetzt die Mitglieder eines virtuellen Geräts
+   */
+  setMembers(virtualId, members) {
+    if (!this.isVirtual(virtualId)) {
+      throw new Error('Kein virtuelles Gerät: ' + virtualId);
+    }
+    return this.getManager().updateDevice(virtualId, { members: this.normalizeMembers(members) });
+  }
+
+  /**
+   * Prüft die Mitglieder (nur gespeicherte, physische Geräte, jedes einmal)
+   */
+  normalizeMembers(members) {
+    const manager = this.getManager();
+    const seen = new Set();
+
+    const normalized = (Array.isArray(members) ? members : []).filter(member => {
+      const device = member && manager.getDeviceById(member.deviceId);
+      if (!device || device.type === VIRTUAL_DEVICE_CONFIG.TYPE || seen.has(member.deviceId)) {
+        return false;
+      }
+      seen.add(member.deviceId);
+      return true;
+    }).map(member => ({
+      deviceId: member.deviceId,
+      count: Math.max(0, parseInt(member.count) || 0) || null,
+      offset: Math.max(0, parseInt(member.offset) || 0),
+      reverse: !!member.reverse,
+      latency: Math.max(0, Math.min(VIRTUAL_DEVICE_CONFIG.MAX_DELAY_MS, parseInt(member.latency) || 0))
+    }));
+
+    if (normalized.length === 0) {
+      throw new Error('Mindestens ein Gerät auswählen');
+    }
+    return normalized;
+  }
+
+  isVirtual(deviceId) {
+    const device = deviceId && window.deviceManager ? window.deviceManager.getDeviceById(deviceId) : null;
+    return !!(device && device.type === VIRTUAL_DEVICE_CONFIG.TYPE);
+  }
+
+  /**
+   * Mitglieder mit Position im virtuellen Streifen
+   * (gelöschte Geräte fallen heraus, die übrigen rücken auf)
+   * @returns {Object[]} - [{ deviceId, device, start, count, offset, reverse, latency }]
+   */
+  getMembers(virtualId) {
+    const manager = this.getManager();
+    const device = manager.getDeviceById(virtualId);
+    if (!device || device.type !== VIRTUAL_DEVICE_CONFIG.TYPE) return [];
+
+    let start = 0;
+    return (device.members || []).map(member => {
+      const physical = manager.getDeviceById(member.deviceId);
+      if (!physical || physical.type === VIRTUAL_DEVICE_CONFIG.TYPE) return null;
+
+      const offset = member.offset || 0;
+      const count = member.count || Math.max(0, manager.getLedCount(member.deviceId) - offset);
+      const resolved = { ...member, device: physical, start, count, offset };
+      start += count;
+      return resolved;
+    }).filter(Boolean);
+  }
+
+  /**
+   * LED-Anzahl = Summe der Mitglieder
+   */
+  getLedCount(virtualId) {
+    return this.getMembers(virtualId).reduce((sum, member) => sum + member.count, 0);
+  }
+
+  // ===================================================================
+  // AUSGABE
+  // ===================================================================
+
+  /**
+   * Verteilt einen Frame auf die Framebuffer der Mitglieder und sendet sie
+   * (Leistungsbegrenzung und Kalibrierung je Mitglied in dessen Framebuffer)
+   * @param {string} virtualId
+   * @param {Uint8Array} pixels - [r, g, b, ...] des ganzen virtuellen Streifens
+   * @param {LEDAbstractionLayer} layer
+   * @returns {Promise<boolean>} - true, wenn alle Mitglieder angekommen sind
+   */
+  async sendFrame(virtualId, pixels, layer) {
+    const members = this.getMembers(virtualId);
+    if (members.length === 0) return false;
+
+    const frameBuffers = new Map();
+    members.forEach(member => {
+      const frameBuffer = layer.getFrameBuffer(member.deviceId);
+      for (let i = 0; i < member.count; i++) {
+        const source = (member.start + i) * 3;
+        const target = member.offset + (member.reverse ? member.count - 1 - i : i);
+        if (source + 3 > pixels.length || target >= frameBuffer.pixelCount) continue;
+        frameBuffer.pixels.set(pixels.subarray(source, source + 3), target * 3);
+      }
+      frameBuffers.set(member.deviceId, frameBuffer);
+    });
+
+    return this.dispatch(members, member => frameBuffers.get(member.deviceId).show());
+  }
+
+  /**
+   * Befehl an alle Mitglieder (wie DeviceManager.sendHardwareCommand)
+   * @param {string} command - 'color', 'brightness', 'effect', 'on', 'off'
+   * @param {Object} data - { r, g, b } | { value } (0-255) | { effectId }
+   */
+  async sendCommand(virtualId, command, data = null) {
+    const members = this.getMembers(virtualId);
+    if (members.length === 0) {
+      throw new Error('Virtuelles Gerät ohne Streifen');
+    }
+    return this.dispatch(members, member => this.sendMemberCommand(member, command, data));
+  }
+
+  sendMemberCommand(member, command, data) {
+    if (member.device.type === 'wled') {
+      return this.getManager().sendWLEDCommand(member.device, command, data);
+    }
+
+    // BLE: Controller kalibriert und begrenzt selbst
+    const controller = window.ledController;
+    if (!controller || !controller.getConnection(member.deviceId)) {
+      return false;
+    }
+
+    switch (command) {
+      case 'color':
+        return controller.sendToTargets(member.deviceId, 'COLOR', data.r, data.g, data.b);
+      case 'brightness':
+        return controller.sendToTargets(member.deviceId, 'BRIGHTNESS', data.value);
+      case 'effect':
+        return controller.sendToTargets(member.deviceId, 'EFFECT', data.effectId);
+      case 'on':
+        return controller.sendToTargets(member.deviceId, 'POWER_ON');
+      case 'off':
+        return controller.sendToTargets(member.deviceId, 'POWER_OFF');
+      default:
+        throw new Error('Unbekannter Befehl: ' + command);
+    }
+  }
+
+  // ===================================================================
+  // LAUFZEITAUSGLEICH
+  // ===================================================================
+
+  /**
+   * Sendet an alle Mitglieder; schnelle Geräte warten auf das langsamste
+   * @param {Function} send - (member) → Promise<boolean>
+   */
+  async dispatch(members, send) {
+    const latencies = members.map(member => this.getLatency(member));
+    const slowest = Math.max(...latencies);
+
+    const results = await Promise.all(members.map(async (member, i) => {
+      const delay = Math.min(VIRTUAL_DEVICE_CONFIG.MAX_DELAY_MS, slowest - latencies[i]);
+      if (delay >= VIRTUAL_DEVICE_CONFIG.MIN_DELAY_MS) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+
+      const started = performance.now();
+      try {
+        const success = await send(member);
+        const duration = performance.now() - started;
+        // Sofort erledigt (nichts geändert, WLED-Socket) sagt nichts über die Laufzeit
+        if (success !== false && duration >= 1) {
+          this.measure(member.deviceId, duration);
+        }
+        return success !== false;
+      } catch (error) {
+        console.warn(`⚠️ Virtuelles Gerät: ${member.device.name} nicht erreicht:`, error.message);
+        return false;
+      }
+    }));
+
+    return results.every(Boolean);
+  }
+
+  /**
+   * Erwartete Verzögerung eines Mitglieds: gemessene Sendedauer + eingestellter Wert
+   */
+  getLatency(member) {
+    return (this.latencies.get(member.deviceId) || 0) + (member.latency || 0);
+  }
+
+  measure(deviceId, duration) {
+    const previous = this.latencies.get(deviceId);
+    const smoothing = VIRTUAL_DEVICE_CONFIG.LATENCY_SMOOTHING;
+    this.latencies.set(deviceId, previous === undefined ? duration : previous + (duration - previous) * smoothing);
+  }
+
+  /**
+   * Gemessene Verzögerungen der Mitglieder (Anzeige)
+   * @returns {Object[]} - [{ deviceId, name, measured, configured }]
+   */
+  getLatencies(virtualId) {
+    return this.getMembers(virtualId).map(member => ({
+      deviceId: member.deviceId,
+      name: member.device.name,
+      measured: Math.round(this.latencies.get(member.deviceId) || 0),
+      configured: member.latency || 0
+    }));
+  }
+}
+
+// ===================================================================
+// GLOBALE INSTANZ
+// ===================================================================
+
+window.VIRTUAL_DEVICE_CONFIG = VIRTUAL_DEVICE_CONFIG;
+window.VirtualDevices = VirtualDevices;
+window.virtualDevices = new VirtualDevices();
+
+// Pixelanzahl virtueller Geräte im Register erst jetzt bekannt
+if (window.deviceManager) {
+  window.deviceManager.refreshDescriptors();
+}
+
+console.log('✅ Virtuelle Geräte global verfügbar als window.virtualDevices');
+
+// ===================================================================
+// EXPORT
+// ===================================================================
+
+// Browser-kompatible Exports
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VirtualDevices;
+}
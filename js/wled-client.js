@@ -0,0 +1,719 @@
+/**
+ * ===================================================================
+ * WLED-CLIENT.JS
+ * WLED-Treiber über die JSON-API (WiFi-LEDs)
+ * Version: 1.0
+ * ===================================================================
+ *
+ * Funktionen:
+ * - Status und Info lesen (/json/si)
+ * - Segmente steuern (start/stop, fx, pal, sx, ix, Farben)
+ * - Presets und Playlists auflisten und abspielen
+ * - App-Effekt-IDs (APP_CONFIG.EFFECT_IDS) → WLED-fx
+ * - Echtzeit-Pixel-Streaming über WebSocket (/ws), HTTP-Fallback
+ *
+ * Ein WLEDClient pro Controller (IP oder Hostname).
+ * DeviceManager verwaltet WLED-Controller als Geräte-Typ 'wled'.
+ *
+ * Muss VOR ble-controller-pro.js und device-manager.js geladen werden.
+ *
+ * ===================================================================
+ */
+
+'use strict';
+
+// ===================================================================
+// KONFIGURATION
+// ===================================================================
+
+const WLED_CONFIG = {
+  REQUEST_TIMEOUT: 3000,
+  PROBE_TIMEOUT: 1000,
+
+  // Echtzeit-Streaming
+  REALTIME_FPS: 40,            // 30-60 FPS
+  REALTIME_CHUNK: 256,         // LEDs pro WebSocket-Nachricht
+  REALTIME_MAX_BUFFERED: 16384, // Bytes im Socket-Puffer, darüber Frame verwerfen
+  REALTIME_RECONNECT: 2000,    // ms bis zum nächsten Socket-Versuch
+
+  // App-Effekt-ID (1-32) → WLED-Effekt-ID (fx, Stand WLED 0.14)
+  EFFECT_MAP: {
+    1: 67,   // Welle → Colorwaves
+    2: 9,    // Regenbogen → Rainbow
+    3: 66,   // Feuer → Fire 2012
+    4: 57,   // Blitz → Lightning
+    5: 68,   // Pulsieren → Bpm
+    6: 2,    // Atmen → Breathe
+    7: 15,   // Lauflicht → Running
+    8: 23,   // Stroboskop → Strobe
+    9: 46,   // Farbverlauf → Gradient
+    10: 5,   // Zufallsfarben → Random Colors
+    11: 24,  // Disco → Strobe Rainbow
+    12: 48,  // Polizei → Police
+    13: 76,  // Meteorregen → Meteor
+    14: 43,  // Matrix → Rain
+    15: 20,  // Kristall → Sparkle
+    16: 38,  // Nordlicht → Aurora
+    17: 107, // Lava → Noise Pal
+    18: 101, // Unterwasser → Pacifica
+    19: 87,  // Glitzer → Glitter
+    20: 100, // Herzschlag → Heartbeat
+    21: 94,  // Spirale → Sinelon Rainbow
+    22: 97,  // Plasma → Plasma
+    23: 74,  // Konfetti → Colortwinkles
+    24: 108, // Sinus → Sine
+    25: 12,  // Fade → Fade
+    26: 40,  // Scanner → Scanner
+    27: 17,  // Twinkle → Twinkle
+    28: 59,  // Kometen → Multi Comet
+    29: 45,  // Feuerzauber → Fire Flicker
+    30: 88,  // Neonröhre → Candle
+    31: 60,  // Lasershow → Scanner Dual
+    32: 110  // Borealis → Flow
+  }
+};
+
+// ===================================================================
+// WLED-CLIENT
+// ===================================================================
+
+class WLEDClient {
+  /**
+   * @param {string} host - IP-Adresse oder Hostname (z.B. 'wled.local')
+   * @param {Object} options - { timeout, deviceId } (deviceId wählt das Kalibrierungsprofil)
+   */
+  constructor(host, options = {}) {
+    this.host = host;
+    this.timeout = options.timeout || WLED_CONFIG.REQUEST_TIMEOUT;
+    this.deviceId = options.deviceId || null;
+
+    // false: Echtzeit nur per HTTP (Transport 'wled-http' im Geräte-Register)
+    this.websocket = options.websocket !== false;
+
+    // Zuletzt gelesener Zustand (aus /json/si bzw. Antworten)
+    this.state = null;
+    this.info = null;
+    this.infoRequest = null;
+    this.effects = null;
+    this.palettes = null;
+
+    // Echtzeit-Transport (erst bei Bedarf)
+    this.realtime = null;
+  }
+
+  get baseUrl() {
+    return `http://${this.host}`;
+  }
+
+  /**
+   * HTTP-Request mit Timeout
+   */
+  async request(path, options = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), options.timeout || this.timeout);
+
+    try {
+      const response = await fetch(this.baseUrl + path, {
+        method: options.body ? 'POST' : 'GET',
+        headers: options.body ? { 'Content-Type': 'application/json' } : undefined,
+        body: options.body ? JSON.stringify(options.body) : undefined,
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`WLED ${this.host}${path}: HTTP ${response.status}`);
+      }
+
+      return await response.json();
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // ===================================================================
+  // STATUS & INFO
+  // ===================================================================
+
+  /**
+   * Liest Status und Info in einem Request
+   * @returns {Promise<{state: Object, info: Object}>}
+   */
+  async refresh() {
+    const data = await this.request('/json/si');
+    this.state = data.state;
+    this.info = data.info;
+    return data;
+  }
+
+  async getState() {
+    this.state = await this.request('/json/state');
+    return this.state;
+  }
+
+  async getInfo() {
+    this.info = await this.request('/json/info');
+    return this.info;
+  }
+
+  /**
+   * Effekt-Namen des Controllers (Index = fx)
+   */
+  async getEffects() {
+    if (!this.effects) {
+      this.effects = await this.request('/json/eff');
+    }
+    return this.effects;
+  }
+
+  /**
+   * Paletten-Namen des Controllers (Index = pal)
+   */
+  async getPalettes() {
+    if (!this.palettes) {
+      this.palettes = await this.request('/json/pal');
+    }
+    return this.palettes;
+  }
+
+  /**
+   * Fähigkeiten aus /json/info
+   */
+  getCapabilities() {
+    const info = this.info || {};
+    const leds = info.leds || {};
+
+    return {
+      ledCount: leds.count || 0,
+      rgbw: !!leds.rgbw || ((leds.lc || 0) & 0x02) !== 0,
+      cct: ((leds.lc || 0) & 0x04) !== 0,
+      maxSegments: leds.maxseg || 1,
+      effectCount: info.fxcount || 0,
+      paletteCount: info.palcount || 0,
+      version: info.ver || null,
+      mac: info.mac || null,
+      // info.ws: Anzahl WebSocket-Clients, -1 = ohne WebSocket kompiliert
+      websocket: info.ws === undefined ? null : info.ws >= 0
+    };
+  }
+
+  /**
+   * Schreibt Teil-Status, Antwort ist der neue Gesamt-Status
+   */
+  async setState(partial) {
+    const state = await this.request('/json/state', { body: { ...partial, v: true } });
+    this.state = state;
+    return state;
+  }
+
+  // ===================================================================
+  // GRUNDFUNKTIONEN
+  // ===================================================================
+
+  async setPower(on) {
+    if (window.powerLimiter) {
+      window.powerLimiter.setPower(this.deviceId, on);
+    }
+    return this.setState({ on: !!on });
+  }
+
+  /**
+   * @param {number} level - 0-100
+   */
+  async setBrightness(level) {
+    level = Math.max(0, Math.min(100, parseInt(level) || 0));
+    return this.setState({ on: level > 0, bri: this.calibrateBrightness(Math.round((level / 100) * 255)) });
+  }
+
+  /**
+   * Setzt die Primärfarbe (alle Segmente oder ein bestimmtes)
+   */
+  async setColor(r, g, b, segmentId = null) {
+    const col = [this.calibrateColor(r, g, b)];
+    return this.setState({
+      on: true,
+      seg: segmentId === null ? this.forAllSegments({ col, fx: 0 }) : [{ id: segmentId, col, fx: 0 }]
+    });
+  }
+
+  /**
+   * Setzt eine Farbtemperatur: CCT-Streifen nativ (cct in Kelvin, WLED ≥ 0.13),
+   * RGBW über den Weißkanal, sonst als RGB-Näherung
+   * @param {number} kelvin - z.B. 2700 (warm) bis 6500 (kalt)
+   */
+  async setColorTemperature(kelvin, segmentId = null) {
+    const calibration = window.colorCalibration;
+    if (!calibration) {
+      throw new Error('Farbkalibrierung nicht geladen (js/color-calibration.js)');
+    }
+
+    kelvin = Math.max(1900, Math.min(10091, parseInt(kelvin) || 6500));
+    const capabilities = this.getCapabilities();
+    const rgb = window.ColorCalibration.kelvinToRgb(kelvin);
+
+    let update;
+    if (capabilities.cct) {
+      update = { cct: kelvin, col: [[0, 0, 0, calibration.applyWhite(this.deviceId, 255)]], fx: 0 };
+    } else if (capabilities.rgbw) {
+      update = { col: [calibration.applyRGBW(this.deviceId, ...rgb)], fx: 0 };
+    } else {
+      update = { col: [this.calibrateColor(...rgb)], fx: 0 };
+    }
+
+    return this.setState({
+      on: true,
+      seg: segmentId === null ? this.forAllSegments(update) : [{ id: segmentId, ...update }]
+    });
+  }
+
+  /**
+   * Setzt einen App-Effekt (ID 1-32, siehe APP_CONFIG.EFFECT_IDS)
+   * @param {Object} options - { speed, intensity, palette, segment } (0-255)
+   */
+  async setEffect(effectId, options = {}) {
+    const fx = WLEDClient.mapEffect(effectId);
+    return this.setWLEDEffect(fx, options);
+  }
+
+  /**
+   * Setzt einen WLED-Effekt direkt über seine fx-ID
+   */
+  async setWLEDEffect(fx, options = {}) {
+    const update = { fx };
+    if (options.speed !== undefined) update.sx = options.speed;
+    if (options.intensity !== undefined) update.ix = options.intensity;
+    if (options.palette !== undefined) update.pal = options.palette;
+
+    return this.setState({
+      on: true,
+      seg: options.segment === undefined ? this.forAllSegments(update) : [{ id: options.segment, ...update }]
+    });
+  }
+
+  /**
+   * Baut seg-Array für alle bekannten Segmente
+   */
+  forAllSegments(update) {
+    const segments = this.state && Array.isArray(this.state.seg) ? this.state.seg : [{ id: 0 }];
+    return segments.map(segment => ({ id: segment.id, ...update }));
+  }
+
+  // ===================================================================
+  // SEGMENTE
+  // ===================================================================
+
+  async getSegments() {
+    const state = this.state || await this.getState();
+    return state.seg || [];
+  }
+
+  /**
+   * Ändert ein Segment
+   * @param {Object} changes - { start, stop, fx, pal, sx, ix, col, on, bri, name }
+   */
+  async setSegment(segmentId, changes) {
+    const allowed = ['start', 'stop', 'fx', 'pal', 'sx', 'ix', 'col', 'on', 'bri', 'n', 'rev', 'mi', 'grp', 'spc'];
+    const segment = { id: segmentId };
+
+    Object.keys(changes).forEach(key => {
+      const target = key === 'name' ? 'n' : key;
+      if (allowed.includes(target)) {
+        segment[target] = changes[key];
+      }
+    });
+
+    return this.setState({ seg: [segment] });
+  }
+
+  /**
+   * Legt ein neues Segment an (nächste freie ID)
+   */
+  async addSegment(start, stop, changes = {}) {
+    const segments = await this.getSegments();
+    const maxSegments = this.getCapabilities().maxSegments;
+
+    if (segments.length >= maxSegments) {
+      throw new Error(`WLED ${this.host}: Maximal ${maxSegments} Segmente`);
+    }
+
+    const id = segments.reduce((max, segment) => Math.max(max, segment.id), -1) + 1;
+    return this.setSegment(id, { ...changes, start, stop });
+  }
+
+  /**
+   * Löscht ein Segment (WLED: stop = 0)
+   */
+  async removeSegment(segmentId) {
+    return this.setState({ seg: [{ id: segmentId, stop: 0 }] });
+  }
+
+  // ===================================================================
+  // PRESETS & PLAYLISTS
+  // ===================================================================
+
+  /**
+   * Liest alle Presets (inkl. Playlists)
+   * @returns {Promise<Array<{id, name, playlist}>>}
+   */
+  async getPresets() {
+    const presets = await this.request('/presets.json');
+
+    return Object.keys(presets)
+      .filter(id => id !== '0' && presets[id] && Object.keys(presets[id]).length > 0)
+      .map(id => ({
+        id: parseInt(id),
+        name: presets[id].n || `Preset ${id}`,
+        playlist: !!presets[id].playlist,
+        data: presets[id]
+      }));
+  }
+
+  async getPlaylists() {
+    return (await this.getPresets()).filter(preset => preset.playlist);
+  }
+
+  /**
+   * Aktiviert ein Preset (oder startet eine Playlist)
+   */
+  async applyPreset(presetId) {
+    return this.setState({ ps: presetId });
+  }
+
+  async startPlaylist(presetId) {
+    return this.applyPreset(presetId);
+  }
+
+  async stopPlaylist() {
+    return this.setState({ pl: -1 });
+  }
+
+  /**
+   * Speichert den aktuellen Zustand als Preset
+   */
+  async savePreset(presetId, name) {
+    return this.setState({ psave: presetId, n: name });
+  }
+
+  // ===================================================================
+  // ECHTZEIT-STREAMING
+  // ===================================================================
+
+  /**
+   * Echtzeit-Transport (WebSocket /ws, HTTP-Fallback)
+   */
+  getRealtime(options = {}) {
+    if (!this.realtime) {
+      this.realtime = new WLEDRealtime(this, options);
+    }
+    return this.realtime;
+  }
+
+  /**
+   * Streamt einen Pixel-Buffer [[r,g,b], ...] (neuester Frame gewinnt)
+   */
+  streamPixels(pixels) {
+    const calibration = window.colorCalibration;
+    return this.getRealtime().pushFrame(calibration ? calibration.applyPixels(this.deviceId, pixels) : pixels);
+  }
+
+  /**
+   * Streamt eine Farbe auf den ganzen Streifen
+   */
+  streamColor(r, g, b) {
+    // Ohne /json/info (z.B. neu gebauter Client): Anzahl aus dem Geräte-Register, Info nachladen
+    if (!this.info && !this.infoRequest) {
+      this.infoRequest = this.getInfo()
+        .catch(error => console.warn('⚠️ WLED-Info nicht lesbar:', error.message))
+        .finally(() => { this.infoRequest = null; });
+    }
+
+    const manager = window.deviceManager;
+    const count = this.getCapabilities().ledCount
+      || (manager && this.deviceId ? manager.getLedCount(this.deviceId) : 0)
+      || 1;
+    return this.streamPixels(new Array(count).fill([r, g, b]));
+  }
+
+  // ===================================================================
+  // KALIBRIERUNG (js/color-calibration.js)
+  // ===================================================================
+
+  calibrateColor(r, g, b) {
+    const calibration = window.colorCalibration;
+    return calibration ? calibration.apply(this.deviceId, r, g, b) : [r, g, b];
+  }
+
+  /**
+   * @param {number} bri - 0-255
+   */
+  calibrateBrightness(bri) {
+    const calibration = window.colorCalibration;
+    return calibration ? calibration.applyBrightness(this.deviceId, bri) : bri;
+  }
+
+  // ===================================================================
+  // STATISCHE HELFER
+  // ===================================================================
+
+  /**
+   * App-Effekt-ID → WLED-fx (unbekannte IDs → Solid)
+   */
+  static mapEffect(effectId) {
+    return WLED_CONFIG.EFFECT_MAP[effectId] !== undefined ? WLED_CONFIG.EFFECT_MAP[effectId] : 0;
+  }
+
+  /**
+   * Prüft ob unter host ein WLED-Controller antwortet
+   * @returns {Promise<Object|null>} - /json/info oder null
+   */
+  static async probe(host, timeout = WLED_CONFIG.PROBE_TIMEOUT) {
+    try {
+      const info = await new WLEDClient(host, { timeout }).request('/json/info');
+      return info && info.name && info.ver ? info : null;
+    } catch (error) {
+      // Timeout oder Netzwerk-Fehler - normal beim Scannen
+      return null;
+    }
+  }
+}
+
+// ===================================================================
+// WLED-ECHTZEIT (WEBSOCKET)
+// ===================================================================
+
+/**
+ * Pixel-Streaming über ws://host/ws
+ * - Beim Öffnen {"v":true}: WLED antwortet mit Status + Info
+ * - Frames als {"seg":{"i":[start, "RRGGBB", ...]}} in Chunks
+ * - Optional Live-View ({"lv":true}): WLED sendet seine LED-Daten zurück
+ *   → Event 'wled-live-view' auf window
+ * - Ohne Socket: gleiche Frames per HTTP POST (max. einer gleichzeitig)
+ */
+class WLEDRealtime {
+  constructor(client, options = {}) {
+    this.client = client;
+    this.fps = Math.max(30, Math.min(60, options.fps || WLED_CONFIG.REALTIME_FPS));
+    this.socket = null;
+    this.connected = false;
+    this.active = false;
+    this.liveView = false;
+    this.reconnectTimer = null;
+
+    // Frame-Pacing: max. ein wartender Frame
+    this.pendingFrame = null;
+    this.frameTimer = null;
+    this.lastFrameTime = 0;
+    this.httpBusy = false;
+
+    this.stats = { sent: 0, dropped: 0, http: 0 };
+  }
+
+  get frameInterval() {
+    return 1000 / this.fps;
+  }
+
+  /**
+   * Öffnet den WebSocket (falls verfügbar)
+   */
+  connect() {
+    this.active = true;
+
+    if (typeof WebSocket === 'undefined' || this.socket || !this.client.websocket) {
+      return;
+    }
+
+    try {
+      this.socket = new WebSocket(`ws://${this.client.host}/ws`);
+    } catch (error) {
+      console.warn(`⚠️ WLED-WebSocket ${this.client.host} nicht verfügbar - nutze HTTP`, error);
+      this.socket = null;
+      this.scheduleReconnect();
+      return;
+    }
+
+    this.socket.onopen = () => {
+      this.connected = true;
+      this.socket.send(JSON.stringify({ v: true }));
+      if (this.liveView) {
+        this.socket.send(JSON.stringify({ lv: true }));
+      }
+      console.log(`✅ WLED-Echtzeit verbunden (${this.client.host})`);
+    };
+
+    this.socket.onmessage = (event) => this.handleMessage(event.data);
+
+    this.socket.onclose = () => {
+      this.connected = false;
+      this.socket = null;
+      this.scheduleReconnect();
+    };
+
+    this.socket.onerror = () => {
+      // onclose folgt - dort wird neu verbunden
+    };
+  }
+
+  scheduleReconnect() {
+    if (!this.active || this.reconnectTimer) return;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, WLED_CONFIG.REALTIME_RECONNECT);
+  }
+
+  /**
+   * Verarbeitet Nachrichten von WLED (Status oder Live-View)
+   */
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    if (message.state) {
+      this.client.state = message.state;
+    }
+    if (message.info) {
+      this.client.info = message.info;
+    }
+    if (message.leds) {
+      window.dispatchEvent(new CustomEvent('wled-live-view', {
+        detail: { host: this.client.host, leds: message.leds, n: message.n || 1 }
+      }));
+    }
+  }
+
+  /**
+   * Live-View an/aus (WLED sendet seine aktuellen LED-Farben)
+   */
+  setLiveView(enabled) {
+    this.liveView = !!enabled;
+    if (this.connected) {
+      this.socket.send(JSON.stringify({ lv: this.liveView }));
+    }
+  }
+
+  /**
+   * Reiht einen Frame ein und sendet ihn im FPS-Raster
+   * @param {Array<number[]>} pixels - [[r,g,b], ...]
+   */
+  pushFrame(pixels) {
+    if (!this.active) {
+      this.connect();
+    }
+
+    if (this.pendingFrame) {
+      this.stats.dropped++;
+    }
+    this.pendingFrame = pixels;
+
+    if (!this.frameTimer) {
+      const wait = Math.max(0, this.frameInterval - (Date.now() - this.lastFrameTime));
+      this.frameTimer = setTimeout(() => {
+        this.frameTimer = null;
+        this.flush();
+      }, wait);
+    }
+
+    return true;
+  }
+
+  /**
+   * Baut seg.i-Nachrichten (Start-Index + Hex-Farben pro Chunk)
+   */
+  buildMessages(pixels) {
+    const messages = [];
+    const chunk = WLED_CONFIG.REALTIME_CHUNK;
+
+    for (let start = 0; start < pixels.length; start += chunk) {
+      const colors = pixels.slice(start, start + chunk).map(([r, g, b]) =>
+        [r, g, b].map(v => Math.max(0, Math.min(255, Math.round(v) || 0)).toString(16).padStart(2, '0')).join('')
+      );
+      messages.push({ seg: { i: [start, ...colors] } });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Sendet den wartenden Frame
+   */
+  flush() {
+    const pixels = this.pendingFrame;
+    this.pendingFrame = null;
+
+    if (!pixels) return;
+
+    this.lastFrameTime = Date.now();
+    const messages = this.buildMessages(pixels);
+
+    // ✅ WEBSOCKET
+    if (this.connected && this.socket.readyState === 1) {
+      if (this.socket.bufferedAmount > WLED_CONFIG.REALTIME_MAX_BUFFERED) {
+        this.stats.dropped++; // Netzwerk kommt nicht hinterher
+        return;
+      }
+      messages.forEach(message => this.socket.send(JSON.stringify(message)));
+      this.stats.sent++;
+      return;
+    }
+
+    // ✅ HTTP-FALLBACK (langsamer, nie parallel)
+    if (this.httpBusy) {
+      this.stats.dropped++;
+      return;
+    }
+
+    this.httpBusy = true;
+    messages.reduce((chain, message) => chain.then(() => this.client.request('/json/state', { body: message })), Promise.resolve())
+      .then(() => {
+        this.stats.sent++;
+        this.stats.http++;
+      })
+      .catch(error => console.warn(`⚠️ WLED-Frame (HTTP) an ${this.client.host} fehlgeschlagen:`, error.message || error))
+      .finally(() => {
+        this.httpBusy = false;
+      });
+  }
+
+  /**
+   * Schließt den Socket und beendet das Streaming
+   */
+  close() {
+    this.active = false;
+    this.pendingFrame = null;
+
+    clearTimeout(this.frameTimer);
+    clearTimeout(this.reconnectTimer);
+    this.frameTimer = null;
+    this.reconnectTimer = null;
+
+    if (this.socket) {
+      this.socket.onclose = null;
+      this.socket.close();
+      this.socket = null;
+    }
+    this.connected = false;
+  }
+}
+
+// ===================================================================
+// GLOBALE INSTANZ
+// ===================================================================
+
+window.WLED_CONFIG = WLED_CONFIG;
+window.WLEDClient = WLEDClient;
+window.WLEDRealtime = WLEDRealtime;
+
+console.log('✅ WLED-Client global verfügbar als window.WLEDClient');
+
+// ===================================================================
+// EXPORT
+// ===================================================================
+
+// Browser-kompatible Exports
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WLEDClient;
+}
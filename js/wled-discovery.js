@@ -0,0 +1,391 @@
+/**
+ * ===================================================================
+ * WLED-DISCOVERY.JS
+ * Suche nach WLED-Controllern im lokalen Netzwerk
+ * Version: 1.0
+ * ===================================================================
+ *
+ * Funktionen:
+ * - Netzbereiche als CIDR (z.B. '10.0.0.0/24'), manuell oder abgeleitet
+ * - Begrenzte Parallelität statt 254 gleichzeitiger Requests
+ * - Cache bereits gefundener Hosts (werden zuerst geprüft)
+ * - Manuelle IP-/Hostnamen-Eingabe
+ * - mDNS-Namen (*.local) wenn der Schalter in den Einstellungen aktiv ist
+ * - Gefundene Controller landen als Geräte im DeviceManager
+ *
+ * Browser können kein echtes mDNS abfragen - *.local-Namen werden
+ * vom Betriebssystem aufgelöst und wie IPs geprüft.
+ *
+ * Benötigt: js/wled-client.js
+ *
+ * ===================================================================
+ */
+
+'use strict';
+
+// Browser: window, Node (Tests): globalThis
+const discoveryRoot = typeof window !== 'undefined' ? window : globalThis;
+
+// ===================================================================
+// KONFIGURATION
+// ===================================================================
+
+const DISCOVERY_CONFIG = {
+  // Storage
+  SETTINGS_KEY: 'wled-discovery',
+  CACHE_KEY: 'wled-host-cache',
+
+  // Scan
+  CONCURRENCY: 16,
+  PROBE_TIMEOUT: 800,
+  MIN_PREFIX: 22,          // Größere Netze (> 1022 Hosts) werden abgelehnt
+  CACHE_MAX_AGE: 30 * 24 * 60 * 60 * 1000, // 30 Tage
+
+  // Typische Heimnetze, falls nichts abgeleitet werden kann
+  FALLBACK_RANGES: ['192.168.1.0/24', '192.168.178.0/24', '192.168.0.0/24', '10.0.0.0/24'],
+
+  // Standard-mDNS-Name von WLED
+  MDNS_NAMES: ['wled.local']
+};
+
+// ===================================================================
+// CIDR-HILFSFUNKTIONEN
+// ===================================================================
+
+function ipToInt(ip) {
+  const parts = ip.split('.').map(Number);
+  if (parts.length !== 4 || parts.some(p => !Number.isInteger(p) || p < 0 || p > 255)) {
+    return null;
+  }
+  return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+}
+
+function intToIp(value) {
+  return [value >>> 24, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF].join('.');
+}
+
+/**
+ * Private IPv4-Adresse (RFC 1918)?
+ */
+function isPrivateIp(ip) {
+  return /^10\./.test(ip) || /^192\.168\./.test(ip) || /^172\.(1[6-9]|2\d|3[01])\./.test(ip);
+}
+
+// ===================================================================
+// WLED-DISCOVERY
+// ===================================================================
+
+class WLEDDiscovery {
+  constructor() {
+    this.settings = {
+      ranges: [],          // Leer = automatisch ableiten
+      manualHosts: [],
+      mdns: false,
+      mdnsNames: [...DISCOVERY_CONFIG.MDNS_NAMES],
+      concurrency: DISCOVERY_CONFIG.CONCURRENCY,
+      timeout: DISCOVERY_CONFIG.PROBE_TIMEOUT
+    };
+    this.hostCache = {};   // host → { name, mac, version, lastSeen }
+    this.isScanning = false;
+    this.cancelled = false;
+
+    this.loadSettings();
+    this.loadCache();
+  }
+
+  // ===================================================================
+  // NETZBEREICHE
+  // ===================================================================
+
+  /**
+   * Zerlegt CIDR in Host-Adressen (ohne Netz- und Broadcast-Adresse)
+   * @returns {string[]}
+   */
+  static expandCIDR(cidr) {
+    const match = /^(\d+\.\d+\.\d+\.\d+)(?:\/(\d+))?$/.exec(String(cidr).trim());
+    const base = match ? ipToInt(match[1]) : null;
+
+    if (base === null) {
+      throw new Error(`Ungültiger Netzbereich: ${cidr}`);
+    }
+
+    const prefix = match[2] === undefined ? 32 : parseInt(match[2]);
+    if (prefix < DISCOVERY_CONFIG.MIN_PREFIX || prefix > 32) {
+      throw new Error(`Netzbereich zu groß oder ungültig: ${cidr} (min. /${DISCOVERY_CONFIG.MIN_PREFIX})`);
+    }
+
+    const size = 2 ** (32 - prefix);
+    const network = size === 1 ? base : base - (base % size);
+
+    if (size <= 2) {
+      return Array.from({ length: size }, (_, i) => intToIp(network + i));
+    }
+
+    return Array.from({ length: size - 2 }, (_, i) => intToIp(network + i + 1));
+  }
+
+  /**
+   * Leitet /24-Netze aus bekannten Adressen ab
+   * (eigene Seite, gespeicherte WLED-Geräte, Host-Cache)
+   */
+  deriveRanges() {
+    const ips = [];
+
+    if (typeof location !== 'undefined' && isPrivateIp(location.hostname || '')) {
+      ips.push(location.hostname);
+    }
+
+    if (discoveryRoot.deviceManager) {
+      discoveryRoot.deviceManager.getAllDevices()
+        .filter(d => d.type === 'wled' && d.ip)
+        .forEach(d => ips.push(d.ip));
+    }
+
+    ips.push(...Object.keys(this.hostCache));
+
+    const ranges = ips
+      .filter(ip => ipToInt(ip) !== null && isPrivateIp(ip))
+      .map(ip => ip.split('.').slice(0, 3).join('.') + '.0/24');
+
+    return [...new Set(ranges)];
+  }
+
+  /**
+   * Aktive Netzbereiche: eingestellt > abgeleitet > typische Heimnetze
+   */
+  getRanges() {
+    if (this.settings.ranges.length > 0) return this.settings.ranges;
+
+    const derived = this.deriveRanges();
+    return derived.length > 0 ? derived : DISCOVERY_CONFIG.FALLBACK_RANGES;
+  }
+
+  /**
+   * Setzt Netzbereiche (leer = automatisch)
+   * @param {string|string[]} ranges - z.B. '10.0.0.0/24, 192.168.2.0/24'
+   */
+  setRanges(ranges) {
+    const list = (Array.isArray(ranges) ? ranges : String(ranges).split(/[\s,;]+/))
+      .map(r => r.trim())
+      .filter(Boolean);
+
+    // Validieren (wirft bei Fehler)
+    list.forEach(range => WLEDDiscovery.expandCIDR(range));
+
+    this.settings.ranges = list;
+    this.saveSettings();
+    return list;
+  }
+
+  setMDNSEnabled(enabled) {
+    this.settings.mdns = !!enabled;
+    this.saveSettings();
+    console.log(`🌐 mDNS-Suche ${enabled ? 'aktiviert' : 'deaktiviert'}`);
+  }
+
+  // ===================================================================
+  // SUCHE
+  // ===================================================================
+
+  /**
+   * Kandidaten in Prüf-Reihenfolge: Cache → manuell → mDNS → Netzbereiche
+   */
+  getCandidates(ranges = this.getRanges()) {
+    const candidates = [
+      ...Object.keys(this.hostCache),
+      ...this.settings.manualHosts,
+      ...(this.settings.mdns ? this.settings.mdnsNames : [])
+    ];
+
+    ranges.forEach(range => {
+      try {
+        candidates.push(...WLEDDiscovery.expandCIDR(range));
+      } catch (error) {
+        console.warn('⚠️', error.message);
+      }
+    });
+
+    return [...new Set(candidates)];
+  }
+
+  /**
+   * Sucht WLED-Controller und speichert sie im DeviceManager
+   * @param {Object} options - { ranges, onProgress(done, total), onFound(device) }
+   * @returns {Promise<Object[]>} - Gefundene Geräte (DeviceManager-Objekte)
+   */
+  async discover(options = {}) {
+    if (this.isScanning) {
+      throw new Error('WLED-Suche läuft bereits');
+    }
+
+    const candidates = this.getCandidates(options.ranges);
+    const found = [];
+    let done = 0;
+    let next = 0;
+
+    this.isScanning = true;
+    this.cancelled = false;
+
+    console.log(`🔍 WLED-Suche: ${candidates.length} Adressen, ${this.settings.concurrency} parallel`);
+
+    const worker = async () => {
+      while (next < candidates.length && !this.cancelled) {
+        const host = candidates[next++];
+        const info = await discoveryRoot.WLEDClient.probe(host, this.settings.timeout);
+
+        if (info) {
+          const device = await this.register(host, info);
+          if (device) {
+            found.push(device);
+            if (options.onFound) options.onFound(device);
+          }
+        } else if (this.hostCache[host] && Date.now() - this.hostCache[host].lastSeen > DISCOVERY_CONFIG.CACHE_MAX_AGE) {
+          delete this.hostCache[host];
+        }
+
+        done++;
+        if (options.onProgress) options.onProgress(done, candidates.length);
+      }
+    };
+
+    try {
+      const workers = Array.from({ length: Math.min(this.settings.concurrency, candidates.length) }, worker);
+      await Promise.all(workers);
+    } finally {
+      this.isScanning = false;
+      this.saveCache();
+    }
+
+    console.log(`✅ ${found.length} WLED-Geräte gefunden`);
+    return found;
+  }
+
+  /**
+   * Bricht laufende Suche ab
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+
+  /**
+   * Prüft und speichert eine manuell eingegebene Adresse
+   * @returns {Promise<Object>} - Geräte-Objekt
+   */
+  async addManualHost(host) {
+    host = String(host).trim().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+
+    if (!host) {
+      throw new Error('Adresse darf nicht leer sein');
+    }
+
+    const info = await discoveryRoot.WLEDClient.probe(host, 3000);
+    if (!info) {
+      throw new Error(`Kein WLED-Controller unter ${host} gefunden`);
+    }
+
+    if (!this.settings.manualHosts.includes(host)) {
+      this.settings.manualHosts.push(host);
+      this.saveSettings();
+    }
+
+    const device = await this.register(host, info);
+    this.saveCache();
+    return device;
+  }
+
+  removeManualHost(host) {
+    this.settings.manualHosts = this.settings.manualHosts.filter(h => h !== host);
+    this.saveSettings();
+  }
+
+  /**
+   * Cache + DeviceManager aktualisieren
+   */
+  async register(host, info) {
+    this.hostCache[host] = {
+      name: info.name,
+      mac: info.mac || null,
+      version: info.ver,
+      lastSeen: Date.now()
+    };
+
+    if (!discoveryRoot.deviceManager) {
+      return { id: 'wled_' + (info.mac || host), type: 'wled', name: info.name, ip: host };
+    }
+
+    try {
+      return await discoveryRoot.deviceManager.addWLEDDevice(host, info);
+    } catch (error) {
+      console.error(`❌ WLED-Gerät ${host} konnte nicht gespeichert werden:`, error);
+      return null;
+    }
+  }
+
+  // ===================================================================
+  // SPEICHERN & LADEN
+  // ===================================================================
+
+  saveSettings() {
+    try {
+      localStorage.setItem(DISCOVERY_CONFIG.SETTINGS_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.error('Fehler beim Speichern der WLED-Suche:', error);
+    }
+  }
+
+  loadSettings() {
+    try {
+      const saved = localStorage.getItem(DISCOVERY_CONFIG.SETTINGS_KEY);
+      if (saved) {
+        this.settings = { ...this.settings, ...JSON.parse(saved) };
+      }
+
+      // mDNS-Schalter aus den allgemeinen Einstellungen übernehmen
+      const appSettings = JSON.parse(localStorage.getItem('led-settings') || '{}');
+      if (typeof appSettings.mdns === 'boolean') {
+        this.settings.mdns = appSettings.mdns;
+      }
+    } catch (error) {
+      console.error('Fehler beim Laden der WLED-Suche:', error);
+    }
+  }
+
+  saveCache() {
+    try {
+      localStorage.setItem(DISCOVERY_CONFIG.CACHE_KEY, JSON.stringify(this.hostCache));
+    } catch (error) {
+      console.error('Fehler beim Speichern des WLED-Caches:', error);
+    }
+  }
+
+  loadCache() {
+    try {
+      const saved = localStorage.getItem(DISCOVERY_CONFIG.CACHE_KEY);
+      if (saved) {
+        this.hostCache = JSON.parse(saved);
+      }
+    } catch (error) {
+      console.error('Fehler beim Laden des WLED-Caches:', error);
+      this.hostCache = {};
+    }
+  }
+}
+
+// ===================================================================
+// GLOBALE INSTANZ
+// ===================================================================
+
+discoveryRoot.DISCOVERY_CONFIG = DISCOVERY_CONFIG;
+discoveryRoot.WLEDDiscovery = WLEDDiscovery;
+discoveryRoot.wledDiscovery = new WLEDDiscovery();
+
+console.log('✅ WLED-Discovery global verfügbar als window.wledDiscovery');
+
+// ===================================================================
+// EXPORT
+// ===================================================================
+
+// Browser-kompatible Exports
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WLEDDiscovery;
+}
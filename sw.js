@@ -1,7 +1,7 @@
 // ✅ SERVICE WORKER FÜR PWA
 // Macht aus der Web-App eine installierbare Android-App
 
-const CACHE_NAME = 'lights-space-world-v2';
+const CACHE_NAME = 'lights-space-world-v13';
 const urlsToCache = [
   './',
   './index.html',
@@ -12,10 +12,21 @@ const urlsToCache = [
   './musik.html',
   './css/shared-styles.css',
   './js/app.js',
+  './js/protocol-drivers.js',
+  './js/wled-client.js',
+  './js/wled-discovery.js',
   './js/ble-controller-pro.js',
   './js/device-manager.js',
+  './js/virtual-devices.js',
+  './js/color-calibration.js',
+  './js/power-limiter.js',
   './js/event-manager.js',
+  './js/led-layout.js',
+  './js/animation-scheduler.js',
+  './js/transition-engine.js',
   './js/led-abstraction-layer.js',
+  './js/palette-manager.js',
+  './js/effect-engine.js',
   './js/performance-optimizer.js',
   './js/scenes-manager.js',
   './js/audio-reactive-engine.js',
@@ -0,0 +1,117 @@
+/**
+ * BLE-Controller gegen MockBluetooth (ohne LED-Hardware)
+ * Ausführen: npm test
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Statusmeldungen der Module stumm (stdout gehört dem Test-Runner)
+mock.method(console, 'log', () => {});
+
+const { MockBluetooth } = require('../js/mock-bluetooth.js');
+require('../js/protocol-drivers.js');
+const BLEController = require('../js/ble-controller-pro.js');
+
+describe('BLEController mit MockBluetooth', () => {
+  let bluetooth;
+  let strip;
+  let controller;
+
+  beforeEach(() => {
+    bluetooth = new MockBluetooth().install();
+    strip = bluetooth.addDevice({ name: 'ELK-BLEDOM', protocol: 'ELK_BLEDOM' });
+
+    controller = new BLEController();
+    controller.reconnectPolicy = { baseDelay: 5, maxDelay: 20, jitter: 0 };
+  });
+
+  afterEach(() => {
+    controller.disconnect();
+    bluetooth.uninstall();
+  });
+
+  it('verbindet über den Auswahldialog und sendet Farben', async () => {
+    assert.equal(await controller.connect(), true);
+    assert.equal(controller.isConnected, true);
+    assert.equal(controller.activeConnection.protocol, 'ELK_BLEDOM');
+    assert.equal(strip.connectCount, 1);
+
+    assert.equal(await controller.setColorRGB(255, 0, 0), true);
+    assert.deepEqual(strip.state.color, { r: 255, g: 0, b: 0 });
+  });
+
+  it('fasst schnelle Farbwechsel zu einem Write zusammen', async () => {
+    await controller.connect();
+    await controller.setColorRGB(0, 0, 0);
+    strip.clearWrites();
+
+    const results = await Promise.all([
+      controller.setColorRGB(255, 0, 0),
+      controller.setColorRGB(0, 255, 0),
+      controller.setColorRGB(0, 0, 255)
+    ]);
+
+    assert.deepEqual(results, [true, true, true]);
+    assert.equal(strip.writes.length, 1);
+    assert.deepEqual(strip.state.color, { r: 0, g: 0, b: 255 });
+    assert.equal(controller.getCoalescingStats().COLOR.coalesced, 2);
+  });
+
+  it('verbindet nach Abbruch neu und stellt den Zustand wieder her', async () => {
+    await controller.connect();
+    await controller.setColorRGB(12, 34, 56);
+
+    const states = [];
+    const reconnected = new Promise(resolve => {
+      const emit = controller.emitConnectionState.bind(controller);
+      controller.emitConnectionState = (connection, status, extra) => {
+        states.push(status);
+        emit(connection, status, extra);
+        if (status === 'reconnected') resolve();
+      };
+    });
+
+    strip.state.color = { r: 0, g: 0, b: 0 };
+    strip.simulateDisconnect();
+    await reconnected;
+
+    assert.deepEqual(states, ['lost', 'reconnecting', 'reconnected']);
+    assert.equal(controller.isConnected, true);
+    assert.equal(strip.connectCount, 2);
+    assert.deepEqual(strip.state.color, { r: 12, g: 34, b: 56 });
+  });
+
+  it('trägt unbeantwortete Status-Abfragen nach dem Timeout aus', async () => {
+    await controller.connect();
+    const connection = controller.activeConnection;
+
+    // ELK-BLEDOM hat keinen Read-Back - Abfrage-Frame und Notify-Characteristic vorgeben
+    connection.notifyCharacteristic = strip.notifyCharacteristic;
+    controller.drivers = Object.assign(Object.create(controller.drivers), {
+      getStatusQueries: () => [[0xef, 0x01, 0x77]]
+    });
+
+    assert.equal(await connection.queryStatus(20), null);
+    assert.equal(connection.statusWaiters.length, 0);
+  });
+
+  it('meldet fehlende Freigabe beim stillen Verbinden als unpaired', async () => {
+    const states = [];
+    controller.emitConnectionState = (connection, status) => states.push(status);
+
+    await assert.rejects(controller.connect(strip.id, null, { silent: true }), { name: 'NotAllowedError' });
+    assert.deepEqual(states, ['unpaired']);
+  });
+
+  it('bricht ohne getDevices() still mit unsupported ab', async () => {
+    bluetooth.getDevices = undefined;
+    const states = [];
+    controller.emitConnectionState = (connection, status) => states.push(status);
+
+    await assert.rejects(controller.connect(strip.id, null, { silent: true }), { name: 'NotSupportedError' });
+    assert.deepEqual(states, ['unsupported']);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * DeviceManager (Gruppen-Steuerung) gegen MockBluetooth
+ * Ausführen: npm test
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Statusmeldungen der Module stumm (stdout gehört dem Test-Runner)
+mock.method(console, 'log', () => {});
+
+// In-Memory-Speicher statt localStorage (Node)
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+
+const { MockBluetooth } = require('../js/mock-bluetooth.js');
+require('../js/protocol-drivers.js');
+const BLEController = require('../js/ble-controller-pro.js');
+const DeviceManager = require('../js/device-manager.js');
+
+/**
+ * Verbindet einen Mock-Streifen über den Auswahldialog und trägt ihn ins Register ein
+ */
+async function addStrip(bluetooth, manager, options) {
+  const strip = bluetooth.addDevice(options);
+  bluetooth.chooser = candidates => candidates.find(device => device === strip) || null;
+  await globalThis.ledController.connect();
+  manager.addDevice({ id: strip.id, name: strip.name, protocol: strip.protocol });
+  return strip;
+}
+
+describe('DeviceManager mit MockBluetooth', () => {
+  let bluetooth;
+  let manager;
+
+  beforeEach(() => {
+    storage.clear();
+    bluetooth = new MockBluetooth().install();
+    globalThis.ledController = new BLEController();
+    globalThis.deviceManager = manager = new DeviceManager();
+  });
+
+  afterEach(() => {
+    globalThis.ledController.disconnect();
+    bluetooth.uninstall();
+  });
+
+  it('setzt die Farbe auf allen Geräten der Gruppe samt Untergruppen', async () => {
+    const desk = await addStrip(bluetooth, manager, { name: 'ELK-BLEDOM', protocol: 'ELK_BLEDOM' });
+    const shelf = await addStrip(bluetooth, manager, { name: 'BLE-LED', protocol: 'GENERIC' });
+    const office = manager.createGroup('Büro');
+    const shelves = manager.createGroup('Regal', '', office.id);
+    manager.addDeviceToGroup(desk.id, office.id);
+    manager.addDeviceToGroup(shelf.id, shelves.id);
+
+    const result = await manager.setGroupColor(office.id, 10, 20, 30);
+
+    assert.equal(result.total, 2);
+    assert.equal(result.succeeded, 2);
+    assert.deepEqual(desk.state.color, { r: 10, g: 20, b: 30 });
+    assert.deepEqual(shelf.state.color, { r: 10, g: 20, b: 30 });
+    assert.deepEqual(manager.getGroupState(shelves.id).color, { r: 10, g: 20, b: 30 });
+  });
+
+  it('dimmt Geräte ohne native Helligkeit über die Farbe', async () => {
+    const desk = await addStrip(bluetooth, manager, { name: 'ELK-BLEDOM', protocol: 'ELK_BLEDOM' });
+    const lamp = await addStrip(bluetooth, manager, { name: 'Triones-A1', protocol: 'TRIONES' });
+    const office = manager.createGroup('Büro');
+    manager.addDeviceToGroup(desk.id, office.id);
+    manager.addDeviceToGroup(lamp.id, office.id);
+
+    const result = await manager.applyGroupState(office.id, { color: { r: 200, g: 100, b: 50 }, brightness: 50 });
+
+    assert.equal(result.succeeded, 2);
+    assert.equal(desk.state.brightness, 127);
+    assert.deepEqual(desk.state.color, { r: 200, g: 100, b: 50 });
+    assert.deepEqual(lamp.state.color, { r: 100, g: 50, b: 25 });
+
+    const dimmed = await manager.setGroupBrightness(office.id, 0);
+
+    assert.equal(dimmed.succeeded, 2);
+    assert.equal(desk.state.brightness, 0);
+    assert.deepEqual(lamp.state.color, { r: 0, g: 0, b: 0 });
+  });
+
+  it('meldet nicht verbundene Geräte einzeln, ohne die übrigen abzubrechen', async () => {
+    const desk = await addStrip(bluetooth, manager, { name: 'ELK-BLEDOM', protocol: 'ELK_BLEDOM' });
+    const lamp = await addStrip(bluetooth, manager, { name: 'ELK-BLEDOM', protocol: 'ELK_BLEDOM' });
+    globalThis.ledController.disconnect(lamp.id);
+
+    const office = manager.createGroup('Büro');
+    manager.addDeviceToGroup(desk.id, office.id);
+    manager.addDeviceToGroup(lamp.id, office.id);
+
+    const result = await manager.setGroupPower(office.id, false);
+
+    assert.equal(result.succeeded, 1);
+    assert.equal(result.failed, 1);
+    assert.equal(result.results.find(entry => !entry.success).deviceId, lamp.id);
+    assert.equal(desk.state.power, false);
+  });
+});
+
+describe('DeviceManager Gruppen-Steuerung ohne Hardware', () => {
+  let manager;
+
+  beforeEach(() => {
+    storage.clear();
+    delete globalThis.ledController;
+    globalThis.deviceManager = manager = new DeviceManager();
+  });
+
+  it('sammelt Geräte aus Untergruppen genau einmal, auch bei Zyklen', () => {
+    manager.addDevice({ id: 'desk', name: 'Schreibtisch', protocol: 'ELK_BLEDOM' });
+    manager.addDevice({ id: 'shelf', name: 'Regal', protocol: 'GENERIC' });
+    const office = manager.createGroup('Büro');
+    const shelves = manager.createGroup('Regal', '', office.id);
+    manager.addDeviceToGroup('desk', office.id);
+    manager.addDeviceToGroup('shelf', shelves.id);
+
+    // Fehlerhaft gespeicherte Hierarchie: Büro hängt unter seiner eigenen Untergruppe
+    office.parentGroup = shelves.id;
+
+    assert.deepEqual(manager.getGroupDevices(office.id).map(device => device.id).sort(), ['desk', 'shelf']);
+    assert.deepEqual(manager.getGroupDevices(shelves.id).map(device => device.id).sort(), ['desk', 'shelf']);
+  });
+
+  it('merkt gesetzte Werte für die Gruppe und alle Untergruppen', () => {
+    const office = manager.createGroup('Büro');
+    const shelves = manager.createGroup('Regal', '', office.id);
+
+    manager.recordGroupState(office.id, { color: { r: 1, g: 2, b: 3 }, brightness: 40, unknown: true });
+    manager.recordGroupState(shelves.id, { power: false });
+
+    const { updatedAt, ...officeState } = manager.getGroupState(office.id);
+    assert.ok(updatedAt > 0);
+    assert.deepEqual(officeState, { color: { r: 1, g: 2, b: 3 }, brightness: 40 });
+    assert.equal(manager.getGroupState(shelves.id).power, false);
+    assert.equal(manager.getGroupState(shelves.id).brightness, 40);
+  });
+
+  it('meldet leere und unbekannte Gruppen', async () => {
+    mock.method(console, 'warn', () => {});
+    const empty = manager.createGroup('Leer');
+
+    const result = await manager.setGroupColor(empty.id, 255, 0, 0);
+
+    assert.equal(result.total, 0);
+    assert.equal(manager.getGroupState(empty.id), null);
+    await assert.rejects(manager.setGroupPower('gibt-es-nicht', true), /Gruppe nicht gefunden/);
+  });
+
+  it('dimmt über die Farbe ausgehend vom zuletzt gesendeten Zustand', async () => {
+    manager.addDevice({ id: 'lamp', name: 'Lampe', protocol: 'TRIONES' });
+    manager.addDevice({ id: 'desk', name: 'Schreibtisch', protocol: 'ELK_BLEDOM' });
+    const lamp = manager.getDeviceById('lamp');
+    const sent = [];
+
+    assert.equal(manager.hasNativeBrightness(lamp), false);
+    assert.equal(manager.hasNativeBrightness(manager.getDeviceById('desk')), true);
+
+    globalThis.transitionEngine = { getState: () => ({ color: [200, 100, 0], brightness: 100 }) };
+    try {
+      const send = manager.scaleBrightness(lamp, async (command, data) => sent.push([command, data]));
+      await send('brightness', { value: 51 });
+      await send('color', { r: 0, g: 0, b: 255 });
+      await send('on');
+    } finally {
+      delete globalThis.transitionEngine;
+    }
+
+    assert.deepEqual(sent, [
+      ['color', { r: 40, g: 20, b: 0 }],
+      ['color', { r: 0, g: 0, b: 51 }],
+      ['on', null]
+    ]);
+  });
+});
+
@@ -0,0 +1,87 @@
+/**
+ * LEDFrameBuffer: geänderte Bereiche und Senden
+ * Ausführen: npm test
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Statusmeldungen der Module stumm (stdout gehört dem Test-Runner)
+mock.method(console, 'log', () => {});
+
+const { LEDFrameBuffer } = require('../js/led-abstraction-layer.js');
+
+describe('LEDFrameBuffer', () => {
+  let frames;
+  let output;
+  let buffer;
+
+  beforeEach(() => {
+    frames = [];
+    output = {
+      success: true,
+      powerScale: 1,
+      getPowerScale: () => output.powerScale,
+      sendFrame: async (frameBuffer, ranges) => {
+        frames.push(ranges.map(({ start, colors }) => [start, colors.length / 3]));
+        return output.success;
+      }
+    };
+    buffer = new LEDFrameBuffer(16, output);
+  });
+
+  it('normalisiert Farben aus Array, Objekt und Hex-String', () => {
+    assert.deepEqual(LEDFrameBuffer.parseColor([300, -5, 12.4]), [255, 0, 12]);
+    assert.deepEqual(LEDFrameBuffer.parseColor({ r: 1, g: 2, b: 3 }), [1, 2, 3]);
+    assert.deepEqual(LEDFrameBuffer.parseColor('#ff8000'), [255, 128, 0]);
+    assert.deepEqual(LEDFrameBuffer.parseColor(null), [0, 0, 0]);
+  });
+
+  it('sendet beim ersten Mal den ganzen Frame', async () => {
+    buffer.fill([10, 20, 30]);
+
+    assert.deepEqual(buffer.getDirtyRanges(), [[0, 16]]);
+    assert.equal(await buffer.show(), true);
+    assert.deepEqual(frames, [[[0, 16]]]);
+    assert.deepEqual(buffer.getDirtyRanges(), []);
+  });
+
+  it('fasst kleine Lücken zusammen und trennt entfernte Änderungen', async () => {
+    await buffer.show();
+
+    buffer.set(2, [255, 0, 0]).set(4, [255, 0, 0]).set(12, [0, 0, 255]);
+
+    assert.deepEqual(buffer.getDirtyRanges(), [[2, 5], [12, 13]]);
+    assert.deepEqual(buffer.getDirtyRanges(0), [[2, 3], [4, 5], [12, 13]]);
+
+    await buffer.show();
+    assert.deepEqual(frames[1], [[2, 3], [12, 1]]);
+  });
+
+  it('zählt nur Pixel als gesendet, die angekommen sind', async () => {
+    await buffer.show();
+    buffer.setRange(6, 9, [0, 255, 0]);
+    output.success = false;
+
+    assert.equal(await buffer.show(), false);
+    assert.deepEqual(buffer.getDirtyRanges(), [[6, 9]]);
+
+    output.success = true;
+    await buffer.show();
+    assert.deepEqual(buffer.getDirtyRanges(), []);
+  });
+
+  it('sendet bei stärkerer Leistungsbegrenzung und nach resize() alles neu', async () => {
+    await buffer.show();
+    buffer.set(0, [255, 255, 255]);
+    output.powerScale = 0.5;
+
+    await buffer.show();
+    assert.deepEqual(frames[1], [[0, 16]]);
+
+    buffer.resize(20);
+    assert.deepEqual(buffer.getDirtyRanges(), [[0, 20]]);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * LEDLayout: Streifen, Matrizen und Segmente
+ * Ausführen: npm test
+ */
+
+'use strict';
+
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Statusmeldungen der Module stumm (stdout gehört dem Test-Runner)
+mock.method(console, 'log', () => {});
+
+const LEDLayout = require('../js/led-layout.js');
+
+describe('LEDLayout', () => {
+  it('legt einen Streifen eindimensional von 0 bis 1', () => {
+    const layout = LEDLayout.strip(5);
+
+    assert.equal(layout.count, 5);
+    assert.equal(layout.isIdentity(), true);
+    assert.equal(layout.is2D, false);
+    assert.deepEqual(layout.xy(0), [0, 0]);
+    assert.deepEqual(layout.xy(4), [1, 0]);
+    assert.deepEqual(layout.uv(2), [0.5, 0]);
+  });
+
+  it('bildet umgedreht verbaute Streifen rückwärts ab', () => {
+    const layout = LEDLayout.strip(3, true);
+    const target = layout.map(new Uint8Array([1, 1, 1, 2, 2, 2, 3, 3, 3]), new Uint8Array(9));
+
+    assert.deepEqual(Array.from(layout.toPhysical), [2, 1, 0]);
+    assert.deepEqual(Array.from(target), [3, 3, 3, 2, 2, 2, 1, 1, 1]);
+  });
+
+  it('verdrahtet Matrizen im Zickzack ab oben links', () => {
+    const layout = LEDLayout.matrix(3, 2);
+
+    assert.deepEqual(Array.from(layout.toPhysical), [0, 1, 2, 5, 4, 3]);
+    assert.equal(layout.is2D, true);
+    assert.equal(layout.indexAt(2, 1), 5);
+    assert.equal(layout.indexAt(3, 0), -1);
+  });
+
+  it('verdrahtet spaltenweise ab unten links', () => {
+    const layout = LEDLayout.matrix(2, 2, { origin: 'bottom-left', vertical: true });
+
+    // Spalte 0 läuft nach oben (0 unten, 1 oben), Spalte 1 zurück nach unten
+    assert.deepEqual(Array.from(layout.toPhysical), [1, 2, 0, 3]);
+  });
+
+  it('zählt physische Indizes über Segmente hinweg weiter', () => {
+    const layout = new LEDLayout({
+      segments: [
+        { type: 'line', count: 3, from: [0, 0], to: [2, 0], reverse: true },
+        { type: 'points', points: [[2, 1], [2, 2]] }
+      ]
+    });
+
+    assert.equal(layout.count, 5);
+    assert.deepEqual(Array.from(layout.toPhysical), [2, 1, 0, 3, 4]);
+    assert.deepEqual(layout.xy(4), [1, 1]);
+    assert.equal(layout.indexAt(2, 2), 4);
+    assert.equal(layout.indexAt(0, 2), -1);
+  });
+
+  it('lässt Pixel außerhalb des Ziels unverändert', () => {
+    const target = LEDLayout.strip(3).map(new Uint8Array([9, 9, 9, 8, 8, 8, 7, 7, 7]), new Uint8Array(6));
+
+    assert.deepEqual(Array.from(target), [9, 9, 9, 8, 8, 8]);
+  });
+
+  it('lehnt zu große Layouts ab', () => {
+    assert.throws(() => LEDLayout.matrix(128, 64), /Layout zu groß/);
+  });
+});
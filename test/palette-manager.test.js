@@ -0,0 +1,90 @@
+/**
+ * PaletteManager: Farbstopps, Interpolation und eigene Paletten
+ * Ausführen: npm test
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Statusmeldungen der Module stumm (stdout gehört dem Test-Runner)
+mock.method(console, 'log', () => {});
+
+// In-Memory-Speicher statt localStorage (Node)
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+
+const PaletteManager = require('../js/palette-manager.js');
+
+describe('PaletteManager', () => {
+  let palettes;
+
+  beforeEach(() => {
+    storage.clear();
+    palettes = new PaletteManager();
+  });
+
+  it('verteilt Farbstopps ohne Position gleichmäßig und sortiert nach Position', () => {
+    const palette = palettes.normalize({ stops: ['#FF0000', [0, 255, 0], { pos: 0.1, color: '#0000ff' }] });
+
+    assert.deepEqual(palette.stops, [
+      { pos: 0, color: '#ff0000' },
+      { pos: 0.1, color: '#0000ff' },
+      { pos: 0.5, color: '#00ff00' }
+    ]);
+    assert.equal(palette.interpolation, 'rgb');
+  });
+
+  it('lehnt ungültige Farben und zu viele Farbstopps ab', () => {
+    assert.throws(() => palettes.normalize({ stops: ['#ff00'] }), /Ungültige Farbe/);
+    assert.throws(() => palettes.normalize({ stops: [] }), /Farbstopps/);
+    assert.throws(() => palettes.normalize({ stops: Array(17).fill('#000000') }), /Farbstopps/);
+  });
+
+  it('mischt in RGB und wiederholt die Palette über 1 hinaus', () => {
+    assert.deepEqual(palettes.sample('police', 0), [255, 0, 0]);
+    assert.deepEqual(palettes.sample('police', 0.5), [128, 0, 128]);
+    assert.deepEqual(palettes.sample('police', 1, false), [0, 0, 255]);
+    assert.deepEqual(palettes.sample('police', 1.25), palettes.sample('police', 0.25));
+  });
+
+  it('mischt in HSV über den kürzeren Farbton-Weg', () => {
+    const palette = { stops: ['#ff0000', '#0000ff'], interpolation: 'hsv' };
+
+    assert.deepEqual(palettes.sample(palette, 0.5), [255, 0, 255]);
+  });
+
+  it('mischt in OKLab ohne Farbstich zwischen Schwarz und Weiß', () => {
+    const [r, g, b] = palettes.sample({ stops: ['#000000', '#ffffff'], interpolation: 'oklab' }, 0.5);
+
+    assert.equal(r, g);
+    assert.equal(g, b);
+    assert.ok(r > 90 && r < 110, `OKLab-Mitte ${r} sollte dunkler als RGB-Mitte sein`);
+  });
+
+  it('liefert gleichmäßig verteilte Farben inklusive beider Enden', () => {
+    assert.deepEqual(palettes.getColors(['#000000', '#ff0000'], 3), [[0, 0, 0], [128, 0, 0], [255, 0, 0]]);
+    assert.deepEqual(palettes.getColors(['#00ff00'], 1), [[0, 255, 0]]);
+  });
+
+  it('fällt bei unbekannter ID auf den Regenbogen zurück', () => {
+    mock.method(console, 'warn', () => {});
+
+    assert.equal(palettes.resolve('gibt-es-nicht').id, 'rainbow');
+  });
+
+  it('speichert eigene Paletten und schützt Standard-Paletten', () => {
+    const palette = palettes.createPalette({ name: 'Test', stops: ['#112233', '#445566'], interpolation: 'oklab' });
+    const reloaded = new PaletteManager();
+
+    assert.deepEqual(reloaded.get(palette.id).stops, palette.stops);
+    assert.equal(reloaded.get(palette.id).builtin, false);
+    assert.throws(() => palettes.updatePalette('fire', { name: 'Feuer 2' }), /Standard-Paletten/);
+    assert.throws(() => palettes.deletePalette('fire'), /Standard-Paletten/);
+  });
+});
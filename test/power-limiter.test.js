@@ -0,0 +1,95 @@
+/**
+ * PowerLimiter: Stromschätzung, Budget-Faktor und Verbrauchsverlauf
+ * Ausführen: npm test
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Statusmeldungen der Module stumm (stdout gehört dem Test-Runner)
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+// In-Memory-Speicher statt localStorage (Node)
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+
+const PowerLimiter = require('../js/power-limiter.js');
+
+// Ohne DeviceManager: 60 LEDs, Standard-Budget 12 V / 3 A
+describe('PowerLimiter', () => {
+  let limiter;
+
+  beforeEach(() => {
+    storage.clear();
+    limiter = new PowerLimiter();
+  });
+
+  it('schätzt Ruhestrom plus 20 mA pro Kanal und Pixel', () => {
+    assert.equal(PowerLimiter.estimateCurrent(0, 60), 60);
+    assert.equal(PowerLimiter.estimateCurrent(180, 60), 3660);
+    assert.equal(PowerLimiter.estimateCurrent(180, 60, 0.5), 1860);
+  });
+
+  it('vereinheitlicht Budgets auf bekannte Spannungen und gültige Ströme', () => {
+    assert.deepEqual(limiter.normalize({ volts: 9, amps: 'x' }), { volts: 12, amps: 3 });
+    assert.deepEqual(limiter.normalize({ volts: '24', amps: 250 }), { volts: 24, amps: 100 });
+    assert.deepEqual(limiter.normalize({ volts: 5, amps: -1 }), { volts: 5, amps: 0 });
+  });
+
+  it('skaliert in festen Stufen nur über dem Budget', () => {
+    assert.equal(limiter.getScale(null, 60, 60, 1), 1);
+    // 3660 mA bei 3000 mA erlaubt: (3000 - 60) / 3600 = 0.816 → 52/64
+    assert.equal(limiter.getScale(null, 180, 60, 1), 52 / 64);
+  });
+
+  it('begrenzt statische Farben und merkt den Zustand', () => {
+    const dim = [40, 40, 40];
+
+    assert.equal(limiter.limitColor(null, dim), dim);
+    assert.deepEqual(limiter.limitColor(null, [255, 255, 255]), [207, 207, 207]);
+    assert.equal(limiter.getEstimate(null).limited, true);
+    assert.ok(limiter.getEstimate(null).watts <= limiter.getEstimate(null).limitWatts);
+  });
+
+  it('kappt Helligkeit bei voller Last und lässt 0 A unbegrenzt', () => {
+    // Gedimmt passt Vollweiß ins Budget, volle Helligkeit nicht mehr
+    assert.equal(limiter.limitBrightness(null, 64), 64);
+    assert.deepEqual(limiter.limitColor(null, [255, 255, 255]), [255, 255, 255]);
+    assert.equal(limiter.limitBrightness(null, 255), 207);
+
+    limiter.defaultBudget = limiter.normalize({ volts: 12, amps: 0 });
+    assert.equal(limiter.getCurrentLimit(null), Infinity);
+    assert.equal(limiter.limitBrightness(null, 255), 255);
+  });
+
+  it('senkt das Budget im Energiesparmodus', () => {
+    limiter.setEnergySave(true);
+
+    assert.equal(limiter.getCurrentLimit(null), 1800);
+    assert.equal(new PowerLimiter().energySave, true);
+  });
+
+  it('verbucht den Verbrauch auf Stunden-Abschnitte', () => {
+    const hour = 60 * 60 * 1000;
+    const start = Math.floor(Date.now() / hour) * hour - 2 * hour;
+
+    // Nur Ruhestrom: 60 mA * 12 V = 0.72 W
+    limiter.states.set('default', { load: 0, brightness: 1, on: true, limited: false });
+    limiter.history = [];
+    limiter.lastAccumulate = start + hour / 2;
+    limiter.accumulate(start + hour + hour / 2);
+
+    assert.deepEqual(limiter.history.map(entry => entry.start), [start, start + hour]);
+    limiter.history.forEach(entry => {
+      assert.ok(Math.abs(entry.wh - 0.36) < 1e-9);
+      assert.equal(entry.peakWatts, 0.72);
+    });
+  });
+});
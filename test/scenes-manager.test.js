@@ -0,0 +1,92 @@
+/**
+ * ScenesManager gegen MockBluetooth
+ * Ausführen: npm test
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Statusmeldungen der Module stumm (stdout gehört dem Test-Runner)
+mock.method(console, 'log', () => {});
+
+// In-Memory-Speicher statt localStorage (Node)
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+
+const { MockBluetooth } = require('../js/mock-bluetooth.js');
+require('../js/protocol-drivers.js');
+const BLEController = require('../js/ble-controller-pro.js');
+const DeviceManager = require('../js/device-manager.js');
+const ScenesManager = require('../js/scenes-manager.js');
+
+describe('ScenesManager mit MockBluetooth', () => {
+  let bluetooth;
+  let controller;
+  let manager;
+  let scenes;
+  let desk;
+  let shelf;
+
+  beforeEach(async () => {
+    storage.clear();
+    bluetooth = new MockBluetooth().install();
+    globalThis.ledController = controller = new BLEController();
+    globalThis.deviceManager = manager = new DeviceManager();
+    scenes = new ScenesManager();
+
+    for (const options of [{ name: 'ELK-BLEDOM', protocol: 'ELK_BLEDOM' }, { name: 'BLE-LED', protocol: 'GENERIC' }]) {
+      const strip = bluetooth.addDevice(options);
+      bluetooth.chooser = candidates => candidates.find(device => device === strip) || null;
+      await controller.connect();
+      manager.addDevice({ id: strip.id, name: strip.name, protocol: strip.protocol });
+    }
+    [desk, shelf] = bluetooth.devices;
+  });
+
+  afterEach(() => {
+    controller.disconnect();
+    bluetooth.uninstall();
+  });
+
+  it('aktiviert eine Szene auf allen verbundenen Geräten', async () => {
+    const scene = scenes.createScene({ name: 'Lesen', color: { r: 255, g: 180, b: 90 }, brightness: 80 });
+
+    assert.equal(await scenes.activateScene(scene.id), true);
+    assert.deepEqual(desk.state.color, { r: 255, g: 180, b: 90 });
+    assert.deepEqual(shelf.state.color, { r: 255, g: 180, b: 90 });
+    assert.equal(scenes.getCurrentScene().id, scene.id);
+  });
+
+  it('steuert bei Ziel-Gruppen nur deren Geräte', async () => {
+    const reading = manager.createGroup('Leseecke');
+    manager.addDeviceToGroup(shelf.id, reading.id);
+    desk.clearWrites();
+
+    // Universeller Pfad der App (js/app.js) färbt alle verbundenen Geräte
+    globalThis.sendUniversalColor = (r, g, b) => controller.setColorRGB(r, g, b);
+
+    try {
+      const scene = scenes.createScene({ name: 'Lesen', color: { r: 0, g: 0, b: 255 }, groups: [reading.id] });
+
+      assert.equal(await scenes.activateScene(scene.id), true);
+      assert.deepEqual(shelf.state.color, { r: 0, g: 0, b: 255 });
+      assert.equal(desk.writes.length, 0);
+    } finally {
+      delete globalThis.sendUniversalColor;
+    }
+  });
+
+  it('schlägt ohne verbundene Hardware fehl', async () => {
+    controller.disconnect();
+    const scene = scenes.createScene({ name: 'Party', color: { r: 255, g: 0, b: 0 } });
+
+    assert.equal(await scenes.activateScene(scene.id), false);
+    assert.equal(scenes.getCurrentScene(), null);
+  });
+});
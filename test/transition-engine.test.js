@@ -0,0 +1,119 @@
+/**
+ * TransitionEngine: Kurven, Mischen und Übergänge
+ * Ausführen: npm test
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Statusmeldungen der Module stumm (stdout gehört dem Test-Runner)
+mock.method(console, 'log', () => {});
+
+// In-Memory-Speicher statt localStorage (Node)
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+
+const TransitionEngine = require('../js/transition-engine.js');
+
+describe('TransitionEngine Kurven und Farbräume', () => {
+  it('beginnt bei 0 und endet bei 1 für alle Kurven', () => {
+    for (const easing of ['linear', 'ease-in-out', 'perceptual']) {
+      assert.equal(TransitionEngine.ease(easing, 0), 0, easing);
+      assert.ok(Math.abs(TransitionEngine.ease(easing, 1) - 1) < 1e-12, easing);
+    }
+    assert.equal(TransitionEngine.ease('ease-in-out', 0.5), 0.5);
+  });
+
+  it('verweilt bei perceptual im Dunkeln, auch beim Abdunkeln', () => {
+    const brighter = TransitionEngine.ease('perceptual', 0.5);
+    const darker = TransitionEngine.ease('perceptual', 0.5, true);
+
+    assert.ok(brighter < 0.5);
+    assert.ok(darker > 0.5);
+    assert.ok(Math.abs(brighter + darker - 1) < 1e-12);
+  });
+
+  it('mischt Farben in OKLab ohne Umweg über Braun', () => {
+    const start = TransitionEngine.mixColor([255, 0, 0], [0, 255, 0], 0).map(Math.round);
+    const end = TransitionEngine.mixColor([255, 0, 0], [0, 255, 0], 1).map(Math.round);
+    const [r, g, b] = TransitionEngine.mixColor([255, 0, 0], [0, 255, 0], 0.5);
+
+    assert.deepEqual(start, [255, 0, 0]);
+    assert.deepEqual(end, [0, 255, 0]);
+    assert.ok(r + g > 255, `Mitte ${Math.round(r)}/${Math.round(g)} ist heller als die RGB-Mitte`);
+    assert.ok(b < r && b < g);
+  });
+
+  it('mischt Helligkeit gleichmäßig über CIE L*', () => {
+    assert.ok(Math.abs(TransitionEngine.mixBrightness(20, 80, 0) - 20) < 1e-9);
+    assert.ok(Math.abs(TransitionEngine.mixBrightness(20, 80, 1) - 80) < 1e-9);
+    // L* = 50 entspricht etwa 18 % Leuchtdichte
+    assert.ok(Math.abs(TransitionEngine.mixBrightness(0, 100, 0.5) - 18.4) < 0.1);
+  });
+
+  it('vereinheitlicht Zustände auf [r, g, b] und 0-100', () => {
+    assert.deepEqual(TransitionEngine.normalizeState({ color: { r: 300, g: -1, b: '12' }, brightness: 150 }),
+      { color: [255, 0, 12], brightness: 100 });
+    assert.deepEqual(TransitionEngine.normalizeState({ color: [1, 2, 3, 4], brightness: null }), { color: [1, 2, 3] });
+  });
+});
+
+describe('TransitionEngine Übergänge', () => {
+  let engine;
+  let sent;
+  let send;
+
+  beforeEach(() => {
+    storage.clear();
+    engine = new TransitionEngine();
+    sent = [];
+    send = async (command, data) => {
+      sent.push([command, data]);
+    };
+  });
+
+  it('springt ohne Dauer und merkt den Zustand', async () => {
+    const completed = await engine.transition('desk', { color: [10, 20, 30], brightness: 100 }, { duration: 0, send });
+
+    assert.equal(completed, true);
+    assert.deepEqual(sent, [['brightness', { value: 255 }], ['color', { r: 10, g: 20, b: 30 }]]);
+    assert.deepEqual(engine.getState('desk'), { color: [10, 20, 30], brightness: 100 });
+  });
+
+  it('blendet über die Dauer in mehreren Schritten auf das Ziel', async () => {
+    engine.setState('desk', { brightness: 0 });
+
+    const completed = await engine.transition('desk', { brightness: 100 }, { duration: 120, easing: 'linear', send });
+    const values = sent.map(([, data]) => data.value);
+
+    assert.equal(completed, true);
+    assert.ok(values.length > 1);
+    assert.equal(values[values.length - 1], 255);
+    assert.ok(values.every((value, i) => i === 0 || value > values[i - 1]));
+  });
+
+  it('bricht einen laufenden Übergang ab und behält den Zwischenstand', async () => {
+    engine.setState('desk', { brightness: 0 });
+
+    const running = engine.transition('desk', { brightness: 100 }, { duration: 10000, send });
+    assert.equal(engine.isRunning('desk'), true);
+    assert.equal(engine.cancel('desk'), true);
+
+    assert.equal(await running, false);
+    assert.equal(engine.isRunning('desk'), false);
+    assert.ok(engine.getState('desk').brightness < 100);
+  });
+
+  it('begrenzt den Standard-Übergang und speichert ihn', () => {
+    engine.setDefaults({ duration: 24 * 60 * 60 * 1000, easing: 'bounce' });
+
+    assert.deepEqual(engine.getDefaults(), { duration: 60 * 60 * 1000, easing: 'ease-in-out' });
+    assert.equal(new TransitionEngine().getDefaults().duration, 60 * 60 * 1000);
+  });
+});
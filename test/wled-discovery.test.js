@@ -0,0 +1,90 @@
+/**
+ * WLED-Discovery: Netzbereiche (CIDR) ohne Netzwerkzugriff
+ * Ausführen: npm test
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Statusmeldungen der Module stumm (stdout gehört dem Test-Runner)
+mock.method(console, 'log', () => {});
+
+// In-Memory-Speicher statt localStorage (Node)
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+
+const WLEDDiscovery = require('../js/wled-discovery.js');
+
+describe('WLEDDiscovery.expandCIDR', () => {
+  it('liefert die Hosts ohne Netz- und Broadcast-Adresse', () => {
+    const hosts = WLEDDiscovery.expandCIDR('192.168.178.0/24');
+
+    assert.equal(hosts.length, 254);
+    assert.equal(hosts[0], '192.168.178.1');
+    assert.equal(hosts[253], '192.168.178.254');
+  });
+
+  it('richtet eine Adresse mitten im Netz auf den Netzanfang aus', () => {
+    assert.deepEqual(WLEDDiscovery.expandCIDR('10.0.0.77/30'), ['10.0.0.77', '10.0.0.78']);
+  });
+
+  it('behandelt /31, /32 und Adressen ohne Präfix als einzelne Hosts', () => {
+    assert.deepEqual(WLEDDiscovery.expandCIDR('10.0.0.4/31'), ['10.0.0.4', '10.0.0.5']);
+    assert.deepEqual(WLEDDiscovery.expandCIDR('10.0.0.9/32'), ['10.0.0.9']);
+    assert.deepEqual(WLEDDiscovery.expandCIDR(' 10.0.0.9 '), ['10.0.0.9']);
+  });
+
+  it('lehnt zu große und ungültige Bereiche ab', () => {
+    assert.equal(WLEDDiscovery.expandCIDR('10.0.0.0/22').length, 1022);
+    assert.throws(() => WLEDDiscovery.expandCIDR('10.0.0.0/21'), /zu groß/);
+    assert.throws(() => WLEDDiscovery.expandCIDR('10.0.0.256/24'), /Ungültiger Netzbereich/);
+    assert.throws(() => WLEDDiscovery.expandCIDR('wled.local'), /Ungültiger Netzbereich/);
+  });
+});
+
+describe('WLEDDiscovery Netzbereiche', () => {
+  let discovery;
+
+  beforeEach(() => {
+    storage.clear();
+    discovery = new WLEDDiscovery();
+  });
+
+  afterEach(() => {
+    delete globalThis.deviceManager;
+  });
+
+  it('leitet /24-Netze aus WLED-Geräten und Host-Cache ab', () => {
+    globalThis.deviceManager = {
+      getAllDevices: () => [
+        { type: 'wled', ip: '192.168.2.40' },
+        { type: 'wled', ip: '192.168.2.41' },
+        { type: 'ble', ip: '10.1.1.1' }
+      ]
+    };
+    discovery.hostCache = { '10.0.5.12': {}, '8.8.8.8': {}, 'wled.local': {} };
+
+    assert.deepEqual(discovery.deriveRanges(), ['192.168.2.0/24', '10.0.5.0/24']);
+  });
+
+  it('nimmt eingestellte Bereiche vor abgeleiteten, sonst typische Heimnetze', () => {
+    assert.deepEqual(discovery.getRanges(), globalThis.DISCOVERY_CONFIG.FALLBACK_RANGES);
+
+    discovery.hostCache = { '172.16.3.9': {} };
+    assert.deepEqual(discovery.getRanges(), ['172.16.3.0/24']);
+
+    assert.deepEqual(discovery.setRanges('10.0.0.0/24, 10.0.1.0/24'), ['10.0.0.0/24', '10.0.1.0/24']);
+    assert.deepEqual(discovery.getRanges(), ['10.0.0.0/24', '10.0.1.0/24']);
+  });
+
+  it('übernimmt ungültige Bereiche nicht', () => {
+    assert.throws(() => discovery.setRanges(['10.0.0.0/24', '10.0.0.0/16']), /zu groß/);
+    assert.deepEqual(discovery.settings.ranges, []);
+  });
+});